@@ -0,0 +1,21 @@
+// The live balancer's front door: every request under /api/live/proxy is sent on to
+// a mock backend, with the path below the prefix and the query string kept.
+
+import { currentLiveBalancer } from '@/lib/liveBalancer';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const proxy = (request) => {
+  const balancer = currentLiveBalancer();
+  if (!balancer) return Response.json({ error: 'Live mode is off. Start it from the Live Backends panel or POST /api/live.' }, { status: 503 });
+  return balancer.handle(request);
+};
+
+export const GET = proxy;
+export const HEAD = proxy;
+export const POST = proxy;
+export const PUT = proxy;
+export const PATCH = proxy;
+export const DELETE = proxy;
+export const OPTIONS = proxy;
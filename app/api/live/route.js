@@ -0,0 +1,33 @@
+// Live backend mode control: GET the stats, POST settings to start or restart the
+// mock backends and the balancer over them, DELETE to stop. See lib/live.js.
+
+import { validateLiveSettings } from '@/lib/live';
+import { liveStats, startLiveBalancer, stopLiveBalancer } from '@/lib/liveBalancer';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const GET = () => Response.json(liveStats());
+
+export const POST = async (request) => {
+  let raw;
+  try {
+    raw = await request.json();
+  } catch {
+    return Response.json({ errors: ['The request body must be JSON.'] }, { status: 400 });
+  }
+  const { settings, errors } = validateLiveSettings(raw);
+  if (!settings) return Response.json({ errors }, { status: 400 });
+
+  try {
+    const balancer = await startLiveBalancer(settings);
+    return Response.json(balancer.stats());
+  } catch (error) {
+    return Response.json({ errors: [`The mock backends could not start: ${error.message}`] }, { status: 500 });
+  }
+};
+
+export const DELETE = async () => {
+  await stopLiveBalancer();
+  return Response.json(liveStats());
+};
@@ -0,0 +1,15 @@
+// Server-sent events with the live balancer's stats, for the Live Backends panel
+
+import { liveStats } from '@/lib/liveBalancer';
+import { eventStreamResponse } from '@/lib/sse';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const STREAM_INTERVAL_MS = 500;
+
+export const GET = (request) => eventStreamResponse(request, (send) => {
+  send(liveStats());
+  const timer = setInterval(() => send(liveStats()), STREAM_INTERVAL_MS);
+  return () => clearInterval(timer);
+});
@@ -0,0 +1,24 @@
+// PUT { "mode": "leastConnections" }: switches the simulation session's algorithm,
+// which restarts the run as it does in the page
+
+import { STRATEGIES } from '@/lib/strategies';
+import { simSession } from '@/lib/simSession';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const PUT = async (request) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ errors: ['The request body must be JSON.'] }, { status: 400 });
+  }
+  if (!Object.hasOwn(STRATEGIES, body?.mode)) {
+    return Response.json({ errors: [`mode: unknown algorithm ${JSON.stringify(body?.mode)} (expected one of ${Object.keys(STRATEGIES).join(', ')}).`] }, { status: 400 });
+  }
+
+  const session = simSession();
+  session.setMode(body.mode);
+  return Response.json(session.state());
+};
@@ -0,0 +1,19 @@
+// POST: restarts the simulation session from t=0, on a scenario when the body holds
+// one (as exported from the Scenario panel) and on the current one otherwise. A
+// running session keeps running.
+
+import { parseScenario } from '@/lib/scenario';
+import { simSession } from '@/lib/simSession';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const POST = async (request) => {
+  const text = await request.text();
+  const { scenario, errors } = text.trim() === '' ? { scenario: null, errors: [] } : parseScenario(text);
+  if (errors.length > 0) return Response.json({ errors }, { status: 400 });
+
+  const session = simSession();
+  session.reset(scenario);
+  return Response.json(session.state());
+};
@@ -0,0 +1,10 @@
+// Server-side simulation session (see lib/simSession.js): GET its current state,
+// metrics included. The control API lives under start, stop, reset, mode and
+// servers/{id}/toggle, and the event stream under stream.
+
+import { simSession } from '@/lib/simSession';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const GET = () => Response.json(simSession().state());
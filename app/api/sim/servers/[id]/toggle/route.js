@@ -0,0 +1,14 @@
+// POST: crashes the server if it is up and recovers it if it is down. Like a crash
+// in the page, the balancer only notices through its health checks.
+
+import { simSession } from '@/lib/simSession';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const POST = async (request, { params }) => {
+  const { id } = await params;
+  const session = simSession();
+  if (!session.toggleServer(Number(id))) return Response.json({ errors: [`No server with id ${id}.`] }, { status: 404 });
+  return Response.json(session.state());
+};
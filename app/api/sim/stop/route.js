@@ -0,0 +1,12 @@
+// POST: stops the simulation session's clock and returns its state
+
+import { simSession } from '@/lib/simSession';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const POST = () => {
+  const session = simSession();
+  session.stop();
+  return Response.json(session.state());
+};
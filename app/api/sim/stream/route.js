@@ -0,0 +1,29 @@
+// Server-sent events from the simulation session (see lib/simSession.js): a snapshot
+// and the metrics on connect, then every tick's messages as they come. Query
+// parameters narrow the stream down, e.g. ?events=snapshot,log&log=route,health
+// for snapshots plus routing decisions and health changes only.
+
+import { simSession } from '@/lib/simSession';
+import { eventStreamResponse } from '@/lib/sse';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export const GET = (request) => {
+  const params = new URL(request.url).searchParams;
+  const list = (name) => params.get(name)?.split(',').map(item => item.trim()).filter(Boolean) ?? null;
+  const events = list('events');
+  const logTypes = list('log');
+  const wanted = (event) => !events || events.includes(event);
+
+  return eventStreamResponse(request, (send) => {
+    const session = simSession();
+    if (wanted('snapshot')) send(session.view(), 'snapshot');
+    if (wanted('metrics')) send(session.metrics(), 'metrics');
+    return session.subscribe((event, data) => {
+      if (!wanted(event)) return;
+      const message = event === 'log' && logTypes ? data.filter(entry => logTypes.includes(entry.type)) : data;
+      if (event !== 'log' || message.length > 0) send(message, event);
+    });
+  });
+};
@@ -1,278 +1,216 @@
 "use client";
 
-import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { RefreshCw, Zap, Settings, Globe, Cpu, Heart, AlertTriangle, BarChart3, TrendingUp } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { RefreshCw, Zap, Settings, Globe, Cpu, Heart, AlertTriangle, Columns, Network, X } from 'lucide-react';
+import { createSimulation, SIMULATION_DEFAULTS, SERVER_DEFAULTS } from '@/lib/engine';
+import { ABUSIVE_CLIENT_DEFAULTS, DEFAULT_CLIENT_POOL_SIZE, VISIT_DEFAULTS } from '@/lib/clients';
+import { STICKY_SESSION_DEFAULTS } from '@/lib/sessions';
+import { AUTOSCALER_DEFAULTS, scalingMarkers } from '@/lib/autoscaler';
+import { buildRing, ringShare, summarizeRemap, DEFAULT_VIRTUAL_NODES } from '@/lib/hashRing';
+import HashRingPanel from '@/components/HashRingPanel';
+import LoadChart from '@/components/LoadChart';
+import LoadHistoryChart from '@/components/LoadHistoryChart';
+import ComparisonPanel from '@/components/ComparisonPanel';
+import QueueStatsPanel from '@/components/QueueStatsPanel';
+import TrafficPanel from '@/components/TrafficPanel';
+import MetricsPanel from '@/components/MetricsPanel';
+import HealthCheckPanel from '@/components/HealthCheckPanel';
+import ServerPoolPanel from '@/components/ServerPoolPanel';
+import ScenarioPanel from '@/components/ScenarioPanel';
+import ChaosPanel from '@/components/ChaosPanel';
+import ExportPanel from '@/components/ExportPanel';
+import ReplayPanel from '@/components/ReplayPanel';
+import EventLogPanel from '@/components/EventLogPanel';
+import RoutingPanel from '@/components/RoutingPanel';
+import SessionPanel from '@/components/SessionPanel';
+import AutoscalerPanel from '@/components/AutoscalerPanel';
+import TopologyPanel from '@/components/TopologyPanel';
+import AdmissionPanel from '@/components/AdmissionPanel';
+import LivePanel from '@/components/LivePanel';
+import { ADMISSION_DEFAULTS, REJECTION_REASONS } from '@/lib/admission';
+import { HEALTH_CHECK_DEFAULTS, OUTLIER_DETECTION_DEFAULTS } from '@/lib/health';
+import { CHAOS_DEFAULTS, faultBadges } from '@/lib/faults';
+import { summarizeMetrics, DEFAULT_SLA_MS } from '@/lib/metrics';
+import { resourceUsage, slowdownFactor } from '@/lib/performance';
+import { DEFAULT_ARRIVAL, DEFAULT_SERVICE, arrivalRate } from '@/lib/traffic';
+import { buildScenario, scenarioRunSettings } from '@/lib/scenario';
+import { createReplay } from '@/lib/replay';
+import { DEFAULT_POOL_ID, RULE_COLORS, describeMatch } from '@/lib/rules';
+import { GLOBAL_POLICIES, REGION_COLORS, TOPOLOGY_DEFAULTS } from '@/lib/topology';
 
 // --- CONFIGURATION ---
-const REQUEST_RATE_MS = 100; // Time between new requests (DECREASED significantly to increase the concurrent load)
-const MAX_LOAD = 20; // Maximum capacity (kept at 20 as requested)
-const SIMULATION_DURATION_MS = 3000; // How long a request "takes" to process
+const REQUEST_RATE_MS = 100; // Default time between new requests, also the history sample interval
+const MAX_LOAD = 20; // Default maximum capacity of a server (kept at 20 as requested)
+const SIMULATION_DURATION_MS = 3000; // Default (mean) time a request "takes" to process
 const MAX_HISTORY_POINTS = 100; // Keep track of the last 100 steps (10 seconds at 100ms interval)
+const TRANSIT_TIME_MS = 500; // Time for a request to travel from the LB to its server
+
+// Engine settings the user can change from the UI (changing any of them restarts the run)
+const DEFAULT_ENGINE_OPTIONS = {
+  seed: 42, // Same seed + same config = identical run
+  virtualNodes: DEFAULT_VIRTUAL_NODES, // Points per server on the IP Hash ring
+  clientPoolSize: DEFAULT_CLIENT_POOL_SIZE, // Distinct client IPs sending traffic
+  visits: VISIT_DEFAULTS, // How clients group requests into visits and return later
+  stickySessions: STICKY_SESSION_DEFAULTS, // Cookie TTL and session size for sticky sessions
+  maxQueueDepth: 10, // Requests the LB buffers while every server is full
+  queueTimeoutMs: 2000, // How long a buffered request waits before timing out
+  arrival: { ...DEFAULT_ARRIVAL, rate: 1000 / REQUEST_RATE_MS }, // Editable live, see updateTraffic
+  service: { ...DEFAULT_SERVICE, meanMs: SIMULATION_DURATION_MS },
+  healthCheck: HEALTH_CHECK_DEFAULTS,
+  outlierDetection: OUTLIER_DETECTION_DEFAULTS,
+  retry: SIMULATION_DEFAULTS.retry,
+  admission: ADMISSION_DEFAULTS, // Rate limits, load shedding and circuit breakers (all off by default)
+  abusiveClients: ABUSIVE_CLIENT_DEFAULTS, // A few clients sending a large share of the traffic (none by default)
+  chaos: CHAOS_DEFAULTS, // Random fault injection
+  autoscaler: AUTOSCALER_DEFAULTS, // Grows and shrinks a pool from its load
+  pools: SIMULATION_DEFAULTS.pools, // Layer-7 backend pools and the rules that route to them
+  rules: SIMULATION_DEFAULTS.rules,
+  topology: TOPOLOGY_DEFAULTS, // Client regions, global LB and regional LBs (off by default)
+  recordingLength: SIMULATION_DEFAULTS.recordingLength, // Samples kept for export
+  timeline: [], // Scripted steps of the current scenario
+};
+
+const MAX_DRAWN_QUEUE_SLOTS = 20; // Beyond this the buffer is drawn as a fill bar only
+const REJECTION_FLASH_MS = 1200; // How long a rejected request stays on the canvas
+const MAX_DRAWN_REJECTIONS = 8; // Most recent rejections drawn at once
+const METRICS_WINDOW_MS = MAX_HISTORY_POINTS * REQUEST_RATE_MS; // Latency metrics cover the same span as the trend chart
+const MAX_FRAME_STEP_MS = 1000; // Cap on virtual time advanced per frame (e.g. after a throttled tab wakes up)
 
 // Define the LB modes and their details (Architecture mode removed)
 const MODES = [
   { id: 'roundRobin', name: 'Round Robin', desc: 'Distributes sequential requests uniformly across servers.' },
-  { id: 'weightedRR', name: 'Weighted Round Robin', desc: 'Servers with higher "weight" receive a larger proportion of requests, reflecting greater capacity.' },
+  { id: 'weightedRR', name: 'Weighted Round Robin', desc: 'Servers with higher "weight" receive a larger proportion of requests, reflecting greater capacity. Each server gets all of its turns back to back, so traffic arrives in bursts.' },
+  { id: 'smoothWeightedRR', name: 'Smooth Weighted RR', desc: 'Nginx-style weighted round robin: each server accumulates its weight every pick and the highest total wins, so heavy servers get the same share of traffic interleaved with everyone else instead of in bursts.' },
   { id: 'leastConnections', name: 'Least Connections', desc: 'Routes new requests to the server with the fewest currently active connections (the "lightest" load).' },
-  { id: 'ipHash', name: 'IP Hash (Sticky)', desc: 'Requests from the same simulated client IP are always sent to the same server, ensuring "sticky sessions".' },
+  { id: 'weightedLeastConnections', name: 'Weighted Least Conn.', desc: 'Routes to the server with the fewest active connections per unit of weight, so a weight-3 server is considered as busy as a weight-1 server with a third of its connections.' },
+  { id: 'leastResponseTime', name: 'Least Response Time', desc: 'Routes to the server with the lowest expected wait: its recent average response time multiplied by the connections already queued on it.' },
+  { id: 'powerOfTwoChoices', name: 'Power of Two Choices', desc: 'Samples two servers at random and sends the request to the less loaded of the pair. Nearly as balanced as Least Connections without needing a global view of every server.' },
+  { id: 'random', name: 'Random', desc: 'Sends each request to a server chosen uniformly at random. Balanced on average, but with noticeable short-term imbalance.' },
+  { id: 'ipHash', name: 'IP Hash (Sticky)', desc: 'Client IPs are placed on a consistent hash ring with virtual nodes per server, so the same client always reaches the same server and a server failure only remaps the clients it owned.' },
+  { id: 'stickyCookie', name: 'Sticky Sessions (Cookie)', desc: 'The LB answers a new client from the least loaded server with a cookie naming it, and keeps sending the client there while the cookie lasts. Sessions expire after a TTL without requests, are rebalanced after a maximum number of requests, and break when their server goes down or is drained.' },
 ];
 
-// Initial state for all servers (Max capacity updated to 20)
+// Initial server pool (Max capacity updated to 20); editable at runtime from the Server Pool panel.
+// Weights match real differences in hardware: heavier servers are faster and run more workers.
 const initialServers = [
-  { id: 1, name: 'Server A', load: 0, maxCapacity: MAX_LOAD, weight: 1, isAvailable: true, color: '#f87171', top: 30 }, 
-  { id: 2, name: 'Server B', load: 0, maxCapacity: MAX_LOAD, weight: 2, isAvailable: true, color: '#34d399', top: 190 }, 
-  { id: 3, name: 'Server C', load: 0, maxCapacity: MAX_LOAD, weight: 1, isAvailable: true, color: '#60a5fa', top: 350 }, 
-  { id: 4, name: 'Server D', load: 0, maxCapacity: MAX_LOAD, weight: 3, isAvailable: true, color: '#facc15', top: 510 }, 
+  { id: 1, name: 'Server A', maxCapacity: MAX_LOAD, weight: 1, speed: 1, concurrency: 4, degradation: 1, color: '#f87171' },
+  { id: 2, name: 'Server B', maxCapacity: MAX_LOAD, weight: 2, speed: 1.5, concurrency: 8, degradation: 1, color: '#34d399' },
+  { id: 3, name: 'Server C', maxCapacity: MAX_LOAD, weight: 1, speed: 1, concurrency: 4, degradation: 1, color: '#60a5fa' },
+  { id: 4, name: 'Server D', maxCapacity: MAX_LOAD, weight: 3, speed: 2, concurrency: 12, degradation: 1, color: '#facc15' },
 ];
 
-// --- UTILITY COMPONENTS ---
+// Colors handed out to added servers, in order
+const SERVER_COLORS = ['#f87171', '#34d399', '#60a5fa', '#facc15', '#a78bfa', '#fb923c', '#2dd4bf', '#f472b6', '#a3e635', '#94a3b8'];
+
+// Settings for the next server added to the pool: Server E, Server F, ...
+const nextServerSpec = (pool) => {
+  const id = Math.max(0, ...pool.map(s => s.id)) + 1;
+  return {
+    ...SERVER_DEFAULTS,
+    id,
+    name: id <= 26 ? `Server ${String.fromCharCode(64 + id)}` : `Server ${id}`,
+    maxCapacity: MAX_LOAD,
+    color: SERVER_COLORS[(id - 1) % SERVER_COLORS.length],
+  };
+};
 
-// Function to generate a unique ID for requests
-const generateUniqueId = () => Math.random().toString(36).substring(2, 9);
+// --- CANVAS LAYOUT ---
+const CANVAS_HEIGHT = 650;
+const LB_CENTER = { x: 260, y: 320 };
+const POOL_PADDING_TOP = 30; // Room for the pool title
+const POOL_PADDING_BOTTOM = 10;
+const SERVER_CARD_WIDTH = 160;
+const SERVER_CARD_HEIGHT = 116; // Full-size card; smaller slots get a compact card
+const SERVERS_PER_COLUMN = 5; // Beyond this the pool splits into two columns
+const SERVER_COLUMNS_LEFT = [[480], [380, 570]];
+
+// Multi-region canvas: client regions on the left, then the global LB, one regional LB per
+// region and each region's servers in a horizontal band of their own
+const CLIENT_REGION_X = 42;
+const GLOBAL_LB_CENTER = { x: 150, y: CANVAS_HEIGHT / 2 };
+const REGIONAL_LB_X = 285;
+const REGION_SERVER_COLUMNS_LEFT = [[440], [385, 565]];
 
 /**
- * Dynamic Real-time Load Chart (Vertical Bar Chart) - Visualizing current state
+ * Position of every server card for a pool of any size: one or two columns of evenly
+ * spaced cards, shrinking to a compact card when the slots get too small. `band` is the
+ * vertical strip of the canvas they share.
  */
-const LoadChart = React.memo(({ servers, maxLoad }) => {
-  const yAxisMarkers = useMemo(() => {
-      const step = maxLoad / 4;
-      return [0, step, step * 2, step * 3, maxLoad].reverse();
-  }, [maxLoad]);
+const layoutServers = (servers, band = { top: 0, height: CANVAS_HEIGHT }, columnsLeft = SERVER_COLUMNS_LEFT) => {
+  const columns = servers.length > SERVERS_PER_COLUMN ? 2 : 1;
+  const rows = Math.max(1, Math.ceil(servers.length / columns));
+  const slotHeight = (band.height - POOL_PADDING_TOP - POOL_PADDING_BOTTOM) / rows;
+  const height = Math.min(SERVER_CARD_HEIGHT, slotHeight - 8);
+
+  return Object.fromEntries(servers.map((server, index) => {
+    const left = columnsLeft[columns - 1][Math.floor(index / rows)];
+    const top = band.top + POOL_PADDING_TOP + (index % rows) * slotHeight + (slotHeight - height) / 2;
+    return [server.id, { left, top, height, compact: height < SERVER_CARD_HEIGHT, centerX: left + SERVER_CARD_WIDTH / 2, centerY: top + height / 2 }];
+  }));
+};
 
-  return (
-    <div className="bg-white p-6 rounded-xl shadow-2xl h-[400px] lg:h-[650px] flex flex-col">
-      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
-        <BarChart3 className="w-5 h-5 mr-2 text-indigo-500" /> Current Server Load (Connections)
-      </h3>
-      
-      <div className="flex flex-grow relative overflow-hidden px-2 pt-2 pb-6">
-        
-        {/* Y-Axis Labels and Grid Lines */}
-        <div className="absolute inset-y-0 left-0 w-10 text-right text-xs text-gray-500 flex flex-col justify-between py-4 pointer-events-none">
-          {yAxisMarkers.map((marker, index) => (
-            <div key={index} className="-translate-y-1/2 pr-1">
-              {marker}
-              {index > 0 && (
-                <div 
-                    className="absolute inset-x-10 right-0 border-t border-gray-200 z-0" 
-                    style={{ top: `${(index / (yAxisMarkers.length - 1)) * 100}%` }}
-                ></div>
-              )}
-            </div>
-          ))}
-        </div>
-        
-        {/* Plot Area - Main Bars */}
-        <div className="flex flex-grow pl-10 items-end justify-around border-b border-gray-400">
-          
-          {servers.map(server => {
-            const loadPercentage = (server.load / maxLoad) * 100;
-            const loadColor = loadPercentage > 85 ? 'bg-red-500' : loadPercentage > 50 ? 'bg-yellow-500' : 'bg-green-500';
-            
-            return (
-              <div key={server.id} className="h-full w-1/6 flex flex-col items-center justify-end relative mx-1">
-                <div className="absolute bottom-full mb-1 text-sm font-bold text-gray-700">
-                  {server.load}
-                </div>
-                
-                <div
-                  className={`w-full rounded-t-lg transition-all duration-300 ease-out z-10 ${loadColor} shadow-lg`}
-                  style={{ height: `${loadPercentage}%` }}
-                  title={`${server.name}: ${server.load} connections`}
-                ></div>
-                
-                <div className="absolute top-full mt-2 text-xs font-semibold text-gray-700 whitespace-nowrap">
-                  {server.name.replace('Server ', '')}
-                </div>
-              </div>
-            );
-          })}
-        </div>
-      </div>
-      
-      <p className="text-xs text-gray-400 pt-2 text-center border-t mt-8">X-Axis: Server Name | Y-Axis: Active Connections (Max {maxLoad})</p>
-    </div>
-  );
-});
+// Region a server is in; like the engine, servers without a known region join the first one
+const regionIdOf = (server, regions) => (regions.some(r => r.id === server.region) ? server.region : regions[0].id);
 
 /**
- * Historical Line Chart (Stock Market Style) - Visualizing load trend over time
+ * Canvas positions for the multi-region topology: a band per region sized by its server
+ * count, with the regional LB centered in it, and client regions spread down the left edge
  */
-const LoadHistoryChart = React.memo(({ history, servers, maxLoad }) => {
-    if (history.length < 2) {
-        return (
-            <div className="bg-white p-6 rounded-xl shadow-2xl h-[400px] flex items-center justify-center border border-gray-200">
-                <p className="text-gray-500">Run the simulation to generate historical load data...</p>
-            </div>
-        );
-    }
-
-    const SVG_WIDTH = 1000;
-    const SVG_HEIGHT = 300;
-    const PADDING_X = 50;
-    const PADDING_Y = 20;
-    const PLOT_WIDTH = SVG_WIDTH - 2 * PADDING_X;
-    const PLOT_HEIGHT = SVG_HEIGHT - 2 * PADDING_Y;
-
-    // Scale functions
-    const scaleX = (index) => PADDING_X + (index / (history.length - 1)) * PLOT_WIDTH;
-    const scaleY = (load) => PADDING_Y + PLOT_HEIGHT - (load / maxLoad) * PLOT_HEIGHT;
-
-    // Generate SVG path for each server
-    const serverPaths = servers.map(server => {
-        const dataIndex = server.id - 1;
-        
-        const points = history.map((loads, index) => {
-            const x = scaleX(index);
-            const y = scaleY(loads[dataIndex]);
-            return `${x},${y}`;
-        }).join(' L ');
-        
-        // Start the path from the first point
-        const d = `M ${points}`;
-
-        return {
-            id: server.id,
-            name: server.name,
-            color: server.color,
-            d: d,
-        };
-    });
-
-    const yAxisMarkers = useMemo(() => {
-        const step = maxLoad / 4;
-        return [0, step, step * 2, step * 3, maxLoad].map(value => ({
-            value,
-            y: scaleY(value)
-        }));
-    }, [maxLoad]);
+const layoutTopology = (servers, { regions, clientRegions }) => {
+  const members = regions.map(region => servers.filter(s => regionIdOf(s, regions) === region.id));
+  const total = members.reduce((sum, list) => sum + Math.max(1, list.length), 0);
+  let top = 0;
+  const bands = regions.map((region, index) => {
+    const height = (CANVAS_HEIGHT * Math.max(1, members[index].length)) / total;
+    const band = { top, height, color: REGION_COLORS[index % REGION_COLORS.length], lb: { x: REGIONAL_LB_X, y: top + height / 2 } };
+    top += height;
+    return [region.id, band];
+  });
+  return {
+    servers: Object.assign({}, ...bands.map(([, band], index) => layoutServers(members[index], band, REGION_SERVER_COLUMNS_LEFT))),
+    regions: Object.fromEntries(bands),
+    clients: Object.fromEntries(clientRegions.map((c, index) => [c.id, { x: CLIENT_REGION_X, y: (CANVAS_HEIGHT * (index + 0.5)) / clientRegions.length }])),
+  };
+};
 
-    return (
-        <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
-            <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
-                <TrendingUp className="w-5 h-5 mr-2 text-indigo-500" /> Server Load Trend (Last {MAX_HISTORY_POINTS * REQUEST_RATE_MS / 1000}s)
-            </h3>
-            
-            <div className="relative overflow-x-auto">
-                <svg viewBox={`0 0 ${SVG_WIDTH} ${SVG_HEIGHT}`} className="w-full h-auto">
-                    {/* Background Grid Lines (Y-Axis) */}
-                    {yAxisMarkers.map(({ value, y }) => (
-                        <React.Fragment key={value}>
-                            <line 
-                                x1={PADDING_X} 
-                                y1={y} 
-                                x2={SVG_WIDTH - PADDING_X} 
-                                y2={y} 
-                                stroke={value === maxLoad ? '#f87171' : value === 0 ? '#4b5563' : '#e5e7eb'} 
-                                strokeWidth={value === maxLoad ? 2 : 1}
-                                strokeDasharray={value === maxLoad ? '4 4' : 'none'}
-                            />
-                            {/* Y-Axis Label */}
-                            <text x={PADDING_X - 5} y={y + 4} textAnchor="end" fontSize="12" fill="#6b7280">
-                                {value}
-                            </text>
-                        </React.Fragment>
-                    ))}
-                    
-                    {/* X-Axis Line */}
-                    <line 
-                        x1={PADDING_X} 
-                        y1={scaleY(0)} 
-                        x2={SVG_WIDTH - PADDING_X} 
-                        y2={scaleY(0)} 
-                        stroke="#4b5563" 
-                        strokeWidth="1"
-                    />
+// Builds a fresh engine for the given algorithm, user options and server pool
+const createEngine = (mode, options, pool) => createSimulation(pool, {
+  ...options,
+  mode,
+  transitTimeMs: TRANSIT_TIME_MS,
+  sampleIntervalMs: REQUEST_RATE_MS,
+  historyLength: MAX_HISTORY_POINTS,
+  metricsWindowMs: METRICS_WINDOW_MS,
+});
 
-                    {/* Server Load Paths */}
-                    {serverPaths.map(path => (
-                        <path
-                            key={path.id}
-                            d={path.d}
-                            fill="none"
-                            stroke={path.color}
-                            strokeWidth="3"
-                            vectorEffect="non-scaling-stroke"
-                            className="transition-all duration-100 ease-linear"
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                        />
-                    ))}
-                </svg>
-            </div>
-            
-            {/* Legend */}
-            <div className="flex justify-center flex-wrap gap-x-6 gap-y-2 mt-4 pt-4 border-t border-gray-100">
-                {servers.map(server => (
-                    <div key={`legend-${server.id}`} className="flex items-center">
-                        <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: server.color }}></span>
-                        <span className="text-sm text-gray-700 font-medium">{server.name}</span>
-                        {server.weight > 1 && <span className="text-xs text-gray-500 ml-1">(W: {server.weight})</span>}
-                    </div>
-                ))}
-            </div>
-            <p className="text-xs text-gray-400 mt-2 text-center">Y-Axis: Active Connections | Red Dashed Line: Max Capacity ({maxLoad})</p>
-        </div>
-    );
+// Latency and SLA metrics over the trend chart's window
+const windowMetrics = (snapshot, slaMs) => summarizeMetrics({
+  finished: snapshot.finished,
+  history: snapshot.history,
+  servers: snapshot.servers,
+  elapsedMs: Math.min(METRICS_WINDOW_MS, snapshot.time),
+  slaMs,
 });
 
+// --- UTILITY COMPONENTS ---
 
 /**
- * Animated request element moving from source (LB) to target (Server)
+ * Animated request element moving along one hop, from an LB to a server or from the
+ * global LB to a regional one. Position is derived from the engine's virtual clock, so
+ * it only renders. Requests matched by a layer-7 rule take the rule's color.
  */
-const RequestAnimation = React.memo(({ request, setServers }) => {
-  const [position, setPosition] = useState(0); // 0 (start) to 1 (end)
-  const [isProcessed, setIsProcessed] = useState(false);
-  const startTimeRef = useRef(Date.now());
-  const serverColor = `bg-indigo-400`; 
+const RequestAnimation = React.memo(({ request, from = LB_CENTER, to, progress }) => {
+  const serverColor = request.ruleIndex >= 0 ? RULE_COLORS[request.ruleIndex % RULE_COLORS.length] : '#818cf8'; // Indigo 400
 
-  // Request processing logic and animation
-  useEffect(() => {
-    // Phase 1: Animation (0 to 1)
-    const duration = 500; // Time to reach the server
-    let frameId;
-
-    const animate = () => {
-      const elapsed = Date.now() - startTimeRef.current;
-      const progress = Math.min(elapsed / duration, 1);
-      setPosition(progress);
-
-      if (progress < 1) {
-        frameId = requestAnimationFrame(animate);
-      } else {
-        // Phase 2: Processing (Server load decreases after duration)
-        setIsProcessed(true);
-
-        setTimeout(() => {
-          // Decrement load when processing completes
-          setServers(prevServers =>
-            prevServers.map(s =>
-              s.id === request.targetServerId ? { ...s, load: Math.max(0, s.load - 1) } : s
-            )
-          );
-        }, SIMULATION_DURATION_MS);
-      }
-    };
-    frameId = requestAnimationFrame(animate);
-
-    return () => cancelAnimationFrame(frameId);
-  }, [request.targetServerId, setServers]);
-
-  // Determine the server position (simulated) based on new fixed layout
-  const server = initialServers.find(s => s.id === request.targetServerId);
-  if (!server) return null; // Safety check
-  
   // Center points (must match SVG coordinates)
-  const initialX = 260; 
-  const initialY = 320; 
-  const targetX = 580; 
-  const targetY = server.top + 50; // 50 is half the height of the server card (h-24 ~ 96px)
+  const initialX = from.x;
+  const initialY = from.y;
+  const targetX = to.x;
+  const targetY = to.y;
 
   // Calculate dynamic position
-  const currentX = initialX + position * (targetX - initialX);
-  const currentY = initialY + position * (targetY - initialY);
-
-  if (isProcessed) return null; // Remove request once it reaches the server
+  const currentX = initialX + progress * (targetX - initialX);
+  const currentY = initialY + progress * (targetY - initialY);
 
   return (
     <div
@@ -282,41 +220,177 @@ const RequestAnimation = React.memo(({ request, setServers }) => {
         left: `${currentX}px`,
         top: `${currentY}px`,
       }}
-      title={`Request ID: ${request.id} -> Server ${request.targetServerId}`}
+      title={`Request ID: ${request.id} | ${request.method} ${request.host}${request.path} | ${request.rule ? `Rule: ${request.rule}` : 'No rule matched'}${request.region ? ` -> region ${request.region}` : ''} -> pool ${request.pool}${request.targetServerId != null ? ` -> Server ${request.targetServerId}` : ''}`}
     >
       <Zap className="w-2 h-2 text-white absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2" />
     </div>
   );
 });
+RequestAnimation.displayName = 'RequestAnimation';
 
 /**
- * Individual Server component
+ * A rejected request flashing above the balancer that turned it away, in the color of
+ * its rejection reason; it rises and fades over REJECTION_FLASH_MS. `slot` spreads
+ * rejections that happen close together; only the newest is `labelled` with its reason.
  */
-const ServerCard = React.memo(({ server, currentMode }) => {
-  const loadPercentage = (server.load / server.maxCapacity) * 100;
-
-  let algorithmInfo = '';
-  if (currentMode === 'weightedRR') {
-    algorithmInfo = `Weight: ${server.weight}`;
-  } else if (currentMode === 'leastConnections') {
-    algorithmInfo = `Connections: ${server.load}`;
-  }
+const RejectedRequest = React.memo(({ request, at, age, slot, labelled }) => {
+  const reason = REJECTION_REASONS[request.rejection];
+  const progress = Math.min(1, age / REJECTION_FLASH_MS);
+  return (
+    <div
+      className="absolute flex items-center z-40 pointer-events-none"
+      style={{ left: `${at.x - 40 + (slot % 4) * 20}px`, top: `${at.y - 70 - progress * 40 - Math.floor(slot / 4) * 18}px`, opacity: 1 - progress }}
+      title={`Request ID: ${request.id} from ${request.ip} rejected: ${reason.description}`}
+    >
+      <span className="w-4 h-4 rounded-full flex items-center justify-center shadow-md" style={{ backgroundColor: reason.color }}>
+        <X className="w-3 h-3 text-white" />
+      </span>
+      {labelled && <span className="ml-1 text-[9px] font-bold whitespace-nowrap" style={{ color: reason.color }}>{reason.name}</span>}
+    </div>
+  );
+});
+RejectedRequest.displayName = 'RejectedRequest';
+
+// Badge colors for the balancer's view of each server (see lib/health.js)
+const HEALTH_BADGES = {
+  healthy: 'bg-green-100 text-green-700',
+  suspect: 'bg-yellow-100 text-yellow-700',
+  down: 'bg-red-100 text-red-700',
+  recovering: 'bg-blue-100 text-blue-700',
+};
+
+// Per-algorithm info line shown on each server card
+const ALGORITHM_INFO = {
+  weightedRR: server => `Weight: ${server.weight}`,
+  smoothWeightedRR: server => `Weight: ${server.weight} | Sent: ${server.dispatched}`,
+  leastConnections: server => `Connections: ${server.load}`,
+  weightedLeastConnections: server => `Load/Weight: ${(server.load / server.weight).toFixed(2)}`,
+  leastResponseTime: server => `Avg RT: ${server.avgResponseTime ? `${Math.round(server.avgResponseTime)}ms` : 'n/a'}`,
+  powerOfTwoChoices: server => `Connections: ${server.load}`,
+  random: server => `Sent: ${server.dispatched}`,
+  ipHash: (server, { ringShare }) => `Ring share: ${((ringShare || 0) * 100).toFixed(0)}%`,
+  stickyCookie: (server, { sessions }) => `Sessions: ${sessions || 0}`,
+};
+
+/**
+ * LB-side request buffer drawn under the Load Balancer node
+ */
+const QueueBuffer = React.memo(({ queue, maxQueueDepth }) => {
+  const fillPercentage = maxQueueDepth > 0 ? (queue.length / maxQueueDepth) * 100 : 0;
+  const slotCount = Math.min(maxQueueDepth, MAX_DRAWN_QUEUE_SLOTS);
+
+  return (
+    <div
+      style={{ top: '370px', left: '188px' }}
+      className="absolute w-30 p-2 bg-white rounded-lg shadow-lg border border-indigo-200 z-20"
+      title={`${queue.length} of ${maxQueueDepth} queue slots in use`}
+    >
+      <p className="text-[10px] font-bold text-indigo-800 text-center">QUEUE {queue.length}/{maxQueueDepth}</p>
+      {slotCount > 0 && slotCount === maxQueueDepth ? (
+        <div className="grid grid-cols-5 gap-0.5 mt-1">
+          {Array.from({ length: slotCount }, (_, i) => (
+            <div key={i} className={`h-2 rounded-sm ${i < queue.length ? 'bg-indigo-500' : 'bg-gray-200'}`}></div>
+          ))}
+        </div>
+      ) : (
+        <div className="h-1.5 bg-gray-200 rounded-full mt-1">
+          <div className="h-1.5 rounded-full bg-indigo-500 transition-all duration-300" style={{ width: `${fillPercentage}%` }}></div>
+        </div>
+      )}
+    </div>
+  );
+});
+QueueBuffer.displayName = 'QueueBuffer';
+
+/**
+ * Regional LB of the multi-region topology, centered in its region's band: the region's
+ * algorithm, the requests it has queued, and DOWN once it has no available server
+ */
+const RegionalLbNode = React.memo(({ region, center, color, algorithm, queued, isUp }) => (
+  <div
+    style={{ top: `${center.y - 40}px`, left: `${center.x - 40}px`, borderColor: isUp ? color : '#dc2626' }}
+    className="absolute w-20 h-20 bg-white rounded-xl shadow-xl border-4 flex flex-col items-center justify-center z-20"
+    title={`${region.name}: regional LB running ${algorithm} | ${queued} queued${isUp ? '' : ' | No available server, so the global LB fails its traffic over'}`}
+  >
+    <Settings className="w-5 h-5" style={{ color }} />
+    <p className="text-[10px] font-bold text-gray-800 text-center leading-tight truncate w-full px-1">{region.name}</p>
+    <p className="text-[9px] text-gray-500 uppercase">({algorithm.slice(0, 10)})</p>
+    <p className={`text-[9px] font-bold ${isUp ? 'text-gray-600' : 'text-red-600'}`}>{isUp ? `QUEUE ${queued}` : 'DOWN'}</p>
+  </div>
+));
+RegionalLbNode.displayName = 'RegionalLbNode';
+
+// Thin labelled bar for a simulated resource gauge (0..1)
+const ResourceGauge = ({ label, value }) => (
+  <div className="flex items-center flex-1">
+    <span className="text-[9px] font-semibold text-gray-500 w-7">{label}</span>
+    <div className="h-1 flex-1 bg-gray-200 rounded-full">
+      <div
+        className={`h-1 rounded-full transition-all duration-300 ${value > 0.85 ? 'bg-red-400' : 'bg-indigo-400'}`}
+        style={{ width: `${value * 100}%` }}
+      ></div>
+    </div>
+  </div>
+);
+
+/**
+ * Individual Server component. `currentMode` is the algorithm of the server's pool;
+ * `poolName` is only set when there is more than one pool. `bootLeftMs` is the warm-up
+ * left for an instance the autoscaler is starting.
+ */
+const ServerCard = React.memo(({ server, position, currentMode, ringShare, sessions, poolName, bootLeftMs }) => {
+  const loadPercentage = Math.min(100, (server.load / server.maxCapacity) * 100);
+
+  const algorithmInfo = ALGORITHM_INFO[currentMode]?.(server, { ringShare, sessions }) ?? '';
 
   const loadColor = loadPercentage > 85 ? 'bg-red-500' : loadPercentage > 50 ? 'bg-yellow-500' : 'bg-green-500';
+  const { cpu, memory } = resourceUsage(server);
+  const badges = faultBadges(server);
+  const usageSummary = `CPU ${Math.round(cpu * 100)}% | MEM ${Math.round(memory * 100)}% | Slowdown x${slowdownFactor(server).toFixed(2)}${badges.length > 0 ? ` | Faults: ${badges.join(', ')}` : ''}`;
+
+  const cardClasses = `absolute w-40 rounded-lg shadow-xl transition-all duration-300 transform z-30 // Increased Z-index to 30
+    ${server.isAvailable ? 'bg-white hover:shadow-2xl' : 'bg-gray-200 opacity-50 cursor-not-allowed'}
+    ${server.isUp ? (badges.length > 0 ? 'ring-2 ring-orange-400' : '') : 'ring-2 ring-red-500'}
+    ${server.isBooting ? 'animate-pulse ring-2 ring-teal-500' : ''}
+  `;
+  const style = { top: `${position.top}px`, left: `${position.left}px`, height: `${position.height}px` };
+
+  // Crowded pools get a compact card: name, health and load bar, details on hover
+  if (position.compact) {
+    return (
+      <div
+        style={style}
+        className={`${cardClasses} px-2 py-1 flex flex-col justify-center overflow-hidden`}
+        title={`${server.name}${server.isUp ? '' : ' (crashed)'}${server.isBooting ? ` (booting, ${(bootLeftMs / 1000).toFixed(1)}s left)` : ''}${server.breaker.state !== 'closed' ? ` (circuit ${server.breaker.state})` : ''}${poolName ? ` | Pool: ${poolName}` : ''} | ${algorithmInfo} | Load: ${server.load} / ${server.maxCapacity} | ${usageSummary}`}
+      >
+        <div className="flex items-center justify-between">
+          <h3 className="text-xs font-bold text-gray-800 truncate">{server.name}</h3>
+          <span className={`text-[9px] font-bold uppercase px-1.5 rounded-full ${HEALTH_BADGES[server.health]}`}>{server.health}</span>
+        </div>
+        <div className="h-1.5 bg-gray-200 rounded-full mt-0.5">
+          <div className={`h-1.5 rounded-full transition-all duration-300 ${loadColor}`} style={{ width: `${loadPercentage}%` }}></div>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div
-      style={{ top: `${server.top}px`, left: '480px' }}
-      className={`absolute w-40 h-24 p-4 rounded-lg shadow-xl transition-all duration-300 transform z-30 // Increased Z-index to 30
-        ${server.isAvailable ? 'bg-white hover:shadow-2xl' : 'bg-gray-200 opacity-50 cursor-not-allowed'}
-      `}
+      style={style}
+      className={`${cardClasses} p-3`}
+      title={server.isUp ? usageSummary : `${server.name} has crashed`}
     >
       <div className="flex items-center justify-between">
-        <Cpu className="w-5 h-5 text-indigo-600" />
-        <h3 className="text-lg font-bold text-gray-800">{server.name}</h3>
+        {badges.length > 0
+          ? <span className="text-[9px] font-bold text-orange-600 leading-tight truncate" title={badges.join(', ')}>{badges.join(' | ')}</span>
+          : <Cpu className="w-5 h-5 text-indigo-600 flex-shrink-0" />}
+        <h3 className="text-lg font-bold text-gray-800 truncate ml-2">{server.name}</h3>
       </div>
       <div className="mt-1">
-        <span className="text-xs font-semibold text-indigo-500">{algorithmInfo}</span>
+        <div className="flex items-center justify-between">
+          <span className="text-xs font-semibold text-indigo-500">{algorithmInfo}</span>
+          <span className={`text-[9px] font-bold uppercase px-1.5 rounded-full ${HEALTH_BADGES[server.health]}`}>{server.health}</span>
+        </div>
         {/* Load Bar */}
         <div className="h-1.5 bg-gray-200 rounded-full mt-1">
           <div
@@ -325,204 +399,385 @@ const ServerCard = React.memo(({ server, currentMode }) => {
           ></div>
         </div>
         <p className="text-[10px] text-gray-500 mt-1 text-right">
-          Load: {server.load} / {server.maxCapacity}
+          {server.isBooting && <span className="font-bold text-teal-600 mr-1">BOOTING {(bootLeftMs / 1000).toFixed(1)}s</span>}
+          {server.isDraining && <span className="font-bold text-orange-600 mr-1">{server.isRetiring ? 'RETIRING' : server.load > 0 ? 'DRAINING' : 'DRAINED'}</span>}
+          {server.breaker.state !== 'closed' && <span className="font-bold text-red-600 mr-1">{server.breaker.state === 'open' ? 'CIRCUIT OPEN' : 'HALF-OPEN'}</span>}
+          {poolName && <span className="font-bold text-indigo-600 mr-1">[{poolName}]</span>}
+          Load: {server.load} / {server.maxCapacity} | Busy: {server.active} / {server.concurrency}
         </p>
+        {/* Simulated resources */}
+        <div className="flex gap-2 mt-1">
+          <ResourceGauge label="CPU" value={cpu} />
+          <ResourceGauge label="MEM" value={memory} />
+        </div>
       </div>
     </div>
   );
 });
+ServerCard.displayName = 'ServerCard';
 
 /**
  * Main Load Balancer Simulation Component
  */
 const LoadBalancerSimulator = () => {
-  const [servers, setServers] = useState(initialServers);
-  const [requests, setRequests] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
   const [currentMode, setCurrentMode] = useState(MODES[0].id);
-  const [lastServerIndex, setLastServerIndex] = useState(0); // For Round Robin
-  const [ipMap, setIpMap] = useState({}); // For IP Hash
-  const [message, setMessage] = useState('');
-  const [serverHistory, setServerHistory] = useState([]); 
+  const [engineOptions, setEngineOptions] = useState(DEFAULT_ENGINE_OPTIONS);
+  const [remap, setRemap] = useState(null); // Keys that moved on the hash ring after the last toggle
+  const [slaMs, setSlaMs] = useState(DEFAULT_SLA_MS);
+  const [algorithmRuns, setAlgorithmRuns] = useState([]); // Final window metrics of each algorithm's last run
+  const [pool, setPool] = useState(initialServers); // Server settings a reset starts from, kept in sync with live edits
+  const [scenarioName, setScenarioName] = useState('Untitled scenario');
+  const [previousRun, setPreviousRun] = useState(null); // Recordings of the run before the last reset, for export
+  const simulationRef = useRef(null); // The discrete-event engine; React only renders its snapshots
+  if (simulationRef.current === null) {
+    simulationRef.current = createEngine(MODES[0].id, DEFAULT_ENGINE_OPTIONS, initialServers);
+  }
+  const [snapshot, setSnapshot] = useState(() => simulationRef.current.snapshot());
+  const replayRef = useRef(null); // Time travel over the live run, or null while live
+  const [replaySnapshot, setReplaySnapshot] = useState(null);
+  const [replayEnd, setReplayEnd] = useState(null); // Where the live run stood when time travel opened
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  // What the canvas and charts show: the replayed instant, or the live run
+  const view = replaySnapshot ?? snapshot;
+  const { servers, message, history: serverHistory } = view;
+  const [comparedModes, setComparedModes] = useState(null); // Algorithms run side by side, or null for the single view
+  const comparisonRef = useRef([]); // One engine per compared algorithm, all built from the same seed and pool
+  const [comparisonSnapshots, setComparisonSnapshots] = useState([]);
+  const isComparing = comparedModes !== null;
+  // Server state the controls show: every engine gets the same crashes and drains, so any one will do
+  const controlSnapshot = isComparing ? comparisonSnapshots[0] : snapshot;
+  // Every engine on screen, named after its algorithm
+  const currentRuns = useMemo(() => (isComparing
+    ? comparisonSnapshots.map((comparedSnapshot, index) => ({ algorithm: MODES.find(m => m.id === comparedModes[index]).name, snapshot: comparedSnapshot }))
+    : [{ algorithm: MODES.find(m => m.id === currentMode).name, snapshot }]
+  ), [isComparing, comparisonSnapshots, comparedModes, currentMode, snapshot]);
 
   const currentModeDetails = useMemo(() => MODES.find(m => m.id === currentMode), [currentMode]);
+  const { topology } = engineOptions;
+  const layout = useMemo(
+    () => (topology.enabled ? layoutTopology(servers, topology) : { servers: layoutServers(servers), regions: {}, clients: {} }),
+    [servers, topology]
+  );
+  const serverLayout = layout.servers;
+  const maxLoad = Math.max(1, ...servers.map(s => s.maxCapacity)); // Shared axis for the load charts
 
-  // Weighted Round Robin Logic Helper
-  const wrrServers = useMemo(() => {
-    let list = [];
-    servers.forEach(s => {
-      for (let i = 0; i < s.weight; i++) {
-        list.push(s.id);
-      }
-    });
-    return list;
-  }, [servers]);
-
-  // Load Balancing Algorithm Picker
-  const getTargetServer = useCallback((ip = generateUniqueId()) => {
-    const availableAndCapableServers = servers.filter(s => s.isAvailable && s.load < s.maxCapacity);
-    if (availableAndCapableServers.length === 0) return null;
-
-    let targetId = null;
-
-    switch (currentMode) {
-      case 'roundRobin': {
-        const nextIndex = (lastServerIndex) % availableAndCapableServers.length;
-        targetId = availableAndCapableServers[nextIndex].id;
-        setLastServerIndex(prev => (prev + 1) % availableAndCapableServers.length);
-        break;
-      }
+  const metrics = useMemo(() => windowMetrics(view, slaMs), [view, slaMs]);
 
-      case 'weightedRR': {
-        let weightedTargetId = wrrServers[lastServerIndex % wrrServers.length];
-        setLastServerIndex(prev => (prev + 1) % wrrServers.length);
-        
-        const actualTarget = availableAndCapableServers.find(s => s.id === weightedTargetId);
-
-        if (actualTarget) {
-            targetId = actualTarget.id;
-        } else {
-            const fallbackIndex = Math.floor(Math.random() * availableAndCapableServers.length);
-            targetId = availableAndCapableServers[fallbackIndex].id;
-            setMessage(`Weighted server ${weightedTargetId} unavailable, using fallback.`);
-        }
-        break;
-      }
+  // Main simulation loop: advance the virtual clock by the real time elapsed between frames
+  useEffect(() => {
+    if (!isRunning) return undefined;
 
-      case 'leastConnections': {
-        availableAndCapableServers.sort((a, b) => a.load - b.load);
-        targetId = availableAndCapableServers[0].id;
-        break;
-      }
+    let frameId;
+    let lastFrame = performance.now();
 
-      case 'ipHash': {
-        const clientIpHash = ip.substring(0, 4);
-
-        if (ipMap[ip]) {
-          const stickyTarget = availableAndCapableServers.find(s => s.id === ipMap[ip]);
-          if (stickyTarget) {
-              targetId = stickyTarget.id;
-              setMessage(`Client ${clientIpHash} routed to Server ${targetId} (Sticky Session Maintained)`);
-          } else {
-              const nextIndex = (lastServerIndex) % availableAndCapableServers.length;
-              targetId = availableAndCapableServers[nextIndex].id;
-              setLastServerIndex(prev => (prev + 1) % availableAndCapableServers.length);
-              setIpMap(prev => ({ ...prev, [ip]: targetId }));
-              setMessage(`Client ${clientIpHash}: Sticky server failed. Assigned new session to Server ${targetId}.`);
-          }
-
-        } else {
-          const nextIndex = (lastServerIndex) % availableAndCapableServers.length;
-          targetId = availableAndCapableServers[nextIndex].id;
-          setLastServerIndex(prev => (prev + 1) % availableAndCapableServers.length);
-          setIpMap(prev => ({ ...prev, [ip]: targetId }));
-          setMessage(`Client ${clientIpHash} routed to Server ${targetId} (New Sticky Session)`);
-        }
-        break;
+    const tick = (now) => {
+      const elapsed = Math.min(now - lastFrame, MAX_FRAME_STEP_MS);
+      lastFrame = now;
+
+      if (isComparing) {
+        comparisonRef.current.forEach(engine => engine.advanceTo(engine.now() + elapsed));
+        setComparisonSnapshots(comparisonRef.current.map(engine => engine.snapshot()));
+      } else {
+        const simulation = simulationRef.current;
+        simulation.advanceTo(simulation.now() + elapsed);
+        setSnapshot(simulation.snapshot());
       }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
 
-      default:
-        const nextIndex = (lastServerIndex) % availableAndCapableServers.length;
-        targetId = availableAndCapableServers[nextIndex].id;
-        setLastServerIndex(prev => (prev + 1) % availableAndCapableServers.length);
-        break;
-    }
+    return () => cancelAnimationFrame(frameId);
+  }, [isRunning, isComparing]);
 
-    return targetId;
-  }, [servers, currentMode, lastServerIndex, wrrServers, ipMap]);
+  // When the balancer's view of the pool changes, record which client IPs the hash ring
+  // moves, to show consistent hashing's minimal disruption
+  const liveServers = snapshot.servers;
+  const routableIds = liveServers.filter(s => s.isAvailable).map(s => s.id).join(',');
+  const previousViewRef = useRef({ routableIds, servers: liveServers });
+  useEffect(() => {
+    const previous = previousViewRef.current;
+    previousViewRef.current = { routableIds, servers: liveServers };
+    if (previous.routableIds === routableIds) return;
+
+    // A server that was just removed only exists in the previous pool
+    const ringServers = [...liveServers, ...previous.servers.filter(old => !liveServers.some(s => s.id === old.id))];
+    const upBefore = previous.routableIds ? previous.routableIds.split(',').map(Number) : [];
+    const upAfter = routableIds ? routableIds.split(',').map(Number) : [];
+    const changed = ringServers.find(s => upBefore.includes(s.id) !== upAfter.includes(s.id));
+    if (!changed) return;
+    setRemap({
+      serverName: changed.name,
+      isAvailable: upAfter.includes(changed.id),
+      ...summarizeRemap(buildRing(ringServers, engineOptions.virtualNodes), simulationRef.current.snapshot().clientIps, upBefore, upAfter),
+    });
+  }, [routableIds, liveServers, engineOptions.virtualNodes]);
 
-  // Main simulation loop
+  // Replay playback: moves the replayed instant forward with real time, up to where the live run stopped
   useEffect(() => {
-    let intervalId;
-
-    if (isRunning) {
-      intervalId = setInterval(() => {
-        const newRequestId = generateUniqueId();
-        const clientIp = generateUniqueId(); 
-        
-        // 1. Record historical load data every interval BEFORE new request is processed
-        setServerHistory(prevHistory => {
-            const currentLoads = servers.map(s => s.load); 
-            const newHistory = [...prevHistory, currentLoads];
-            
-            if (newHistory.length > MAX_HISTORY_POINTS) {
-                newHistory.shift();
-            }
-            return newHistory;
-        });
-
-        // 2. Determine Target Server
-        const targetServerId = getTargetServer(clientIp);
-
-        if (targetServerId) {
-          // 3. Increase Server Load immediately
-          setServers(prevServers =>
-            prevServers.map(s =>
-              s.id === targetServerId ? { ...s, load: s.load + 1 } : s
-            )
-          );
-
-          // 4. Add Request for Animation
-          setRequests(prevRequests => [
-            ...prevRequests,
-            { id: newRequestId, targetServerId, ip: clientIp, status: 'connecting', startTime: Date.now() }
-          ]);
-        } else {
-          setMessage('All servers are full or unavailable. Request dropped or queued.');
-        }
-        
-      }, REQUEST_RATE_MS);
-    } else {
-      clearInterval(intervalId);
+    if (!isReplayPlaying) return undefined;
+
+    let frameId;
+    let lastFrame = performance.now();
+
+    const tick = (now) => {
+      const elapsed = Math.min(now - lastFrame, MAX_FRAME_STEP_MS);
+      lastFrame = now;
+
+      const replay = replayRef.current;
+      replay.seekTime(replay.now() + elapsed * replaySpeed);
+      setReplaySnapshot(replay.snapshot());
+      if (replay.now() >= replay.end.time) {
+        setIsReplayPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isReplayPlaying, replaySpeed]);
+
+  // Reset function (also rebuilds the compared engines, if any)
+  const resetSimulation = (mode = currentMode, options = engineOptions, compared = comparedModes, nextPool = pool) => {
+    // Keep the outgoing run's numbers so algorithms can be compared after switching
+    if (snapshot.time > 0) {
+      setAlgorithmRuns(prev => [
+        ...prev.filter(run => run.mode !== currentMode),
+        { mode: currentMode, name: currentModeDetails.name, aggregate: windowMetrics(snapshot, slaMs).aggregate },
+      ]);
     }
+    if (controlSnapshot.time > 0) setPreviousRun({ runs: currentRuns, scenario });
+    setIsRunning(false);
+    exitReplay();
+    simulationRef.current = createEngine(mode, options, nextPool);
+    const next = simulationRef.current.snapshot();
+    setSnapshot(next);
+    previousViewRef.current = { routableIds: next.servers.filter(s => s.isAvailable).map(s => s.id).join(','), servers: next.servers };
+    setRemap(null);
+    comparisonRef.current = (compared ?? []).map(comparedMode => createEngine(comparedMode, options, nextPool));
+    setComparisonSnapshots(comparisonRef.current.map(engine => engine.snapshot()));
+  };
+
+  // Live changes (traffic, crashes, drains, pool edits) go to every engine, so compared runs stay on equal terms
+  const updateEngines = (change) => {
+    exitReplay();
+    change(simulationRef.current);
+    comparisonRef.current.forEach(change);
+    setSnapshot(simulationRef.current.snapshot());
+    setComparisonSnapshots(comparisonRef.current.map(engine => engine.snapshot()));
+  };
 
-    const requestCleanup = setTimeout(() => {
-        setRequests(prevRequests => 
-            prevRequests.filter(req => {
-                return Date.now() < req.startTime + 500 + SIMULATION_DURATION_MS;
-            })
-        );
-    }, SIMULATION_DURATION_MS + 1000); 
-
-    return () => {
-        clearInterval(intervalId);
-        clearTimeout(requestCleanup);
+  // Time travel re-runs the live engine's journal up to where it stopped (see lib/replay.js).
+  // Opening it pauses the live run; moves before that open it at the start.
+  const moveReplay = (move) => {
+    if (!replayRef.current) {
+      setIsRunning(false);
+      const live = simulationRef.current;
+      replayRef.current = createReplay(live.journal(), { time: live.now(), eventCount: live.eventCount() });
+      setReplayEnd(replayRef.current.end);
     }
-  }, [isRunning, getTargetServer, servers]);
+    move(replayRef.current);
+    setReplaySnapshot(replayRef.current.snapshot());
+  };
 
-  // Reset function
-  const resetSimulation = () => {
-    setIsRunning(false);
-    setRequests([]);
-    // Ensure 'top' property is kept after reset for correct visual placement
-    setServers(initialServers.map(s => ({ ...s, load: 0, top: s.top }))); 
-    setLastServerIndex(0);
-    setIpMap({});
-    setMessage('');
-    setServerHistory([]); 
+  const exitReplay = () => {
+    replayRef.current = null;
+    setReplaySnapshot(null);
+    setReplayEnd(null);
+    setIsReplayPlaying(false);
+  };
+
+  // Play from where the replay is, or open it at the live instant
+  const toggleReplayPlaying = () => {
+    if (replayRef.current) setIsReplayPlaying(prev => !prev);
+    else moveReplay(replay => replay.seekTime(replay.end.time));
+  };
+
+  const toggleRunning = () => {
+    exitReplay();
+    setIsRunning(prev => !prev);
+  };
+
+  const selectMode = (mode) => {
+    setCurrentMode(mode);
+    setComparedModes(null);
+    resetSimulation(mode, engineOptions, null);
+  };
+
+  // Side-by-side view, starting with the current algorithm and the next one
+  const toggleComparison = () => {
+    const next = isComparing ? null : [currentMode, MODES[(MODES.findIndex(m => m.id === currentMode) + 1) % MODES.length].id];
+    setComparedModes(next);
+    resetSimulation(currentMode, engineOptions, next);
+  };
+
+  // Adds or removes an algorithm from the comparison and restarts it (kept in nav order)
+  const toggleComparedMode = (mode) => {
+    const next = MODES.map(m => m.id).filter(id => (id === mode ? !comparedModes.includes(id) : comparedModes.includes(id)));
+    setComparedModes(next);
+    resetSimulation(currentMode, engineOptions, next);
+  };
+
+  // Changing an engine option restarts the run so results stay reproducible
+  const updateEngineOptions = (changes) => {
+    const nextOptions = { ...engineOptions, ...changes };
+    setEngineOptions(nextOptions);
+    resetSimulation(currentMode, nextOptions);
+  };
+
+  // Traffic changes apply to the running engine without restarting it
+  const updateTraffic = (changes) => {
+    setEngineOptions(prev => ({
+      ...prev,
+      arrival: { ...prev.arrival, ...changes.arrival },
+      service: { ...prev.service, ...changes.service },
+    }));
+    updateEngines(engine => engine.configure(changes));
   };
 
-  // Toggle server availability (for resilience demonstration)
+  // Crash or recover a server (for resilience demonstration); the LB finds out via health checks
   const toggleServerAvailability = (id) => {
-    setServers(prevServers =>
-      // When a server goes down, its load is reset to 0
-      prevServers.map(s => (s.id === id ? { ...s, isAvailable: !s.isAvailable, load: s.isAvailable ? 0 : s.load } : s))
-    );
+    updateEngines(engine => engine.toggleServer(id));
+  };
+
+  // Graceful drain: no new requests, current ones finish
+  const toggleServerDrain = (id) => {
+    updateEngines(engine => engine.toggleDrain(id));
+  };
+
+  // Pool edits apply to the running engine and are kept for the next reset
+  const addServer = () => {
+    const spec = nextServerSpec(pool);
+    setPool(prev => [...prev, spec]);
+    updateEngines(engine => engine.addServer(spec));
+  };
+
+  const removeServer = (id) => {
+    setPool(prev => prev.filter(s => s.id !== id));
+    updateEngines(engine => engine.removeServer(id));
+  };
+
+  // Faults injected by hand hit every engine at the same moment
+  const injectFault = (fault) => {
+    updateEngines(engine => engine.injectFault(fault));
   };
 
+  const endFault = (faultId) => {
+    updateEngines(engine => engine.endFault(faultId));
+  };
+
+  // Scheduled faults become timeline steps, so they are part of the scenario and replay with it
+  const scheduleFault = (atMs, fault) => {
+    updateEngineOptions({ timeline: [...engineOptions.timeline, { atMs, action: 'fault', fault }].sort((a, b) => a.atMs - b.atMs) });
+  };
+
+  const reconfigureServer = (id, changes) => {
+    setPool(prev => prev.map(s => (s.id === id ? { ...s, ...changes } : s)));
+    updateEngines(engine => engine.reconfigureServer(id, changes));
+  };
+
+  // The current setup as a scenario, for export and share links
+  const scenario = useMemo(
+    () => buildScenario({ name: scenarioName, algorithm: currentMode, servers: pool, options: engineOptions, slaMs }),
+    [scenarioName, currentMode, pool, engineOptions, slaMs]
+  );
+
+  // Replaces the whole setup with a validated scenario and restarts from it
+  const loadScenario = (loaded) => {
+    const { mode, servers: specs, slaMs: loadedSlaMs, options } = scenarioRunSettings(loaded);
+    // Servers without a color get the next one from the palette
+    const withColor = (spec) => ({ ...spec, color: spec.color ?? SERVER_COLORS[(spec.id - 1) % SERVER_COLORS.length] });
+    const nextPool = specs.map(withColor);
+    const nextOptions = {
+      ...options,
+      timeline: options.timeline.map(step => (step.action === 'addServer' ? { ...step, server: withColor(step.server) } : step)),
+    };
+    setScenarioName(loaded.name);
+    setPool(nextPool);
+    setCurrentMode(mode);
+    setEngineOptions(nextOptions);
+    setSlaMs(loadedSlaMs);
+    setComparedModes(null);
+    resetSimulation(mode, nextOptions, null, nextPool);
+  };
+
+  // Pools and rules shape the whole run, so changing them restarts it. Servers of a removed
+  // pool move to the default one, and so does the autoscaler if it managed that pool.
+  const updateRouting = ({ pools: nextPools, rules }) => {
+    const poolIds = nextPools.map(p => p.id);
+    const nextPool = pool.map(s => (poolIds.includes(s.pool ?? DEFAULT_POOL_ID) ? s : { ...s, pool: DEFAULT_POOL_ID }));
+    const { autoscaler } = engineOptions;
+    const nextOptions = {
+      ...engineOptions,
+      pools: nextPools,
+      rules,
+      autoscaler: poolIds.includes(autoscaler.pool) ? autoscaler : { ...autoscaler, pool: DEFAULT_POOL_ID },
+    };
+    setPool(nextPool);
+    setEngineOptions(nextOptions);
+    resetSimulation(currentMode, nextOptions, comparedModes, nextPool);
+  };
+
+  // The topology shapes the whole run, so changing it restarts it. With it on, servers outside
+  // every region are spread over the regions in turn.
+  const updateTopology = (nextTopology) => {
+    const regionIds = nextTopology.regions.map(r => r.id);
+    const nextPool = nextTopology.enabled
+      ? pool.map((s, index) => (regionIds.includes(s.region) ? s : { ...s, region: regionIds[index % regionIds.length] }))
+      : pool;
+    const nextOptions = { ...engineOptions, topology: nextTopology };
+    setPool(nextPool);
+    setEngineOptions(nextOptions);
+    resetSimulation(currentMode, nextOptions, comparedModes, nextPool);
+  };
+
+  // A region outage is one crash fault over all of the region's servers
+  const regionServerIds = (regionId) => controlSnapshot.servers.filter(s => regionIdOf(s, topology.regions) === regionId).map(s => s.id);
+  const crashRegion = (regionId) => injectFault({ type: 'crash', servers: regionServerIds(regionId) });
+  // Ends the crash faults on the region's servers, and recovers servers crashed by hand
+  const recoverRegion = (regionId) => {
+    const ids = regionServerIds(regionId);
+    const faults = controlSnapshot.faultLog.filter(f => f.type === 'crash' && f.endMs == null && f.servers.some(id => ids.includes(id)));
+    const faulted = faults.flatMap(f => f.servers);
+    updateEngines(engine => {
+      faults.forEach(f => engine.endFault(f.id));
+      controlSnapshot.servers.filter(s => ids.includes(s.id) && !s.isUp && !faulted.includes(s.id)).forEach(s => engine.toggleServer(s.id));
+    });
+  };
+
+  const poolOptions = (id) => engineOptions.pools.find(p => p.id === (id ?? DEFAULT_POOL_ID));
+  const poolName = (id) => poolOptions(id)?.name ?? id;
+  const regionOptions = (server) => topology.regions.find(r => r.id === regionIdOf(server, topology.regions));
+  // Algorithm a server's pool runs: its own, its region's (with the topology on), or the selected one
+  const serverMode = (server) => poolOptions(server.pool)?.mode ?? (topology.enabled ? regionOptions(server).mode : null) ?? currentMode;
+
+  // Share of the key space each live server owns on the IP Hash ring
+  const liveRingShare = useMemo(
+    () => ringShare(buildRing(servers.filter(s => s.isAvailable), engineOptions.virtualNodes)),
+    [servers, engineOptions.virtualNodes]
+  );
+
+  // Where a server's traffic comes from on the canvas: the LB, or its regional LB
+  const balancerCenter = (server) => (topology.enabled ? layout.regions[regionIdOf(server, topology.regions)].lb : LB_CENTER);
+
   // Render the core simulation scene (LB and Servers)
   const renderSimulation = () => {
     // Define SVG path coordinates (Centers of the components)
     const serverCenters = servers.map(s => ({ 
-        x: 580, 
-        y: s.top + 50, 
+        x: serverLayout[s.id].centerX,
+        y: serverLayout[s.id].centerY,
+        from: balancerCenter(s),
         id: s.id,
         color: s.color,
         isAvailable: s.isAvailable
     }));
+    // The global LB sends a region traffic while it has an available server
+    const regionUp = Object.fromEntries(topology.regions.map(r => [r.id, servers.some(s => regionIdOf(s, topology.regions) === r.id && s.isAvailable)]));
 
     return (
-        <div className="relative flex justify-center items-start pt-4 h-[650px] overflow-hidden bg-gray-50 border border-gray-200 rounded-lg shadow-xl">
+        <div style={{ height: `${CANVAS_HEIGHT}px` }} className="relative flex justify-center items-start pt-4 overflow-hidden bg-gray-50 border border-gray-200 rounded-lg shadow-xl">
             {/* Custom CSS for the Pulsing Traffic Animation */}
             <style jsx="true">{`
                 @keyframes pulse-traffic {
@@ -538,20 +793,46 @@ const LoadBalancerSimulator = () => {
             
             {/* 0. SVG Overlay for Connecting Lines - Z-index 10 */}
             <svg className="absolute inset-0 w-full h-full z-10 pointer-events-none">
-                {/* 1. Client -> Load Balancer */}
-                <path 
-                    d="M 95, 320 L 260, 320" 
-                    fill="none" 
-                    stroke="#a5b4fc" // Indigo 300
-                    strokeWidth="3" 
-                    className="traffic-line"
-                />
+                {/* 1. Client -> Load Balancer (or client regions -> global LB -> regional LBs) */}
+                {topology.enabled ? (
+                    <>
+                        {Object.entries(layout.clients).map(([id, point]) => (
+                            <path
+                                key={`client-${id}`}
+                                d={`M ${point.x}, ${point.y} L ${GLOBAL_LB_CENTER.x}, ${GLOBAL_LB_CENTER.y}`}
+                                fill="none"
+                                stroke="#a5b4fc"
+                                strokeWidth="3"
+                                className="traffic-line"
+                            />
+                        ))}
+                        {Object.entries(layout.regions).map(([id, band]) => (
+                            <path
+                                key={`region-${id}`}
+                                d={`M ${GLOBAL_LB_CENTER.x}, ${GLOBAL_LB_CENTER.y} L ${band.lb.x}, ${band.lb.y}`}
+                                fill="none"
+                                stroke={regionUp[id] ? band.color : '#9ca3af'}
+                                strokeWidth="3"
+                                className="traffic-line"
+                                style={{ opacity: regionUp[id] ? 1 : 0.4 }}
+                            />
+                        ))}
+                    </>
+                ) : (
+                    <path 
+                        d={`M 95, ${LB_CENTER.y} L ${LB_CENTER.x}, ${LB_CENTER.y}`} 
+                        fill="none" 
+                        stroke="#a5b4fc" // Indigo 300
+                        strokeWidth="3" 
+                        className="traffic-line"
+                    />
+                )}
 
                 {/* 2. Load Balancer -> Servers */}
                 {serverCenters.map((target, index) => (
                     <path
                         key={`line-${target.id}`}
-                        d={`M 260, 320 L ${target.x}, ${target.y}`}
+                        d={`M ${target.from.x}, ${target.from.y} L ${target.x}, ${target.y}`}
                         fill="none"
                         stroke={target.isAvailable ? target.color : '#9ca3af'}
                         strokeWidth="3"
@@ -563,45 +844,163 @@ const LoadBalancerSimulator = () => {
                 ))}
             </svg>
 
-            {/* 1. Client Source (Simulated Internet/WAN) - Z-index 20 */}
-            <div
-                style={{ top: '275px', left: '50px' }}
-                className="absolute w-20 h-20 p-4 rounded-full bg-blue-100 shadow-xl border-4 border-blue-400 flex flex-col items-center justify-center z-20"
-            >
-                <Globe className="w-8 h-8 text-blue-600" />
-                <p className="text-xs font-bold text-blue-800 mt-1">CLIENT</p>
-            </div>
-            
-            {/* 2. The Load Balancer (Central Node) - Z-index 20 */}
-            <div
-                style={{ top: '260px', left: '200px' }}
-                className="absolute w-24 h-24 bg-indigo-600 rounded-xl shadow-2xl flex flex-col items-center justify-center border-4 border-indigo-800 animate-pulse-slow z-20"
-            >
-                <Settings className="w-8 h-8 text-white" />
-                <p className="text-xs font-bold text-white mt-1">LB</p>
-                <p className="text-xs font-light text-indigo-200 uppercase">({currentModeDetails.id.slice(0, 10)})</p>
-            </div>
+            {topology.enabled ? (
+                <>
+                {/* 1. Client regions - Z-index 20 */}
+                {topology.clientRegions.map(clientRegion => (
+                    <div
+                        key={clientRegion.id}
+                        style={{ top: `${layout.clients[clientRegion.id].y - 32}px`, left: `${CLIENT_REGION_X - 32}px` }}
+                        className="absolute w-16 h-16 rounded-full bg-blue-100 shadow-xl border-4 border-blue-400 flex flex-col items-center justify-center z-20"
+                        title={`${clientRegion.name} | Link latency: ${topology.regions.map(r => `${r.name} ${clientRegion.latencyMs[r.id] ?? '-'}ms`).join(', ')}`}
+                    >
+                        <Globe className="w-5 h-5 text-blue-600" />
+                        <p className="text-[8px] font-bold text-blue-800 text-center leading-tight px-1">{clientRegion.name}</p>
+                    </div>
+                ))}
+
+                {/* 2. The global LB and one regional LB per region - Z-index 20 */}
+                <div
+                    style={{ top: `${GLOBAL_LB_CENTER.y - 44}px`, left: `${GLOBAL_LB_CENTER.x - 44}px` }}
+                    className="absolute w-[88px] h-[88px] bg-indigo-600 rounded-xl shadow-2xl flex flex-col items-center justify-center border-4 border-indigo-800 z-20"
+                >
+                    <Network className="w-6 h-6 text-white" />
+                    <p className="text-[10px] font-bold text-white mt-1">GLOBAL LB</p>
+                    <p className="text-[9px] font-light text-indigo-200 uppercase text-center leading-tight">{GLOBAL_POLICIES[topology.policy].name}</p>
+                    {topology.failover && <p className="text-[9px] font-bold text-indigo-100">FAILOVER</p>}
+                </div>
+                {topology.regions.map((region, index) => {
+                    const band = layout.regions[region.id];
+                    return (
+                        <React.Fragment key={region.id}>
+                            {/* Region band with its title */}
+                            <div
+                                style={{ top: `${band.top}px`, height: `${band.height}px`, left: '235px', borderColor: band.color }}
+                                className={`absolute right-0 z-0 ${index > 0 ? 'border-t-2 border-dashed' : ''}`}
+                            ></div>
+                            <p
+                                style={{ top: `${band.top + 6}px`, left: '385px', color: band.color }}
+                                className="absolute w-[340px] text-center text-xs font-bold z-30"
+                            >
+                                {region.name}{regionUp[region.id] ? '' : ' (no available server)'}
+                            </p>
+                            <RegionalLbNode
+                                region={region}
+                                center={band.lb}
+                                color={band.color}
+                                algorithm={region.mode ?? currentMode}
+                                queued={view.queue.filter(r => r.region === region.id).length}
+                                isUp={regionUp[region.id]}
+                            />
+                        </React.Fragment>
+                    );
+                })}
+                </>
+            ) : (
+                <>
+                {/* 1. Client Source (Simulated Internet/WAN) - Z-index 20 */}
+                <div
+                    style={{ top: '275px', left: '50px' }}
+                    className="absolute w-20 h-20 p-4 rounded-full bg-blue-100 shadow-xl border-4 border-blue-400 flex flex-col items-center justify-center z-20"
+                >
+                    <Globe className="w-8 h-8 text-blue-600" />
+                    <p className="text-xs font-bold text-blue-800 mt-1">CLIENT</p>
+                </div>
+
+                {/* 2. The Load Balancer (Central Node) - Z-index 20 */}
+                <div
+                    style={{ top: '260px', left: '200px' }}
+                    className="absolute w-24 h-24 bg-indigo-600 rounded-xl shadow-2xl flex flex-col items-center justify-center border-4 border-indigo-800 animate-pulse-slow z-20"
+                >
+                    <Settings className="w-8 h-8 text-white" />
+                    <p className="text-xs font-bold text-white mt-1">LB</p>
+                    <p className="text-xs font-light text-indigo-200 uppercase">({currentModeDetails.id.slice(0, 10)})</p>
+                    {engineOptions.rules.length > 0 && <p className="text-[10px] font-bold text-indigo-100">L7: {engineOptions.rules.length} rules</p>}
+                </div>
+
+                {/* 2b. LB Request Queue */}
+                <QueueBuffer queue={view.queue} maxQueueDepth={engineOptions.maxQueueDepth} />
+
+                {/* 3. The Backend Server Pool Title (New Top Center Position) */}
+                <div 
+                    style={{ top: '4px', left: '500px' }} 
+                    className="absolute w-40 text-center z-30" // Increased Z-index to 30
+                >
+                    <p className="font-bold text-gray-700 flex items-center justify-center">
+                        <Heart className="w-4 h-4 mr-2 text-red-500" />
+                        **Backend Server Pool**
+                    </p>
+                </div>
+                </>
+            )}
+
+            {/* 2a. Layer-7 rules: requests on the way take their rule's color */}
+            {engineOptions.rules.length > 0 && (
+                <div className={`absolute top-2 z-30 bg-white/90 border border-gray-200 rounded-md shadow px-2 py-1 text-[10px] text-gray-700 ${topology.enabled ? 'left-[80px] max-w-[150px]' : 'left-2 max-w-[220px]'}`}>
+                    <p className="font-bold mb-0.5">L7 rules (first match wins)</p>
+                    {engineOptions.rules.map((rule, index) => (
+                        <p key={index} className="flex items-center truncate" title={describeMatch(rule.match)}>
+                            <span className="inline-block w-2 h-2 rounded-full mr-1 flex-shrink-0" style={{ backgroundColor: RULE_COLORS[index % RULE_COLORS.length] }}></span>
+                            {rule.name}: {describeMatch(rule.match)} {'->'} {poolName(rule.pool)}
+                        </p>
+                    ))}
+                    <p className="flex items-center">
+                        <span className="inline-block w-2 h-2 rounded-full mr-1 bg-indigo-400"></span>
+                        No match {'->'} {poolName(DEFAULT_POOL_ID)}
+                    </p>
+                </div>
+            )}
 
-            {/* 3. The Backend Server Pool Title (New Top Center Position) */}
-            <div 
-                style={{ top: '4px', left: '500px' }} 
-                className="absolute w-40 text-center z-30" // Increased Z-index to 30
-            >
-                <p className="font-bold text-gray-700 flex items-center justify-center">
-                    <Heart className="w-4 h-4 mr-2 text-red-500" />
-                    **Backend Server Pool**
-                </p>
-            </div>
-            
             {/* 4. Individual Server Cards (Z-index 30) */}
             {servers.map(server => (
-                <ServerCard key={server.id} server={server} currentMode={currentMode} />
+                <ServerCard
+                    key={server.id}
+                    server={server}
+                    position={serverLayout[server.id]}
+                    currentMode={serverMode(server)}
+                    ringShare={liveRingShare[server.id]}
+                    sessions={view.sessions[server.id]}
+                    poolName={engineOptions.pools.length > 1 ? poolName(server.pool) : null}
+                    bootLeftMs={server.isBooting ? Math.max(0, server.readyAt - view.time) : null}
+                />
             ))}
 
             {/* 5. Live Request Animations (Highest Z-index 40) */}
             <div className="absolute inset-0">
-                {requests.map(req => (
-                    <RequestAnimation key={req.id} request={req} setServers={setServers} />
+                {view.inFlight
+                    .filter(req => view.time < req.serverArrivalTime)
+                    .map(req => (
+                        <RequestAnimation
+                            key={req.id}
+                            request={req}
+                            from={topology.enabled ? layout.regions[req.region].lb : LB_CENTER}
+                            to={{ x: serverLayout[req.targetServerId].centerX, y: serverLayout[req.targetServerId].centerY }}
+                            progress={(view.time - req.dispatchTime) / (req.serverArrivalTime - req.dispatchTime)}
+                        />
+                    ))}
+                {/* Rejected requests flash at the balancer that turned them away */}
+                {view.finished
+                    .filter(req => req.outcome === 'rejected' && view.time - req.finishTime < REJECTION_FLASH_MS)
+                    .slice(-MAX_DRAWN_REJECTIONS)
+                    .map((req, index, drawn) => (
+                        <RejectedRequest
+                            key={`rejected-${req.id}`}
+                            request={req}
+                            at={!topology.enabled ? LB_CENTER : req.region ? layout.regions[req.region].lb : GLOBAL_LB_CENTER}
+                            age={view.time - req.finishTime}
+                            slot={index}
+                            labelled={index === drawn.length - 1}
+                        />
+                    ))}
+                {/* Requests on the link from the global LB to their region */}
+                {view.onLinks.map(req => (
+                    <RequestAnimation
+                        key={`link-${req.id}`}
+                        request={req}
+                        from={GLOBAL_LB_CENTER}
+                        to={layout.regions[req.region].lb}
+                        progress={(view.time - req.linkDepartTime) / (req.regionArrivalTime - req.linkDepartTime)}
+                    />
                 ))}
             </div>
         </div>
@@ -628,16 +1027,13 @@ const LoadBalancerSimulator = () => {
       </header>
 
       {/* Navigation Bar */}
-      <nav className="flex flex-wrap justify-center space-x-2 md:space-x-4 mb-8">
+      <nav className="flex flex-wrap justify-center gap-y-2 space-x-2 md:space-x-4 mb-8">
         {MODES.map(mode => (
           <button
             key={mode.id}
-            onClick={() => {
-              setCurrentMode(mode.id);
-              resetSimulation(); 
-            }}
+            onClick={() => selectMode(mode.id)}
             className={`px-4 py-2 text-sm font-medium rounded-full transition-all duration-200 shadow-lg ${
-              currentMode === mode.id
+              currentMode === mode.id && !isComparing
                 ? 'bg-indigo-600 text-white shadow-indigo-400/50'
                 : 'bg-white text-indigo-600 border border-indigo-200 hover:bg-indigo-50'
             }`}
@@ -645,16 +1041,30 @@ const LoadBalancerSimulator = () => {
             {mode.name}
           </button>
         ))}
+        <button
+          onClick={toggleComparison}
+          className={`flex items-center px-4 py-2 text-sm font-medium rounded-full transition-all duration-200 shadow-lg ${
+            isComparing
+              ? 'bg-purple-600 text-white shadow-purple-400/50'
+              : 'bg-white text-purple-600 border border-purple-200 hover:bg-purple-50'
+          }`}
+        >
+          <Columns className="w-4 h-4 mr-2" /> Compare
+        </button>
       </nav>
 
       <main className="max-w-7xl mx-auto bg-white rounded-xl shadow-2xl p-6 border-t-4 border-indigo-500">
-        <h2 className="text-3xl font-bold text-gray-800 mb-3">{currentModeDetails.name}</h2>
-        <p className="text-gray-600 border-b pb-4 mb-4">{currentModeDetails.desc}</p>
+        <h2 className="text-3xl font-bold text-gray-800 mb-3">{isComparing ? 'Algorithm Comparison' : currentModeDetails.name}</h2>
+        <p className="text-gray-600 border-b pb-4 mb-4">
+          {isComparing
+            ? 'The selected algorithms run side by side on identical traffic. Crashes, drains, pool and traffic changes apply to all of them at the same moment.'
+            : currentModeDetails.desc}
+        </p>
 
         {/* Control Panel */}
         <div className="flex flex-wrap justify-between items-center bg-gray-100 p-4 rounded-lg mb-6 shadow-inner">
           <button
-            onClick={() => setIsRunning(prev => !prev)}
+            onClick={toggleRunning}
             className={`flex items-center px-6 py-2 rounded-full font-bold text-white transition duration-300 transform hover:scale-105 shadow-md ${
               isRunning ? 'bg-red-500 hover:bg-red-600' : 'bg-green-500 hover:bg-green-600'
             }`}
@@ -671,57 +1081,306 @@ const LoadBalancerSimulator = () => {
           </button>
 
           <button
-            onClick={resetSimulation}
+            onClick={() => resetSimulation()}
             className="flex items-center px-4 py-2 bg-yellow-500 text-white rounded-full font-bold hover:bg-yellow-600 transition duration-300 shadow-md"
           >
             <RefreshCw className="w-4 h-4 mr-2" /> Reset
           </button>
 
+          {/* Reproducibility: the seed drives every random draw in the engine */}
+          <div className="flex items-center text-sm text-gray-700">
+            <label htmlFor="seed" className="font-semibold mr-2">Seed:</label>
+            <input
+              id="seed"
+              type="number"
+              value={engineOptions.seed}
+              onChange={e => updateEngineOptions({ seed: Number(e.target.value) || 0 })}
+              className="w-24 px-2 py-1 rounded-md border border-gray-300 bg-white"
+            />
+            <span className="ml-3 font-mono text-gray-500">t = {(controlSnapshot.time / 1000).toFixed(1)}s</span>
+          </div>
+
+          {/* LB queue limits */}
+          <div className="flex items-center text-sm text-gray-700">
+            <label htmlFor="maxQueueDepth" className="font-semibold mr-2">Queue:</label>
+            <input
+              id="maxQueueDepth"
+              type="number"
+              min="0"
+              value={engineOptions.maxQueueDepth}
+              onChange={e => updateEngineOptions({ maxQueueDepth: Math.max(0, Number(e.target.value) || 0) })}
+              className="w-16 px-2 py-1 rounded-md border border-gray-300 bg-white"
+              title="Maximum queue depth"
+            />
+            <label htmlFor="queueTimeoutMs" className="font-semibold mx-2">Timeout (ms):</label>
+            <input
+              id="queueTimeoutMs"
+              type="number"
+              min="0"
+              step="100"
+              value={engineOptions.queueTimeoutMs}
+              onChange={e => updateEngineOptions({ queueTimeoutMs: Math.max(0, Number(e.target.value) || 0) })}
+              className="w-20 px-2 py-1 rounded-md border border-gray-300 bg-white"
+            />
+          </div>
+
           {/* Server Controls for Resilience Demo */}
           <div className="flex flex-wrap items-center mt-4 md:mt-0">
-            <p className="text-sm font-semibold text-gray-700 flex items-center mr-2 mb-2 md:mb-0">Toggle Server Health:</p>
-            {servers.map(s => (
+            <p className="text-sm font-semibold text-gray-700 flex items-center mr-2 mb-2 md:mb-0">Crash / Recover Server:</p>
+            {controlSnapshot.servers.map(s => (
               <button
                 key={`toggle-${s.id}`}
                 onClick={() => toggleServerAvailability(s.id)}
                 className={`text-xs px-3 py-1 mr-2 rounded-full font-semibold transition-colors duration-200 border ${
-                  s.isAvailable
+                  s.isUp
                     ? 'bg-green-100 text-green-700 hover:bg-green-200 border-green-300'
                     : 'bg-red-100 text-red-700 hover:bg-red-200 border-red-300'
                 }`}
               >
-                {s.name} ({s.isAvailable ? 'Up' : 'Down'})
+                {s.name} ({s.isUp ? 'Up' : 'Crashed'})
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center mt-4 md:mt-0">
+            <p className="text-sm font-semibold text-gray-700 flex items-center mr-2 mb-2 md:mb-0">Drain:</p>
+            {controlSnapshot.servers.map(s => (
+              <button
+                key={`drain-${s.id}`}
+                onClick={() => toggleServerDrain(s.id)}
+                className={`text-xs px-3 py-1 mr-2 rounded-full font-semibold transition-colors duration-200 border ${
+                  s.isDraining
+                    ? 'bg-orange-100 text-orange-700 hover:bg-orange-200 border-orange-300'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200 border-gray-300'
+                }`}
+              >
+                {s.name} ({s.isDraining ? 'Draining' : 'Serving'})
               </button>
             ))}
           </div>
         </div>
 
-        {/* Live Message Bar */}
-        {message && (
-          <div className="p-3 mb-4 bg-indigo-50 border-l-4 border-indigo-500 text-indigo-800 rounded-md flex items-center">
-            <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
-            <span className='font-medium'>{message}</span>
+        {/* Traffic Model Controls */}
+        <TrafficPanel
+          arrival={controlSnapshot.arrival}
+          service={controlSnapshot.service}
+          currentRate={arrivalRate(controlSnapshot.arrival, controlSnapshot.time)}
+          onArrivalChange={arrival => updateTraffic({ arrival })}
+          onServiceChange={service => updateTraffic({ service })}
+        />
+
+        {/* Server pool editor */}
+        <ServerPoolPanel
+          servers={pool}
+          pools={engineOptions.pools}
+          regions={topology.enabled ? topology.regions : []}
+          onAdd={addServer}
+          onRemove={removeServer}
+          onChange={reconfigureServer}
+        />
+
+        {/* Layer-7 pools and rules */}
+        <RoutingPanel
+          pools={engineOptions.pools}
+          rules={engineOptions.rules}
+          modes={MODES}
+          onChange={updateRouting}
+        />
+
+        {/* Client regions, global LB and regional LBs */}
+        <TopologyPanel
+          topology={topology}
+          modes={MODES}
+          servers={controlSnapshot.servers}
+          regionStats={controlSnapshot.regionStats}
+          onChange={updateTopology}
+          onCrashRegion={crashRegion}
+          onRecoverRegion={recoverRegion}
+        />
+
+        {/* Scenario files and scripted timeline */}
+        <ScenarioPanel
+          scenario={scenario}
+          onNameChange={setScenarioName}
+          onTimelineChange={timeline => updateEngineOptions({ timeline })}
+          onLoad={loadScenario}
+        />
+
+        {isComparing ? (
+          <ComparisonPanel
+            modes={MODES}
+            selectedModes={comparedModes}
+            snapshots={comparisonSnapshots}
+            onToggleMode={toggleComparedMode}
+            maxLoad={Math.max(1, ...controlSnapshot.servers.map(s => s.maxCapacity))}
+            windowMs={METRICS_WINDOW_MS}
+            sampleIntervalMs={REQUEST_RATE_MS}
+            slaMs={slaMs}
+          />
+        ) : (
+          <>
+          {/* Pause, step and scrub through the run; everything below shows the chosen instant */}
+          <ReplayPanel
+            snapshot={view}
+            end={replayEnd ?? { time: snapshot.time, eventCount: snapshot.eventCount }}
+            isReplaying={replaySnapshot !== null}
+            isPlaying={isReplayPlaying}
+            speed={replaySpeed}
+            onSeekTime={ms => moveReplay(replay => replay.seekTime(ms))}
+            onSeekEvent={count => moveReplay(replay => replay.seekEvent(count))}
+            onStepBack={() => moveReplay(replay => replay.stepBack())}
+            onStepForward={() => moveReplay(replay => replay.stepForward())}
+            onTogglePlay={toggleReplayPlaying}
+            onSpeedChange={setReplaySpeed}
+            onExit={exitReplay}
+          />
+
+          {/* Live Message Bar */}
+          {message && (
+            <div className="p-3 mb-4 bg-indigo-50 border-l-4 border-indigo-500 text-indigo-800 rounded-md flex items-center">
+              <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+              <span className='font-medium'>{message}</span>
+            </div>
+          )}
+
+          {/* Row 1: Simulation Visual + Current Load Bar Chart */}
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+
+              {/* 1. Simulation Visual (2/3 width) */}
+              <div className="lg:col-span-2">
+                  {renderSimulation()}
+              </div>
+
+              {/* 2. Dynamic Bar Chart (1/3 width) */}
+              <div className="lg:col-span-1">
+                  <LoadChart servers={servers} maxLoad={maxLoad} />
+              </div>
           </div>
-        )}
 
-        {/* Row 1: Simulation Visual + Current Load Bar Chart */}
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            
-            {/* 1. Simulation Visual (2/3 width) */}
-            <div className="lg:col-span-2">
-                {renderSimulation()}
-            </div>
+          {/* Row 2: Historical Line Chart (Full Width) */}
+          <div className="col-span-full">
+              <LoadHistoryChart
+                history={serverHistory}
+                servers={servers}
+                maxLoad={maxLoad}
+                windowMs={METRICS_WINDOW_MS}
+                markers={scalingMarkers(view.scalingLog, serverHistory.length, view.time, REQUEST_RATE_MS)}
+              />
+          </div>
 
-            {/* 2. Dynamic Bar Chart (1/3 width) */}
-            <div className="lg:col-span-1">
-                <LoadChart servers={servers} maxLoad={MAX_LOAD} />
-            </div>
-        </div>
-        
-        {/* Row 2: Historical Line Chart (Full Width) */}
-        <div className="col-span-full">
-            <LoadHistoryChart history={serverHistory} servers={initialServers} maxLoad={MAX_LOAD} />
-        </div>
+          {/* Row 3: Latency and SLA metrics */}
+          <MetricsPanel
+            metrics={metrics}
+            windowMs={METRICS_WINDOW_MS}
+            slaMs={slaMs}
+            onSlaChange={setSlaMs}
+            algorithmRuns={[
+              ...algorithmRuns.filter(run => run.mode !== currentMode),
+              ...(snapshot.time > 0 ? [{ mode: currentMode, name: `${currentModeDetails.name} (current)`, aggregate: metrics.aggregate }] : []),
+            ]}
+          />
+
+          {/* Row 4: Health checks and failure detection */}
+          <HealthCheckPanel
+            servers={servers}
+            healthCheck={engineOptions.healthCheck}
+            outlierDetection={engineOptions.outlierDetection}
+            onHealthCheckChange={changes => updateEngineOptions({ healthCheck: { ...engineOptions.healthCheck, ...changes } })}
+            onOutlierDetectionChange={changes => updateEngineOptions({ outlierDetection: { ...engineOptions.outlierDetection, ...changes } })}
+            retry={engineOptions.retry}
+            onRetryChange={changes => updateEngineOptions({ retry: { ...engineOptions.retry, ...changes } })}
+          />
+
+          {/* Row 5: LB queue outcomes and drops over time */}
+          <QueueStatsPanel
+            outcomes={view.outcomes}
+            counters={view.counters}
+            queueHistory={view.queueHistory}
+            maxQueueDepth={engineOptions.maxQueueDepth}
+            queueTimeoutMs={engineOptions.queueTimeoutMs}
+          />
+
+          {/* Row 5a: Session affinity, measured for any algorithm */}
+          <SessionPanel
+            affinity={view.affinity}
+            sessions={view.sessions}
+            servers={servers}
+            stickySessions={engineOptions.stickySessions}
+            visits={engineOptions.visits}
+            isCookieMode={currentMode === 'stickyCookie'}
+            onStickySessionsChange={changes => updateEngineOptions({ stickySessions: { ...engineOptions.stickySessions, ...changes } })}
+            onVisitsChange={changes => updateEngineOptions({ visits: { ...engineOptions.visits, ...changes } })}
+          />
+
+          {/* Row 5b: Every routing decision and what happened around it, filterable */}
+          <EventLogPanel
+            entries={view.eventLog}
+            servers={servers}
+            onJump={count => moveReplay(replay => replay.seekEvent(count))}
+          />
+
+          {/* Row 6: Hash ring and remapping view (IP Hash only) */}
+          {currentMode === 'ipHash' && (
+            <HashRingPanel
+              servers={servers}
+              clientIps={snapshot.clientIps}
+              virtualNodes={engineOptions.virtualNodes}
+              clientPoolSize={engineOptions.clientPoolSize}
+              remap={remap}
+              onVirtualNodesChange={virtualNodes => updateEngineOptions({ virtualNodes })}
+              onClientPoolSizeChange={clientPoolSize => updateEngineOptions({ clientPoolSize })}
+            />
+          )}
+          </>
+        )}
+
+        {/* Rate limits, shedding and circuit breakers, for whichever view is showing */}
+        <AdmissionPanel
+          admission={engineOptions.admission}
+          abusiveClients={engineOptions.abusiveClients}
+          rejections={controlSnapshot.rejections}
+          servers={controlSnapshot.servers}
+          finished={controlSnapshot.finished}
+          abusiveIps={controlSnapshot.abusiveIps}
+          onChange={updateEngineOptions}
+        />
+
+        {/* Autoscaling of one pool, for whichever view is showing */}
+        <AutoscalerPanel
+          autoscaler={engineOptions.autoscaler}
+          pools={engineOptions.pools}
+          servers={controlSnapshot.servers}
+          time={controlSnapshot.time}
+          scalingLog={controlSnapshot.scalingLog}
+          scalingValue={controlSnapshot.scalingValue}
+          onChange={changes => updateEngineOptions({ autoscaler: { ...engineOptions.autoscaler, ...changes } })}
+        />
+
+        {/* Fault injection and its timeline, for whichever view is showing */}
+        <ChaosPanel
+          servers={controlSnapshot.servers}
+          time={controlSnapshot.time}
+          faultLog={controlSnapshot.faultLog}
+          timeline={engineOptions.timeline}
+          chaos={engineOptions.chaos}
+          onInject={injectFault}
+          onSchedule={scheduleFault}
+          onEnd={endFault}
+          onChaosChange={changes => updateEngineOptions({ chaos: { ...engineOptions.chaos, ...changes } })}
+        />
+
+        <ExportPanel
+          runs={currentRuns}
+          previous={previousRun}
+          scenario={scenario}
+          windowMs={METRICS_WINDOW_MS}
+          slaMs={slaMs}
+          recordingLength={engineOptions.recordingLength}
+          sampleIntervalMs={REQUEST_RATE_MS}
+          onRecordingLengthChange={recordingLength => updateEngineOptions({ recordingLength })}
+        />
+
+        {/* Real HTTP traffic balanced over local mock backends, independent of the simulation */}
+        <LivePanel modes={MODES} colors={SERVER_COLORS} />
 
       </main>
     </div>
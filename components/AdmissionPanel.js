@@ -0,0 +1,175 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { PRIORITY_CLASSES, RATE_LIMIT_ALGORITHMS, REJECTION_REASONS } from '@/lib/admission';
+import { MAX_ABUSIVE_CLIENTS } from '@/lib/clients';
+
+const INPUT_CLASS = 'w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm disabled:opacity-50';
+const MAX_LISTED_CLIENTS = 5;
+
+// Circuit breaker states as shown on the chips
+const BREAKER_CHIPS = {
+  closed: { label: 'closed', className: 'bg-green-100 text-green-700' },
+  halfOpen: { label: 'half-open', className: 'bg-yellow-100 text-yellow-700' },
+  open: { label: 'OPEN', className: 'bg-red-100 text-red-700' },
+};
+
+const NumberInput = ({ label, value, min, max, step = 1, disabled, onChange }) => (
+  <label className="flex items-center mr-3 mb-1">
+    <span className="text-xs text-gray-600 mr-1">{label}</span>
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      disabled={disabled}
+      onChange={e => onChange(Math.min(max ?? Infinity, Math.max(min, Number(e.target.value) || min)))}
+      className={INPUT_CLASS}
+    />
+  </label>
+);
+
+// One policy with its on/off switch; the fields are disabled while it is off
+const PolicyBox = ({ title, policy, onChange, children }) => (
+  <div className="bg-gray-50 rounded-lg p-3 border border-gray-100">
+    <label className="flex items-center font-semibold mb-2">
+      <input type="checkbox" checked={policy.enabled} onChange={e => onChange({ enabled: e.target.checked })} className="mr-2" />
+      {title}
+    </label>
+    <div className="flex flex-wrap items-center">{children}</div>
+  </div>
+);
+
+const RateLimitFields = ({ limit, onChange }) => (
+  <>
+    <label className="flex items-center mr-3 mb-1">
+      <span className="text-xs text-gray-600 mr-1">Algorithm</span>
+      <select value={limit.algorithm} disabled={!limit.enabled} onChange={e => onChange({ algorithm: e.target.value })} className={`${INPUT_CLASS} w-auto`}>
+        {Object.entries(RATE_LIMIT_ALGORITHMS).map(([id, algorithm]) => <option key={id} value={id}>{algorithm.name}</option>)}
+      </select>
+    </label>
+    <NumberInput label="Requests" value={limit.limit} min={1} disabled={!limit.enabled} onChange={value => onChange({ limit: Math.round(value) })} />
+    <NumberInput label="per (s)" value={limit.windowMs / 1000} min={0.1} step={0.5} disabled={!limit.enabled} onChange={value => onChange({ windowMs: value * 1000 })} />
+    {limit.algorithm === 'tokenBucket' && (
+      <NumberInput label="Burst" value={limit.burst} min={1} disabled={!limit.enabled} onChange={value => onChange({ burst: value })} />
+    )}
+  </>
+);
+
+/**
+ * Admission control: rate limits per client and over all clients, load shedding by
+ * priority class, and a circuit breaker per backend, with abusive clients to test them
+ * on. Shows rejections per reason, each server's circuit and the clients rejected most
+ * in the metrics window. Changing a setting restarts the run.
+ */
+const AdmissionPanel = React.memo(({ admission, abusiveClients, rejections, servers, finished, abusiveIps, onChange }) => {
+  const { clientRateLimit, globalRateLimit, shedding, circuitBreaker } = admission;
+  const updatePolicy = (policy, changes) => onChange({ admission: { ...admission, [policy]: { ...admission[policy], ...changes } } });
+  const totalRejected = Object.values(rejections).reduce((sum, count) => sum + count, 0);
+  const openCircuits = servers.filter(s => s.breaker.state !== 'closed').length;
+
+  // Clients with the most rejections among the requests finished in the metrics window
+  const rejectedByClient = new Map();
+  finished.filter(r => r.outcome === 'rejected').forEach(r => rejectedByClient.set(r.ip, (rejectedByClient.get(r.ip) ?? 0) + 1));
+  const topClients = [...rejectedByClient.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_LISTED_CLIENTS);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <ShieldAlert className="w-5 h-5 mr-2 text-indigo-500" /> Admission Control
+        <span className="ml-auto text-sm font-normal text-gray-500">
+          {totalRejected} rejected{circuitBreaker.enabled && ` | ${openCircuits} circuit(s) not closed`}
+        </span>
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        {Object.entries(REJECTION_REASONS).map(([id, reason]) => (
+          <div key={id} className="bg-gray-50 rounded-lg p-3 text-center border border-gray-100" title={reason.description}>
+            <p className="text-2xl font-bold" style={{ color: reason.color }}>{rejections[id]}</p>
+            <p className="text-xs text-gray-500">{reason.name}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-700">
+        <PolicyBox title="Rate limit per client IP" policy={clientRateLimit} onChange={changes => updatePolicy('clientRateLimit', changes)}>
+          <RateLimitFields limit={clientRateLimit} onChange={changes => updatePolicy('clientRateLimit', changes)} />
+        </PolicyBox>
+        <PolicyBox title="Global rate limit" policy={globalRateLimit} onChange={changes => updatePolicy('globalRateLimit', changes)}>
+          <RateLimitFields limit={globalRateLimit} onChange={changes => updatePolicy('globalRateLimit', changes)} />
+        </PolicyBox>
+        <PolicyBox title="Load shedding by priority" policy={shedding} onChange={changes => updatePolicy('shedding', changes)}>
+          {Object.entries(PRIORITY_CLASSES).map(([id, priority]) => (
+            <label key={id} className="flex items-center mr-3 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{priority.name} at queue</span>
+              <input
+                type="number"
+                min={0}
+                value={shedding.queueDepth[id] ?? ''}
+                placeholder="never"
+                disabled={!shedding.enabled}
+                onChange={e => {
+                  const others = Object.fromEntries(Object.entries(shedding.queueDepth).filter(([key]) => key !== id));
+                  updatePolicy('shedding', { queueDepth: e.target.value === '' ? others : { ...others, [id]: Math.max(0, Math.round(Number(e.target.value) || 0)) } });
+                }}
+                className={INPUT_CLASS}
+              />
+            </label>
+          ))}
+        </PolicyBox>
+        <PolicyBox title="Circuit breaker per backend" policy={circuitBreaker} onChange={changes => updatePolicy('circuitBreaker', changes)}>
+          <NumberInput label="Open at failure %" value={circuitBreaker.failureRatePercent} min={1} max={100} disabled={!circuitBreaker.enabled} onChange={value => updatePolicy('circuitBreaker', { failureRatePercent: value })} />
+          <NumberInput label="of last" value={circuitBreaker.windowSize} min={1} disabled={!circuitBreaker.enabled} onChange={value => updatePolicy('circuitBreaker', { windowSize: Math.round(value) })} />
+          <NumberInput label="Min requests" value={circuitBreaker.minRequests} min={1} disabled={!circuitBreaker.enabled} onChange={value => updatePolicy('circuitBreaker', { minRequests: Math.round(value) })} />
+          <NumberInput label="Open for (s)" value={circuitBreaker.openMs / 1000} min={0.1} step={0.5} disabled={!circuitBreaker.enabled} onChange={value => updatePolicy('circuitBreaker', { openMs: value * 1000 })} />
+          <NumberInput label="Trial requests" value={circuitBreaker.halfOpenRequests} min={1} disabled={!circuitBreaker.enabled} onChange={value => updatePolicy('circuitBreaker', { halfOpenRequests: Math.round(value) })} />
+        </PolicyBox>
+      </div>
+
+      <div className="flex flex-wrap items-center text-sm text-gray-700 mt-4">
+        <span className="font-semibold mr-3">Abusive clients</span>
+        <NumberInput label="Count" value={abusiveClients.count} min={0} max={MAX_ABUSIVE_CLIENTS} onChange={value => onChange({ abusiveClients: { ...abusiveClients, count: Math.round(value) } })} />
+        <NumberInput
+          label="Share of traffic (%)"
+          value={Math.round(abusiveClients.share * 100)}
+          min={0}
+          max={100}
+          disabled={abusiveClients.count === 0}
+          onChange={value => onChange({ abusiveClients: { ...abusiveClients, share: value / 100 } })}
+        />
+      </div>
+
+      {circuitBreaker.enabled && (
+        <div className="flex flex-wrap items-center text-xs mt-3">
+          <span className="font-semibold text-gray-700 mr-2">Circuits:</span>
+          {servers.map(server => (
+            <span key={server.id} className={`font-bold px-2 py-0.5 rounded-full mr-2 mb-1 ${BREAKER_CHIPS[server.breaker.state].className}`}>
+              {server.name}: {BREAKER_CHIPS[server.breaker.state].label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="font-mono text-xs border rounded-md mt-3">
+        {topClients.length === 0 && <p className="p-2 text-gray-400">No client rejected in the metrics window.</p>}
+        {topClients.map(([ip, count]) => (
+          <p key={ip} className="px-2 py-0.5 border-b border-gray-100 flex">
+            <span className="w-32">{ip}</span>
+            {abusiveIps.includes(ip) && <span className="font-bold text-red-600 mr-2">ABUSIVE</span>}
+            <span className="ml-auto">{count} rejected</span>
+          </p>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        Rate limits and shedding apply to new requests as they reach the balancer; retries skip them |
+        Bulk requests are static assets, critical ones the cart and orders |
+        An open circuit keeps its backend out of rotation, and requests fail fast once every backend&apos;s circuit is open |
+        Rejected requests flash at the balancer with their reason
+      </p>
+    </div>
+  );
+});
+AdmissionPanel.displayName = 'AdmissionPanel';
+
+export default AdmissionPanel;
@@ -0,0 +1,191 @@
+import React from 'react';
+import { Plus, Scaling, Trash2 } from 'lucide-react';
+import { SCALING_METRICS, SCALING_POLICIES, formatMetric } from '@/lib/autoscaler';
+import { MARKER_COLORS } from '@/lib/chartSvg';
+import { DEFAULT_POOL_ID } from '@/lib/rules';
+
+const INPUT_CLASS = 'w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm disabled:opacity-50';
+const MAX_LISTED_ACTIONS = 8;
+
+// Timing and size limits; times are edited in seconds
+const LIMIT_FIELDS = [
+  { key: 'evaluationIntervalMs', label: 'Evaluate every (s)', min: 0.1, seconds: true },
+  { key: 'scaleOutCooldownMs', label: 'Scale-out cooldown (s)', min: 0, seconds: true },
+  { key: 'scaleInCooldownMs', label: 'Scale-in cooldown (s)', min: 0, seconds: true },
+  { key: 'warmupMs', label: 'Warm-up (s)', min: 0, seconds: true },
+  { key: 'minInstances', label: 'Min instances', min: 0 },
+  { key: 'maxInstances', label: 'Max instances', min: 1 },
+];
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const NumberInput = ({ value, min, step = 1, disabled, onChange }) => (
+  <input
+    type="number"
+    min={min}
+    step={step}
+    value={value}
+    disabled={disabled}
+    onChange={e => onChange(Math.max(min, Number(e.target.value) || min))}
+    className={INPUT_CLASS}
+  />
+);
+
+// Editable list of step-scaling steps; thresholds show in the metric's display unit
+const StepList = ({ title, comparison, verb, steps, scale, disabled, onChange }) => (
+  <div className="mb-2">
+    <p className="flex items-center font-semibold mb-1">
+      {title}
+      <button
+        onClick={() => onChange([...steps, { threshold: steps.at(-1)?.threshold ?? 0, change: 1 }])}
+        disabled={disabled}
+        className="ml-3 flex items-center text-xs px-2 py-0.5 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300 disabled:opacity-40"
+      >
+        <Plus className="w-3 h-3 mr-1" /> Step
+      </button>
+    </p>
+    {steps.map((step, index) => (
+      <div key={index} className="flex items-center mb-1 text-xs text-gray-600">
+        <span className="mr-1">Metric {comparison}</span>
+        <NumberInput
+          value={Number((step.threshold * scale).toFixed(3))}
+          min={0}
+          disabled={disabled}
+          onChange={value => onChange(steps.map((s, i) => (i === index ? { ...s, threshold: value / scale } : s)))}
+        />
+        <span className="mx-1">{verb}</span>
+        <NumberInput
+          value={step.change}
+          min={1}
+          disabled={disabled}
+          onChange={value => onChange(steps.map((s, i) => (i === index ? { ...s, change: Math.round(value) } : s)))}
+        />
+        <span className="ml-1">instance(s)</span>
+        <button
+          onClick={() => onChange(steps.filter((_, i) => i !== index))}
+          disabled={disabled}
+          className="ml-2 p-1 rounded-md text-red-600 hover:bg-red-100 disabled:opacity-30"
+          title="Remove step"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * Autoscaler settings (target tracking or step scaling on utilization or queue depth, with
+ * cooldowns, warm-up and size limits), the pool as the autoscaler sees it, and its recent
+ * actions. Changing a setting restarts the run.
+ */
+const AutoscalerPanel = React.memo(({ autoscaler, pools, servers, time, scalingLog, scalingValue, onChange }) => {
+  const { scale, unit } = SCALING_METRICS[autoscaler.metric];
+  const disabled = !autoscaler.enabled;
+  // Servers of unknown pools fall back to the default pool, as in the engine
+  const poolOf = (id) => (pools.some(pool => pool.id === id) ? id : DEFAULT_POOL_ID);
+  const fleet = servers.filter(s => poolOf(s.pool) === autoscaler.pool);
+  const booting = fleet.filter(s => s.isBooting);
+  const retiring = fleet.filter(s => s.isRetiring);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Scaling className="w-5 h-5 mr-2 text-indigo-500" /> Autoscaling
+        <span className="ml-auto text-sm font-normal text-gray-500">
+          {fleet.length - booting.length - retiring.length} in service | {booting.length} booting | {retiring.length} retiring
+          {scalingValue != null && autoscaler.enabled && ` | ${SCALING_METRICS[autoscaler.metric].name}: ${formatMetric(autoscaler.metric, scalingValue)}`}
+        </span>
+      </h3>
+
+      <div className="text-sm text-gray-700">
+        <div className="flex flex-wrap items-center mb-3">
+          <label className="flex items-center font-semibold mr-6">
+            <input type="checkbox" checked={autoscaler.enabled} onChange={e => onChange({ enabled: e.target.checked })} className="mr-2" />
+            Autoscale
+          </label>
+          <label className="flex items-center mr-4">
+            <span className="text-xs text-gray-600 mr-1">Policy</span>
+            <select value={autoscaler.policy} disabled={disabled} onChange={e => onChange({ policy: e.target.value })} className={`${INPUT_CLASS} w-auto`}>
+              {Object.entries(SCALING_POLICIES).map(([id, policy]) => <option key={id} value={id}>{policy.name}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center mr-4" title={SCALING_METRICS[autoscaler.metric].description}>
+            <span className="text-xs text-gray-600 mr-1">Metric</span>
+            <select value={autoscaler.metric} disabled={disabled} onChange={e => onChange({ metric: e.target.value })} className={`${INPUT_CLASS} w-auto`}>
+              {Object.entries(SCALING_METRICS).map(([id, metric]) => <option key={id} value={id}>{metric.name}</option>)}
+            </select>
+          </label>
+          {pools.length > 1 && (
+            <label className="flex items-center mr-4">
+              <span className="text-xs text-gray-600 mr-1">Pool</span>
+              <select value={autoscaler.pool} disabled={disabled} onChange={e => onChange({ pool: e.target.value })} className={`${INPUT_CLASS} w-auto`}>
+                {pools.map(pool => <option key={pool.id} value={pool.id}>{pool.name}</option>)}
+              </select>
+            </label>
+          )}
+          {autoscaler.policy === 'targetTracking' && (
+            <label className="flex items-center mr-4">
+              <span className="text-xs text-gray-600 mr-1">Target{unit ? ` (${unit})` : ''}</span>
+              <NumberInput
+                value={Number((autoscaler.targetValue * scale).toFixed(3))}
+                min={0.1}
+                disabled={disabled}
+                onChange={value => onChange({ targetValue: value / scale })}
+              />
+            </label>
+          )}
+        </div>
+
+        {autoscaler.policy === 'stepScaling' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-2">
+            <StepList title="Scale out" comparison=">=" verb="add" steps={autoscaler.scaleOutSteps} scale={scale} disabled={disabled} onChange={scaleOutSteps => onChange({ scaleOutSteps })} />
+            <StepList title="Scale in" comparison="<=" verb="remove" steps={autoscaler.scaleInSteps} scale={scale} disabled={disabled} onChange={scaleInSteps => onChange({ scaleInSteps })} />
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center">
+          {LIMIT_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center mr-3 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{field.label}</span>
+              <NumberInput
+                value={field.seconds ? autoscaler[field.key] / 1000 : autoscaler[field.key]}
+                min={field.min}
+                disabled={disabled}
+                onChange={value => onChange({ [field.key]: field.seconds ? value * 1000 : Math.round(value) })}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {booting.length > 0 && (
+        <p className="text-xs text-gray-600 mt-3">
+          Booting: {booting.map(s => `${s.name} (ready in ${seconds(Math.max(0, s.readyAt - time))})`).join(', ')}
+        </p>
+      )}
+
+      <div className="font-mono text-xs border rounded-md mt-3 max-h-40 overflow-y-auto">
+        {scalingLog.length === 0 && <p className="p-2 text-gray-400">No scaling actions yet.</p>}
+        {scalingLog.slice(-MAX_LISTED_ACTIONS).reverse().map(entry => (
+          <p key={`${entry.time}-${entry.direction}`} className="px-2 py-0.5 border-b border-gray-100">
+            <span className="text-gray-500 mr-2">{seconds(entry.time)}</span>
+            <span className="font-semibold mr-2" style={{ color: MARKER_COLORS[entry.direction] }}>
+              Scale {entry.direction} {entry.from} {'->'} {entry.to}
+            </span>
+            {entry.reason}: {entry.serverNames.join(', ')}
+          </p>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        New instances boot for the warm-up before taking traffic and count toward the pool size meanwhile |
+        Scale-in drains the newest instances the autoscaler started; servers added by hand are never retired |
+        Scaling actions are marked on the load trend chart
+      </p>
+    </div>
+  );
+});
+AutoscalerPanel.displayName = 'AutoscalerPanel';
+
+export default AutoscalerPanel;
@@ -0,0 +1,303 @@
+import React, { useState } from 'react';
+import { Flame, Zap, CalendarClock, Square } from 'lucide-react';
+import { FAULT_TYPES } from '@/lib/faults';
+
+const MIN_SPAN_MS = 30000; // The scrubber always shows at least this much time
+const ROW_HEIGHT = 18;
+const LABEL_WIDTH = 90; // px reserved for server names left of the strip
+
+const CHAOS_FIELDS = [
+  { key: 'meanIntervalMs', label: 'Every ~ (s)', min: 1 },
+  { key: 'durationMs', label: 'Lasting (s)', min: 0 },
+];
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Fired faults plus the ones the timeline still has to fire, as bars with a start and an end
+const faultBars = (faultLog, timeline, time) => [
+  ...faultLog.map(fault => ({
+    ...fault,
+    fired: true,
+    endMs: fault.endMs ?? fault.plannedEndMs ?? time,
+    isOpen: fault.endMs == null,
+  })),
+  ...timeline
+    .filter(step => step.action === 'fault' && step.atMs > time)
+    .map((step, index) => ({
+      id: `planned-${index}`,
+      type: step.fault.type,
+      servers: step.fault.servers,
+      source: 'scripted',
+      startMs: step.atMs,
+      endMs: step.fault.durationMs != null ? step.atMs + step.fault.durationMs : null,
+      fired: false,
+    })),
+];
+
+const describeFault = (fault, servers) => {
+  const names = fault.serverNames ?? fault.servers.map(id => servers.find(s => s.id === id)?.name ?? `server ${id}`);
+  const { param } = FAULT_TYPES[fault.type];
+  const value = param && fault.value != null ? ` (${param.label.toLowerCase()}: ${fault.value})` : '';
+  return `${FAULT_TYPES[fault.type].name}${value} on ${names.join(', ')}`;
+};
+
+/**
+ * Chaos panel: inject faults now or at a set time, let random chaos pick them, and scrub
+ * through a timeline of when each one fired and how long it lasted
+ */
+const ChaosPanel = React.memo(({ servers, time, faultLog, timeline, chaos, onInject, onSchedule, onEnd, onChaosChange }) => {
+  const [draft, setDraft] = useState({ type: 'latency', servers: [], durationSeconds: 10, atSeconds: 20, value: FAULT_TYPES.latency.param.default });
+  const [scrubMs, setScrubMs] = useState(null); // null follows the clock
+
+  const definition = FAULT_TYPES[draft.type];
+  const targets = draft.servers.filter(id => servers.some(s => s.id === id));
+  const fault = {
+    type: draft.type,
+    servers: targets,
+    ...(draft.durationSeconds > 0 ? { durationMs: draft.durationSeconds * 1000 } : {}),
+    ...(definition.param ? { [definition.param.key]: draft.value } : {}),
+  };
+
+  const bars = faultBars(faultLog, timeline, time);
+  const spanMs = Math.max(MIN_SPAN_MS, time, ...bars.map(bar => bar.endMs ?? bar.startMs));
+  const cursorMs = scrubMs == null ? time : Math.min(scrubMs, spanMs);
+  const rows = [
+    ...servers.map(s => ({ id: s.id, name: s.name })),
+    // Servers that have left the pool keep their row while their faults are on the timeline
+    ...bars.flatMap(bar => bar.servers.map((id, i) => ({ id, name: bar.serverNames?.[i] ?? `server ${id}` })))
+      .filter((row, index, all) => !servers.some(s => s.id === row.id) && all.findIndex(r => r.id === row.id) === index),
+  ];
+  const x = (ms) => `${(ms / spanMs) * 100}%`;
+  const activeAtCursor = bars.filter(bar => bar.startMs <= cursorMs && (bar.endMs == null || bar.endMs > cursorMs));
+  const openFaults = faultLog.filter(f => f.endMs == null);
+
+  const selectType = (type) => setDraft(prev => ({ ...prev, type, value: FAULT_TYPES[type].param?.default }));
+  const toggleTarget = (id) => setDraft(prev => ({
+    ...prev,
+    servers: prev.servers.includes(id) ? prev.servers.filter(s => s !== id) : [...prev.servers, id],
+  }));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Flame className="w-5 h-5 mr-2 text-indigo-500" /> Chaos &amp; Fault Injection
+      </h3>
+
+      <div className="text-sm text-gray-700">
+        {/* Fault builder */}
+        <div className="flex flex-wrap items-center mb-2">
+          <label htmlFor="faultType" className="font-semibold w-28">Fault:</label>
+          <select
+            id="faultType"
+            value={draft.type}
+            onChange={e => selectType(e.target.value)}
+            className="mr-4 mb-1 px-2 py-1 rounded-md border border-gray-300 bg-white"
+          >
+            {Object.entries(FAULT_TYPES).map(([id, type]) => <option key={id} value={id}>{type.name}</option>)}
+          </select>
+          {definition.param && (
+            <label className="flex items-center mr-3 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{definition.param.label}</span>
+              <input
+                type="number"
+                min={definition.param.min}
+                max={definition.param.max}
+                step={definition.param.step}
+                value={draft.value}
+                onChange={e => {
+                  const value = Number(e.target.value);
+                  const { min, max = Infinity } = definition.param;
+                  if (Number.isFinite(value)) setDraft(prev => ({ ...prev, value: Math.min(max, Math.max(min, value)) }));
+                }}
+                className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+              />
+            </label>
+          )}
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Duration (s, 0 = until ended)</span>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              value={draft.durationSeconds}
+              onChange={e => setDraft(prev => ({ ...prev, durationSeconds: Math.max(0, Number(e.target.value) || 0) }))}
+              className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center mb-2">
+          <span className="font-semibold w-28">{draft.type === 'partition' ? 'Cut off:' : 'Servers:'}</span>
+          {servers.map(server => (
+            <button
+              key={server.id}
+              onClick={() => toggleTarget(server.id)}
+              className={`text-xs px-3 py-1 mr-2 mb-1 rounded-full font-semibold border transition-colors duration-200 ${
+                targets.includes(server.id)
+                  ? 'bg-red-100 text-red-700 border-red-300'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200 border-gray-300'
+              }`}
+            >
+              {server.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center mb-4">
+          <button
+            onClick={() => onInject(fault)}
+            disabled={targets.length === 0}
+            className="flex items-center text-xs px-3 py-1 mr-4 mb-1 rounded-full font-semibold border bg-red-600 text-white hover:bg-red-700 border-red-600 disabled:opacity-40"
+          >
+            <Zap className="w-3 h-3 mr-1" /> Inject Now
+          </button>
+          <label className="flex items-center mr-2 mb-1">
+            <span className="text-xs text-gray-600 mr-1">At (s)</span>
+            <input
+              type="number"
+              min={0}
+              step={1}
+              value={draft.atSeconds}
+              onChange={e => setDraft(prev => ({ ...prev, atSeconds: Math.max(0, Number(e.target.value) || 0) }))}
+              className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            />
+          </label>
+          <button
+            onClick={() => onSchedule(draft.atSeconds * 1000, fault)}
+            disabled={targets.length === 0}
+            className="flex items-center text-xs px-3 py-1 mr-2 mb-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300 disabled:opacity-40"
+            title="Adds the fault to the scenario timeline and restarts the run"
+          >
+            <CalendarClock className="w-3 h-3 mr-1" /> Schedule
+          </button>
+        </div>
+
+        {/* Random chaos (part of the run's configuration, so it replays with the seed) */}
+        <div className="flex flex-wrap items-center mb-4">
+          <label className="flex items-center font-semibold w-56">
+            <input type="checkbox" checked={chaos.enabled} onChange={e => onChaosChange({ enabled: e.target.checked })} className="mr-2" />
+            Random chaos
+          </label>
+          {CHAOS_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center mr-3 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{field.label}</span>
+              <input
+                type="number"
+                min={field.min}
+                step={1}
+                value={chaos[field.key] / 1000}
+                disabled={!chaos.enabled}
+                onChange={e => onChaosChange({ [field.key]: Math.max(field.min, Number(e.target.value) || field.min) * 1000 })}
+                className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm disabled:opacity-50"
+              />
+            </label>
+          ))}
+          {Object.entries(FAULT_TYPES).map(([id, type]) => (
+            <label key={id} className="flex items-center mr-3 mb-1 text-xs">
+              <input
+                type="checkbox"
+                checked={chaos.types.includes(id)}
+                disabled={!chaos.enabled}
+                onChange={e => onChaosChange({ types: e.target.checked ? [...chaos.types, id] : chaos.types.filter(t => t !== id) })}
+                className="mr-1"
+              />
+              {type.name}
+            </label>
+          ))}
+        </div>
+
+        {/* Faults in effect right now */}
+        {openFaults.length > 0 && (
+          <div className="mb-4">
+            <p className="font-semibold mb-1">Active faults</p>
+            {openFaults.map(f => (
+              <div key={f.id} className="flex items-center text-xs font-mono mb-1">
+                <span className="inline-block w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: FAULT_TYPES[f.type].color }}></span>
+                {seconds(f.startMs)}: {describeFault(f, servers)} [{f.source}]{f.plannedEndMs != null && `, ends at ${seconds(f.plannedEndMs)}`}
+                <button
+                  onClick={() => onEnd(f.id)}
+                  className="ml-2 flex items-center px-2 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100"
+                >
+                  <Square className="w-3 h-3 mr-1" /> End
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Timeline scrubber: one row per server, a bar per fault */}
+      <div className="relative border rounded-md bg-gray-50 py-2" style={{ height: rows.length * ROW_HEIGHT + 16 }}>
+        {rows.map((row, index) => (
+          <div
+            key={row.id}
+            className="absolute text-[10px] text-gray-600 truncate"
+            style={{ top: 8 + index * ROW_HEIGHT, left: 6, width: LABEL_WIDTH - 10, lineHeight: `${ROW_HEIGHT}px` }}
+          >
+            {row.name}
+          </div>
+        ))}
+        <div className="absolute top-0 bottom-0" style={{ left: LABEL_WIDTH, right: 8 }}>
+          {bars.flatMap(bar => bar.servers.map(id => {
+            const rowIndex = rows.findIndex(row => row.id === id);
+            const endMs = bar.endMs ?? spanMs;
+            return (
+              <div
+                key={`${bar.id}-${id}`}
+                className={`absolute rounded-sm ${bar.fired ? '' : 'border border-dashed bg-transparent'}`}
+                style={{
+                  top: 10 + rowIndex * ROW_HEIGHT,
+                  height: ROW_HEIGHT - 4,
+                  left: x(bar.startMs),
+                  width: `max(3px, ${x(endMs - bar.startMs)})`,
+                  backgroundColor: bar.fired ? FAULT_TYPES[bar.type].color : undefined,
+                  borderColor: FAULT_TYPES[bar.type].color,
+                  opacity: bar.fired && !bar.isOpen ? 0.7 : 1,
+                }}
+                title={`${describeFault(bar, servers)} [${bar.source}]: ${seconds(bar.startMs)} - ${bar.endMs == null ? 'until ended' : seconds(bar.endMs)}${bar.fired ? '' : ' (scheduled)'}`}
+              ></div>
+            );
+          }))}
+          {/* Now, and the scrubbed moment when it differs */}
+          <div className="absolute top-0 bottom-0 w-px bg-indigo-500" style={{ left: x(time) }} title={`Now: ${seconds(time)}`}></div>
+          {scrubMs != null && <div className="absolute top-0 bottom-0 w-0.5 bg-gray-800" style={{ left: x(cursorMs) }}></div>}
+        </div>
+      </div>
+      <div className="flex items-center text-xs text-gray-600 mt-1" style={{ paddingLeft: LABEL_WIDTH }}>
+        <input
+          type="range"
+          min={0}
+          max={spanMs}
+          step={100}
+          value={cursorMs}
+          onChange={e => setScrubMs(Number(e.target.value))}
+          className="flex-1 mr-3"
+          aria-label="Scrub fault timeline"
+        />
+        <span className="font-mono w-16 text-right">{seconds(cursorMs)}</span>
+        <button
+          onClick={() => setScrubMs(null)}
+          disabled={scrubMs == null}
+          className="ml-2 px-2 rounded-full border border-gray-300 hover:bg-gray-100 disabled:opacity-40"
+        >
+          Follow now
+        </button>
+      </div>
+
+      <div className="text-xs text-gray-600 mt-2 min-h-[1.5rem]">
+        <span className="font-semibold">At {seconds(cursorMs)}:</span>{' '}
+        {activeAtCursor.length === 0
+          ? 'no faults.'
+          : activeAtCursor.map(bar => `${describeFault(bar, servers)}${bar.fired ? '' : ' (scheduled)'}`).join('; ')}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        Faults hit the servers and the network, not the balancer&apos;s view: it only notices through failed probes and requests |
+        Lost requests fail after the connect timeout | Scheduled and random faults replay identically for every algorithm
+      </p>
+    </div>
+  );
+});
+ChaosPanel.displayName = 'ChaosPanel';
+
+export default ChaosPanel;
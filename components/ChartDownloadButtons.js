@@ -0,0 +1,26 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { downloadSvgAsPng, downloadText, fileSlug } from '@/lib/download';
+
+const BUTTON_CLASS = 'flex items-center text-xs font-semibold px-2 py-0.5 ml-2 rounded-full border border-gray-300 text-gray-600 hover:bg-gray-100';
+
+/**
+ * SVG and PNG download buttons for a chart heading. `getSvg` builds the standalone
+ * document on demand, so nothing is rendered until a button is pressed.
+ */
+const ChartDownloadButtons = ({ getSvg, title }) => (
+  <span className="ml-auto flex font-normal">
+    <button onClick={() => downloadText(getSvg(), `${fileSlug(title)}.svg`, 'image/svg+xml')} className={BUTTON_CLASS} title="Download as SVG">
+      <Download className="w-3 h-3 mr-1" /> SVG
+    </button>
+    <button
+      onClick={() => downloadSvgAsPng(getSvg(), `${fileSlug(title)}.png`).catch(error => window.alert(error.message))}
+      className={BUTTON_CLASS}
+      title="Download as PNG"
+    >
+      <Download className="w-3 h-3 mr-1" /> PNG
+    </button>
+  </span>
+);
+
+export default ChartDownloadButtons;
@@ -0,0 +1,141 @@
+import React, { useMemo } from 'react';
+import { Columns } from 'lucide-react';
+import LoadChart from '@/components/LoadChart';
+import LoadHistoryChart from '@/components/LoadHistoryChart';
+import { summarizeMetrics, loadImbalance } from '@/lib/metrics';
+import { sessionHitRate } from '@/lib/sessions';
+import { scalingMarkers } from '@/lib/autoscaler';
+
+const MIN_COMPARED = 2;
+const MAX_COMPARED = 4;
+
+const formatMs = (value) => (value == null ? '-' : `${Math.round(value)}ms`);
+
+// Summary columns; `better` says which end of the column wins
+const SUMMARY_COLUMNS = [
+  { key: 'stdDev', label: 'Load Std-Dev', better: 'low', format: v => v.toFixed(2) },
+  { key: 'range', label: 'Load Max-Min', better: 'low', format: v => v.toFixed(1) },
+  { key: 'p50', label: 'p50', better: 'low', format: formatMs },
+  { key: 'p95', label: 'p95', better: 'low', format: formatMs },
+  { key: 'p99', label: 'p99', better: 'low', format: formatMs },
+  { key: 'throughput', label: 'Throughput', better: 'high', format: v => `${v.toFixed(1)}/s` },
+  { key: 'dropped', label: 'Dropped', better: 'low', format: v => v },
+  { key: 'sessionHitRate', label: 'Session Hits', better: 'high', format: v => (v == null ? '-' : `${(v * 100).toFixed(1)}%`) },
+  { key: 'sessionsBroken', label: 'Sessions Broken', better: 'low', format: v => v },
+];
+
+// Best value of a column across the compared runs (null when nothing to compare yet)
+const bestOf = (rows, { key, better }) => {
+  const values = rows.map(row => row.summary[key]).filter(v => v != null);
+  if (values.length < 2) return null;
+  return better === 'low' ? Math.min(...values) : Math.max(...values);
+};
+
+/**
+ * Two to four algorithms run side by side on the same seed, so each sees the same
+ * arrivals, clients and service times: their load charts plus a summary table.
+ * `sampleIntervalMs` is the spacing of the load history, for placing scaling markers.
+ */
+const ComparisonPanel = React.memo(({ modes, selectedModes, snapshots, onToggleMode, maxLoad, windowMs, sampleIntervalMs, slaMs }) => {
+  const rows = useMemo(() => selectedModes.map((modeId, index) => {
+    const snapshot = snapshots[index];
+    const { aggregate } = summarizeMetrics({
+      finished: snapshot.finished,
+      history: snapshot.history,
+      servers: snapshot.servers,
+      elapsedMs: Math.min(windowMs, snapshot.time),
+      slaMs,
+    });
+    return {
+      mode: modes.find(m => m.id === modeId),
+      snapshot,
+      summary: {
+        ...aggregate,
+        ...loadImbalance(snapshot.history, snapshot.servers),
+        sessionHitRate: sessionHitRate(snapshot.affinity),
+        sessionsBroken: snapshot.affinity.brokenDown + snapshot.affinity.brokenDraining,
+      },
+    };
+  }), [modes, selectedModes, snapshots, windowMs, slaMs]);
+
+  const best = Object.fromEntries(SUMMARY_COLUMNS.map(column => [column.key, bestOf(rows, column)]));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Columns className="w-5 h-5 mr-2 text-indigo-500" /> Algorithm Comparison (Same Traffic)
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <span className="font-semibold text-gray-700 mr-2">Compare ({MIN_COMPARED}-{MAX_COMPARED}):</span>
+        {modes.map(mode => {
+          const selected = selectedModes.includes(mode.id);
+          const locked = selected ? selectedModes.length <= MIN_COMPARED : selectedModes.length >= MAX_COMPARED;
+          return (
+            <button
+              key={mode.id}
+              onClick={() => onToggleMode(mode.id)}
+              disabled={locked}
+              className={`text-xs px-3 py-1 rounded-full font-semibold border transition-colors duration-200 disabled:opacity-40 ${
+                selected
+                  ? 'bg-indigo-600 text-white border-indigo-600'
+                  : 'bg-white text-indigo-600 border-indigo-200 hover:bg-indigo-50'
+              }`}
+            >
+              {mode.name}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm text-gray-700">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="px-2 py-1 text-left">Algorithm (last {windowMs / 1000}s)</th>
+              {SUMMARY_COLUMNS.map(column => <th key={column.key} className="px-2 py-1 text-right">{column.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ mode, summary }) => (
+              <tr key={mode.id} className="border-t border-gray-100">
+                <td className="px-2 py-1 font-medium whitespace-nowrap">{mode.name}</td>
+                {SUMMARY_COLUMNS.map(column => (
+                  <td
+                    key={column.key}
+                    className={`px-2 py-1 text-right font-mono ${summary[column.key] != null && summary[column.key] === best[column.key] ? 'text-green-700 font-bold bg-green-50' : ''}`}
+                  >
+                    {column.format(summary[column.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={`grid grid-cols-1 gap-6 ${rows.length > 2 ? 'xl:grid-cols-2' : 'lg:grid-cols-2'}`}>
+        {rows.map(({ mode, snapshot }) => (
+          <div key={mode.id} className="flex flex-col gap-4">
+            <LoadChart servers={snapshot.servers} maxLoad={maxLoad} title={`${mode.name}: Current Load`} heightClass="h-[360px]" />
+            <LoadHistoryChart
+              history={snapshot.history}
+              servers={snapshot.servers}
+              maxLoad={maxLoad}
+              windowMs={windowMs}
+              title={`${mode.name}: Load Trend`}
+              markers={scalingMarkers(snapshot.scalingLog, snapshot.history.length, snapshot.time, sampleIntervalMs)}
+            />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        Every algorithm runs on its own copy of the pool with the same seed, so arrivals, clients and service times are identical | Green: best in column
+      </p>
+    </div>
+  );
+});
+ComparisonPanel.displayName = 'ComparisonPanel';
+
+export default ComparisonPanel;
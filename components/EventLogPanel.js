@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { Check, ListFilter, X } from 'lucide-react';
+import { EVENT_TYPES, ROUTING_REASONS, describeEntry, filterEntries } from '@/lib/eventLog';
+
+const MAX_ROWS = 200; // Rendered at once; filters narrow down the rest
+
+const INPUT_CLASS = 'px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm';
+
+const seconds = (ms) => `${(ms / 1000).toFixed(3)}s`;
+
+// Fields shown for an expanded entry besides the ones every row already shows
+const HIDDEN_FIELDS = new Set(['id', 'eventIndex', 'time', 'type', 'candidates', 'serverIds']);
+
+const formatField = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// What the strategy saw for one routing decision: every server's load, and which ones it could pick
+const Candidates = ({ entry }) => (
+  <table className="text-xs mt-1 mb-1">
+    <thead>
+      <tr className="text-gray-500">
+        <th className="text-left pr-4 font-semibold">Server</th>
+        <th className="text-right pr-4 font-semibold">Load</th>
+        <th className="text-left pr-4 font-semibold">Eligible</th>
+        <th className="text-left font-semibold">Chosen</th>
+      </tr>
+    </thead>
+    <tbody>
+      {entry.candidates.map(c => (
+        <tr key={c.id} className={c.id === entry.serverId ? 'font-bold text-indigo-700' : ''}>
+          <td className="pr-4">{c.name}</td>
+          <td className="text-right pr-4">{c.load} / {c.maxCapacity}</td>
+          <td className="pr-4">{c.eligible ? <Check className="w-3 h-3 text-green-600" /> : <X className="w-3 h-3 text-red-500" />}</td>
+          <td>{c.id === entry.serverId && <Check className="w-3 h-3" />}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const EntryDetails = ({ entry, onJump }) => (
+  <div className="pl-44 pr-2 pb-2 text-xs text-gray-600">
+    {entry.type === 'route' && (
+      <>
+        <p>Algorithm: <span className="font-semibold">{entry.algorithm}</span> | Reason: <span className="font-semibold">{ROUTING_REASONS[entry.reason] ?? entry.reason}</span></p>
+        <Candidates entry={entry} />
+      </>
+    )}
+    <p className="text-gray-500">
+      {Object.entries(entry)
+        .filter(([key, value]) => !HIDDEN_FIELDS.has(key) && value != null && value !== '')
+        .map(([key, value]) => `${key}: ${formatField(value)}`)
+        .join(' | ')}
+    </p>
+    <button onClick={() => onJump(entry.eventIndex)} className="mt-1 px-2 rounded-full border border-gray-300 bg-white hover:bg-gray-100">
+      Show this instant (event {entry.eventIndex})
+    </button>
+  </div>
+);
+
+/**
+ * Structured, filterable log of the run: one entry per routing decision, plus arrivals,
+ * queueing, completions, failures, health changes and faults. Shows the log up to the
+ * instant on screen, so it follows time travel.
+ */
+const EventLogPanel = React.memo(({ entries, servers, onJump }) => {
+  const [type, setType] = useState('');
+  const [serverId, setServerId] = useState(null);
+  const [client, setClient] = useState('');
+  const [search, setSearch] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Newest first
+  const matching = useMemo(
+    () => filterEntries(entries, { type, serverId, client, search }).reverse(),
+    [entries, type, serverId, client, search]
+  );
+  const isFiltered = type || serverId != null || client || search;
+
+  const clearFilters = () => {
+    setType('');
+    setServerId(null);
+    setClient('');
+    setSearch('');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <ListFilter className="w-5 h-5 mr-2 text-indigo-500" /> Routing Decision Log
+        <span className="ml-auto text-sm font-normal text-gray-500">
+          {isFiltered ? `${matching.length} of ${entries.length}` : entries.length} entries
+        </span>
+      </h3>
+
+      <div className="flex flex-wrap items-center text-sm text-gray-700 mb-3">
+        <label className="flex items-center mr-4 mb-1">
+          <span className="font-semibold mr-2">Type:</span>
+          <select value={type} onChange={e => setType(e.target.value)} className={INPUT_CLASS}>
+            <option value="">All</option>
+            {Object.entries(EVENT_TYPES).map(([id, t]) => <option key={id} value={id}>{t.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center mr-4 mb-1">
+          <span className="font-semibold mr-2">Server:</span>
+          <select
+            value={serverId ?? ''}
+            onChange={e => setServerId(e.target.value === '' ? null : Number(e.target.value))}
+            className={INPUT_CLASS}
+          >
+            <option value="">All</option>
+            {servers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center mr-4 mb-1">
+          <span className="font-semibold mr-2">Client IP:</span>
+          <input value={client} onChange={e => setClient(e.target.value)} placeholder="e.g. 10.12." className={`${INPUT_CLASS} w-32`} />
+        </label>
+        <label className="flex items-center mr-4 mb-1">
+          <span className="font-semibold mr-2">Search:</span>
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="req-42, fallback..." className={`${INPUT_CLASS} w-44`} />
+        </label>
+        <button
+          onClick={clearFilters}
+          disabled={!isFiltered}
+          className="mb-1 text-xs px-3 py-1 rounded-full font-semibold border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      <div className="font-mono text-xs border rounded-md h-80 overflow-y-auto">
+        {matching.length === 0 && <p className="p-2 text-gray-400">No entries{isFiltered ? ' match these filters' : ' yet'}.</p>}
+        {matching.slice(0, MAX_ROWS).map(entry => (
+          <div key={entry.id} className={`border-b border-gray-100 ${expandedId === entry.id ? 'bg-indigo-50' : ''}`}>
+            <button
+              onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+              className="flex w-full text-left px-2 py-0.5 hover:bg-gray-50"
+            >
+              <span className="w-20 text-gray-500 flex-shrink-0">{seconds(entry.time)}</span>
+              <span className="w-24 font-semibold flex-shrink-0" style={{ color: EVENT_TYPES[entry.type]?.color }}>{EVENT_TYPES[entry.type]?.name ?? entry.type}</span>
+              <span className="flex-1 truncate">{describeEntry(entry)}</span>
+              {entry.ip && <span className="ml-2 text-gray-400 flex-shrink-0">{entry.ip}</span>}
+            </button>
+            {expandedId === entry.id && <EntryDetails entry={entry} onJump={onJump} />}
+          </div>
+        ))}
+        {matching.length > MAX_ROWS && (
+          <p className="p-2 text-gray-400">{matching.length - MAX_ROWS} older entries hidden; narrow the filters to see them.</p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        Click an entry for the candidates the algorithm saw and why it chose its server |
+        The log keeps the latest entries of the run up to the instant on screen
+      </p>
+    </div>
+  );
+});
+EventLogPanel.displayName = 'EventLogPanel';
+
+export default EventLogPanel;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Database, Download } from 'lucide-react';
+import { toCsv } from '@/lib/csv';
+import { downloadText, fileSlug } from '@/lib/download';
+import { recordingDocument, recordingTable } from '@/lib/export';
+import { summarizeMetrics } from '@/lib/metrics';
+
+const BUTTON_CLASS = 'flex items-center text-xs px-3 py-1 mr-2 mb-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300 disabled:opacity-40';
+
+// Export shape of one engine's state: its recording plus window metrics as the Metrics panel shows them
+const exportRun = ({ algorithm, snapshot }, windowMs, slaMs) => ({
+  algorithm,
+  servers: snapshot.servers,
+  recording: snapshot.recording,
+  metrics: summarizeMetrics({
+    finished: snapshot.finished,
+    history: snapshot.history,
+    servers: snapshot.servers,
+    elapsedMs: Math.min(windowMs, snapshot.time),
+    slaMs,
+  }),
+});
+
+const span = (recording) => (recording.length < 2 ? 0 : recording[recording.length - 1].timeMs - recording[0].timeMs);
+
+// Download buttons for one set of runs (the current one or the one before the last reset)
+const RunExport = ({ label, runs, scenario, windowMs, slaMs }) => {
+  const samples = runs[0]?.snapshot.recording ?? [];
+  const name = `${fileSlug(scenario.name)}-${fileSlug(label)}`;
+  const exported = () => runs.map(run => exportRun(run, windowMs, slaMs));
+
+  const downloadCsv = () => {
+    const { header, rows } = recordingTable(exported());
+    downloadText(toCsv(header, rows), `${name}.csv`, 'text/csv');
+  };
+  const downloadJson = () => {
+    const exportedDocument = recordingDocument({ scenario, runs: exported(), exportedAt: new Date().toISOString() });
+    downloadText(JSON.stringify(exportedDocument, null, 2), `${name}.json`, 'application/json');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center mb-2">
+      <span className="font-semibold w-40">{label}:</span>
+      <span className="text-xs text-gray-600 mr-4 w-64">
+        {runs.map(run => run.algorithm).join(', ')} | {samples.length} samples ({(span(samples) / 1000).toFixed(1)}s)
+      </span>
+      <button onClick={downloadCsv} disabled={samples.length === 0} className={BUTTON_CLASS}>
+        <Download className="w-3 h-3 mr-1" /> CSV
+      </button>
+      <button onClick={downloadJson} disabled={samples.length === 0} className={BUTTON_CLASS}>
+        <Download className="w-3 h-3 mr-1" /> JSON
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Recording buffer settings and CSV/JSON downloads of the per-server load and metrics
+ * timeline, for the current run and the one before the last reset
+ */
+const ExportPanel = React.memo(({ runs, previous, scenario, windowMs, slaMs, recordingLength, sampleIntervalMs, onRecordingLengthChange }) => (
+  <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+    <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+      <Database className="w-5 h-5 mr-2 text-indigo-500" /> Recording &amp; Export
+    </h3>
+
+    <div className="text-sm text-gray-700">
+      <label className="flex items-center mb-3">
+        <span className="font-semibold w-40">Recording buffer:</span>
+        <input
+          type="number"
+          min={1}
+          step={10}
+          value={(recordingLength * sampleIntervalMs) / 1000}
+          onChange={e => onRecordingLengthChange(Math.max(1, Math.round((Number(e.target.value) * 1000) / sampleIntervalMs) || 1))}
+          className="w-24 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm mr-2"
+        />
+        <span className="text-xs text-gray-600">
+          seconds ({recordingLength} samples, one every {sampleIntervalMs}ms; older samples are dropped; changing it restarts the run)
+        </span>
+      </label>
+
+      <RunExport label="Current run" runs={runs} scenario={scenario} windowMs={windowMs} slaMs={slaMs} />
+      {previous && (
+        <RunExport label="Previous run" runs={previous.runs} scenario={previous.scenario} windowMs={windowMs} slaMs={slaMs} />
+      )}
+    </div>
+
+    <p className="text-xs text-gray-400 mt-3 text-center">
+      CSV: one row per sample with the queue, requests finished since the previous sample and every server&apos;s connections and busy workers |
+      JSON adds the scenario and the last {windowMs / 1000}s metrics | Charts download from their own headings
+    </p>
+  </div>
+));
+ExportPanel.displayName = 'ExportPanel';
+
+export default ExportPanel;
@@ -0,0 +1,129 @@
+import React, { useMemo } from 'react';
+import { Shuffle } from 'lucide-react';
+import { MAX_CLIENT_POOL_SIZE } from '@/lib/clients';
+import { buildRing, ringShare, hashKey, MAX_VIRTUAL_NODES, RING_SIZE } from '@/lib/hashRing';
+
+const RING_RADIUS = 100;
+const RING_CENTER = 120;
+const MAX_LISTED_KEYS = 12;
+
+// Position on the drawn circle for a 32-bit ring point (0 at 12 o'clock, clockwise)
+const ringPosition = (point, radius = RING_RADIUS) => {
+  const angle = (point / RING_SIZE) * 2 * Math.PI - Math.PI / 2;
+  return { x: RING_CENTER + radius * Math.cos(angle), y: RING_CENTER + radius * Math.sin(angle) };
+};
+
+/**
+ * Consistent hash ring view: virtual nodes per server, each server's share of the
+ * key space, and which client IPs moved after the last availability change.
+ */
+const HashRingPanel = React.memo(({ servers, clientIps, virtualNodes, clientPoolSize, remap, onVirtualNodesChange, onClientPoolSizeChange }) => {
+  const ring = useMemo(() => buildRing(servers, virtualNodes), [servers, virtualNodes]);
+  const liveShare = useMemo(
+    () => ringShare(buildRing(servers.filter(s => s.isAvailable), virtualNodes)),
+    [servers, virtualNodes]
+  );
+
+  const nameOf = (id) => servers.find(s => s.id === id)?.name ?? `Server ${id}`;
+  const movedKeys = new Set(remap ? remap.moved.map(m => m.key) : []);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Shuffle className="w-5 h-5 mr-2 text-indigo-500" /> Consistent Hash Ring
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="flex flex-col items-center">
+          <svg viewBox={`0 0 ${RING_CENTER * 2} ${RING_CENTER * 2}`} className="w-64 h-64">
+            <circle cx={RING_CENTER} cy={RING_CENTER} r={RING_RADIUS} fill="none" stroke="#e5e7eb" strokeWidth="6" />
+
+            {/* Client keys just inside the ring; remapped ones are highlighted */}
+            {clientIps.map(ip => {
+              const { x, y } = ringPosition(hashKey(ip), RING_RADIUS - 14);
+              const moved = movedKeys.has(ip);
+              return <circle key={ip} cx={x} cy={y} r={moved ? 3 : 1.5} fill={moved ? '#111827' : '#9ca3af'} />;
+            })}
+
+            {/* Virtual nodes on the ring */}
+            {ring.map(({ point, serverId }) => {
+              const server = servers.find(s => s.id === serverId);
+              const { x, y } = ringPosition(point);
+              return (
+                <circle
+                  key={`${serverId}-${point}`}
+                  cx={x}
+                  cy={y}
+                  r="4"
+                  fill={server.isAvailable ? server.color : '#d1d5db'}
+                  stroke="white"
+                  strokeWidth="1"
+                />
+              );
+            })}
+          </svg>
+
+          <div className="flex flex-wrap justify-center gap-x-4 gap-y-1 mt-2">
+            {servers.map(s => (
+              <span key={`share-${s.id}`} className="text-xs text-gray-700 flex items-center">
+                <span className="w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: s.isAvailable ? s.color : '#d1d5db' }}></span>
+                {s.name}: {((liveShare[s.id] || 0) * 100).toFixed(1)}%
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-col text-sm text-gray-700">
+          <div className="flex flex-wrap gap-4 mb-4">
+            <label className="flex items-center">
+              <span className="font-semibold mr-2">Virtual nodes / server:</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_VIRTUAL_NODES}
+                value={virtualNodes}
+                onChange={e => onVirtualNodesChange(Math.min(MAX_VIRTUAL_NODES, Math.max(1, Number(e.target.value) || 1)))}
+                className="w-20 px-2 py-1 rounded-md border border-gray-300"
+              />
+            </label>
+            <label className="flex items-center">
+              <span className="font-semibold mr-2">Client IPs:</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_CLIENT_POOL_SIZE}
+                value={clientPoolSize}
+                onChange={e => onClientPoolSizeChange(Math.min(MAX_CLIENT_POOL_SIZE, Math.max(1, Number(e.target.value) || 1)))}
+                className="w-20 px-2 py-1 rounded-md border border-gray-300"
+              />
+            </label>
+          </div>
+
+          {remap ? (
+            <>
+              <p className="mb-2">
+                <span className="font-semibold">{remap.serverName}</span> went {remap.isAvailable ? 'up' : 'down'}:{' '}
+                <span className="font-bold text-indigo-700">{remap.moved.length}</span> of {remap.total} client IPs remapped
+                ({((remap.moved.length / remap.total) * 100).toFixed(1)}%).
+              </p>
+              <p className="mb-3 text-gray-500">
+                A plain <code>hash % N</code> scheme would have remapped {remap.moduloMoved} ({((remap.moduloMoved / remap.total) * 100).toFixed(1)}%).
+              </p>
+              <ul className="font-mono text-xs max-h-40 overflow-y-auto border-t pt-2">
+                {remap.moved.slice(0, MAX_LISTED_KEYS).map(({ key, from, to }) => (
+                  <li key={key}>{key}: {from ? nameOf(from) : '-'} → {to ? nameOf(to) : '-'}</li>
+                ))}
+                {remap.moved.length > MAX_LISTED_KEYS && <li className="text-gray-400">…and {remap.moved.length - MAX_LISTED_KEYS} more</li>}
+              </ul>
+            </>
+          ) : (
+            <p className="text-gray-500">Toggle a server&apos;s health to see which client IPs are remapped.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+HashRingPanel.displayName = 'HashRingPanel';
+
+export default HashRingPanel;
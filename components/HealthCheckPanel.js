@@ -0,0 +1,105 @@
+import React from 'react';
+import { HeartPulse } from 'lucide-react';
+
+const HEALTH_CHECK_FIELDS = [
+  { key: 'intervalMs', label: 'Interval (ms)', min: 100, step: 100 },
+  { key: 'timeoutMs', label: 'Timeout (ms)', min: 10, step: 50 },
+  { key: 'rise', label: 'Rise', min: 1, step: 1 },
+  { key: 'fall', label: 'Fall', min: 1, step: 1 },
+];
+
+const OUTLIER_FIELDS = [
+  { key: 'consecutiveFailures', label: 'Eject after failures', min: 1, step: 1 },
+  { key: 'ejectionMs', label: 'Ejection (ms)', min: 100, step: 500 },
+];
+
+const RETRY_FIELDS = [
+  { key: 'maxRetries', label: 'Max retries / request', min: 0, step: 1 },
+  { key: 'budgetPercent', label: 'Budget (% of requests)', min: 0, step: 5 },
+  { key: 'budgetBurst', label: 'Burst', min: 1, step: 1 },
+];
+
+const STATE_COLORS = {
+  healthy: 'text-green-700',
+  suspect: 'text-yellow-700',
+  down: 'text-red-700',
+  recovering: 'text-blue-700',
+};
+
+// Enable checkbox plus numeric inputs for one detector's settings
+const SettingsGroup = ({ title, fields, values, onChange }) => (
+  <div className="flex flex-wrap items-center mb-2">
+    <label className="flex items-center font-semibold w-56">
+      <input type="checkbox" checked={values.enabled} onChange={e => onChange({ enabled: e.target.checked })} className="mr-2" />
+      {title}
+    </label>
+    {fields.map(field => (
+      <label key={field.key} className="flex items-center mr-3 mb-1">
+        <span className="text-xs text-gray-600 mr-1">{field.label}</span>
+        <input
+          type="number"
+          min={field.min}
+          step={field.step}
+          value={values[field.key]}
+          disabled={!values.enabled}
+          onChange={e => onChange({ [field.key]: Math.max(field.min, Number(e.target.value) || field.min) })}
+          className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm disabled:opacity-50"
+        />
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * Health checking settings and, per server, its real state next to what the balancer believes
+ */
+const HealthCheckPanel = React.memo(({ servers, healthCheck, outlierDetection, retry, onHealthCheckChange, onOutlierDetectionChange, onRetryChange }) => (
+  <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+    <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+      <HeartPulse className="w-5 h-5 mr-2 text-indigo-500" /> Health Checks, Failure Detection &amp; Retries
+    </h3>
+
+    <div className="text-sm text-gray-700">
+      <SettingsGroup title="Active probes" fields={HEALTH_CHECK_FIELDS} values={healthCheck} onChange={onHealthCheckChange} />
+      <SettingsGroup title="Passive outlier ejection" fields={OUTLIER_FIELDS} values={outlierDetection} onChange={onOutlierDetectionChange} />
+      <SettingsGroup title="Retry failed requests" fields={RETRY_FIELDS} values={retry} onChange={onRetryChange} />
+    </div>
+
+    <table className="w-full text-sm text-gray-700 mt-4">
+      <thead>
+        <tr className="text-xs text-gray-500">
+          <th className="px-2 py-1 text-left">Server</th>
+          <th className="px-2 py-1 text-left">Actual</th>
+          <th className="px-2 py-1 text-left">LB View</th>
+          <th className="px-2 py-1 text-left">Drain</th>
+          <th className="px-2 py-1 text-right">Probe OK / Fail Streak</th>
+          <th className="px-2 py-1 text-right">Request Fail Streak</th>
+          <th className="px-2 py-1 text-right">Ejected Until</th>
+          <th className="px-2 py-1 text-right">Failed Attempts</th>
+        </tr>
+      </thead>
+      <tbody>
+        {servers.map(s => (
+          <tr key={s.id} className="border-t border-gray-100">
+            <td className="px-2 py-1 font-medium">{s.name}</td>
+            <td className={`px-2 py-1 font-semibold ${s.isUp ? 'text-green-700' : 'text-red-700'}`}>{s.isUp ? 'Up' : 'Crashed'}</td>
+            <td className={`px-2 py-1 font-semibold uppercase ${STATE_COLORS[s.health]}`}>{s.health}</td>
+            <td className="px-2 py-1 text-gray-600">{s.isDraining ? (s.load > 0 ? `Draining (${s.load} left)` : 'Drained') : '-'}</td>
+            <td className="px-2 py-1 text-right font-mono">{s.probeSuccesses} / {s.probeFailures}</td>
+            <td className="px-2 py-1 text-right font-mono">{s.requestFailures}</td>
+            <td className="px-2 py-1 text-right font-mono">{s.ejectedUntil != null ? `${(s.ejectedUntil / 1000).toFixed(1)}s` : '-'}</td>
+            <td className="px-2 py-1 text-right font-mono">{s.failures}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+
+    <p className="text-xs text-gray-400 mt-3 text-center">
+      Crashing a server changes its actual state only: it keeps receiving traffic until a probe or request failure streak reveals it.
+      Its in-flight requests fail and are retried elsewhere while the retry budget lasts. Draining stops new traffic but lets current requests finish.
+    </p>
+  </div>
+));
+HealthCheckPanel.displayName = 'HealthCheckPanel';
+
+export default HealthCheckPanel;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { Radio, Plus, Play, Square, Trash2 } from 'lucide-react';
+import LoadChart from '@/components/LoadChart';
+import LoadHistoryChart from '@/components/LoadHistoryChart';
+import { LIVE_BACKEND_DEFAULTS, LIVE_DEFAULTS, MAX_LIVE_BACKENDS } from '@/lib/live';
+
+const INPUT_CLASS = 'w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm';
+const SERVER_UNREACHABLE = 'Live mode needs the Next.js server (npm run dev or npm start); a static export has no API routes.';
+
+// Editable fields of a backend; the error rate is edited as a percentage
+const NUMBER_FIELDS = [
+  { key: 'latencyMs', label: 'Latency (ms)', min: 0, step: 10 },
+  { key: 'jitterMs', label: '± (ms)', min: 0, step: 10 },
+  { key: 'errorRate', label: 'Errors (%)', min: 0, max: 100, step: 1, scale: 100 },
+  { key: 'weight', label: 'Weight', min: 1, step: 1 },
+  { key: 'maxCapacity', label: 'Max conns', min: 1, step: 1 },
+];
+
+const formatMs = (ms) => (ms == null ? '-' : `${Math.round(ms)} ms`);
+
+// Sends live settings to the server: the response's stats, or the errors it answered with
+const postSettings = async (method, settings) => {
+  const response = await fetch('/api/live', {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: settings && JSON.stringify(settings),
+  });
+  const body = await response.json();
+  if (!response.ok) throw new Error(body.errors.join(' '));
+  return body;
+};
+
+/**
+ * Live backend mode: starts mock HTTP backends on the Next.js server and balances real
+ * requests sent to /api/live/proxy over them with the chosen algorithm. Streams each
+ * backend's connections, request counts and latencies into the same charts as the
+ * simulation, so both can be compared under traffic from a real load generator.
+ */
+const LivePanel = React.memo(({ modes, colors }) => {
+  const [settings, setSettings] = useState({ mode: LIVE_DEFAULTS.mode, backends: LIVE_DEFAULTS.backends });
+  const [stats, setStats] = useState({ running: false });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [proxyUrl, setProxyUrl] = useState('/api/live/proxy');
+
+  // A balancer may already be running from an earlier visit: pick up its settings
+  useEffect(() => {
+    setProxyUrl(`${window.location.origin}/api/live/proxy`);
+    fetch('/api/live')
+      .then(response => response.json())
+      .then(current => {
+        setStats(current);
+        if (current.running) {
+          setSettings({ mode: current.mode, backends: current.backends.map(b => Object.fromEntries(['id', 'name', ...NUMBER_FIELDS.map(f => f.key)].map(key => [key, b[key]]))) });
+        }
+      })
+      .catch(() => setError(SERVER_UNREACHABLE));
+  }, []);
+
+  // Stats stream in while the balancer runs
+  useEffect(() => {
+    if (!stats.running) return undefined;
+    const source = new EventSource('/api/live/stream');
+    source.onmessage = (event) => setStats(JSON.parse(event.data));
+    return () => source.close();
+  }, [stats.running]);
+
+  const run = async (method, body) => {
+    setBusy(true);
+    try {
+      setStats(await postSettings(method, body));
+      setError(null);
+    } catch (failure) {
+      setError(failure instanceof TypeError ? SERVER_UNREACHABLE : failure.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateBackend = (id, changes) => setSettings({ ...settings, backends: settings.backends.map(b => (b.id === id ? { ...b, ...changes } : b)) });
+  const addBackend = () => {
+    const id = Math.max(0, ...settings.backends.map(b => b.id)) + 1;
+    setSettings({ ...settings, backends: [...settings.backends, { id, name: `Backend ${id}`, ...LIVE_BACKEND_DEFAULTS }] });
+  };
+
+  const withColor = (backend) => ({ ...backend, color: colors[(backend.id - 1) % colors.length] });
+  const liveBackends = stats.running ? stats.backends.map(withColor) : [];
+  const maxLoad = Math.max(1, ...liveBackends.map(b => b.maxCapacity));
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex flex-wrap items-center border-b pb-3">
+        <Radio className="w-5 h-5 mr-2 text-indigo-500" /> Live Backends
+        <span className={`ml-3 text-xs font-bold px-2 py-0.5 rounded-full ${stats.running ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>
+          {stats.running ? 'RUNNING' : 'STOPPED'}
+        </span>
+        {stats.running && (
+          <span className="ml-auto text-sm font-normal text-gray-500">
+            {stats.totals.requests} requests | {stats.totals.errors} errors | {stats.totals.inFlight} in flight | {stats.totals.rejected} rejected
+          </span>
+        )}
+      </h3>
+
+      <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+        <p className="font-semibold flex flex-wrap items-center mb-3">
+          <label className="flex items-center font-normal">
+            <span className="text-xs text-gray-600 mr-1">Algorithm</span>
+            <select value={settings.mode} onChange={e => setSettings({ ...settings, mode: e.target.value })} className={`${INPUT_CLASS} w-auto`}>
+              {modes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+            </select>
+          </label>
+          <button
+            onClick={addBackend}
+            disabled={settings.backends.length >= MAX_LIVE_BACKENDS}
+            className="ml-auto flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300 disabled:opacity-50"
+          >
+            <Plus className="w-3 h-3 mr-1" /> Add Backend
+          </button>
+          <button
+            onClick={() => run('POST', settings)}
+            disabled={busy}
+            className="ml-2 flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-green-50 text-green-700 hover:bg-green-100 border-green-300 disabled:opacity-50"
+          >
+            <Play className="w-3 h-3 mr-1" /> {stats.running ? 'Apply & Restart' : 'Start'}
+          </button>
+          <button
+            onClick={() => run('DELETE')}
+            disabled={busy || !stats.running}
+            className="ml-2 flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-red-50 text-red-700 hover:bg-red-100 border-red-300 disabled:opacity-50"
+          >
+            <Square className="w-3 h-3 mr-1" /> Stop
+          </button>
+        </p>
+
+        {settings.backends.map(backend => (
+          <div key={backend.id} className="flex flex-wrap items-center mb-1">
+            <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: withColor(backend).color }}></span>
+            <input
+              type="text"
+              value={backend.name}
+              onChange={e => updateBackend(backend.id, { name: e.target.value })}
+              className={`${INPUT_CLASS} w-32 mr-4 mb-1`}
+              aria-label="Backend name"
+            />
+            {NUMBER_FIELDS.map(({ key, label, min, max, step, scale = 1 }) => (
+              <label key={key} className="flex items-center mr-3 mb-1">
+                <span className="text-xs text-gray-600 mr-1">{label}</span>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={Math.round(backend[key] * scale * 100) / 100}
+                  onChange={e => {
+                    const value = Number(e.target.value);
+                    if (Number.isFinite(value)) updateBackend(backend.id, { [key]: Math.min(max ?? Infinity, Math.max(min, value)) / scale });
+                  }}
+                  className={INPUT_CLASS}
+                />
+              </label>
+            ))}
+            <button
+              onClick={() => setSettings({ ...settings, backends: settings.backends.filter(b => b.id !== backend.id) })}
+              disabled={settings.backends.length === 1}
+              className="ml-auto mb-1 p-1 rounded-md text-red-600 hover:bg-red-100 disabled:opacity-30 disabled:hover:bg-transparent"
+              title={`Remove ${backend.name}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+
+        {error && <p className="text-xs text-red-600 mt-2">{error}</p>}
+        <p className="text-xs text-gray-400 mt-2">
+          Send traffic to <span className="font-mono text-gray-600">{proxyUrl}</span> with any HTTP client or load generator, for
+          example <span className="font-mono text-gray-600">npx autocannon -c 20 -d 30 {proxyUrl}</span>. An{' '}
+          <span className="font-mono">x-client-ip</span> header sets the client IP that IP Hash sees, and responses name their
+          backend in <span className="font-mono">x-lb-backend</span>. Settings apply when the balancer (re)starts.
+        </p>
+      </div>
+
+      {stats.running && (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+            <LoadChart servers={liveBackends} maxLoad={maxLoad} title="Live Connections" heightClass="h-[400px]" />
+            <div className="lg:col-span-2">
+              <LoadHistoryChart
+                history={stats.history}
+                servers={liveBackends}
+                maxLoad={maxLoad}
+                windowMs={LIVE_DEFAULTS.historyLength * stats.sampleIntervalMs}
+                title="Live Connections Trend"
+              />
+            </div>
+          </div>
+
+          <div className="font-mono text-xs border rounded-md overflow-x-auto">
+            <p className="px-2 py-1 border-b bg-gray-50 flex font-semibold text-gray-600">
+              <span className="w-32">Backend</span>
+              <span className="w-24 text-right">Requests</span>
+              <span className="w-20 text-right">Share</span>
+              <span className="w-20 text-right">Errors</span>
+              <span className="w-20 text-right">Avg</span>
+              <span className="w-20 text-right">p50</span>
+              <span className="w-20 text-right">p95</span>
+              <span className="w-20 text-right">p99</span>
+            </p>
+            {liveBackends.map(backend => (
+              <p key={backend.id} className="px-2 py-0.5 border-b border-gray-100 flex" title={`127.0.0.1:${backend.port}`}>
+                <span className="w-32 font-semibold" style={{ color: backend.color }}>{backend.name}</span>
+                <span className="w-24 text-right">{backend.requests}</span>
+                <span className="w-20 text-right">{stats.totals.requests > 0 ? `${((backend.requests / stats.totals.requests) * 100).toFixed(1)}%` : '-'}</span>
+                <span className="w-20 text-right">{backend.requests > 0 ? `${((backend.errors / backend.requests) * 100).toFixed(1)}%` : '-'}</span>
+                <span className="w-20 text-right">{formatMs(backend.latency.mean)}</span>
+                <span className="w-20 text-right">{formatMs(backend.latency.p50)}</span>
+                <span className="w-20 text-right">{formatMs(backend.latency.p95)}</span>
+                <span className="w-20 text-right">{formatMs(backend.latency.p99)}</span>
+              </p>
+            ))}
+          </div>
+
+          <p className="text-xs text-gray-400 mt-3 text-center">
+            Latencies are measured at the proxy over each backend&apos;s latest {LIVE_DEFAULTS.latencyWindow} responses |
+            The trend shows each backend&apos;s peak connections per {stats.sampleIntervalMs} ms |
+            Requests that find every backend at its max connections are rejected with a 503
+          </p>
+        </>
+      )}
+    </div>
+  );
+});
+LivePanel.displayName = 'LivePanel';
+
+export default LivePanel;
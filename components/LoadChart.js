@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import ChartDownloadButtons from '@/components/ChartDownloadButtons';
+import { loadBarsSvg } from '@/lib/chartSvg';
+
+/**
+ * Dynamic Real-time Load Chart (Vertical Bar Chart) - Visualizing current state
+ */
+const LoadChart = React.memo(({ servers, maxLoad, title = 'Current Server Load (Connections)', heightClass = 'h-[400px] lg:h-[650px]' }) => {
+  const yAxisMarkers = useMemo(() => [4, 3, 2, 1, 0].map(i => Math.round((maxLoad * i) / 4)), [maxLoad]);
+
+  return (
+    <div className={`bg-white p-6 rounded-xl shadow-2xl ${heightClass} flex flex-col`}>
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex flex-wrap items-center gap-y-1 border-b pb-3">
+        <BarChart3 className="w-5 h-5 mr-2 text-indigo-500" /> {title}
+        <ChartDownloadButtons title={title} getSvg={() => loadBarsSvg({ servers, maxLoad, title })} />
+      </h3>
+      
+      <div className="flex flex-grow relative overflow-hidden px-2 pt-2 pb-6">
+        
+        {/* Y-Axis Labels and Grid Lines */}
+        <div className="absolute inset-y-0 left-0 w-10 text-right text-xs text-gray-500 flex flex-col justify-between py-4 pointer-events-none">
+          {yAxisMarkers.map((marker, index) => (
+            <div key={index} className="-translate-y-1/2 pr-1">
+              {marker}
+              {index > 0 && (
+                <div 
+                    className="absolute inset-x-10 right-0 border-t border-gray-200 z-0" 
+                    style={{ top: `${(index / (yAxisMarkers.length - 1)) * 100}%` }}
+                ></div>
+              )}
+            </div>
+          ))}
+        </div>
+        
+        {/* Plot Area - Main Bars */}
+        <div className="flex flex-grow pl-10 items-end justify-around border-b border-gray-400">
+          
+          {servers.map(server => {
+            // Bar height is on the shared axis, its color relative to the server's own capacity
+            const loadPercentage = (server.load / maxLoad) * 100;
+            const capacityPercentage = (server.maxCapacity / maxLoad) * 100;
+            const usedPercentage = (server.load / server.maxCapacity) * 100;
+            const loadColor = usedPercentage > 85 ? 'bg-red-500' : usedPercentage > 50 ? 'bg-yellow-500' : 'bg-green-500';
+            
+            return (
+              <div key={server.id} className="h-full flex-1 max-w-[4rem] flex flex-col items-center justify-end relative mx-1">
+                <div className="absolute bottom-full mb-1 text-sm font-bold text-gray-700">
+                  {server.load}
+                </div>
+
+                {/* This server's own capacity */}
+                <div
+                  className="absolute inset-x-0 border-t-2 border-dashed border-red-300 z-20"
+                  style={{ bottom: `${capacityPercentage}%` }}
+                  title={`${server.name}: capacity ${server.maxCapacity}`}
+                ></div>
+                
+                <div
+                  className={`w-full rounded-t-lg transition-all duration-300 ease-out z-10 ${loadColor} shadow-lg`}
+                  style={{ height: `${loadPercentage}%` }}
+                  title={`${server.name}: ${server.load} connections`}
+                ></div>
+                
+                <div className="absolute top-full mt-2 text-xs font-semibold text-gray-700 whitespace-nowrap">
+                  {server.name.replace('Server ', '')}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      <p className="text-xs text-gray-400 pt-2 text-center border-t mt-8">X-Axis: Server Name | Y-Axis: Active Connections | Dashed: Each Server&apos;s Capacity</p>
+    </div>
+  );
+});
+LoadChart.displayName = 'LoadChart';
+
+export default LoadChart;
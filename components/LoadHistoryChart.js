@@ -0,0 +1,135 @@
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import ChartDownloadButtons from '@/components/ChartDownloadButtons';
+import { MARKER_COLORS, loadTrendSvg } from '@/lib/chartSvg';
+
+/**
+ * Historical Line Chart (Stock Market Style) - Visualizing load trend over time.
+ * `markers` are autoscaling actions drawn as dashed lines (see scalingMarkers()).
+ */
+const LoadHistoryChart = React.memo(({ history, servers, maxLoad, windowMs, title = 'Server Load Trend', markers = [] }) => {
+    if (history.length < 2) {
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-2xl h-[400px] flex items-center justify-center border border-gray-200">
+                <p className="text-gray-500">Run the simulation to generate historical load data...</p>
+            </div>
+        );
+    }
+
+    const SVG_WIDTH = 1000;
+    const SVG_HEIGHT = 300;
+    const PADDING_X = 50;
+    const PADDING_Y = 20;
+    const PLOT_WIDTH = SVG_WIDTH - 2 * PADDING_X;
+    const PLOT_HEIGHT = SVG_HEIGHT - 2 * PADDING_Y;
+
+    // Scale functions
+    const scaleX = (index) => PADDING_X + (index / (history.length - 1)) * PLOT_WIDTH;
+    const scaleY = (load) => PADDING_Y + PLOT_HEIGHT - (load / maxLoad) * PLOT_HEIGHT;
+
+    // Generate SVG path for each server. Samples are keyed by server id; a server
+    // added mid-window has no samples before it joined, so its line starts later.
+    const serverPaths = servers.map(server => {
+        const points = history
+            .map((loads, index) => (loads[server.id] == null ? null : `${scaleX(index)},${scaleY(loads[server.id])}`))
+            .filter(Boolean)
+            .join(' L ');
+
+        return {
+            id: server.id,
+            name: server.name,
+            color: server.color,
+            d: points ? `M ${points}` : '',
+        };
+    });
+
+    const yAxisMarkers = [4, 3, 2, 1, 0].map(i => Math.round((maxLoad * i) / 4)).map(value => ({
+        value,
+        y: scaleY(value)
+    }));
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+            <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+                <TrendingUp className="w-5 h-5 mr-2 text-indigo-500" /> {title} (Last {windowMs / 1000}s)
+                <ChartDownloadButtons
+                    title={title}
+                    getSvg={() => loadTrendSvg({ history, servers, maxLoad, markers, title: `${title} (last ${windowMs / 1000}s)` })}
+                />
+            </h3>
+            
+            <div className="relative overflow-x-auto">
+                <svg viewBox={`0 0 ${SVG_WIDTH} ${SVG_HEIGHT}`} className="w-full h-auto">
+                    {/* Background Grid Lines (Y-Axis) */}
+                    {yAxisMarkers.map(({ value, y }) => (
+                        <React.Fragment key={value}>
+                            <line 
+                                x1={PADDING_X} 
+                                y1={y} 
+                                x2={SVG_WIDTH - PADDING_X} 
+                                y2={y} 
+                                stroke={value === maxLoad ? '#f87171' : value === 0 ? '#4b5563' : '#e5e7eb'} 
+                                strokeWidth={value === maxLoad ? 2 : 1}
+                                strokeDasharray={value === maxLoad ? '4 4' : 'none'}
+                            />
+                            {/* Y-Axis Label */}
+                            <text x={PADDING_X - 5} y={y + 4} textAnchor="end" fontSize="12" fill="#6b7280">
+                                {value}
+                            </text>
+                        </React.Fragment>
+                    ))}
+                    
+                    {/* X-Axis Line */}
+                    <line 
+                        x1={PADDING_X} 
+                        y1={scaleY(0)} 
+                        x2={SVG_WIDTH - PADDING_X} 
+                        y2={scaleY(0)} 
+                        stroke="#4b5563" 
+                        strokeWidth="1"
+                    />
+
+                    {/* Scaling actions: scale-out in teal, scale-in in orange */}
+                    {markers.map(({ index, direction, label }) => (
+                        <React.Fragment key={`marker-${index}-${label}`}>
+                            <line x1={scaleX(index)} y1={PADDING_Y} x2={scaleX(index)} y2={scaleY(0)} stroke={MARKER_COLORS[direction]} strokeWidth="1.5" strokeDasharray="6 3" />
+                            <text x={scaleX(index) + 3} y={PADDING_Y + 10} fontSize="11" fill={MARKER_COLORS[direction]}>{label}</text>
+                        </React.Fragment>
+                    ))}
+
+                    {/* Server Load Paths */}
+                    {serverPaths.map(path => (
+                        <path
+                            key={path.id}
+                            d={path.d}
+                            fill="none"
+                            stroke={path.color}
+                            strokeWidth="3"
+                            vectorEffect="non-scaling-stroke"
+                            className="transition-all duration-100 ease-linear"
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                        />
+                    ))}
+                </svg>
+            </div>
+            
+            {/* Legend */}
+            <div className="flex justify-center flex-wrap gap-x-6 gap-y-2 mt-4 pt-4 border-t border-gray-100">
+                {servers.map(server => (
+                    <div key={`legend-${server.id}`} className="flex items-center">
+                        <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: server.color }}></span>
+                        <span className="text-sm text-gray-700 font-medium">{server.name}</span>
+                        {server.weight > 1 && <span className="text-xs text-gray-500 ml-1">(W: {server.weight})</span>}
+                    </div>
+                ))}
+            </div>
+            <p className="text-xs text-gray-400 mt-2 text-center">
+                Y-Axis: Active Connections | Red Dashed Line: Largest Server Capacity ({maxLoad}){markers.length > 0 && ' | Teal/Orange Dashed: Scale-Out/Scale-In'}
+            </p>
+        </div>
+    );
+});
+LoadHistoryChart.displayName = 'LoadHistoryChart';
+
+export default LoadHistoryChart;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+
+const formatMs = (value) => (value == null ? '-' : `${Math.round(value)}ms`);
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Latency cell, highlighted when it breaks the SLA
+const LatencyCell = ({ value, slaMs }) => (
+  <td className={`px-2 py-1 text-right font-mono ${value != null && value > slaMs ? 'text-red-600 font-bold bg-red-50' : ''}`}>
+    {formatMs(value)}
+  </td>
+);
+
+const StatCard = ({ label, value, violated }) => (
+  <div className={`rounded-lg p-3 text-center border ${violated ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-100'}`}>
+    <p className={`text-xl font-bold ${violated ? 'text-red-600' : 'text-gray-800'}`}>{value}</p>
+    <p className="text-xs text-gray-500">{label}</p>
+  </div>
+);
+
+const TABLE_HEADERS = ['Throughput', 'p50', 'p95', 'p99', 'Queue Wait', 'Drop Rate', 'Utilization', 'SLA Misses'];
+
+// One table row of window metrics
+const MetricsRow = ({ label, color, stats, slaMs }) => (
+  <tr className="border-t border-gray-100">
+    <td className="px-2 py-1 font-medium whitespace-nowrap">
+      {color && <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: color }}></span>}
+      {label}
+    </td>
+    <td className="px-2 py-1 text-right font-mono">{stats.throughput.toFixed(1)}/s</td>
+    <LatencyCell value={stats.p50} slaMs={slaMs} />
+    <LatencyCell value={stats.p95} slaMs={slaMs} />
+    <LatencyCell value={stats.p99} slaMs={slaMs} />
+    <td className="px-2 py-1 text-right font-mono">{formatMs(stats.avgQueueWait)}</td>
+    <td className="px-2 py-1 text-right font-mono">{formatPercent(stats.dropRate)}</td>
+    <td className="px-2 py-1 text-right font-mono">{formatPercent(stats.utilization)}</td>
+    <td className={`px-2 py-1 text-right font-mono ${stats.slaViolations > 0 ? 'text-red-600' : ''}`}>{stats.slaViolations}</td>
+  </tr>
+);
+
+const MetricsTable = ({ title, rows, slaMs }) => (
+  <div className="overflow-x-auto mt-4">
+    <p className="text-sm font-semibold text-gray-700 mb-1">{title}</p>
+    <table className="w-full text-sm text-gray-700">
+      <thead>
+        <tr className="text-xs text-gray-500">
+          <th className="px-2 py-1 text-left"></th>
+          {TABLE_HEADERS.map(header => <th key={header} className="px-2 py-1 text-right">{header}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => <MetricsRow key={row.key} label={row.label} color={row.color} stats={row.stats} slaMs={slaMs} />)}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Throughput, latency percentiles, queue wait, drops and utilization over the metrics
+ * window, per server and in aggregate, plus the last run of each algorithm.
+ */
+const MetricsPanel = React.memo(({ metrics, windowMs, slaMs, onSlaChange, algorithmRuns }) => {
+  const { aggregate, perServer } = metrics;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Gauge className="w-5 h-5 mr-2 text-indigo-500" /> Latency &amp; SLA Metrics (Last {windowMs / 1000}s)
+        <label className="ml-auto flex items-center text-sm font-semibold text-gray-700">
+          SLA (ms):
+          <input
+            type="number"
+            min="1"
+            step="100"
+            value={slaMs}
+            onChange={e => onSlaChange(Math.max(1, Number(e.target.value) || 1))}
+            className="w-24 ml-2 px-2 py-1 rounded-md border border-gray-300 bg-white font-normal"
+          />
+        </label>
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-3">
+        <StatCard label="Throughput" value={`${aggregate.throughput.toFixed(1)}/s`} />
+        <StatCard label="p50 Latency" value={formatMs(aggregate.p50)} violated={aggregate.p50 > slaMs} />
+        <StatCard label="p95 Latency" value={formatMs(aggregate.p95)} violated={aggregate.p95 > slaMs} />
+        <StatCard label="p99 Latency" value={formatMs(aggregate.p99)} violated={aggregate.p99 > slaMs} />
+        <StatCard label="Avg Queue Wait" value={formatMs(aggregate.avgQueueWait)} />
+        <StatCard label="Drop Rate" value={formatPercent(aggregate.dropRate)} violated={aggregate.dropped > 0} />
+        <StatCard label="Utilization" value={formatPercent(aggregate.utilization)} />
+        <StatCard label="SLA Misses" value={aggregate.slaViolations} violated={aggregate.slaViolations > 0} />
+      </div>
+
+      <MetricsTable
+        title="Per Server"
+        slaMs={slaMs}
+        rows={perServer.map(stats => ({ key: stats.id, label: stats.name, color: stats.color, stats }))}
+      />
+
+      {algorithmRuns.length > 0 && (
+        <MetricsTable
+          title="Per Algorithm (metrics window at the end of each algorithm's last run)"
+          slaMs={slaMs}
+          rows={algorithmRuns.map(run => ({ key: run.mode, label: run.name, stats: run.aggregate }))}
+        />
+      )}
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        Latency = completion - arrival (includes LB queue wait, transit and waiting for a worker) | Red: above the SLA threshold
+      </p>
+    </div>
+  );
+});
+MetricsPanel.displayName = 'MetricsPanel';
+
+export default MetricsPanel;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Inbox } from 'lucide-react';
+
+const SVG_WIDTH = 1000;
+const SVG_HEIGHT = 160;
+const PADDING_X = 50;
+const PADDING_Y = 15;
+const PLOT_WIDTH = SVG_WIDTH - 2 * PADDING_X;
+const PLOT_HEIGHT = SVG_HEIGHT - 2 * PADDING_Y;
+
+const OUTCOME_LABELS = [
+  { id: 'served', label: 'Served', color: 'text-green-600' },
+  { id: 'queuedThenServed', label: 'Queued, then served', color: 'text-indigo-600' },
+  { id: 'timedOut', label: 'Timed out', color: 'text-yellow-600' },
+  { id: 'rejected', label: 'Rejected', color: 'text-red-600' },
+  { id: 'failed', label: 'Failed at server', color: 'text-gray-700' },
+];
+
+const COUNTER_LABELS = [
+  { id: 'refused', label: 'Refused by crashed server' },
+  { id: 'reset', label: 'Cut off (crash or removal)' },
+  { id: 'lost', label: 'Lost in the network' },
+  { id: 'retries', label: 'Retries sent' },
+  { id: 'retriesDenied', label: 'Retries denied (budget)' },
+  { id: 'completedWhileDraining', label: 'Finished while draining' },
+];
+
+/**
+ * LB queue panel: outcome totals plus queue depth (line) and rejections/timeouts (bars) over time
+ */
+const QueueStatsPanel = React.memo(({ outcomes, counters, queueHistory, maxQueueDepth, queueTimeoutMs }) => {
+  const maxDrops = Math.max(1, ...queueHistory.map(h => h.rejected + h.timedOut));
+  const slotWidth = PLOT_WIDTH / Math.max(1, queueHistory.length);
+  const scaleX = (index) => PADDING_X + index * slotWidth;
+  const scaleDepth = (depth) => PADDING_Y + PLOT_HEIGHT - (depth / Math.max(1, maxQueueDepth)) * PLOT_HEIGHT;
+  const scaleDrops = (count) => (count / maxDrops) * PLOT_HEIGHT;
+
+  const depthPath = queueHistory.map((h, index) => `${scaleX(index) + slotWidth / 2},${scaleDepth(h.queueDepth)}`).join(' L ');
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Inbox className="w-5 h-5 mr-2 text-indigo-500" /> Request Outcomes, LB Queue &amp; Drops
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        {OUTCOME_LABELS.map(({ id, label, color }) => (
+          <div key={id} className="bg-gray-50 rounded-lg p-3 text-center border border-gray-100">
+            <p className={`text-2xl font-bold ${color}`}>{outcomes[id]}</p>
+            <p className="text-xs text-gray-500">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-x-6 gap-y-1 mb-4 text-sm text-gray-600">
+        {COUNTER_LABELS.map(({ id, label }) => (
+          <span key={id}>{label}: <span className="font-bold text-gray-800">{counters[id]}</span></span>
+        ))}
+      </div>
+
+      {queueHistory.length > 1 ? (
+        <svg viewBox={`0 0 ${SVG_WIDTH} ${SVG_HEIGHT}`} className="w-full h-auto">
+          <line x1={PADDING_X} y1={scaleDepth(0)} x2={SVG_WIDTH - PADDING_X} y2={scaleDepth(0)} stroke="#4b5563" strokeWidth="1" />
+          <line x1={PADDING_X} y1={scaleDepth(maxQueueDepth)} x2={SVG_WIDTH - PADDING_X} y2={scaleDepth(maxQueueDepth)} stroke="#f87171" strokeWidth="1" strokeDasharray="4 4" />
+          <text x={PADDING_X - 5} y={scaleDepth(maxQueueDepth) + 4} textAnchor="end" fontSize="12" fill="#6b7280">{maxQueueDepth}</text>
+          <text x={PADDING_X - 5} y={scaleDepth(0) + 4} textAnchor="end" fontSize="12" fill="#6b7280">0</text>
+
+          {/* Drops per sample, stacked: rejected (red) under timed out (yellow) */}
+          {queueHistory.map((h, index) => (
+            <React.Fragment key={index}>
+              {h.rejected > 0 && (
+                <rect x={scaleX(index)} y={scaleDepth(0) - scaleDrops(h.rejected)} width={slotWidth * 0.8} height={scaleDrops(h.rejected)} fill="#f87171" />
+              )}
+              {h.timedOut > 0 && (
+                <rect x={scaleX(index)} y={scaleDepth(0) - scaleDrops(h.rejected + h.timedOut)} width={slotWidth * 0.8} height={scaleDrops(h.timedOut)} fill="#facc15" />
+              )}
+            </React.Fragment>
+          ))}
+
+          <path d={`M ${depthPath}`} fill="none" stroke="#6366f1" strokeWidth="3" vectorEffect="non-scaling-stroke" strokeLinejoin="round" />
+        </svg>
+      ) : (
+        <p className="text-gray-500 text-center py-6">Run the simulation to see queue depth and drops over time...</p>
+      )}
+
+      <p className="text-xs text-gray-400 mt-2 text-center">
+        Blue Line: Queue Depth (Max {maxQueueDepth}, Timeout {queueTimeoutMs}ms) | Bars: Rejected (red) and Timed Out (yellow) per Sample
+      </p>
+    </div>
+  );
+});
+QueueStatsPanel.displayName = 'QueueStatsPanel';
+
+export default QueueStatsPanel;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { History, Pause, Play, Radio, SkipBack, SkipForward, StepBack, StepForward } from 'lucide-react';
+import { EVENT_TYPES, describeEntry } from '@/lib/eventLog';
+
+const VISIBLE_ENTRIES = 12;
+const SPEEDS = [0.25, 1, 4];
+
+const BUTTON_CLASS = 'flex items-center text-xs px-3 py-1 mr-2 mb-1 rounded-full font-semibold border bg-white text-gray-700 hover:bg-gray-200 border-gray-300 disabled:opacity-40';
+
+const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+/**
+ * Time travel over the current run: pause on any instant, step through the event log
+ * one entry at a time, scrub back and forth and replay. The canvas and charts show the
+ * replayed state while it is open; any live change returns to the live run.
+ */
+const ReplayPanel = React.memo(({ snapshot, end, isReplaying, isPlaying, speed, onSeekTime, onSeekEvent, onStepBack, onStepForward, onTogglePlay, onSpeedChange, onExit }) => {
+  const [pendingMs, setPendingMs] = useState(null); // Backward scrub target, applied on release
+
+  const cursorMs = pendingMs ?? snapshot.time;
+  const entries = snapshot.eventLog.slice(-VISIBLE_ENTRIES);
+  const atEnd = snapshot.time >= end.time && snapshot.eventCount >= end.eventCount;
+
+  // Moving forward continues the replay, so it follows the slider; going back re-runs from
+  // the start, so it waits until the slider is let go
+  const scrub = (ms) => {
+    if (ms >= snapshot.time) {
+      setPendingMs(null);
+      onSeekTime(ms);
+    } else {
+      setPendingMs(ms);
+    }
+  };
+  const commitScrub = () => {
+    if (pendingMs == null) return;
+    onSeekTime(pendingMs);
+    setPendingMs(null);
+  };
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+      <p className="font-semibold flex items-center mb-3">
+        <History className="w-4 h-4 mr-2 text-indigo-500" /> Replay &amp; Time Travel
+        <span className={`ml-auto font-mono font-normal ${isReplaying ? 'text-orange-600 font-bold' : 'text-gray-500'}`}>
+          {isReplaying
+            ? `Replaying ${seconds(snapshot.time)} of ${seconds(end.time)} | event ${snapshot.eventCount} of ${end.eventCount}`
+            : `Live | ${snapshot.eventCount} events processed`}
+        </span>
+      </p>
+
+      <div className="flex flex-wrap items-center mb-2">
+        <button onClick={() => onSeekEvent(0)} disabled={snapshot.eventCount === 0} className={BUTTON_CLASS} title="Back to the start of the run">
+          <SkipBack className="w-3 h-3 mr-1" /> Start
+        </button>
+        <button onClick={onStepBack} disabled={snapshot.eventCount === 0} className={BUTTON_CLASS} title="Previous logged event">
+          <StepBack className="w-3 h-3 mr-1" /> Step back
+        </button>
+        <button onClick={onTogglePlay} disabled={isReplaying && atEnd} className={BUTTON_CLASS}>
+          {isPlaying ? <><Pause className="w-3 h-3 mr-1" /> Pause replay</> : <><Play className="w-3 h-3 mr-1" /> {isReplaying ? 'Replay' : 'Pause & inspect'}</>}
+        </button>
+        <button onClick={onStepForward} disabled={!isReplaying || atEnd} className={BUTTON_CLASS} title="Next logged event">
+          <StepForward className="w-3 h-3 mr-1" /> Step
+        </button>
+        <button onClick={() => onSeekTime(end.time)} disabled={!isReplaying || atEnd} className={BUTTON_CLASS} title="Where the live run stopped">
+          <SkipForward className="w-3 h-3 mr-1" /> End
+        </button>
+        <label className="flex items-center mr-3 mb-1">
+          <span className="text-xs text-gray-600 mr-1">Speed</span>
+          <select value={speed} onChange={e => onSpeedChange(Number(e.target.value))} className="px-1 py-0.5 rounded-md border border-gray-300 bg-white text-xs">
+            {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+          </select>
+        </label>
+        <button onClick={onExit} disabled={!isReplaying} className={`${BUTTON_CLASS} ml-auto`}>
+          <Radio className="w-3 h-3 mr-1" /> Back to live
+        </button>
+      </div>
+
+      <div className="flex items-center text-xs text-gray-600 mb-3">
+        <input
+          type="range"
+          min={0}
+          max={end.time}
+          step={10}
+          value={cursorMs}
+          onChange={e => scrub(Number(e.target.value))}
+          onPointerUp={commitScrub}
+          onKeyUp={commitScrub}
+          disabled={end.time === 0}
+          className="flex-1 mr-3"
+          aria-label="Scrub the run"
+        />
+        <span className="font-mono w-16 text-right">{seconds(cursorMs)}</span>
+      </div>
+
+      {/* The latest log entries up to the shown instant; those of the current event are highlighted */}
+      <div className="font-mono text-xs bg-white border rounded-md p-2 h-56 overflow-y-auto">
+        {entries.length === 0 && <p className="text-gray-400">Nothing has happened yet.</p>}
+        {entries.map(entry => (
+          <button
+            key={entry.id}
+            onClick={() => onSeekEvent(entry.eventIndex)}
+            className={`flex w-full text-left px-1 rounded hover:bg-indigo-50 ${isReplaying && entry.eventIndex === snapshot.eventCount ? 'bg-indigo-100 font-bold' : ''}`}
+            title="Go to this event"
+          >
+            <span className="w-20 text-gray-500">{seconds(entry.time)}</span>
+            <span className="w-24 font-semibold" style={{ color: EVENT_TYPES[entry.type]?.color }}>{EVENT_TYPES[entry.type]?.name ?? entry.type}</span>
+            <span className="flex-1 truncate">{describeEntry(entry)}</span>
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        A replay re-runs the same seed and the changes you made, so every instant is exact |
+        Steps move between logged events | Click an entry to jump to it | Starting the simulation returns to live
+      </p>
+    </div>
+  );
+});
+ReplayPanel.displayName = 'ReplayPanel';
+
+export default ReplayPanel;
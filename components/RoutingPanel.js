@@ -0,0 +1,150 @@
+import React from 'react';
+import { ArrowDown, ArrowUp, GitBranch, Plus, Trash2 } from 'lucide-react';
+import { DEFAULT_POOL_ID, MATCH_FIELDS, RULE_COLORS } from '@/lib/rules';
+
+const INPUT_CLASS = 'px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm';
+const ADD_BUTTON_CLASS = 'ml-auto flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300';
+const ICON_BUTTON_CLASS = 'p-1 rounded-md text-gray-600 hover:bg-gray-200 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// First unused `prefix-N` id
+const nextId = (prefix, taken) => {
+  let n = 1;
+  while (taken.includes(`${prefix}-${n}`)) n += 1;
+  return `${prefix}-${n}`;
+};
+
+const moveItem = (list, index, offset) => {
+  const next = [...list];
+  [next[index], next[index + offset]] = [next[index + offset], next[index]];
+  return next;
+};
+
+/**
+ * Layer-7 routing editor: named backend pools, each with its own algorithm, and the ordered
+ * rules that send requests to them by method, host, path, header or cookie. Changes restart the run.
+ */
+const RoutingPanel = React.memo(({ pools, rules, modes, onChange }) => {
+  const setPools = (nextPools, nextRules = rules) => onChange({ pools: nextPools, rules: nextRules });
+  const setRules = (nextRules) => onChange({ pools, rules: nextRules });
+  const updatePool = (id, changes) => setPools(pools.map(p => (p.id === id ? { ...p, ...changes } : p)));
+  const updateRule = (index, changes) => setRules(rules.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+
+  const addPool = () => {
+    const id = nextId('pool', pools.map(p => p.id));
+    setPools([...pools, { id, name: `Pool ${pools.length + 1}`, mode: null }]);
+  };
+  // Rules that pointed at a removed pool fall back to the default one
+  const removePool = (id) => setPools(
+    pools.filter(p => p.id !== id),
+    rules.map(r => (r.pool === id ? { ...r, pool: DEFAULT_POOL_ID } : r))
+  );
+  const addRule = () => setRules([
+    ...rules,
+    { name: `Rule ${rules.length + 1}`, match: { path: '/api/*' }, pool: pools.find(p => p.id !== DEFAULT_POOL_ID)?.id ?? DEFAULT_POOL_ID },
+  ]);
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+      <p className="font-semibold flex items-center mb-3">
+        <GitBranch className="w-4 h-4 mr-2 text-indigo-500" /> Layer-7 Routing ({pools.length} pools, {rules.length} rules)
+        <button onClick={addPool} className={ADD_BUTTON_CLASS}>
+          <Plus className="w-3 h-3 mr-1" /> Add Pool
+        </button>
+        <button onClick={addRule} className={`${ADD_BUTTON_CLASS} ml-2`}>
+          <Plus className="w-3 h-3 mr-1" /> Add Rule
+        </button>
+      </p>
+
+      {/* Pools */}
+      {pools.map(pool => (
+        <div key={pool.id} className="flex flex-wrap items-center mb-1">
+          <span className="font-mono text-xs text-gray-500 w-20 truncate" title={pool.id}>{pool.id}</span>
+          <input
+            type="text"
+            value={pool.name}
+            onChange={e => updatePool(pool.id, { name: e.target.value })}
+            className={`${INPUT_CLASS} w-32 mr-3 mb-1`}
+            aria-label="Pool name"
+          />
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Algorithm</span>
+            <select
+              value={pool.mode ?? ''}
+              onChange={e => updatePool(pool.id, { mode: e.target.value || null })}
+              className={INPUT_CLASS}
+            >
+              <option value="">Selected algorithm</option>
+              {modes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+            </select>
+          </label>
+          {pool.id === DEFAULT_POOL_ID && <span className="text-xs text-gray-500 mb-1">Takes every request no rule matches</span>}
+          <button
+            onClick={() => removePool(pool.id)}
+            disabled={pool.id === DEFAULT_POOL_ID}
+            className="ml-auto mb-1 p-1 rounded-md text-red-600 hover:bg-red-100 disabled:opacity-30 disabled:hover:bg-transparent"
+            title={pool.id === DEFAULT_POOL_ID ? 'The default pool cannot be removed' : `Remove ${pool.name} (its servers move to the default pool)`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {/* Rules, first match wins */}
+      {rules.length > 0 && <p className="font-semibold mt-3 mb-1">Rules (first match wins)</p>}
+      {rules.map((rule, index) => (
+        <div key={index} className="flex flex-wrap items-center mb-1">
+          <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: RULE_COLORS[index % RULE_COLORS.length] }}></span>
+          <input
+            type="text"
+            value={rule.name}
+            onChange={e => updateRule(index, { name: e.target.value })}
+            className={`${INPUT_CLASS} w-24 mr-3 mb-1`}
+            aria-label="Rule name"
+          />
+          {Object.entries(MATCH_FIELDS).map(([key, field]) => (
+            <label key={key} className="flex items-center mr-2 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{field.label}</span>
+              <input
+                type="text"
+                value={rule.match[key] ?? ''}
+                placeholder={field.placeholder}
+                onChange={e => updateRule(index, { match: { ...rule.match, [key]: e.target.value } })}
+                className={`${INPUT_CLASS} w-24 text-xs`}
+              />
+            </label>
+          ))}
+          <label className="flex items-center mr-2 mb-1">
+            <span className="text-xs text-gray-600 mr-1">to pool</span>
+            <select value={rule.pool} onChange={e => updateRule(index, { pool: e.target.value })} className={INPUT_CLASS}>
+              {pools.map(pool => <option key={pool.id} value={pool.id}>{pool.name}</option>)}
+            </select>
+          </label>
+          <span className="ml-auto mb-1 flex">
+            <button onClick={() => setRules(moveItem(rules, index, -1))} disabled={index === 0} className={ICON_BUTTON_CLASS} title="Move up">
+              <ArrowUp className="w-4 h-4" />
+            </button>
+            <button onClick={() => setRules(moveItem(rules, index, 1))} disabled={index === rules.length - 1} className={ICON_BUTTON_CLASS} title="Move down">
+              <ArrowDown className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setRules(rules.filter((_, i) => i !== index))}
+              className="p-1 rounded-md text-red-600 hover:bg-red-100"
+              title={`Remove ${rule.name}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </span>
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-400 mt-2">
+        Requests carry a method, host, path, headers (user-agent, x-beta) and a session cookie for logged-in clients.
+        Host, path and header values accept * wildcards, and empty conditions are ignored. Each pool balances its own servers
+        with its algorithm; assign servers to pools in the Server Pool panel. Changing pools or rules restarts the run.
+      </p>
+    </div>
+  );
+});
+RoutingPanel.displayName = 'RoutingPanel';
+
+export default RoutingPanel;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FileJson, Download, Upload, Link, Trash2, Plus } from 'lucide-react';
+import { downloadText, fileSlug } from '@/lib/download';
+import { TIMELINE_ACTIONS, SHARE_PARAM, describeStep, parseScenario, encodeScenario, decodeScenario } from '@/lib/scenario';
+
+// Actions the quick form can add; the rest need more detail and are scripted in the JSON
+const FORM_ACTIONS = Object.entries(TIMELINE_ACTIONS).filter(([, action]) => action.target === 'server' || action.target === 'factor');
+
+const BUTTON_CLASS = 'flex items-center text-xs px-3 py-1 mr-2 mb-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300';
+
+// Servers a step may name: the pool plus any added by earlier steps
+const knownServers = (servers, timeline) => [
+  ...servers,
+  ...timeline.filter(step => step.action === 'addServer').map(step => step.server),
+];
+
+/**
+ * Scenario import/export and the scripted timeline. `scenario` describes the current
+ * setup; a valid imported scenario is passed to `onLoad`.
+ */
+const ScenarioPanel = React.memo(({ scenario, onNameChange, onTimelineChange, onLoad }) => {
+  const [errors, setErrors] = useState([]);
+  const [pasted, setPasted] = useState('');
+  const [notice, setNotice] = useState('');
+  const [draft, setDraft] = useState({ seconds: 10, action: 'crash', server: scenario.servers[0]?.id, factor: 5 });
+  const shareLinkRead = useRef(false);
+
+  const servers = knownServers(scenario.servers, scenario.timeline);
+
+  // Shows the problems of an invalid scenario, or loads a valid one
+  const apply = useCallback(({ scenario: loaded, errors: problems }) => {
+    setErrors(problems);
+    setNotice('');
+    if (loaded) {
+      onLoad(loaded);
+      setNotice(`Loaded "${loaded.name}".`);
+    }
+  }, [onLoad]);
+
+  const load = (text) => apply(parseScenario(text));
+
+  // A share link carries its scenario in the URL fragment; only the link the page was
+  // opened with counts, so it is read once and later renders don't reload it
+  useEffect(() => {
+    if (shareLinkRead.current) return;
+    shareLinkRead.current = true;
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(SHARE_PARAM);
+    if (encoded) apply(decodeScenario(encoded));
+  }, [apply]);
+
+  const exportJson = () => downloadText(JSON.stringify(scenario, null, 2), `${fileSlug(scenario.name)}.json`, 'application/json');
+
+  const importFile = (file) => {
+    if (!file) return;
+    file.text().then(load, error => {
+      setErrors([`Couldn't read ${file.name}: ${error.message}`]);
+      setNotice('');
+    });
+  };
+
+  const copyShareLink = () => {
+    const url = `${window.location.origin}${window.location.pathname}#${SHARE_PARAM}=${encodeScenario(scenario)}`;
+    // The clipboard API only exists on secure origins
+    if (!navigator.clipboard) {
+      setNotice(`Copy this link: ${url}`);
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => setNotice('Share link copied to the clipboard.'),
+      () => setNotice(`Copy this link: ${url}`)
+    );
+  };
+
+  const addStep = () => {
+    const { target } = TIMELINE_ACTIONS[draft.action];
+    const server = servers.some(s => s.id === draft.server) ? draft.server : servers[0].id;
+    const step = {
+      atMs: Math.max(0, Math.round(draft.seconds * 1000)),
+      action: draft.action,
+      ...(target === 'server' ? { server } : { factor: draft.factor }),
+    };
+    onTimelineChange([...scenario.timeline, step].sort((a, b) => a.atMs - b.atMs));
+  };
+
+  const draftTarget = TIMELINE_ACTIONS[draft.action].target;
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+      <p className="font-semibold flex flex-wrap items-center mb-3">
+        <FileJson className="w-4 h-4 mr-2 text-indigo-500" /> Scenario
+        <input
+          type="text"
+          value={scenario.name}
+          onChange={e => onNameChange(e.target.value)}
+          className="w-56 ml-3 px-2 py-0.5 rounded-md border border-gray-300 bg-white font-normal"
+          aria-label="Scenario name"
+        />
+        <span className="ml-auto flex flex-wrap">
+          <button onClick={exportJson} className={BUTTON_CLASS}>
+            <Download className="w-3 h-3 mr-1" /> Export JSON
+          </button>
+          <label className={`${BUTTON_CLASS} cursor-pointer`}>
+            <Upload className="w-3 h-3 mr-1" /> Import File
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={e => {
+                importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button onClick={copyShareLink} className={BUTTON_CLASS}>
+            <Link className="w-3 h-3 mr-1" /> Copy Share Link
+          </button>
+        </span>
+      </p>
+
+      {/* Scripted timeline */}
+      <p className="font-semibold mb-1">Timeline ({scenario.timeline.length} step{scenario.timeline.length === 1 ? '' : 's'})</p>
+      {scenario.timeline.length === 0 && (
+        <p className="text-xs text-gray-500 mb-2">No scripted steps: the run only changes when you change it.</p>
+      )}
+      <ul className="mb-2">
+        {scenario.timeline.map((step, index) => (
+          <li key={index} className="flex items-center font-mono text-xs">
+            {describeStep(step, servers)}
+            <button
+              onClick={() => onTimelineChange(scenario.timeline.filter((_, i) => i !== index))}
+              className="ml-2 p-0.5 rounded-md text-red-600 hover:bg-red-100"
+              title="Remove step"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap items-center mb-3">
+        <label className="flex items-center mr-3 mb-1">
+          <span className="text-xs text-gray-600 mr-1">At (s)</span>
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={draft.seconds}
+            onChange={e => setDraft(prev => ({ ...prev, seconds: Math.max(0, Number(e.target.value) || 0) }))}
+            className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+          />
+        </label>
+        <select
+          value={draft.action}
+          onChange={e => setDraft(prev => ({ ...prev, action: e.target.value }))}
+          className="mr-3 mb-1 px-2 py-1 rounded-md border border-gray-300 bg-white"
+          aria-label="Step action"
+        >
+          {FORM_ACTIONS.map(([id, action]) => <option key={id} value={id}>{action.label}</option>)}
+        </select>
+        {draftTarget === 'server' ? (
+          <select
+            value={draft.server}
+            onChange={e => setDraft(prev => ({ ...prev, server: Number(e.target.value) }))}
+            className="mr-3 mb-1 px-2 py-1 rounded-md border border-gray-300 bg-white"
+            aria-label="Step server"
+          >
+            {servers.map(server => <option key={server.id} value={server.id}>{server.name}</option>)}
+          </select>
+        ) : (
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Traffic x</span>
+            <input
+              type="number"
+              min={0}
+              step={0.5}
+              value={draft.factor}
+              onChange={e => setDraft(prev => ({ ...prev, factor: Math.max(0, Number(e.target.value) || 0) }))}
+              className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            />
+          </label>
+        )}
+        <button onClick={addStep} className={BUTTON_CLASS}>
+          <Plus className="w-3 h-3 mr-1" /> Add Step
+        </button>
+      </div>
+
+      {/* Paste a scenario */}
+      <details className="mb-1">
+        <summary className="cursor-pointer font-semibold">Paste scenario JSON</summary>
+        <textarea
+          value={pasted}
+          onChange={e => setPasted(e.target.value)}
+          rows={6}
+          className="w-full mt-2 px-2 py-1 rounded-md border border-gray-300 bg-white font-mono text-xs"
+          placeholder='{ "version": 1, "servers": [...], "timeline": [...] }'
+        />
+        <button onClick={() => load(pasted)} className={`${BUTTON_CLASS} mt-1`}>
+          <Upload className="w-3 h-3 mr-1" /> Load
+        </button>
+      </details>
+
+      {errors.length > 0 && (
+        <div className="mt-2 p-2 rounded-md bg-red-50 border border-red-200 text-xs text-red-700">
+          <p className="font-semibold mb-1">The scenario was not loaded:</p>
+          <ul className="list-disc ml-4">
+            {errors.map((error, index) => <li key={index}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+      {notice && <p className="mt-2 text-xs text-green-700 break-all">{notice}</p>}
+
+      <p className="text-xs text-gray-400 mt-2">
+        Editing the timeline restarts the run. Adding servers, changing traffic models and reconfiguring servers
+        can also be scripted in the JSON (actions: {Object.keys(TIMELINE_ACTIONS).join(', ')}).
+      </p>
+    </div>
+  );
+});
+ScenarioPanel.displayName = 'ScenarioPanel';
+
+export default ScenarioPanel;
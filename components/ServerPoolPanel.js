@@ -0,0 +1,100 @@
+import React from 'react';
+import { Server, Plus, Trash2 } from 'lucide-react';
+import { DEFAULT_POOL_ID } from '@/lib/rules';
+
+// `step` is only a hint to the browser, so whole-number fields are rounded as well (as scenarios require)
+const NUMBER_FIELDS = [
+  { key: 'weight', label: 'Weight', min: 1, step: 1, integer: true },
+  { key: 'maxCapacity', label: 'Max capacity', min: 1, step: 1, integer: true },
+  { key: 'speed', label: 'Speed (x)', min: 0.1, step: 0.1 },
+  { key: 'concurrency', label: 'Workers', min: 1, step: 1, integer: true },
+  { key: 'degradation', label: 'Extra slowdown at cap', min: 0, step: 0.5 },
+];
+
+/**
+ * Server pool editor: add, remove and reconfigure backends while the simulation runs.
+ * With more than one layer-7 pool, each server also picks the pool it belongs to, and
+ * with the multi-region topology on (`regions` not empty), its region.
+ */
+const ServerPoolPanel = React.memo(({ servers, pools, regions = [], onAdd, onRemove, onChange }) => (
+  <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+    <p className="font-semibold flex items-center mb-3">
+      <Server className="w-4 h-4 mr-2 text-indigo-500" /> Server Pool ({servers.length})
+      <button
+        onClick={onAdd}
+        className="ml-auto flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300"
+      >
+        <Plus className="w-3 h-3 mr-1" /> Add Server
+      </button>
+    </p>
+
+    {servers.map(server => (
+      <div key={server.id} className="flex flex-wrap items-center mb-1">
+        <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: server.color }}></span>
+        <input
+          type="text"
+          value={server.name}
+          onChange={e => onChange(server.id, { name: e.target.value })}
+          className="w-32 mr-4 mb-1 px-2 py-0.5 rounded-md border border-gray-300 bg-white"
+          aria-label="Server name"
+        />
+        {NUMBER_FIELDS.map(field => (
+          <label key={field.key} className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">{field.label}</span>
+            <input
+              type="number"
+              min={field.min}
+              step={field.step}
+              value={server[field.key]}
+              onChange={e => {
+                const value = Number(e.target.value);
+                if (Number.isFinite(value)) onChange(server.id, { [field.key]: Math.max(field.min, field.integer ? Math.round(value) : value) });
+              }}
+              className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            />
+          </label>
+        ))}
+        {pools.length > 1 && (
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Pool</span>
+            <select
+              value={server.pool ?? DEFAULT_POOL_ID}
+              onChange={e => onChange(server.id, { pool: e.target.value })}
+              className="px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            >
+              {pools.map(pool => <option key={pool.id} value={pool.id}>{pool.name}</option>)}
+            </select>
+          </label>
+        )}
+        {regions.length > 0 && (
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Region</span>
+            <select
+              value={regions.some(r => r.id === server.region) ? server.region : regions[0].id}
+              onChange={e => onChange(server.id, { region: e.target.value })}
+              className="px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+            >
+              {regions.map(region => <option key={region.id} value={region.id}>{region.name}</option>)}
+            </select>
+          </label>
+        )}
+        <button
+          onClick={() => onRemove(server.id)}
+          disabled={servers.length === 1}
+          className="ml-auto mb-1 p-1 rounded-md text-red-600 hover:bg-red-100 disabled:opacity-30 disabled:hover:bg-transparent"
+          title={`Remove ${server.name} (its in-flight requests are cut off; drain it first to let them finish)`}
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    ))}
+
+    <p className="text-xs text-gray-400 mt-2">
+      Changes apply immediately. Speed scales processing time: a 2x server finishes the same request in half the time.
+      Connections beyond the worker count wait on the server, and processing slows down as a server nears its max capacity.
+    </p>
+  </div>
+));
+ServerPoolPanel.displayName = 'ServerPoolPanel';
+
+export default ServerPoolPanel;
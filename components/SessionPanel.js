@@ -0,0 +1,113 @@
+import React from 'react';
+import { Cookie } from 'lucide-react';
+import { sessionHitRate } from '@/lib/sessions';
+
+const AFFINITY_LABELS = [
+  { id: 'hits', label: 'Stayed on their server', color: 'text-green-600' },
+  { id: 'brokenDown', label: 'Broken: server down', color: 'text-red-600' },
+  { id: 'brokenDraining', label: 'Broken: server draining', color: 'text-yellow-600' },
+  { id: 'moved', label: 'Moved (expiry, rebalancing, full)', color: 'text-gray-700' },
+];
+
+const NumberSetting = ({ label, value, min, step, integer, onChange }) => (
+  <label className="flex items-center mr-6 mb-2">
+    <span className="font-semibold mr-2">{label}</span>
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={e => {
+        const number = Math.max(min, Number(e.target.value) || min);
+        onChange(integer ? Math.round(number) : number);
+      }}
+      className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+    />
+  </label>
+);
+
+/**
+ * Session affinity: how often returning clients reach the server of their previous request,
+ * and how many sessions broke when that server went down or was drained. Measured the same
+ * way for every algorithm, so cookie sessions compare directly with IP Hash. Also holds the
+ * cookie and client visit settings (changing them restarts the run).
+ */
+const SessionPanel = React.memo(({ affinity, sessions, servers, stickySessions, visits, isCookieMode, onStickySessionsChange, onVisitsChange }) => {
+  const hitRate = sessionHitRate(affinity);
+  const activeSessions = Object.values(sessions).reduce((sum, n) => sum + n, 0);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-2xl flex flex-col mt-6">
+      <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center border-b pb-3">
+        <Cookie className="w-5 h-5 mr-2 text-indigo-500" /> Session Affinity
+        <span className="ml-auto text-sm font-normal text-gray-500">{affinity.returning} returning requests</span>
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+        <div className="bg-indigo-50 rounded-lg p-3 text-center border border-indigo-100">
+          <p className="text-2xl font-bold text-indigo-700">{hitRate == null ? '-' : `${(hitRate * 100).toFixed(1)}%`}</p>
+          <p className="text-xs text-gray-500">Session hit rate</p>
+        </div>
+        {AFFINITY_LABELS.map(({ id, label, color }) => (
+          <div key={id} className="bg-gray-50 rounded-lg p-3 text-center border border-gray-100">
+            <p className={`text-2xl font-bold ${color}`}>{affinity[id]}</p>
+            <p className="text-xs text-gray-500">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      {isCookieMode && (
+        <div className="flex flex-wrap justify-center gap-x-6 gap-y-1 mb-4 text-sm text-gray-600">
+          <span>Live session cookies: <span className="font-bold text-gray-800">{activeSessions}</span></span>
+          {servers.map(s => (
+            <span key={s.id} className="flex items-center">
+              <span className="w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: s.color }}></span>
+              {s.name}: <span className="font-bold text-gray-800 ml-1">{sessions[s.id] ?? 0}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-gray-100 p-4 rounded-lg shadow-inner text-sm text-gray-700 flex flex-wrap items-center">
+        <NumberSetting
+          label="Cookie TTL (s):"
+          value={stickySessions.ttlMs / 1000}
+          min={1}
+          step={5}
+          onChange={seconds => onStickySessionsChange({ ttlMs: seconds * 1000 })}
+        />
+        <NumberSetting
+          label="Max session size (requests):"
+          value={stickySessions.maxRequests}
+          min={1}
+          step={10}
+          integer
+          onChange={maxRequests => onStickySessionsChange({ maxRequests })}
+        />
+        <NumberSetting
+          label="Requests per visit:"
+          value={visits.requestsPerVisit}
+          min={1}
+          step={1}
+          onChange={requestsPerVisit => onVisitsChange({ requestsPerVisit })}
+        />
+        <NumberSetting
+          label="Concurrent visits:"
+          value={visits.concurrentVisits}
+          min={1}
+          step={5}
+          integer
+          onChange={concurrentVisits => onVisitsChange({ concurrentVisits })}
+        />
+      </div>
+
+      <p className="text-xs text-gray-400 mt-3 text-center">
+        A request is returning when its client sent one to the same backend pool before; it hits when it reaches that request&apos;s server |
+        Cookie settings apply to Sticky Sessions (Cookie) | Clients send a few requests per visit and popular ones return sooner
+      </p>
+    </div>
+  );
+});
+SessionPanel.displayName = 'SessionPanel';
+
+export default SessionPanel;
@@ -0,0 +1,212 @@
+import React from 'react';
+import { Network, Plus, Power, Trash2 } from 'lucide-react';
+import { GLOBAL_POLICIES, REGION_COLORS, DEFAULT_LINK_LATENCY_MS } from '@/lib/topology';
+
+const INPUT_CLASS = 'px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm';
+const ADD_BUTTON_CLASS = 'ml-auto flex items-center text-xs px-3 py-1 rounded-full font-semibold border bg-indigo-50 text-indigo-700 hover:bg-indigo-100 border-indigo-300';
+const REMOVE_BUTTON_CLASS = 'ml-auto mb-1 p-1 rounded-md text-red-600 hover:bg-red-100 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// First unused `prefix-N` id
+const nextId = (prefix, taken) => {
+  let n = 1;
+  while (taken.includes(`${prefix}-${n}`)) n += 1;
+  return `${prefix}-${n}`;
+};
+
+// Servers of a region; those without a known region belong to the first one, as in the engine
+const regionServers = (servers, regions, id) => servers.filter(s => (regions.some(r => r.id === s.region) ? s.region : regions[0].id) === id);
+
+/**
+ * Multi-region topology editor: client regions with their share of clients and link
+ * latencies, the global LB's policy and failover, and a regional LB per region with its
+ * own algorithm. Shows what the global LB has sent each region, and crashes or recovers a
+ * whole region. Editing the topology restarts the run; crashing a region doesn't.
+ */
+const TopologyPanel = React.memo(({ topology, modes, servers, regionStats, onChange, onCrashRegion, onRecoverRegion }) => {
+  const { regions, clientRegions } = topology;
+  const update = (changes) => onChange({ ...topology, ...changes });
+  const updateRegion = (id, changes) => update({ regions: regions.map(r => (r.id === id ? { ...r, ...changes } : r)) });
+  const updateClientRegion = (id, changes) => update({ clientRegions: clientRegions.map(c => (c.id === id ? { ...c, ...changes } : c)) });
+
+  // A new region is as far from every client region as their farthest one
+  const addRegion = () => {
+    const id = nextId('region', regions.map(r => r.id));
+    update({
+      regions: [...regions, { id, name: `Region ${regions.length + 1}`, mode: null }],
+      clientRegions: clientRegions.map(c => ({ ...c, latencyMs: { ...c.latencyMs, [id]: Math.max(DEFAULT_LINK_LATENCY_MS, ...Object.values(c.latencyMs)) } })),
+    });
+  };
+  // Client regions homed in a removed region move to the first remaining one
+  const removeRegion = (id) => {
+    const remaining = regions.filter(r => r.id !== id);
+    update({
+      regions: remaining,
+      clientRegions: clientRegions.map(c => ({
+        ...c,
+        home: c.home === id ? remaining[0].id : c.home,
+        latencyMs: Object.fromEntries(Object.entries(c.latencyMs).filter(([regionId]) => regionId !== id)),
+      })),
+    });
+  };
+  const addClientRegion = () => update({
+    clientRegions: [...clientRegions, {
+      id: nextId('clients', clientRegions.map(c => c.id)),
+      name: `Clients ${clientRegions.length + 1}`,
+      share: 1,
+      home: regions[0].id,
+      latencyMs: Object.fromEntries(regions.map(r => [r.id, DEFAULT_LINK_LATENCY_MS])),
+    }],
+  });
+  const totalShare = clientRegions.reduce((sum, c) => sum + c.share, 0);
+
+  return (
+    <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+      <p className="font-semibold flex flex-wrap items-center mb-3">
+        <Network className="w-4 h-4 mr-2 text-indigo-500" /> Multi-Region Topology
+        <label className="flex items-center ml-4 font-normal">
+          <input type="checkbox" checked={topology.enabled} onChange={e => update({ enabled: e.target.checked })} className="mr-1" />
+          Enabled
+        </label>
+        <label className="flex items-center ml-4 font-normal">
+          <span className="text-xs text-gray-600 mr-1">Global LB</span>
+          <select value={topology.policy} onChange={e => update({ policy: e.target.value })} className={INPUT_CLASS}>
+            {Object.entries(GLOBAL_POLICIES).map(([id, policy]) => <option key={id} value={id}>{policy.name}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center ml-4 font-normal" title="Skip regions with no available server for the request's pool">
+          <input type="checkbox" checked={topology.failover} onChange={e => update({ failover: e.target.checked })} className="mr-1" />
+          Regional failover
+        </label>
+        <button onClick={addRegion} className={ADD_BUTTON_CLASS}>
+          <Plus className="w-3 h-3 mr-1" /> Add Region
+        </button>
+        <button onClick={addClientRegion} className={`${ADD_BUTTON_CLASS} ml-2`}>
+          <Plus className="w-3 h-3 mr-1" /> Add Client Region
+        </button>
+      </p>
+
+      {/* Regions and their regional LBs */}
+      <p className="font-semibold mb-1">Regions</p>
+      {regions.map((region, index) => {
+        const members = regionServers(servers, regions, region.id);
+        const available = members.filter(s => s.isAvailable).length;
+        const stats = regionStats[region.id];
+        return (
+          <div key={region.id} className="flex flex-wrap items-center mb-1">
+            <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: REGION_COLORS[index % REGION_COLORS.length] }}></span>
+            <input
+              type="text"
+              value={region.name}
+              onChange={e => updateRegion(region.id, { name: e.target.value })}
+              className={`${INPUT_CLASS} w-28 mr-3 mb-1`}
+              aria-label="Region name"
+            />
+            <label className="flex items-center mr-3 mb-1">
+              <span className="text-xs text-gray-600 mr-1">Regional LB</span>
+              <select value={region.mode ?? ''} onChange={e => updateRegion(region.id, { mode: e.target.value || null })} className={INPUT_CLASS}>
+                <option value="">Selected algorithm</option>
+                {modes.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+              </select>
+            </label>
+            <span className={`text-xs mr-3 mb-1 ${available > 0 ? 'text-gray-600' : 'text-red-600 font-semibold'}`}>
+              {available}/{members.length} servers available
+            </span>
+            {stats && (
+              <span className="text-xs text-gray-600 mr-3 mb-1">
+                {stats.requests} requests, {stats.failovers} by failover
+              </span>
+            )}
+            {topology.enabled && members.length > 0 && (
+              members.some(s => s.isUp) ? (
+                <button
+                  onClick={() => onCrashRegion(region.id)}
+                  className="flex items-center text-xs px-2 py-0.5 mb-1 rounded-full font-semibold border bg-red-50 text-red-700 hover:bg-red-100 border-red-300"
+                  title={`Crash every server in ${region.name}`}
+                >
+                  <Power className="w-3 h-3 mr-1" /> Crash region
+                </button>
+              ) : (
+                <button
+                  onClick={() => onRecoverRegion(region.id)}
+                  className="flex items-center text-xs px-2 py-0.5 mb-1 rounded-full font-semibold border bg-green-50 text-green-700 hover:bg-green-100 border-green-300"
+                >
+                  <Power className="w-3 h-3 mr-1" /> Recover region
+                </button>
+              )
+            )}
+            <button
+              onClick={() => removeRegion(region.id)}
+              disabled={regions.length === 1}
+              className={REMOVE_BUTTON_CLASS}
+              title={regions.length === 1 ? 'The topology needs a region' : `Remove ${region.name} (its servers move to another region)`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+
+      {/* Client regions and their links */}
+      <p className="font-semibold mt-3 mb-1">Client regions and link latency (ms)</p>
+      {clientRegions.map(clientRegion => (
+        <div key={clientRegion.id} className="flex flex-wrap items-center mb-1">
+          <input
+            type="text"
+            value={clientRegion.name}
+            onChange={e => updateClientRegion(clientRegion.id, { name: e.target.value })}
+            className={`${INPUT_CLASS} w-32 mr-3 mb-1`}
+            aria-label="Client region name"
+          />
+          <label className="flex items-center mr-3 mb-1" title={`${((clientRegion.share / totalShare) * 100).toFixed(0)}% of clients`}>
+            <span className="text-xs text-gray-600 mr-1">Share</span>
+            <input
+              type="number"
+              min={0.1}
+              step={1}
+              value={clientRegion.share}
+              onChange={e => updateClientRegion(clientRegion.id, { share: Math.max(0.1, Number(e.target.value) || 0.1) })}
+              className={`${INPUT_CLASS} w-16`}
+            />
+          </label>
+          <label className="flex items-center mr-3 mb-1">
+            <span className="text-xs text-gray-600 mr-1">Home</span>
+            <select value={clientRegion.home} onChange={e => updateClientRegion(clientRegion.id, { home: e.target.value })} className={INPUT_CLASS}>
+              {regions.map(region => <option key={region.id} value={region.id}>{region.name}</option>)}
+            </select>
+          </label>
+          {regions.map(region => (
+            <label key={region.id} className="flex items-center mr-2 mb-1">
+              <span className="text-xs text-gray-600 mr-1">{region.name}</span>
+              <input
+                type="number"
+                min={0}
+                step={50}
+                value={clientRegion.latencyMs[region.id] ?? DEFAULT_LINK_LATENCY_MS}
+                onChange={e => updateClientRegion(clientRegion.id, { latencyMs: { ...clientRegion.latencyMs, [region.id]: Math.max(0, Number(e.target.value) || 0) } })}
+                className={`${INPUT_CLASS} w-20`}
+              />
+            </label>
+          ))}
+          <button
+            onClick={() => update({ clientRegions: clientRegions.filter(c => c.id !== clientRegion.id) })}
+            disabled={clientRegions.length === 1}
+            className={REMOVE_BUTTON_CLASS}
+            title={clientRegions.length === 1 ? 'Traffic needs a client region' : `Remove ${clientRegion.name}`}
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-400 mt-2">
+        The global LB sends each request to the region with the lowest link latency from its client&apos;s region, or to the
+        client region&apos;s home region; with failover on it skips regions that have no available server. The request then
+        crosses the link, and the regional LB balances it over the region&apos;s servers. Assign servers to regions in the
+        Server Pool panel. Changing the topology restarts the run.
+      </p>
+    </div>
+  );
+});
+TopologyPanel.displayName = 'TopologyPanel';
+
+export default TopologyPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Activity } from 'lucide-react';
+import { ARRIVAL_PROCESSES, SERVICE_DISTRIBUTIONS } from '@/lib/traffic';
+
+// Numeric inputs for a model's parameters, rendered from its metadata
+const ParamInputs = ({ params, values, onChange }) => params.map(param => (
+  <label key={param.key} className="flex items-center mr-3 mb-1">
+    <span className="text-xs text-gray-600 mr-1">{param.label}</span>
+    <input
+      type="number"
+      min={param.min}
+      max={param.max}
+      step={param.step}
+      value={values[param.key]}
+      onChange={e => {
+        const value = Number(e.target.value);
+        if (Number.isFinite(value)) onChange({ [param.key]: Math.max(param.min ?? -Infinity, value) });
+      }}
+      className="w-20 px-2 py-0.5 rounded-md border border-gray-300 bg-white text-sm"
+    />
+  </label>
+));
+
+/**
+ * Traffic controls: arrival process and service-time distribution, editable while the simulation runs
+ */
+const TrafficPanel = React.memo(({ arrival, service, currentRate, onArrivalChange, onServiceChange }) => (
+  <div className="bg-gray-100 p-4 rounded-lg mb-6 shadow-inner text-sm text-gray-700">
+    <p className="font-semibold flex items-center mb-3">
+      <Activity className="w-4 h-4 mr-2 text-indigo-500" /> Traffic Model
+      <span className="ml-auto font-mono font-normal text-gray-500">
+        Current arrival rate: {currentRate.toFixed(1)} req/s
+        {(arrival.multiplier ?? 1) !== 1 && <span className="ml-2 font-bold text-orange-600">(scaled {arrival.multiplier}x by the timeline)</span>}
+      </span>
+    </p>
+
+    <div className="flex flex-wrap items-center mb-2">
+      <label htmlFor="arrivalProcess" className="font-semibold w-32">Arrivals:</label>
+      <select
+        id="arrivalProcess"
+        value={arrival.process}
+        onChange={e => onArrivalChange({ process: e.target.value })}
+        className="mr-4 mb-1 px-2 py-1 rounded-md border border-gray-300 bg-white"
+      >
+        {Object.entries(ARRIVAL_PROCESSES).map(([id, process]) => (
+          <option key={id} value={id}>{process.name}</option>
+        ))}
+      </select>
+      <ParamInputs params={ARRIVAL_PROCESSES[arrival.process].params} values={arrival} onChange={onArrivalChange} />
+    </div>
+
+    <div className="flex flex-wrap items-center">
+      <label htmlFor="serviceDistribution" className="font-semibold w-32">Service time:</label>
+      <select
+        id="serviceDistribution"
+        value={service.distribution}
+        onChange={e => onServiceChange({ distribution: e.target.value })}
+        className="mr-4 mb-1 px-2 py-1 rounded-md border border-gray-300 bg-white"
+      >
+        {Object.entries(SERVICE_DISTRIBUTIONS).map(([id, distribution]) => (
+          <option key={id} value={id}>{distribution.name}</option>
+        ))}
+      </select>
+      <ParamInputs params={SERVICE_DISTRIBUTIONS[service.distribution].params} values={service} onChange={onServiceChange} />
+    </div>
+  </div>
+));
+TrafficPanel.displayName = 'TrafficPanel';
+
+export default TrafficPanel;
@@ -0,0 +1,126 @@
+// --- ADMISSION CONTROL ---
+//
+// Policies the balancer applies before it balances anything, each of which can
+// turn a request away with a reason:
+//
+//   clientRateLimit  a rate limit per client IP, so one abusive client can't crowd out the rest
+//   globalRateLimit  a rate limit over all clients, protecting the backends as a whole
+//   shed             load shedding: once the LB queue is deep enough, lower priority
+//                    classes are turned away first (see PRIORITY_CLASSES)
+//   circuitOpen      every backend the request could go to has an open circuit breaker
+//   queueFull        servers and queue are full, as without admission control
+//
+// Rate limits and shedding apply to new requests as they reach the balancer; retries
+// are the balancer's own and skip them. A rate limit is a token bucket (a steady rate
+// with bursts up to the bucket size) or a sliding window (at most `limit` requests in
+// any `windowMs`).
+//
+// A circuit breaker per backend watches its latest request results. Once the failure
+// rate over them crosses the threshold the circuit opens and the backend gets no
+// traffic; after `openMs` it turns half-open and lets a few trial requests through,
+// closing again if they all succeed and reopening on the first failure.
+
+/**
+ * Why a request was rejected, with display metadata
+ */
+export const REJECTION_REASONS = {
+  queueFull: { name: 'Queue full', description: 'servers and queue full', color: '#dc2626' },
+  clientRateLimit: { name: 'Client rate limit', description: 'client over its rate limit', color: '#9333ea' },
+  globalRateLimit: { name: 'Global rate limit', description: 'balancer over its global rate limit', color: '#c026d3' },
+  shed: { name: 'Load shed', description: 'shed: queue past its priority class threshold', color: '#ea580c' },
+  circuitOpen: { name: 'Circuit open', description: "every backend's circuit breaker is open", color: '#475569' },
+};
+
+/**
+ * Request priority classes, most important first. Each HTTP endpoint has one (see lib/http.js).
+ */
+export const PRIORITY_CLASSES = {
+  critical: { name: 'Critical' },
+  normal: { name: 'Normal' },
+  bulk: { name: 'Bulk' },
+};
+
+export const RATE_LIMIT_ALGORITHMS = {
+  tokenBucket: { name: 'Token bucket' },
+  slidingWindow: { name: 'Sliding window' },
+};
+
+export const ADMISSION_DEFAULTS = {
+  // `limit` requests per `windowMs`; a token bucket also allows bursts of up to `burst`
+  clientRateLimit: { enabled: false, algorithm: 'tokenBucket', limit: 2, windowMs: 1000, burst: 4 },
+  globalRateLimit: { enabled: false, algorithm: 'slidingWindow', limit: 8, windowMs: 1000, burst: 12 },
+  // Queue depth from which each class is shed; classes without one (critical here) never are
+  shedding: { enabled: false, queueDepth: { bulk: 3, normal: 7 } },
+  circuitBreaker: {
+    enabled: false,
+    windowSize: 20, // Latest request results the failure rate is taken over
+    minRequests: 10, // Results needed before the circuit can open
+    failureRatePercent: 50, // Failure rate (1-100%) over the window that opens the circuit
+    openMs: 5000, // How long the circuit stays open before trial requests
+    halfOpenRequests: 3, // Trial requests that must all succeed to close it again
+  },
+};
+
+/**
+ * Admission settings with every policy's missing fields taken from the defaults
+ */
+export const admissionConfig = (admission = {}) => Object.fromEntries(Object.entries(ADMISSION_DEFAULTS).map(([policy, defaults]) => [
+  policy,
+  { ...defaults, ...admission[policy] },
+]));
+
+/**
+ * Fresh state for a rate limiter first used at `now`: a full bucket, or an empty window
+ */
+export const initialLimiter = ({ algorithm, burst }, now) => (algorithm === 'tokenBucket' ? { tokens: burst, updatedAt: now } : { times: [] });
+
+/**
+ * Whether a rate limiter lets a request through at `now`: `{ allowed, state }`. A
+ * rejected request takes no token and doesn't count toward the window.
+ */
+export const acquire = ({ algorithm, limit, windowMs, burst }, state, now) => {
+  if (algorithm === 'tokenBucket') {
+    const tokens = Math.min(burst, state.tokens + ((now - state.updatedAt) * limit) / windowMs);
+    const allowed = tokens >= 1;
+    return { allowed, state: { tokens: allowed ? tokens - 1 : tokens, updatedAt: now } };
+  }
+  const times = state.times.filter(t => t > now - windowMs);
+  const allowed = times.length < limit;
+  return { allowed, state: { times: allowed ? [...times, now] : times } };
+};
+
+/**
+ * Whether the LB queue is deep enough to shed a request of this priority class
+ */
+export const shouldShed = ({ enabled, queueDepth }, priority, depth) => enabled && queueDepth[priority] != null && depth >= queueDepth[priority];
+
+export const CLOSED_BREAKER = { state: 'closed', results: [], openedAt: null, trials: 0, successes: 0 };
+
+/**
+ * Whether a backend's circuit breaker lets a request through
+ */
+export const breakerAdmits = (breaker, { halfOpenRequests }) => breaker.state === 'closed'
+  || (breaker.state === 'halfOpen' && breaker.trials < halfOpenRequests);
+
+/**
+ * Applies one request result to a backend's breaker and returns its next state.
+ * Results arriving while the circuit is open come from before it opened and are ignored.
+ */
+export const afterBreakerResult = (breaker, ok, { windowSize, minRequests, failureRatePercent, halfOpenRequests }, now) => {
+  const open = { ...CLOSED_BREAKER, state: 'open', openedAt: now };
+  if (breaker.state === 'open') return breaker;
+  if (breaker.state === 'halfOpen') {
+    if (!ok) return open;
+    const successes = breaker.successes + 1;
+    return successes >= halfOpenRequests ? CLOSED_BREAKER : { ...breaker, successes };
+  }
+
+  const results = [...breaker.results, ok].slice(-windowSize);
+  const failures = results.filter(result => !result).length;
+  return results.length >= minRequests && (failures / results.length) * 100 >= failureRatePercent ? open : { ...breaker, results };
+};
+
+/**
+ * Breaker state after its open period: half-open, with no trial requests sent yet
+ */
+export const halfOpenBreaker = () => ({ ...CLOSED_BREAKER, state: 'halfOpen' });
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMISSION_DEFAULTS, CLOSED_BREAKER, acquire, admissionConfig, afterBreakerResult, breakerAdmits, halfOpenBreaker, initialLimiter, shouldShed } from './admission.js';
+import { createSimulation } from './engine.js';
+
+const BUCKET = { algorithm: 'tokenBucket', limit: 2, windowMs: 1000, burst: 4 };
+const WINDOW = { algorithm: 'slidingWindow', limit: 2, windowMs: 1000, burst: 4 };
+const BREAKER = { ...ADMISSION_DEFAULTS.circuitBreaker, windowSize: 4, minRequests: 4, failureRatePercent: 50, halfOpenRequests: 2 };
+
+// Which of the requests sent at `times` a limiter lets through
+const admitted = (limit, times) => {
+  let state = initialLimiter(limit, times[0]);
+  return times.map(time => {
+    const result = acquire(limit, state, time);
+    state = result.state;
+    return result.allowed;
+  });
+};
+
+// A breaker after a run of results, all at time 0
+const afterResults = (breaker, results) => results.reduce((b, ok) => afterBreakerResult(b, ok, BREAKER, 0), breaker);
+
+describe('admissionConfig', () => {
+  it('fills every policy in from the defaults', () => {
+    const config = admissionConfig({ clientRateLimit: { enabled: true, limit: 5 } });
+    assert.deepEqual(config.clientRateLimit, { ...ADMISSION_DEFAULTS.clientRateLimit, enabled: true, limit: 5 });
+    assert.deepEqual(config.circuitBreaker, ADMISSION_DEFAULTS.circuitBreaker);
+  });
+});
+
+describe('token bucket', () => {
+  it('lets a burst of up to `burst` requests through at once', () => {
+    assert.deepEqual(admitted(BUCKET, [0, 0, 0, 0, 0]), [true, true, true, true, false]);
+  });
+
+  it('refills at `limit` tokens per window', () => {
+    // Empty after the burst; one token back every 500 ms
+    assert.deepEqual(admitted(BUCKET, [0, 0, 0, 0, 250, 500, 750, 1000]), [true, true, true, true, false, true, false, true]);
+  });
+
+  it('never holds more than `burst` tokens', () => {
+    assert.deepEqual(admitted(BUCKET, [0, 60000, 60000, 60000, 60000, 60000]), [true, true, true, true, true, false]);
+  });
+});
+
+describe('sliding window', () => {
+  it('lets at most `limit` requests through in any window', () => {
+    assert.deepEqual(admitted(WINDOW, [0, 100, 200, 999, 1000, 1100, 1150]), [true, true, false, false, true, true, false]);
+  });
+
+  it('does not count rejected requests toward the window', () => {
+    const { state } = acquire(WINDOW, { times: [0, 100] }, 500);
+    assert.deepEqual(state.times, [0, 100]);
+  });
+});
+
+describe('shouldShed', () => {
+  const shedding = { enabled: true, queueDepth: { bulk: 3, normal: 7 } };
+
+  it('sheds a class once the queue reaches its depth', () => {
+    assert.equal(shouldShed(shedding, 'bulk', 2), false);
+    assert.equal(shouldShed(shedding, 'bulk', 3), true);
+    assert.equal(shouldShed(shedding, 'normal', 3), false);
+    assert.equal(shouldShed(shedding, 'normal', 7), true);
+  });
+
+  it('never sheds a class without a depth, or while shedding is off', () => {
+    assert.equal(shouldShed(shedding, 'critical', 100), false);
+    assert.equal(shouldShed({ ...shedding, enabled: false }, 'bulk', 100), false);
+  });
+});
+
+describe('circuit breaker', () => {
+  it('stays closed until it has `minRequests` results', () => {
+    assert.equal(afterResults(CLOSED_BREAKER, [false, false, false]).state, 'closed');
+  });
+
+  it('opens once the failure rate over the window reaches the threshold', () => {
+    assert.equal(afterResults(CLOSED_BREAKER, [true, true, true, false]).state, 'closed');
+    const open = afterResults(CLOSED_BREAKER, [true, true, false, false]);
+    assert.equal(open.state, 'open');
+    assert.equal(breakerAdmits(open, BREAKER), false);
+  });
+
+  it('only counts the latest `windowSize` results', () => {
+    assert.equal(afterResults(CLOSED_BREAKER, Array(10).fill(true)).results.length, BREAKER.windowSize);
+    // 2 failures in 12 results, but 2 in the latest 4
+    assert.equal(afterResults(CLOSED_BREAKER, [...Array(10).fill(true), false, false]).state, 'open');
+  });
+
+  it('never opens without failures', () => {
+    assert.equal(afterResults(CLOSED_BREAKER, Array(20).fill(true)).state, 'closed');
+  });
+
+  it('ignores results that arrive while it is open', () => {
+    const open = afterResults(CLOSED_BREAKER, [false, false, false, false]);
+    assert.equal(afterResults(open, [true, true, true]), open);
+  });
+
+  it('lets `halfOpenRequests` trials through when half-open', () => {
+    assert.equal(breakerAdmits(halfOpenBreaker(), BREAKER), true);
+    assert.equal(breakerAdmits({ ...halfOpenBreaker(), trials: 2 }, BREAKER), false);
+  });
+
+  it('closes after the trials succeed and reopens on a failed one', () => {
+    assert.deepEqual(afterResults(halfOpenBreaker(), [true, true]), CLOSED_BREAKER);
+    assert.equal(afterResults(halfOpenBreaker(), [true]).state, 'halfOpen');
+    assert.equal(afterResults(halfOpenBreaker(), [true, false]).state, 'open');
+  });
+});
+
+describe('admission in a simulation', () => {
+  const SERVERS = [1, 2, 3, 4].map(id => ({ id, name: `S${id}` }));
+
+  it('rate limits abusive clients while the rest get through', () => {
+    const simulation = createSimulation(SERVERS, {
+      arrival: { rate: 8 },
+      abusiveClients: { count: 2, share: 0.5 },
+      admission: { clientRateLimit: { ...ADMISSION_DEFAULTS.clientRateLimit, enabled: true } },
+      metricsWindowMs: Infinity,
+    });
+    simulation.advanceTo(30000);
+    const { rejections, abusiveIps, finished } = simulation.snapshot();
+    const limited = finished.filter(r => r.rejection === 'clientRateLimit');
+    assert.ok(rejections.clientRateLimit > 0);
+    assert.equal(limited.length, rejections.clientRateLimit);
+    assert.ok(limited.every(r => abusiveIps.includes(r.ip)));
+  });
+
+  it('sheds bulk requests before critical ones', () => {
+    const simulation = createSimulation([{ id: 1, name: 'A', maxCapacity: 4 }], {
+      maxQueueDepth: 20,
+      admission: { shedding: { enabled: true, queueDepth: { bulk: 2, normal: 6 } } },
+      metricsWindowMs: Infinity,
+    });
+    simulation.advanceTo(30000);
+    const shed = simulation.snapshot().finished.filter(r => r.rejection === 'shed');
+    assert.ok(shed.some(r => r.priority === 'bulk'));
+    assert.ok(shed.every(r => r.priority !== 'critical'));
+  });
+});
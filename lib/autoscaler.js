@@ -0,0 +1,151 @@
+// --- AUTOSCALING ---
+//
+// An autoscaler grows and shrinks one backend pool from a metric it evaluates at a
+// fixed interval. Two policies are modeled after cloud autoscalers:
+//
+//   targetTracking  keeps the metric near `targetValue` by scaling the instance count
+//                   in proportion (4 instances at 90% for a 60% target -> 6)
+//   stepScaling     adds or removes the instances of the largest step whose threshold
+//                   the metric has crossed
+//
+// New instances boot for `warmupMs` before they take traffic; booting instances count
+// toward the pool size but not toward the metric. Scale-in drains an instance the
+// autoscaler started and retires it once its connections finish; servers added by
+// hand stay. After scaling out, further scale-out waits
+// for `scaleOutCooldownMs`; scale-in waits `scaleInCooldownMs` after any scaling, and
+// while instances are still booting. The pool never leaves [minInstances, maxInstances].
+//
+// The limits count every server in the pool, booting or in service, whoever added it: a
+// pool that starts with 2 servers and has `maxInstances` 8 gets at most 6 instances. An
+// instance moved to another pool leaves the autoscaler's care; it no longer counts and
+// is never retired.
+
+import { DEFAULT_POOL_ID } from './rules.js';
+
+/**
+ * Metrics a policy can act on, with display metadata. Both are averages over the
+ * instances in service.
+ */
+export const SCALING_METRICS = {
+  utilization: { name: 'Utilization', unit: '%', scale: 100, description: 'open connections / connection capacity' },
+  queueDepth: { name: 'LB queue per instance', unit: '', scale: 1, description: 'requests waiting at the LB per instance' },
+};
+
+export const SCALING_POLICIES = {
+  targetTracking: { name: 'Target tracking' },
+  stepScaling: { name: 'Step scaling' },
+};
+
+export const AUTOSCALER_DEFAULTS = {
+  enabled: false,
+  pool: DEFAULT_POOL_ID, // Backend pool the autoscaler manages
+  policy: 'targetTracking',
+  metric: 'utilization',
+  targetValue: 0.6, // Target tracking: the metric value to hold
+  // Step scaling: instances added when the metric is at or above a threshold, or removed at or
+  // below one; the largest matching step wins
+  scaleOutSteps: [{ threshold: 0.7, change: 1 }, { threshold: 0.9, change: 2 }],
+  scaleInSteps: [{ threshold: 0.3, change: 1 }],
+  evaluationIntervalMs: 2000,
+  scaleOutCooldownMs: 10000,
+  scaleInCooldownMs: 30000,
+  warmupMs: 8000, // Boot time before a new instance takes traffic
+  minInstances: 2, // Fewest servers in the pool, initial and hand-added ones included
+  maxInstances: 8, // Most servers in the pool, initial and hand-added ones included
+  // Settings of every new instance (see SERVER_DEFAULTS in lib/engine.js)
+  instance: { weight: 1, maxCapacity: 20, speed: 1, concurrency: 4, degradation: 1 },
+};
+
+// Instance ids start here, clear of hand-added servers; colors cycle through the palette
+export const INSTANCE_ID_BASE = 100;
+const INSTANCE_COLORS = ['#38bdf8', '#4ade80', '#fbbf24', '#c084fc', '#f87171', '#2dd4bf'];
+
+/**
+ * Settings of the `n`th instance the autoscaler starts (1-based)
+ */
+export const instanceSpec = (config, n) => ({
+  ...config.instance,
+  id: INSTANCE_ID_BASE + n,
+  name: `Auto ${n}`,
+  color: INSTANCE_COLORS[(n - 1) % INSTANCE_COLORS.length],
+  pool: config.pool,
+});
+
+/**
+ * Current value of a scaling metric over the instances in service (null if none are)
+ */
+export const scalingMetric = (metric, inService, queueDepth) => {
+  if (inService.length === 0) return null;
+  if (metric === 'queueDepth') return queueDepth / inService.length;
+  const capacity = inService.reduce((sum, s) => sum + s.maxCapacity, 0);
+  return inService.reduce((sum, s) => sum + s.load, 0) / capacity;
+};
+
+/**
+ * Readable metric value, e.g. "85%" or "2.5"
+ */
+export const formatMetric = (metric, value) => {
+  const { unit, scale } = SCALING_METRICS[metric];
+  return `${Number((value * scale).toFixed(1))}${unit}`;
+};
+
+// Largest step whose threshold the value has crossed (`above` for scale-out steps)
+const largestStep = (steps, value, above) => steps
+  .filter(step => (above ? value >= step.threshold : value <= step.threshold))
+  .reduce((best, step) => (best && best.change >= step.change ? best : step), null);
+
+// Instance count the policy asks for, and why, before limits and cooldowns
+const policyTarget = (config, instances, value) => {
+  const { metric, policy } = config;
+  if (policy === 'stepScaling') {
+    const out = largestStep(config.scaleOutSteps, value, true);
+    if (out) return { desired: instances + out.change, reason: `${SCALING_METRICS[metric].name} ${formatMetric(metric, value)} >= ${formatMetric(metric, out.threshold)}` };
+    const stepIn = largestStep(config.scaleInSteps, value, false);
+    if (stepIn) return { desired: instances - stepIn.change, reason: `${SCALING_METRICS[metric].name} ${formatMetric(metric, value)} <= ${formatMetric(metric, stepIn.threshold)}` };
+    return { desired: instances, reason: null };
+  }
+  // Target tracking scales in one instance at a time, so a dip doesn't throw away capacity
+  const proportional = Math.ceil(instances * value / config.targetValue);
+  return {
+    desired: Math.max(proportional, instances - 1),
+    reason: `${SCALING_METRICS[metric].name} ${formatMetric(metric, value)} vs target ${formatMetric(metric, config.targetValue)}`,
+  };
+};
+
+/**
+ * What the autoscaler does at an evaluation: `{ desired, reason }`, where `desired` is
+ * the instance count to move to (equal to `instances` for no change). `instances`
+ * counts instances booting or in service, `booting` those still warming up, `value`
+ * the metric over those in service and `lastScaleOutAt`/`lastScaleInAt` the times of
+ * the latest scaling actions.
+ */
+export const evaluateScaling = (config, { instances, booting, value, now, lastScaleOutAt, lastScaleInAt }) => {
+  const { minInstances, maxInstances } = config;
+  // Limits apply right away, cooldowns or not
+  if (instances < minInstances) return { desired: minInstances, reason: `below the minimum of ${minInstances}` };
+  if (instances > maxInstances) return { desired: maxInstances, reason: `above the maximum of ${maxInstances}` };
+  if (value == null) return { desired: instances, reason: null };
+
+  const { desired, reason } = policyTarget(config, instances, value);
+  const bounded = Math.min(maxInstances, Math.max(minInstances, desired));
+  if (bounded > instances && now - lastScaleOutAt >= config.scaleOutCooldownMs) return { desired: bounded, reason };
+  const lastScaling = Math.max(lastScaleOutAt, lastScaleInAt);
+  if (bounded < instances && booting === 0 && now - lastScaling >= config.scaleInCooldownMs) return { desired: bounded, reason };
+  return { desired: instances, reason: null };
+};
+
+/**
+ * Scaling actions that fall inside the load history, as `{ index, direction, label }`
+ * where `index` is the first history sample taken after the action. Samples are
+ * `intervalMs` apart and the newest was taken at the last multiple of it up to `time`.
+ */
+export const scalingMarkers = (scalingLog, historyLength, time, intervalMs) => {
+  const newest = Math.floor(time / intervalMs);
+  return scalingLog
+    .map(entry => ({
+      index: historyLength - 1 - (newest - Math.ceil(entry.time / intervalMs)),
+      direction: entry.direction,
+      label: `${entry.from}->${entry.to}`,
+    }))
+    .filter(marker => marker.index >= 0 && marker.index < historyLength);
+};
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUTOSCALER_DEFAULTS, INSTANCE_ID_BASE, evaluateScaling, instanceSpec, scalingMarkers, scalingMetric } from './autoscaler.js';
+import { createSimulation } from './engine.js';
+
+const TARGET = { ...AUTOSCALER_DEFAULTS, targetValue: 0.5, minInstances: 1, maxInstances: 10 };
+const STEPS = { ...TARGET, policy: 'stepScaling' };
+// An evaluation long after any scaling, with nothing booting
+const STATE = { instances: 4, booting: 0, value: 0.5, now: 100000, lastScaleOutAt: -Infinity, lastScaleInAt: -Infinity };
+
+describe('scalingMetric', () => {
+  const inService = [{ load: 5, maxCapacity: 10 }, { load: 10, maxCapacity: 20 }];
+
+  it('averages utilization over the capacity in service', () => {
+    assert.equal(scalingMetric('utilization', inService, 0), 0.5);
+  });
+
+  it('spreads the LB queue over the instances in service', () => {
+    assert.equal(scalingMetric('queueDepth', inService, 6), 3);
+  });
+
+  it('has no value without instances in service', () => {
+    assert.equal(scalingMetric('utilization', [], 0), null);
+  });
+});
+
+describe('instanceSpec', () => {
+  it('numbers instances from the id base into the managed pool', () => {
+    const spec = instanceSpec({ ...AUTOSCALER_DEFAULTS, pool: 'api' }, 3);
+    assert.equal(spec.id, INSTANCE_ID_BASE + 3);
+    assert.equal(spec.name, 'Auto 3');
+    assert.equal(spec.pool, 'api');
+    assert.equal(spec.maxCapacity, AUTOSCALER_DEFAULTS.instance.maxCapacity);
+  });
+});
+
+describe('evaluateScaling', () => {
+  it('moves a pool outside its limits back inside, cooldowns or not', () => {
+    const recent = { ...STATE, lastScaleOutAt: STATE.now, lastScaleInAt: STATE.now };
+    assert.equal(evaluateScaling({ ...TARGET, minInstances: 6 }, recent).desired, 6);
+    assert.equal(evaluateScaling({ ...TARGET, maxInstances: 3 }, recent).desired, 3);
+  });
+
+  it('holds while no instance is in service', () => {
+    assert.deepEqual(evaluateScaling(TARGET, { ...STATE, value: null }), { desired: 4, reason: null });
+  });
+
+  it('scales out in proportion to the metric under target tracking', () => {
+    assert.equal(evaluateScaling(TARGET, { ...STATE, value: 0.9 }).desired, 8);
+  });
+
+  it('never asks for more than maxInstances', () => {
+    assert.equal(evaluateScaling({ ...TARGET, maxInstances: 6 }, { ...STATE, value: 0.9 }).desired, 6);
+  });
+
+  it('scales in one instance at a time under target tracking', () => {
+    assert.equal(evaluateScaling(TARGET, { ...STATE, value: 0.1 }).desired, 3);
+  });
+
+  it('never asks for fewer than minInstances', () => {
+    assert.equal(evaluateScaling({ ...TARGET, minInstances: 4 }, { ...STATE, value: 0.1 }).desired, 4);
+  });
+
+  it('waits out the scale-out cooldown', () => {
+    const state = { ...STATE, value: 0.9, lastScaleOutAt: STATE.now - TARGET.scaleOutCooldownMs + 1 };
+    assert.equal(evaluateScaling(TARGET, state).desired, 4);
+    assert.equal(evaluateScaling(TARGET, { ...state, now: state.now + 1 }).desired, 8);
+  });
+
+  it('waits out the scale-in cooldown after any scaling', () => {
+    const state = { ...STATE, value: 0.1, lastScaleOutAt: STATE.now - TARGET.scaleInCooldownMs + 1 };
+    assert.equal(evaluateScaling(TARGET, state).desired, 4);
+  });
+
+  it('does not scale in while instances are booting', () => {
+    assert.equal(evaluateScaling(TARGET, { ...STATE, value: 0.1, booting: 1 }).desired, 4);
+  });
+
+  it('takes the largest step whose threshold the metric crossed', () => {
+    assert.equal(evaluateScaling(STEPS, { ...STATE, value: 0.95 }).desired, 6);
+    assert.equal(evaluateScaling(STEPS, { ...STATE, value: 0.75 }).desired, 5);
+    assert.equal(evaluateScaling(STEPS, { ...STATE, value: 0.5 }).desired, 4);
+    const decision = evaluateScaling(STEPS, { ...STATE, value: 0.2 });
+    assert.equal(decision.desired, 3);
+    assert.equal(decision.reason, 'Utilization 20% <= 30%');
+  });
+});
+
+describe('scalingMarkers', () => {
+  it('places each action at the first sample taken after it', () => {
+    const log = [{ time: 950, direction: 'out', from: 2, to: 4 }, { time: 100, direction: 'in', from: 4, to: 3 }];
+    // Samples every 100 ms, the newest at 1000 and the oldest of 5 at 600
+    assert.deepEqual(scalingMarkers(log, 5, 1000, 100), [{ index: 4, direction: 'out', label: '2->4' }]);
+  });
+});
+
+describe('autoscaling a simulation', () => {
+  const servers = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+  const options = {
+    arrival: { rate: 40 },
+    autoscaler: { enabled: true, minInstances: 1, maxInstances: 4, evaluationIntervalMs: 1000, scaleOutCooldownMs: 0, warmupMs: 1000 },
+  };
+
+  it('counts the initial servers toward maxInstances', () => {
+    const simulation = createSimulation(servers, options);
+    simulation.advanceTo(30000);
+    const { servers: pool, scalingLog } = simulation.snapshot();
+    assert.equal(pool.length, 4);
+    assert.equal(pool.filter(s => s.isInstance).length, 2);
+    assert.deepEqual(scalingLog.map(entry => [entry.from, entry.to]), [[2, 4]]);
+  });
+
+  it('treats a pool it was not given as the default pool', () => {
+    const simulation = createSimulation(servers, { ...options, autoscaler: { ...options.autoscaler, pool: 'api' } });
+    simulation.advanceTo(30000);
+    assert.equal(simulation.snapshot().servers.length, 4);
+  });
+
+  it('lets go of instances moved to another pool', () => {
+    const simulation = createSimulation(servers, { ...options, pools: [{ id: 'api', name: 'API', mode: null }] });
+    const moveInstances = () => simulation.snapshot().servers
+      .filter(s => s.isInstance && s.pool !== 'api')
+      .forEach(s => simulation.reconfigureServer(s.id, { pool: 'api' }));
+    simulation.advanceTo(10000);
+    moveInstances();
+    simulation.advanceTo(20000);
+    moveInstances();
+    simulation.advanceTo(30000);
+    const pool = simulation.snapshot().servers;
+    assert.equal(pool.filter(s => s.pool === 'api').length, 4);
+    assert.equal(pool.filter(s => s.pool !== 'api').length, 4);
+    assert.ok(pool.every(s => !s.isRetiring));
+  });
+});
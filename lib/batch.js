@@ -0,0 +1,120 @@
+// --- HEADLESS BATCH RUNS ---
+//
+// Runs a scenario on the engine with no UI, as fast as the CPU allows, and samples
+// server loads and request outcomes at a fixed interval of virtual time. The
+// command-line runner (scripts/simulate.js) is a thin shell around this module.
+
+import { createSimulation } from './engine.js';
+import { latencyStats, loadImbalance, summarizeMetrics } from './metrics.js';
+import { scenarioRunSettings } from './scenario.js';
+import { sessionHitRate } from './sessions.js';
+
+export const BATCH_DEFAULTS = {
+  durationMs: 60000,
+  intervalMs: 1000,
+};
+
+const SERVED_OUTCOMES = new Set(['served', 'queuedThenServed']);
+
+/**
+ * Runs a validated scenario for `durationMs` of virtual time with the given algorithm and
+ * seed (the scenario's own by default). Returns the per-interval `series` (loads keyed by
+ * server id, queue depth, pool size, and what finished during the interval) and whole-run `summary`
+ * and `perServer` metrics.
+ */
+export const runScenario = (scenario, {
+  algorithm = scenario.algorithm,
+  seed = scenario.seed,
+  durationMs = BATCH_DEFAULTS.durationMs,
+  intervalMs = BATCH_DEFAULTS.intervalMs,
+} = {}) => {
+  const { servers, slaMs, options } = scenarioRunSettings(scenario);
+  // The engine's metrics window only has to reach back to the previous sample: each interval's
+  // finished requests are collected here for the summary. Its own history isn't needed.
+  const simulation = createSimulation(servers, { ...options, mode: algorithm, seed, metricsWindowMs: intervalMs, historyLength: 1 });
+
+  const series = [];
+  const seen = new Map(); // Every server that was in the pool at a sample, latest state
+  const allFinished = [];
+  let lastSampleTime = -Infinity;
+  // A sample at the end of every interval; the last one may be shorter
+  const sampleTimes = Array.from({ length: Math.ceil(durationMs / intervalMs) }, (_, i) => Math.min((i + 1) * intervalMs, durationMs));
+  for (const t of sampleTimes) {
+    simulation.advanceTo(t);
+    const { servers: pool, queue, finished } = simulation.snapshot();
+    pool.forEach(server => seen.set(server.id, server));
+
+    const finishedNow = finished.filter(r => r.finishTime > lastSampleTime);
+    finishedNow.forEach(r => allFinished.push(r));
+    lastSampleTime = t;
+    const served = finishedNow.filter(r => SERVED_OUTCOMES.has(r.outcome));
+    const { p50, p95, p99 } = latencyStats(served.map(r => r.finishTime - r.arrivalTime));
+    series.push({
+      timeMs: t,
+      loads: Object.fromEntries(pool.map(s => [s.id, s.load])),
+      queueDepth: queue.length,
+      instances: pool.length,
+      served: served.length,
+      dropped: finishedNow.length - served.length,
+      p50,
+      p95,
+      p99,
+    });
+  }
+
+  const final = simulation.snapshot();
+  const allServers = [...seen.values()];
+  const history = series.map(sample => sample.loads);
+  const { aggregate, perServer } = summarizeMetrics({ finished: allFinished, history, servers: allServers, elapsedMs: durationMs, slaMs });
+  return {
+    algorithm,
+    seed,
+    servers: allServers.map(({ id, name }) => ({ id, name })),
+    summary: {
+      ...aggregate,
+      ...loadImbalance(history, allServers),
+      ...final.outcomes,
+      ...final.rejections,
+      ...final.counters,
+      faults: final.faultLog.length,
+      scaleOuts: final.scalingLog.filter(e => e.direction === 'out').length,
+      scaleIns: final.scalingLog.filter(e => e.direction === 'in').length,
+      peakInstances: Math.max(...series.map(sample => sample.instances)),
+      failovers: Object.values(final.regionStats).reduce((sum, stats) => sum + stats.failovers, 0),
+      sessionHitRate: sessionHitRate(final.affinity),
+      ...final.affinity,
+    },
+    perServer,
+    series,
+  };
+};
+
+// Summary columns in CSV order
+const SUMMARY_COLUMNS = [
+  'count', 'throughput', 'mean', 'p50', 'p95', 'p99', 'avgQueueWait', 'slaViolations', 'dropped', 'dropRate', 'utilization',
+  'stdDev', 'range', 'served', 'queuedThenServed', 'timedOut', 'rejected', 'queueFull', 'clientRateLimit',
+  'globalRateLimit', 'shed', 'circuitOpen', 'failed', 'refused', 'reset', 'lost', 'retries',
+  'retriesDenied', 'completedWhileDraining', 'faults', 'scaleOuts', 'scaleIns', 'peakInstances', 'failovers', 'sessionHitRate', 'returning', 'hits', 'brokenDown', 'brokenDraining', 'moved',
+];
+
+/**
+ * One row per run with its whole-run metrics, as `{ header, rows }` for toCsv()
+ */
+export const summaryTable = (runs) => ({
+  header: ['algorithm', 'seed', ...SUMMARY_COLUMNS],
+  rows: runs.map(run => [run.algorithm, run.seed, ...SUMMARY_COLUMNS.map(key => run.summary[key])]),
+});
+
+/**
+ * One row per run and interval, with a load column per server (by name) seen in any run
+ */
+export const seriesTable = (runs) => {
+  const servers = [...new Map(runs.flatMap(run => run.servers).map(s => [s.id, s])).values()];
+  return {
+    header: ['algorithm', 'seed', 'timeMs', 'queueDepth', 'instances', 'served', 'dropped', 'p50', 'p95', 'p99', ...servers.map(s => `load:${s.name}`)],
+    rows: runs.flatMap(run => run.series.map(sample => [
+      run.algorithm, run.seed, sample.timeMs, sample.queueDepth, sample.instances, sample.served, sample.dropped, sample.p50, sample.p95, sample.p99,
+      ...servers.map(s => sample.loads[s.id]),
+    ])),
+  };
+};
@@ -0,0 +1,110 @@
+// --- CHART SNAPSHOTS ---
+//
+// Standalone SVG documents of the load charts for reports. They are drawn from
+// the same data as the on-screen charts but need no CSS, so they open anywhere
+// and can be rasterized to PNG (see lib/download.js).
+
+const FONT = 'font-family="system-ui, sans-serif"';
+const LEGEND_HEIGHT = 30;
+
+const colorOf = (server) => server.color ?? '#6b7280';
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+
+const svgDocument = (width, height, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#ffffff"/>
+${body}
+</svg>
+`;
+
+// Horizontal grid lines with labels at quarters of maxLoad; the top one marks capacity
+const grid = ({ left, right, scaleY, maxLoad }) => [4, 3, 2, 1, 0]
+  .map(i => Math.round((maxLoad * i) / 4))
+  .map(value => {
+    const y = scaleY(value);
+    const stroke = value === maxLoad ? '#f87171' : value === 0 ? '#4b5563' : '#e5e7eb';
+    const dash = value === maxLoad ? ' stroke-dasharray="4 4"' : '';
+    return `<line x1="${left}" y1="${y}" x2="${right}" y2="${y}" stroke="${stroke}"${dash}/>`
+      + `<text x="${left - 6}" y="${y + 4}" text-anchor="end" font-size="12" fill="#6b7280" ${FONT}>${value}</text>`;
+  })
+  .join('\n');
+
+const legend = (servers, y, width) => {
+  const step = Math.min(160, width / Math.max(1, servers.length));
+  const start = (width - step * servers.length) / 2;
+  return servers.map((server, index) => {
+    const x = start + index * step;
+    return `<circle cx="${x + 8}" cy="${y}" r="6" fill="${colorOf(server)}"/>`
+      + `<text x="${x + 20}" y="${y + 4}" font-size="13" fill="#374151" ${FONT}>${escapeXml(server.name)}</text>`;
+  }).join('\n');
+};
+
+const heading = (title, width) => `<text x="${width / 2}" y="28" text-anchor="middle" font-size="18" font-weight="bold" fill="#1f2937" ${FONT}>${escapeXml(title)}</text>`;
+
+export const MARKER_COLORS = { out: '#0d9488', in: '#ea580c' };
+
+/**
+ * Line chart of each server's connections over the history samples (keyed by server id),
+ * with scaling actions marked (see scalingMarkers() in lib/autoscaler.js)
+ */
+export const loadTrendSvg = ({ history, servers, maxLoad, title, markers = [], width = 1000, height = 400 }) => {
+  const left = 50;
+  const right = width - 20;
+  const top = 50;
+  const bottom = height - LEGEND_HEIGHT - 30;
+  const scaleX = (index) => left + (index / Math.max(1, history.length - 1)) * (right - left);
+  const scaleY = (load) => bottom - (load / maxLoad) * (bottom - top);
+
+  const paths = servers.map(server => {
+    const points = history
+      .map((loads, index) => (loads[server.id] == null ? null : `${scaleX(index).toFixed(1)},${scaleY(loads[server.id]).toFixed(1)}`))
+      .filter(Boolean);
+    return points.length === 0 ? ''
+      : `<path d="M ${points.join(' L ')}" fill="none" stroke="${colorOf(server)}" stroke-width="2.5" stroke-linejoin="round" stroke-linecap="round"/>`;
+  });
+
+  return svgDocument(width, height, [
+    heading(title, width),
+    grid({ left, right, scaleY, maxLoad }),
+    ...markers.map(({ index, direction, label }) => `<line x1="${scaleX(index).toFixed(1)}" y1="${top}" x2="${scaleX(index).toFixed(1)}" y2="${bottom}" stroke="${MARKER_COLORS[direction]}" stroke-dasharray="6 3"/>`
+      + `<text x="${(scaleX(index) + 3).toFixed(1)}" y="${top + 12}" font-size="11" fill="${MARKER_COLORS[direction]}" ${FONT}>${escapeXml(label)}</text>`),
+    ...paths,
+    `<text x="${(left + right) / 2}" y="${bottom + 22}" text-anchor="middle" font-size="12" fill="#9ca3af" ${FONT}>Active connections per server, oldest sample on the left</text>`,
+    legend(servers, height - LEGEND_HEIGHT / 2 - 4, width),
+  ].join('\n'));
+};
+
+/**
+ * Bar chart of each server's current connections, with its own capacity marked
+ */
+export const loadBarsSvg = ({ servers, maxLoad, title, width = 600, height = 450 }) => {
+  const left = 50;
+  const right = width - 20;
+  const top = 60;
+  const bottom = height - 50;
+  const scaleY = (load) => bottom - (load / maxLoad) * (bottom - top);
+  const slot = (right - left) / Math.max(1, servers.length);
+  const barWidth = Math.min(64, slot * 0.7);
+
+  const bars = servers.map((server, index) => {
+    const x = left + slot * index + (slot - barWidth) / 2;
+    const used = server.load / server.maxCapacity;
+    const color = used > 0.85 ? '#ef4444' : used > 0.5 ? '#eab308' : '#22c55e';
+    const y = scaleY(server.load);
+    const capY = scaleY(server.maxCapacity);
+    return [
+      `<rect x="${x}" y="${y}" width="${barWidth}" height="${bottom - y}" fill="${color}" rx="4"/>`,
+      `<line x1="${x}" y1="${capY}" x2="${x + barWidth}" y2="${capY}" stroke="#fca5a5" stroke-width="2" stroke-dasharray="4 3"/>`,
+      `<text x="${x + barWidth / 2}" y="${y - 6}" text-anchor="middle" font-size="13" font-weight="bold" fill="#374151" ${FONT}>${server.load}</text>`,
+      `<text x="${x + barWidth / 2}" y="${bottom + 18}" text-anchor="middle" font-size="12" fill="#374151" ${FONT}>${escapeXml(server.name)}</text>`,
+    ].join('\n');
+  });
+
+  return svgDocument(width, height, [
+    heading(title, width),
+    grid({ left, right, scaleY, maxLoad }),
+    ...bars,
+    `<text x="${width / 2}" y="${height - 10}" text-anchor="middle" font-size="12" fill="#9ca3af" ${FONT}>Active connections | Dashed: each server's capacity</text>`,
+  ].join('\n'));
+};
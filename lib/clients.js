@@ -0,0 +1,106 @@
+// --- CLIENT POPULATION ---
+//
+// A fixed set of simulated clients, each with a stable IP address. Popularity
+// follows a Zipf distribution, so a few clients return often and most show up
+// now and then, which is roughly what real traffic looks like.
+
+export const DEFAULT_CLIENT_POOL_SIZE = 200;
+// Upper bound on the configured pool: drawing the IPs and the Zipf table grow with it
+export const MAX_CLIENT_POOL_SIZE = 10000;
+export const DEFAULT_ZIPF_EXPONENT = 1;
+
+// Clients come in visits: a few requests in a row (page views and their assets), then
+// they leave and return later. Popular clients return sooner. One request per visit
+// makes every request an independent pick, as if clients never stayed.
+export const VISIT_DEFAULTS = {
+  requestsPerVisit: 5, // Mean requests in a visit (the count is geometric)
+  concurrentVisits: 20, // Visits in progress at once; arrivals are spread over them
+};
+
+// Abusive clients (scrapers, a misbehaving script) on top of the regular population: a
+// handful of IPs sending a fixed share of all requests. Off while `count` is 0.
+// Abusive IPs are the host addresses of 203.0.113.0/24, so there are at most 254 of them
+export const MAX_ABUSIVE_CLIENTS = 254;
+
+export const ABUSIVE_CLIENT_DEFAULTS = {
+  count: 0,
+  share: 0.4, // Share of arrivals that come from an abusive client (0-1)
+};
+
+// Client IPs are host addresses of 10.0.0.0/8 ending in 1-254
+const CLIENT_ADDRESSES = 256 * 256 * 254;
+
+/**
+ * Creates `size` clients with distinct IPs drawn from `random`. Returns the IP
+ * list and a `pick(random)` that samples a client IP by popularity. Throws a
+ * RangeError when `size` is more than there are client addresses.
+ */
+export const createClientPopulation = (random, { size = DEFAULT_CLIENT_POOL_SIZE, zipfExponent = DEFAULT_ZIPF_EXPONENT } = {}) => {
+  if (size > CLIENT_ADDRESSES) throw new RangeError(`A client pool holds at most ${CLIENT_ADDRESSES} addresses (asked for ${size}).`);
+  const ips = [];
+  const seen = new Set();
+  while (ips.length < size) {
+    const ip = `10.${Math.floor(random() * 256)}.${Math.floor(random() * 256)}.${1 + Math.floor(random() * 254)}`;
+    if (seen.has(ip)) continue;
+    seen.add(ip);
+    ips.push(ip);
+  }
+
+  // Cumulative Zipf weights: the client at rank r is picked with weight 1 / r^s
+  const cumulative = [];
+  let total = 0;
+  ips.forEach((_, rank) => {
+    total += 1 / (rank + 1) ** zipfExponent;
+    cumulative.push(total);
+  });
+
+  const pick = (random) => {
+    const target = random() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumulative[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+    return ips[lo];
+  };
+
+  return { ips, pick };
+};
+
+/**
+ * Client picker that groups requests into visits: each arrival belongs to one of
+ * `concurrentVisits` visits in progress, and a visit that has sent all its requests
+ * is replaced by a new one from a client picked by popularity.
+ */
+export const createVisitPicker = (population, { requestsPerVisit = VISIT_DEFAULTS.requestsPerVisit, concurrentVisits = VISIT_DEFAULTS.concurrentVisits } = {}) => {
+  if (requestsPerVisit <= 1) return population.pick;
+
+  let visits = Array(concurrentVisits).fill(null); // { ip, remaining } per slot, null until first used
+  return (random) => {
+    const slot = Math.floor(random() * concurrentVisits);
+    let visit = visits[slot];
+    if (!visit || visit.remaining === 0) {
+      // Geometric number of requests with the configured mean
+      const length = 1 + Math.floor(Math.log(1 - random()) / Math.log(1 - 1 / requestsPerVisit));
+      visit = { ip: population.pick(random), remaining: length };
+    }
+    visits = visits.map((v, i) => (i === slot ? { ...visit, remaining: visit.remaining - 1 } : v));
+    return visit.ip;
+  };
+};
+
+/**
+ * Picker for abusive clients: returns the IP of one of `count` abusive clients for a
+ * `share` of calls and null for the rest. Abusive IPs come from a documentation range,
+ * so they never collide with regular clients; counts beyond the range get all of it.
+ */
+export const createAbuserPicker = ({ count, share }) => {
+  const ips = Array.from({ length: Math.min(count, MAX_ABUSIVE_CLIENTS) }, (_, index) => `203.0.113.${index + 1}`);
+  const pick = (random) => {
+    if (ips.length === 0 || random() >= share) return null;
+    return ips[Math.floor(random() * ips.length)];
+  };
+  return { ips, pick };
+};
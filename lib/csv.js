@@ -0,0 +1,15 @@
+// --- CSV ---
+//
+// Minimal RFC 4180 writer for exports: fields containing commas, quotes or line
+// breaks are quoted, empty values (null/undefined) become empty fields.
+
+const field = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for a header row plus data rows (arrays of values in header order)
+ */
+export const toCsv = (header, rows) => [header, ...rows].map(row => row.map(field).join(',')).join('\n') + '\n';
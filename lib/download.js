@@ -0,0 +1,57 @@
+// --- BROWSER DOWNLOADS ---
+//
+// Saving exports from the page. Unlike the rest of lib/, these helpers need a
+// browser (DOM, canvas), so only components call them.
+
+/**
+ * Saves a blob under the given file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Saves text (JSON, CSV, SVG...) under the given file name
+ */
+export const downloadText = (text, filename, type) => downloadBlob(new Blob([text], { type }), filename);
+
+/**
+ * File-name-safe form of a title, e.g. "Server Load Trend" -> "server-load-trend"
+ */
+export const fileSlug = (title) => title.trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'export';
+
+/**
+ * Rasterizes a standalone SVG document and saves it as a PNG. `scale` sharpens the
+ * image for high-resolution reports.
+ */
+export const downloadSvgAsPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth * scale;
+    canvas.height = image.naturalHeight * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('The chart could not be rendered to PNG.'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The chart could not be rendered to PNG.'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,1078 @@
+// --- DISCRETE-EVENT SIMULATION ENGINE ---
+//
+// The engine owns a virtual clock, the server pool and every request in flight.
+// Nothing here depends on timers or wall-clock time: callers move the clock
+// forward with advanceTo()/step() and render snapshot() however they like.
+// Given the same servers, config and seed, a run is fully reproducible.
+
+import {
+  ADMISSION_DEFAULTS,
+  CLOSED_BREAKER,
+  REJECTION_REASONS,
+  acquire,
+  admissionConfig,
+  afterBreakerResult,
+  breakerAdmits,
+  halfOpenBreaker,
+  initialLimiter,
+  shouldShed,
+} from './admission.js';
+import { AUTOSCALER_DEFAULTS, INSTANCE_ID_BASE, evaluateScaling, instanceSpec, scalingMetric } from './autoscaler.js';
+import { createEventQueue } from './eventQueue.js';
+import {
+  ABUSIVE_CLIENT_DEFAULTS,
+  createAbuserPicker,
+  createClientPopulation,
+  createVisitPicker,
+  DEFAULT_CLIENT_POOL_SIZE,
+  VISIT_DEFAULTS,
+} from './clients.js';
+import { DEFAULT_VIRTUAL_NODES } from './hashRing.js';
+import {
+  HEALTH_CHECK_DEFAULTS,
+  OUTLIER_DETECTION_DEFAULTS,
+  initialHealth,
+  isRoutable,
+  probeOutcome,
+  afterProbe,
+  afterRequest,
+  afterEjection,
+} from './health.js';
+import { NO_FAULTS, CHAOS_DEFAULTS, FAULT_TYPES, faultValue, effectiveLimits, isLost, nextChaosTime, randomFault } from './faults.js';
+import { DEFAULT_HTTP_PROFILE, sampleHttp } from './http.js';
+import { RESPONSE_TIME_SMOOTHING, smoothResponseTime } from './metrics.js';
+import { PERFORMANCE_DEFAULTS, serviceDuration } from './performance.js';
+import { createRng, deriveSeed } from './random.js';
+import { DEFAULT_POOLS, DEFAULT_POOL_ID, compileRules, matchRule } from './rules.js';
+import { NO_AFFINITY, STICKY_SESSION_DEFAULTS, affinityOutcome } from './sessions.js';
+import { eligibleServers, getStrategy } from './strategies.js';
+import { TOPOLOGY_DEFAULTS, assignClientRegions, linkLatency, pickRegion } from './topology.js';
+import { DEFAULT_ARRIVAL, DEFAULT_SERVICE, nextArrivalTime, sampleServiceTime } from './traffic.js';
+
+export const SIMULATION_DEFAULTS = {
+  seed: 1,
+  mode: 'roundRobin',
+  arrival: DEFAULT_ARRIVAL, // Arrival process and its parameters (see lib/traffic.js)
+  service: DEFAULT_SERVICE, // Service-time distribution and its parameters
+  transitTimeMs: 500, // Time for a request to travel from the LB to its server
+  connectTimeoutMs: 1000, // How long the LB waits on a request lost in the network before giving up on it
+  sampleIntervalMs: 100, // How often the load history is sampled
+  historyLength: 100, // Number of history samples kept
+  recordingLength: 3000, // Samples kept in the exportable recording (5 minutes at the default interval)
+  eventLogLength: 2000, // Entries kept in the event log (arrivals, routing decisions, completions, health changes...)
+  clientPoolSize: DEFAULT_CLIENT_POOL_SIZE, // Distinct client IPs that generate the traffic
+  visits: VISIT_DEFAULTS, // How clients group their requests into visits (see lib/clients.js)
+  abusiveClients: ABUSIVE_CLIENT_DEFAULTS, // A few clients sending a large share of the traffic
+  stickySessions: STICKY_SESSION_DEFAULTS, // Cookie TTL and session size for sticky sessions (see lib/sessions.js)
+  virtualNodes: DEFAULT_VIRTUAL_NODES, // Points per server on the IP Hash ring
+  responseTimeSmoothing: RESPONSE_TIME_SMOOTHING, // EWMA factor for each server's average response time
+  maxQueueDepth: 10, // Requests the LB holds while every server is full (0 disables queueing)
+  queueTimeoutMs: 2000, // How long a queued request waits before it times out
+  metricsWindowMs: 10000, // Finished requests older than this are dropped from the metrics window
+  healthCheck: HEALTH_CHECK_DEFAULTS, // Active probing (see lib/health.js)
+  outlierDetection: OUTLIER_DETECTION_DEFAULTS, // Passive ejection after consecutive request failures
+  admission: ADMISSION_DEFAULTS, // Rate limits, load shedding and circuit breakers (see lib/admission.js)
+  retry: {
+    enabled: true,
+    maxRetries: 2, // Extra attempts per request after a failed one
+    budgetPercent: 20, // Each new request earns this share of a retry...
+    budgetBurst: 10, // ...up to this many banked retries, so retries can't snowball during an outage
+  },
+  chaos: CHAOS_DEFAULTS, // Random fault injection (see lib/faults.js)
+  autoscaler: AUTOSCALER_DEFAULTS, // Policy-driven scale-out and scale-in of a pool (see lib/autoscaler.js)
+  http: DEFAULT_HTTP_PROFILE, // Endpoints, headers and cookies of the simulated requests (see lib/http.js)
+  pools: DEFAULT_POOLS, // Named backend pools, each with its own algorithm (see lib/rules.js)
+  rules: [], // Layer-7 rules sending matching requests to a pool; the rest go to the default pool
+  topology: TOPOLOGY_DEFAULTS, // Client regions, a global LB and a regional LB per region (see lib/topology.js)
+  timeline: [], // Scripted steps ({ atMs, action, ... }) applied as the clock reaches them (see lib/scenario.js)
+};
+
+// Settings of a backend that can be changed while the simulation runs
+export const SERVER_DEFAULTS = {
+  weight: 1, // Share of traffic for the weighted strategies
+  maxCapacity: 20, // Connections the server accepts at once
+  pool: DEFAULT_POOL_ID, // Backend pool the server belongs to
+  region: null, // Region the server is in when the topology is enabled; null means the first
+  ...PERFORMANCE_DEFAULTS, // Speed, workers and degradation (see lib/performance.js)
+};
+
+const SERVER_SETTINGS = ['name', 'color', ...Object.keys(SERVER_DEFAULTS)];
+
+// Final outcome of every request that leaves the system
+export const OUTCOMES = ['served', 'queuedThenServed', 'timedOut', 'rejected', 'failed'];
+
+// Running totals for failure handling that aren't final outcomes
+const FAILURE_COUNTERS = ['refused', 'reset', 'lost', 'retries', 'retriesDenied', 'completedWhileDraining'];
+
+/**
+ * Creates a simulation over the given server pool. Server loads start at zero.
+ */
+export const createSimulation = (initialServers, options = {}) => {
+  const config = {
+    ...SIMULATION_DEFAULTS,
+    ...options,
+    arrival: { ...SIMULATION_DEFAULTS.arrival, ...options.arrival },
+    service: { ...SIMULATION_DEFAULTS.service, ...options.service },
+    healthCheck: { ...SIMULATION_DEFAULTS.healthCheck, ...options.healthCheck },
+    outlierDetection: { ...SIMULATION_DEFAULTS.outlierDetection, ...options.outlierDetection },
+    retry: { ...SIMULATION_DEFAULTS.retry, ...options.retry },
+    chaos: { ...SIMULATION_DEFAULTS.chaos, ...options.chaos },
+    autoscaler: { ...SIMULATION_DEFAULTS.autoscaler, ...options.autoscaler },
+    visits: { ...SIMULATION_DEFAULTS.visits, ...options.visits },
+    abusiveClients: { ...SIMULATION_DEFAULTS.abusiveClients, ...options.abusiveClients },
+    admission: admissionConfig(options.admission),
+    stickySessions: { ...SIMULATION_DEFAULTS.stickySessions, ...options.stickySessions },
+    topology: { ...SIMULATION_DEFAULTS.topology, ...options.topology },
+  };
+  const poolModes = Object.fromEntries([...DEFAULT_POOLS, ...config.pools].map(p => [p.id, p.mode]));
+  const poolOf = (id) => (Object.hasOwn(poolModes, id) ? id : DEFAULT_POOL_ID);
+  const ruleMatchers = compileRules(config.rules);
+  // An autoscaler set to manage a pool that doesn't exist manages the default one, like its servers would
+  config.autoscaler = { ...config.autoscaler, pool: poolOf(config.autoscaler.pool) };
+  // Regions of the multi-tier topology; none when it is off, which leaves a single balancer
+  const regions = config.topology.enabled ? config.topology.regions : [];
+  const regionOf = (id) => (regions.some(r => r.id === id) ? id : regions[0]?.id ?? null);
+  // Each pool runs its own algorithm with its own state, in every region separately. A pool
+  // without an algorithm uses its region's, and failing that the simulation's.
+  const laneKey = (region, pool) => (region == null ? pool : `${region}/${pool}`);
+  const laneModes = Object.fromEntries((regions.length > 0 ? regions : [{ id: null, mode: null }]).flatMap(region => (
+    Object.entries(poolModes).map(([pool, mode]) => [laneKey(region.id, pool), mode ?? region.mode ?? config.mode])
+  )));
+  const laneOf = (request) => laneKey(request.region, request.pool);
+
+  // Separate streams so routing randomness never shifts the traffic sequence
+  const trafficRandom = createRng(deriveSeed(config.seed, 'traffic'));
+  const strategyRandom = createRng(deriveSeed(config.seed, 'strategy'));
+  const clients = createClientPopulation(createRng(deriveSeed(config.seed, 'clients')), { size: config.clientPoolSize });
+  const nextClient = createVisitPicker(clients, config.visits);
+  const lossRandom = createRng(deriveSeed(config.seed, 'loss'));
+  const httpRandom = createRng(deriveSeed(config.seed, 'http'));
+  const chaosRandom = createRng(deriveSeed(config.seed, 'chaos'));
+  // Abusive clients have a stream of their own, so turning them on leaves the regular clients' sequence alone
+  const abusers = createAbuserPicker(config.abusiveClients);
+  const abuseRandom = createRng(deriveSeed(config.seed, 'abuse'));
+  const clientRegions = regions.length > 0
+    ? assignClientRegions([...clients.ips, ...abusers.ips], config.topology.clientRegions, createRng(deriveSeed(config.seed, 'topology')))
+    : new Map();
+
+  const events = createEventQueue();
+  const inFlight = new Map(); // request id -> in-flight request
+  const onLinks = new Map(); // request id -> request on its way from the global LB to a regional LB
+  let waiting = []; // LB queue, oldest first
+
+  let time = 0;
+  // Every backend, whether in the initial pool or added later, starts empty and healthy
+  const newServer = (spec) => ({
+    ...SERVER_DEFAULTS,
+    ...spec,
+    ...initialHealth(),
+    faults: NO_FAULTS,
+    isDraining: false,
+    isBooting: false, // Warming up after the autoscaler started it
+    isInstance: false, // Started by the autoscaler, which may retire it
+    isRetiring: false, // Being drained by the autoscaler, removed once idle
+    readyAt: null,
+    breaker: CLOSED_BREAKER, // Circuit breaker, when enabled (see lib/admission.js)
+    load: 0, // Open connections: in transit, waiting for a worker or in service
+    active: 0, // Connections a worker is processing
+    dispatched: 0,
+    failures: 0,
+    avgResponseTime: 0,
+  });
+
+  let servers = initialServers.map(newServer);
+  let strategyStates = Object.fromEntries(Object.entries(laneModes).map(([lane, mode]) => [lane, getStrategy(mode).init(config)]));
+  let history = [];
+  let queueHistory = []; // Per sample: queue depth plus rejections/timeouts since the previous sample
+  let outcomes = Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+  let lastSampleOutcomes = outcomes;
+  let lastSampleTime = -Infinity;
+  let recording = []; // Longer, richer sample log for export: loads, busy workers, queue and what finished
+  let finished = []; // Requests that left the system within the metrics window, with their timestamps
+  let counters = Object.fromEntries(FAILURE_COUNTERS.map(c => [c, 0]));
+  let retryTokens = config.retry.budgetBurst;
+  let message = '';
+  let requestCount = 0;
+  let arrivalGeneration = 0; // Bumped when the arrival process changes, invalidating the pending arrival
+  let faultLog = []; // Every injected fault, oldest first; `endMs` is null while it lasts
+  const faultOwners = new Map(); // 'serverId:type' -> id of the fault currently setting that field
+  let eventCount = 0; // Events processed so far: a position in the run that replays can return to
+  const eventLog = []; // What happened, oldest first (see lib/eventLog.js); may hold more than eventLogLength entries
+  let logCount = 0;
+  let interventions = []; // Changes made from outside the event loop, for replays (see journal())
+  // Per client and backend pool, like per-backend cookie names: the LB session cookie the
+  // client holds, and the server its last request went to
+  const cookieJar = new Map();
+  const lastServers = new Map();
+  let affinity = NO_AFFINITY;
+  let instanceCount = 0; // Instances the autoscaler has started
+  let scaling = { lastScaleOutAt: -Infinity, lastScaleInAt: -Infinity };
+  let scalingLog = []; // Every scaling action, oldest first
+  let scalingValue = null; // Metric value at the latest evaluation
+  let regionStats = Object.fromEntries(regions.map(r => [r.id, { requests: 0, failovers: 0 }])); // Global LB decisions per region
+  const clientLimiters = new Map(); // client IP -> its rate limiter's state
+  let globalLimiter = initialLimiter(config.admission.globalRateLimit, 0);
+  let rejections = Object.fromEntries(Object.keys(REJECTION_REASONS).map(reason => [reason, 0])); // Rejected requests per reason
+
+  // The balancer routes to a server only if it believes it healthy, it isn't draining and it has booted
+  const updateServer = (id, change) => {
+    servers = servers.map(s => {
+      if (s.id !== id) return s;
+      const next = { ...s, ...change(s) };
+      return { ...next, isAvailable: isRoutable(next.health) && !next.isDraining && !next.isBooting };
+    });
+  };
+
+  // Appends an entry to the event log; entries made while handling an event carry its index.
+  // The oldest entries are dropped in batches, so logging stays constant time on average.
+  const log = (type, details) => {
+    logCount += 1;
+    eventLog.push({ id: logCount, eventIndex: eventCount, time, type, ...details });
+    if (eventLog.length >= 2 * config.eventLogLength) eventLog.splice(0, eventLog.length - config.eventLogLength);
+  };
+
+  const serverName = (id) => servers.find(s => s.id === id)?.name;
+
+  const sessionKey = (pool, ip) => `${pool}|${ip}`;
+
+  // Whether a client's first attempt stayed with the server of its previous request
+  const trackAffinity = (request, targetId) => {
+    const key = sessionKey(request.pool, request.ip);
+    if (request.attempts === 1 && lastServers.has(key)) {
+      const outcome = affinityOutcome(servers.find(s => s.id === lastServers.get(key)), targetId);
+      affinity = { ...affinity, returning: affinity.returning + 1, [outcome]: affinity[outcome] + 1 };
+    }
+    lastServers.set(key, targetId);
+  };
+
+  const count = (counter) => {
+    counters = { ...counters, [counter]: counters[counter] + 1 };
+  };
+
+  // Counts the outcome and keeps the request's timeline for latency metrics. The window is
+  // appended to in place, as it grows with every request; snapshots get a copy.
+  const finish = (request, outcome) => {
+    outcomes = { ...outcomes, [outcome]: outcomes[outcome] + 1 };
+    finished.push({ ...request, outcome, finishTime: time });
+  };
+
+  // Rejects a request for one of the REJECTION_REASONS; the finished request keeps the reason
+  const reject = (request, reason) => {
+    finish({ ...request, rejection: reason }, 'rejected');
+    rejections = { ...rejections, [reason]: rejections[reason] + 1 };
+    log('rejected', { requestId: request.id, ip: request.ip, reason, priority: request.priority });
+    message = `Request ${request.id} from ${request.ip} rejected: ${REJECTION_REASONS[reason].description}.`;
+  };
+
+  // Whether an open or busy circuit breaker keeps the balancer away from a server
+  const breakerBlocks = (server) => config.admission.circuitBreaker.enabled && !breakerAdmits(server.breaker, config.admission.circuitBreaker);
+
+  // Servers of the request's pool (in its region, with the topology on)
+  const laneServers = (request) => servers.filter(s => (
+    poolOf(s.pool) === request.pool && (request.region == null || regionOf(s.region) === request.region)
+  ));
+
+  // Asks the strategy of the request's pool for a target among that pool's servers; a null
+  // `targetId` means none of them can take the request right now. Servers a retried request already failed on
+  // are hidden from the strategy, as are those a circuit breaker blocks. Capacity faults show
+  // up to it as a lower connection cap.
+  const route = (request) => {
+    const tried = request.triedServerIds;
+    const pool = laneServers(request).map(s => {
+      const view = s.faults.capacityFactor < 1 ? { ...s, maxCapacity: effectiveLimits(s).maxCapacity } : s;
+      return tried.includes(s.id) || breakerBlocks(s) ? { ...view, isAvailable: false } : view;
+    });
+    const lane = laneOf(request);
+    const algorithm = laneModes[lane];
+    const decision = getStrategy(algorithm).pick(strategyStates[lane], pool, request, { random: strategyRandom, now: time });
+    strategyStates = { ...strategyStates, [lane]: decision.state };
+    if (decision.message) message = decision.message;
+    // One structured entry per placed request: what the strategy saw, what it picked and why
+    if (decision.targetId != null) {
+      const eligible = eligibleServers(pool);
+      log('route', {
+        requestId: request.id,
+        ip: request.ip,
+        attempt: request.attempts,
+        rule: request.rule,
+        pool: request.pool,
+        region: request.region,
+        algorithm,
+        candidates: pool.map(s => ({ id: s.id, name: s.name, load: s.load, maxCapacity: s.maxCapacity, eligible: eligible.includes(s) })),
+        serverId: decision.targetId,
+        serverName: serverName(decision.targetId),
+        reason: decision.reason,
+      });
+      trackAffinity(request, decision.targetId);
+    }
+    return decision;
+  };
+
+  // Events about a request carry its attempt number, so those left over from a failed attempt are ignored
+  const currentAttempt = ({ requestId, attempt }) => {
+    const request = inFlight.get(requestId);
+    return request && request.attempts === attempt ? request : undefined;
+  };
+
+  // A request lost on the way never arrives; the LB gives up on it after the connect timeout.
+  // A session cookie the strategy issued goes back to the client with the response.
+  const dispatch = (request, { targetId, cookie = null }) => {
+    updateServer(targetId, s => ({
+      load: s.load + 1,
+      dispatched: s.dispatched + 1,
+      // A half-open circuit counts the trial requests it lets through
+      breaker: s.breaker.state === 'halfOpen' ? { ...s.breaker, trials: s.breaker.trials + 1 } : s.breaker,
+    }));
+    const server = servers.find(s => s.id === targetId);
+    const serverArrivalTime = time + config.transitTimeMs + server.faults.latencyMs;
+    inFlight.set(request.id, {
+      ...request,
+      targetServerId: targetId,
+      setCookie: cookie,
+      dispatchTime: time,
+      serverArrivalTime,
+      arrived: false,
+      serviceStartTime: null,
+      completionTime: null,
+    });
+    if (isLost(server, lossRandom)) {
+      events.push({ time: time + config.connectTimeoutMs, type: 'connectTimeout', requestId: request.id, attempt: request.attempts });
+    } else {
+      events.push({ time: serverArrivalTime, type: 'serverArrival', requestId: request.id, attempt: request.attempts });
+    }
+  };
+
+  // Puts a request on a free worker. The server's speed, load and slowdown fault right now fix how long it takes.
+  const startService = (request) => {
+    const server = servers.find(s => s.id === request.targetServerId);
+    const completionTime = time + serviceDuration(server, request.serviceTime) * server.faults.slowdown;
+    inFlight.set(request.id, { ...request, serviceStartTime: time, completionTime });
+    updateServer(server.id, s => ({ active: s.active + 1 }));
+    events.push({ time: completionTime, type: 'completion', requestId: request.id, attempt: request.attempts });
+  };
+
+  // Gives a server's free workers to the requests waiting on it, oldest first
+  const startWaiting = (serverId) => {
+    const server = servers.find(s => s.id === serverId);
+    if (!server || !server.isUp) return;
+
+    Array.from(inFlight.values())
+      .filter(r => r.targetServerId === serverId && r.arrived && r.serviceStartTime == null)
+      .slice(0, Math.max(0, effectiveLimits(server).concurrency - server.active))
+      .forEach(startService);
+  };
+
+  // Moves a server's health and reports transitions the balancer acts on
+  const updateHealth = (id, changes) => {
+    const before = servers.find(s => s.id === id);
+    // Probes and ejections can outlive a removed server
+    if (!before) return;
+    updateServer(id, () => changes);
+    const after = servers.find(s => s.id === id);
+    if (after.health === before.health) return;
+
+    message = `Health check: ${after.name} is now ${after.health.toUpperCase()}${after.ejectedUntil != null ? ' (ejected after consecutive request failures)' : ''}.`;
+    log('health', { serverId: id, serverName: after.name, from: before.health, to: after.health, ejected: after.ejectedUntil != null });
+    if (after.isAvailable && !before.isAvailable) dispatchQueued();
+  };
+
+  // Hands queued requests to servers, oldest first. Once a pool has no room, its later
+  // requests keep waiting, but those of other pools (or regions) still go.
+  const dispatchQueued = () => {
+    const full = new Set();
+    waiting.forEach(request => {
+      if (full.has(laneOf(request))) return;
+      const decision = route(request);
+      if (decision.targetId == null) {
+        full.add(laneOf(request));
+        return;
+      }
+      waiting = waiting.filter(r => r !== request);
+      dispatch(request, decision);
+    });
+  };
+
+  const scheduleNextArrival = () => {
+    const next = nextArrivalTime(config.arrival, time, trafficRandom);
+    if (next != null) events.push({ time: next, type: 'arrival', generation: arrivalGeneration });
+  };
+
+  // Routes a new or retried request, queueing it if no server can take it right now.
+  // Requests already waiting for the same pool go first, so a newcomer only skips the
+  // queue when none are. When every server the pool has in rotation has an open
+  // circuit, the request fails fast instead of waiting.
+  const admit = (request) => {
+    const decision = waiting.some(r => laneOf(r) === laneOf(request)) ? null : route(request);
+    if (decision?.targetId != null) {
+      dispatch(request, decision);
+      return;
+    }
+    const inRotation = laneServers(request).filter(s => s.isAvailable);
+    if (config.admission.circuitBreaker.enabled && inRotation.length > 0 && inRotation.every(s => s.breaker.state === 'open')) {
+      reject(request, 'circuitOpen');
+      return;
+    }
+
+    if (waiting.length < config.maxQueueDepth) {
+      // A retry can wait in the queue again; its timeout runs from this wait, not the first one
+      waiting = [...waiting, { ...request, queuedAt: time }];
+      events.push({ time: time + config.queueTimeoutMs, type: 'queueTimeout', requestId: request.id, attempt: request.attempts });
+      message = `All servers are full or unavailable. Request queued (${waiting.length}/${config.maxQueueDepth}).`;
+      log('queued', { requestId: request.id, ip: request.ip, depth: waiting.length });
+      return;
+    }
+
+    reject(request, 'queueFull');
+    message = 'All servers are full or unavailable and the queue is full. Request rejected.';
+  };
+
+  // Rate limits and load shedding for a new request reaching the balancer: the reason
+  // to reject it, or null to let it in
+  const admissionCheck = (request) => {
+    const { clientRateLimit, globalRateLimit, shedding } = config.admission;
+    if (clientRateLimit.enabled) {
+      const { allowed, state } = acquire(clientRateLimit, clientLimiters.get(request.ip) ?? initialLimiter(clientRateLimit, time), time);
+      clientLimiters.set(request.ip, state);
+      if (!allowed) return 'clientRateLimit';
+    }
+    if (globalRateLimit.enabled) {
+      const { allowed, state } = acquire(globalRateLimit, globalLimiter, time);
+      globalLimiter = state;
+      if (!allowed) return 'globalRateLimit';
+    }
+    return shouldShed(shedding, request.priority, waiting.length) ? 'shed' : null;
+  };
+
+  // Feeds a request result to the server's circuit breaker and reports its transitions
+  const recordResult = (id, ok) => {
+    const { circuitBreaker } = config.admission;
+    const server = servers.find(s => s.id === id);
+    if (!circuitBreaker.enabled || !server) return;
+
+    const breaker = afterBreakerResult(server.breaker, ok, circuitBreaker, time);
+    updateServer(id, () => ({ breaker }));
+    if (breaker.state === server.breaker.state) return;
+    log('breaker', { serverId: id, serverName: server.name, from: server.breaker.state, to: breaker.state });
+    if (breaker.state === 'open') {
+      message = `Circuit breaker: ${server.name} is failing, circuit OPEN for ${circuitBreaker.openMs / 1000}s.`;
+      events.push({ time: time + circuitBreaker.openMs, type: 'breakerHalfOpen', serverId: id });
+    } else {
+      message = `Circuit breaker: ${server.name} passed its trial requests, circuit closed.`;
+    }
+  };
+
+  // How each way an attempt can end badly reads in the message bar
+  const FAILURE_VERBS = { refused: 'was refused by', reset: 'was cut off by', lost: 'got no answer from' };
+
+  // Ends an attempt on a dead server ('refused' on arrival, 'reset' once connected) or one
+  // lost in the network ('lost'): retries it on another server while the request and the
+  // budget allow, else fails it
+  const failAttempt = (request, reason) => {
+    inFlight.delete(request.id);
+    count(reason);
+    const server = servers.find(s => s.id === request.targetServerId);
+    updateServer(server.id, s => ({
+      load: Math.max(0, s.load - 1),
+      active: request.serviceStartTime == null ? s.active : s.active - 1,
+      failures: s.failures + 1,
+    }));
+    retireIfIdle(server.id);
+    recordResult(server.id, false);
+
+    const { retry } = config;
+    const retriesLeft = retry.enabled && request.attempts <= retry.maxRetries;
+    const retrying = retriesLeft && retryTokens >= 1;
+    log('failure', { requestId: request.id, ip: request.ip, attempt: request.attempts, serverId: server.id, serverName: server.name, reason, retrying });
+    if (retrying) {
+      retryTokens -= 1;
+      count('retries');
+      message = `Request ${request.id} ${FAILURE_VERBS[reason]} ${server.name}; retrying (attempt ${request.attempts + 1}).`;
+      admit({ ...request, attempts: request.attempts + 1, triedServerIds: [...request.triedServerIds, server.id] });
+    } else {
+      if (retriesLeft) count('retriesDenied');
+      finish(request, 'failed');
+      message = `Request ${request.id} failed on ${server.name}${retriesLeft ? ' (retry budget exhausted)' : ''}.`;
+    }
+
+    // Passive detection; a resulting health transition takes over the message bar
+    const changes = afterRequest(server, false, config.outlierDetection, time);
+    updateHealth(server.id, changes);
+    if (changes.ejectedUntil != null) events.push({ time: changes.ejectedUntil, type: 'ejectionEnd', serverId: server.id });
+  };
+
+  const handleArrival = ({ generation }) => {
+    if (generation !== arrivalGeneration) return;
+    scheduleNextArrival();
+
+    // Client and service time are drawn up front so routing never changes the traffic sequence.
+    // The HTTP attributes have their own stream, and the first matching rule picks the pool.
+    requestCount += 1;
+    const regularIp = nextClient(trafficRandom);
+    const ip = abusers.pick(abuseRandom) ?? regularIp;
+    const http = sampleHttp(config.http, ip, httpRandom);
+    const ruleIndex = matchRule(ruleMatchers, http);
+    const rule = config.rules[ruleIndex];
+    const pool = poolOf(rule?.pool);
+    const request = {
+      id: `req-${requestCount}`,
+      ip,
+      ...http,
+      ruleIndex,
+      rule: rule ? rule.name : null,
+      pool,
+      clientRegion: clientRegions.get(ip) ?? null,
+      region: null, // Set by the global LB
+      lbCookie: cookieJar.get(sessionKey(pool, ip)) ?? null, // Sent with every attempt, retries included
+      serviceTime: sampleServiceTime(config.service, trafficRandom),
+      arrivalTime: time,
+      queuedAt: null,
+      attempts: 1,
+      triedServerIds: [],
+    };
+    retryTokens = Math.min(config.retry.budgetBurst, retryTokens + config.retry.budgetPercent / 100);
+
+    log('arrival', { requestId: request.id, ip, method: http.method, host: http.host, path: http.path, rule: request.rule, pool: request.pool });
+    const rejection = admissionCheck(request);
+    if (rejection) reject(request, rejection);
+    else if (regions.length > 0) sendToRegion(request);
+    else admit(request);
+  };
+
+  // The global LB picks a region for a new request as it arrives; the request reaches that
+  // region's LB after the link latency. A region counts as up while the global LB's health
+  // checks see an available server for the request's pool in it.
+  const sendToRegion = (request) => {
+    const clientRegion = config.topology.clientRegions.find(c => c.id === request.clientRegion);
+    const isUp = (id) => laneServers({ ...request, region: id }).some(s => s.isAvailable);
+    const { region, reason } = pickRegion(config.topology, clientRegion, isUp);
+    const latencyMs = linkLatency(clientRegion, region);
+    const stats = regionStats[region];
+    regionStats = { ...regionStats, [region]: { requests: stats.requests + 1, failovers: stats.failovers + (reason === 'failover' ? 1 : 0) } };
+
+    onLinks.set(request.id, { ...request, region, linkDepartTime: time, regionArrivalTime: time + latencyMs });
+    events.push({ time: time + latencyMs, type: 'regionArrival', requestId: request.id });
+    const regionName = regions.find(r => r.id === region).name;
+    log('region', { requestId: request.id, ip: request.ip, clientRegion: clientRegion.name, region, regionName, reason, latencyMs });
+    if (reason === 'failover') message = `Global LB: ${clientRegion.name} traffic fails over to ${regionName}.`;
+    if (reason === 'noRegionUp') message = `Global LB: no region has an available server; ${clientRegion.name} traffic stays on ${regionName}.`;
+  };
+
+  const handleRegionArrival = ({ requestId }) => {
+    const request = onLinks.get(requestId);
+    onLinks.delete(requestId);
+    admit(request);
+  };
+
+  // A request reaching a crashed server fails right away (connection refused);
+  // otherwise it takes a free worker or waits on the server for one
+  const handleServerArrival = (event) => {
+    const request = currentAttempt(event);
+    if (!request) return;
+
+    const server = servers.find(s => s.id === request.targetServerId);
+    if (!server.isUp) {
+      failAttempt(request, 'refused');
+      return;
+    }
+    const arrived = { ...request, arrived: true };
+    inFlight.set(request.id, arrived);
+    if (server.active < effectiveLimits(server).concurrency) startService(arrived);
+  };
+
+  const handleConnectTimeout = (event) => {
+    const request = currentAttempt(event);
+    if (request) failAttempt(request, 'lost');
+  };
+
+  const handleCompletion = (event) => {
+    const request = currentAttempt(event);
+    // The attempt may have been cut off when its server went down
+    if (!request) return;
+
+    // The work is done, but a response can't cross a partition or a lossy link
+    const target = servers.find(s => s.id === request.targetServerId);
+    if (isLost(target, lossRandom)) {
+      failAttempt(request, 'lost');
+      startWaiting(target.id);
+      dispatchQueued();
+      return;
+    }
+
+    inFlight.delete(request.id);
+    finish(request, request.queuedAt == null ? 'served' : 'queuedThenServed');
+    if (request.setCookie) cookieJar.set(sessionKey(request.pool, request.ip), request.setCookie);
+    const server = servers.find(s => s.id === request.targetServerId);
+    log('completion', { requestId: request.id, ip: request.ip, serverId: server.id, serverName: server.name, latencyMs: time - request.arrivalTime });
+    if (server.isDraining) {
+      count('completedWhileDraining');
+      if (server.load === 1) message = `${server.name} has finished draining: no connections left.`;
+    }
+    const responseTime = time - request.dispatchTime;
+    updateServer(request.targetServerId, s => ({
+      load: Math.max(0, s.load - 1),
+      active: s.active - 1,
+      avgResponseTime: smoothResponseTime(s.avgResponseTime, responseTime, config.responseTimeSmoothing),
+      ...afterRequest(s, true, config.outlierDetection, time),
+    }));
+    recordResult(request.targetServerId, true);
+    retireIfIdle(request.targetServerId);
+    startWaiting(request.targetServerId);
+    dispatchQueued();
+  };
+
+  // Probes every server; results come back after the probe latency or the timeout
+  const handleHealthCheck = () => {
+    if (!config.healthCheck.enabled) return;
+    events.push({ time: time + config.healthCheck.intervalMs, type: 'healthCheck' });
+
+    servers.forEach(server => {
+      const { ok, delay } = probeOutcome(server, config.healthCheck, {
+        extraLatencyMs: server.faults.latencyMs * 2,
+        lost: isLost(server, lossRandom),
+      });
+      events.push({ time: time + delay, type: 'probeResult', serverId: server.id, ok });
+    });
+  };
+
+  const handleProbeResult = ({ serverId, ok }) => {
+    const server = servers.find(s => s.id === serverId);
+    if (server) updateHealth(serverId, afterProbe(server, ok, config.healthCheck));
+  };
+
+  const handleEjectionEnd = ({ serverId }) => {
+    updateHealth(serverId, afterEjection(config.healthCheck.enabled));
+  };
+
+  const handleQueueTimeout = ({ requestId, attempt }) => {
+    const request = waiting.find(r => r.id === requestId && r.attempts === attempt);
+    // Already dispatched if it is no longer waiting, or queued again by a later attempt
+    if (!request) return;
+
+    waiting = waiting.filter(r => r.id !== requestId);
+    finish(request, 'timedOut');
+    message = `Request ${requestId} timed out after ${config.queueTimeoutMs}ms in the LB queue.`;
+    log('timedOut', { requestId, ip: request.ip });
+  };
+
+  const handleSample = () => {
+    events.push({ time: time + config.sampleIntervalMs, type: 'sample' });
+    // Keyed by server id so samples stay meaningful as the pool changes
+    history = [...history, Object.fromEntries(servers.map(s => [s.id, s.load]))].slice(-config.historyLength);
+    queueHistory = [...queueHistory, {
+      queueDepth: waiting.length,
+      rejected: outcomes.rejected - lastSampleOutcomes.rejected,
+      timedOut: outcomes.timedOut - lastSampleOutcomes.timedOut,
+    }].slice(-config.historyLength);
+    lastSampleOutcomes = outcomes;
+
+    const finishedNow = finished.filter(r => r.finishTime > lastSampleTime);
+    const latencies = finishedNow.filter(r => r.outcome === 'served' || r.outcome === 'queuedThenServed').map(r => r.finishTime - r.arrivalTime);
+    recording = [...recording, {
+      timeMs: time,
+      loads: history[history.length - 1],
+      active: Object.fromEntries(servers.map(s => [s.id, s.active])),
+      queueDepth: waiting.length,
+      served: latencies.length,
+      dropped: finishedNow.length - latencies.length,
+      meanLatencyMs: latencies.length > 0 ? latencies.reduce((sum, l) => sum + l, 0) / latencies.length : null,
+    }].slice(-config.recordingLength);
+    lastSampleTime = time;
+    finished = finished.filter(r => r.finishTime > time - config.metricsWindowMs);
+  };
+
+  const handleFaultEnd = ({ faultId }) => endFault(faultId);
+
+  // An open circuit turns half-open after its open period and lets trial requests through
+  const handleBreakerHalfOpen = ({ serverId }) => {
+    const server = servers.find(s => s.id === serverId);
+    if (server?.breaker.state !== 'open') return;
+
+    updateServer(serverId, () => ({ breaker: halfOpenBreaker() }));
+    message = `Circuit breaker: ${server.name} is HALF-OPEN, sending ${config.admission.circuitBreaker.halfOpenRequests} trial request(s).`;
+    log('breaker', { serverId, serverName: server.name, from: 'open', to: 'halfOpen' });
+    dispatchQueued();
+  };
+
+  // An instance the autoscaler is retiring leaves the pool once its last connection ends
+  const retireIfIdle = (id) => {
+    const server = servers.find(s => s.id === id);
+    if (server?.isRetiring && server.load === 0) removeServer(id);
+  };
+
+  const recordScaling = (from, to, reason, changed) => {
+    const entry = { time, direction: to > from ? 'out' : 'in', from, to, reason, serverIds: changed.map(s => s.id), serverNames: changed.map(s => s.name) };
+    scalingLog = [...scalingLog, entry];
+    message = `Autoscaler: scaling ${entry.direction} from ${from} to ${to} instances (${reason}).`;
+    log('scaling', entry);
+  };
+
+  // New instances join the pool booting and take traffic once warm
+  const scaleOut = (from, to, reason) => {
+    const { warmupMs } = config.autoscaler;
+    const started = Array.from({ length: to - from }, () => {
+      instanceCount += 1;
+      while (servers.some(s => s.id === INSTANCE_ID_BASE + instanceCount)) instanceCount += 1;
+      const spec = instanceSpec(config.autoscaler, instanceCount);
+      servers = [...servers, { ...newServer(spec), isInstance: true, isBooting: true, isAvailable: false, readyAt: time + warmupMs }];
+      events.push({ time: time + warmupMs, type: 'instanceReady', serverId: spec.id });
+      return spec;
+    });
+    scaling = { ...scaling, lastScaleOutAt: time };
+    recordScaling(from, to, reason, started);
+  };
+
+  // Retires the instances it started, booting ones first, then the newest. Servers added by
+  // hand or in the initial pool are never retired.
+  const scaleIn = (fleet, to, reason) => {
+    const retired = fleet
+      .filter(s => s.isInstance)
+      .sort((a, b) => Number(b.isBooting) - Number(a.isBooting) || b.id - a.id)
+      .slice(0, fleet.length - to);
+    if (retired.length === 0) return;
+    scaling = { ...scaling, lastScaleInAt: time };
+    recordScaling(fleet.length, fleet.length - retired.length, reason, retired);
+    retired.forEach(server => {
+      updateServer(server.id, () => ({ isDraining: true, isRetiring: true }));
+      retireIfIdle(server.id);
+    });
+  };
+
+  const handleAutoscale = () => {
+    const { autoscaler } = config;
+    events.push({ time: time + autoscaler.evaluationIntervalMs, type: 'autoscale' });
+
+    // Instances booting or in service in the managed pool; those on their way out don't count
+    const fleet = servers.filter(s => poolOf(s.pool) === autoscaler.pool && !s.isRetiring);
+    const inService = fleet.filter(s => !s.isBooting);
+    scalingValue = scalingMetric(autoscaler.metric, inService, waiting.filter(r => r.pool === autoscaler.pool).length);
+    const { desired, reason } = evaluateScaling(autoscaler, {
+      instances: fleet.length,
+      booting: fleet.length - inService.length,
+      value: scalingValue,
+      now: time,
+      ...scaling,
+    });
+    if (desired > fleet.length) scaleOut(fleet.length, desired, reason);
+    else if (desired < fleet.length) scaleIn(fleet, desired, reason);
+  };
+
+  const handleInstanceReady = ({ serverId }) => {
+    const server = servers.find(s => s.id === serverId);
+    // Retired before it finished booting
+    if (!server?.isBooting) return;
+
+    updateServer(serverId, () => ({ isBooting: false }));
+    message = `${server.name} finished booting and is taking traffic.`;
+    log('server', { serverId, serverName: server.name, change: 'in service' });
+    dispatchQueued();
+  };
+
+  // Random chaos: the next fault is drawn when it fires, over the pool as it is then
+  const scheduleChaos = () => {
+    const { chaos } = config;
+    if (chaos.enabled && chaos.types.length > 0) events.push({ time: nextChaosTime(chaos, time, chaosRandom), type: 'chaos' });
+  };
+
+  const handleChaos = () => {
+    scheduleChaos();
+    if (servers.length > 0) injectFault(randomFault(servers, config.chaos, chaosRandom), 'random');
+  };
+
+  const handleScripted = ({ step }) => {
+    const target = servers.find(s => s.id === step.server);
+    message = `Scripted at t=${(time / 1000).toFixed(1)}s: ${step.action}${target ? ` ${target.name}` : ''}.`;
+    SCRIPTED_ACTIONS[step.action]?.(step);
+  };
+
+  const HANDLERS = {
+    arrival: handleArrival,
+    serverArrival: handleServerArrival,
+    completion: handleCompletion,
+    queueTimeout: handleQueueTimeout,
+    sample: handleSample,
+    healthCheck: handleHealthCheck,
+    probeResult: handleProbeResult,
+    ejectionEnd: handleEjectionEnd,
+    scripted: handleScripted,
+    connectTimeout: handleConnectTimeout,
+    faultEnd: handleFaultEnd,
+    chaos: handleChaos,
+    autoscale: handleAutoscale,
+    instanceReady: handleInstanceReady,
+    regionArrival: handleRegionArrival,
+    breakerHalfOpen: handleBreakerHalfOpen,
+  };
+
+  /**
+   * Processes the next scheduled event and returns it (undefined if none)
+   */
+  const step = () => {
+    const event = events.pop();
+    if (!event) return undefined;
+    time = event.time;
+    eventCount += 1;
+    HANDLERS[event.type](event);
+    return event;
+  };
+
+  /**
+   * Processes every event up to and including `target`, then parks the clock there
+   */
+  const advanceTo = (target) => {
+    while (events.size > 0 && events.peek().time <= target) step();
+    time = Math.max(time, target);
+  };
+
+  /**
+   * Crashes or recovers a server. This changes the server itself, not the balancer's
+   * view of it: the balancer keeps routing to a crashed server until health checks
+   * or failed requests tell it otherwise. Requests on the server when it crashes, in
+   * service or waiting for a worker, are cut off (and may be retried); requests still
+   * in transit are refused on arrival.
+   */
+  const setServerUp = (id, isUp) => {
+    const server = servers.find(s => s.id === id);
+    if (!server || server.isUp === isUp) return;
+
+    updateServer(id, () => ({ isUp }));
+    log('server', { serverId: id, serverName: server.name, change: isUp ? 'recovered' : 'crashed' });
+    if (isUp) return;
+
+    const cutOff = Array.from(inFlight.values()).filter(r => r.targetServerId === id && r.arrived);
+    cutOff.forEach(request => failAttempt(request, 'reset'));
+  };
+
+  const toggleServer = (id) => setServerUp(id, !servers.find(s => s.id === id)?.isUp);
+
+  /**
+   * Starts or stops draining a server: the balancer sends it no new requests, but the
+   * ones it already has run to completion
+   */
+  const setDraining = (id, isDraining) => {
+    const server = servers.find(s => s.id === id);
+    if (!server || server.isDraining === isDraining) return;
+
+    updateServer(id, () => ({ isDraining }));
+    log('server', { serverId: id, serverName: server.name, change: isDraining ? 'draining' : 'undrained' });
+    if (isDraining) {
+      message = `${server.name} is draining: no new requests, ${server.load} connection(s) finishing.`;
+    } else {
+      message = `${server.name} is back in rotation.`;
+      dispatchQueued();
+    }
+  };
+
+  const toggleDrain = (id) => setDraining(id, !servers.find(s => s.id === id)?.isDraining);
+
+  /**
+   * Injects a fault ({ type, servers: [ids], durationMs, ...param }, see lib/faults.js).
+   * Like a crash, it changes the servers or the network, not the balancer's view of them.
+   * Without a duration the fault lasts until endFault(). Returns the fault's id, or null
+   * if the type is unknown or none of its servers are in the pool.
+   */
+  const injectFault = ({ type, servers: targetIds, durationMs = null, ...params }, source = 'manual') => {
+    const targets = servers.filter(s => targetIds.includes(s.id));
+    if (!FAULT_TYPES[type] || targets.length === 0) return null;
+
+    const fault = {
+      id: `fault-${faultLog.length + 1}`,
+      type,
+      servers: targets.map(s => s.id),
+      serverNames: targets.map(s => s.name),
+      value: faultValue({ type, ...params }),
+      source, // 'manual', 'scripted' or 'random'
+      startMs: time,
+      plannedEndMs: durationMs == null ? null : time + durationMs,
+      endMs: null,
+    };
+    const { field } = FAULT_TYPES[type];
+    targets.forEach(server => {
+      // The latest fault of a kind owns the server's setting; ending an older one leaves it alone
+      faultOwners.set(`${server.id}:${type}`, fault.id);
+      if (type === 'crash') setServerUp(server.id, false);
+      else updateServer(server.id, s => ({ faults: { ...s.faults, [field]: fault.value } }));
+    });
+    faultLog = [...faultLog, fault];
+    if (fault.plannedEndMs != null) events.push({ time: fault.plannedEndMs, type: 'faultEnd', faultId: fault.id });
+    message = `Fault injected (${source}): ${FAULT_TYPES[type].name} on ${fault.serverNames.join(', ')}.`;
+    log('fault', { faultId: fault.id, faultType: type, serverIds: fault.servers, serverNames: fault.serverNames, source });
+    return fault.id;
+  };
+
+  /**
+   * Ends a fault early (or on schedule) and restores what it changed
+   */
+  const endFault = (faultId) => {
+    const fault = faultLog.find(f => f.id === faultId);
+    if (!fault || fault.endMs != null) return;
+
+    faultLog = faultLog.map(f => (f.id === faultId ? { ...f, endMs: time } : f));
+    const { field } = FAULT_TYPES[fault.type];
+    fault.servers.forEach(id => {
+      const key = `${id}:${fault.type}`;
+      if (faultOwners.get(key) !== faultId) return;
+      faultOwners.delete(key);
+      if (fault.type === 'crash') setServerUp(id, true);
+      else updateServer(id, s => ({ faults: { ...s.faults, [field]: NO_FAULTS[field] } }));
+      startWaiting(id);
+    });
+    message = `Fault ended: ${FAULT_TYPES[fault.type].name} on ${fault.serverNames.join(', ')}.`;
+    log('faultEnd', { faultId, faultType: fault.type, serverIds: fault.servers, serverNames: fault.serverNames });
+    dispatchQueued();
+  };
+
+  /**
+   * Adds a backend (with a unique `id`) to the running pool. It starts empty and in
+   * rotation, and immediately takes requests waiting in the LB queue.
+   */
+  const addServer = (spec) => {
+    if (servers.some(s => s.id === spec.id)) return;
+
+    servers = [...servers, newServer(spec)];
+    message = `${spec.name} joined the pool.`;
+    log('server', { serverId: spec.id, serverName: spec.name, change: 'added' });
+    dispatchQueued();
+  };
+
+  /**
+   * Removes a backend at once. Requests still on it are cut off like in a crash and
+   * retried elsewhere; drain the server first to let them finish instead.
+   */
+  const removeServer = (id) => {
+    const server = servers.find(s => s.id === id);
+    if (!server) return;
+
+    // Out of rotation first, so its requests' retries and queued requests go elsewhere
+    updateServer(id, () => ({ isDraining: true }));
+    const orphaned = Array.from(inFlight.values()).filter(r => r.targetServerId === id);
+    orphaned.forEach(request => failAttempt(request, 'reset'));
+    servers = servers.filter(s => s.id !== id);
+    log('server', { serverId: id, serverName: server.name, change: 'removed' });
+    message = `${server.name} left the pool${orphaned.length > 0 ? `, cutting off ${orphaned.length} request(s)` : ''}.`;
+  };
+
+  /**
+   * Changes a backend's name, color, weight, capacity or performance. New speed and
+   * degradation apply to requests starting service from now on; extra workers pick up
+   * requests waiting on the server and extra capacity lets LB-queued requests in.
+   */
+  const reconfigureServer = (id, changes) => {
+    const settings = Object.fromEntries(Object.entries(changes).filter(([key]) => SERVER_SETTINGS.includes(key)));
+    updateServer(id, () => settings);
+    if (servers.some(s => s.id === id)) log('server', { serverId: id, serverName: serverName(id), change: 'reconfigured' });
+    startWaiting(id);
+    dispatchQueued();
+  };
+
+  /**
+   * Changes the traffic model mid-run. A new arrival process takes effect immediately;
+   * a new service distribution applies to requests arriving from now on.
+   */
+  const configure = ({ arrival, service } = {}) => {
+    if (service) config.service = { ...config.service, ...service };
+    if (arrival) {
+      config.arrival = { ...config.arrival, ...arrival };
+      arrivalGeneration += 1;
+      scheduleNextArrival();
+    }
+    log('traffic', { process: config.arrival.process, multiplier: config.arrival.multiplier ?? 1, service: config.service.distribution });
+  };
+
+  // What each scripted timeline action does; actions with their own message override the generic one
+  const SCRIPTED_ACTIONS = {
+    crash: ({ server }) => setServerUp(server, false),
+    recover: ({ server }) => setServerUp(server, true),
+    drain: ({ server }) => setDraining(server, true),
+    undrain: ({ server }) => setDraining(server, false),
+    addServer: ({ server }) => addServer(server),
+    removeServer: ({ server }) => removeServer(server),
+    updateServer: ({ server, changes }) => reconfigureServer(server, changes),
+    setTraffic: ({ arrival, service }) => configure({ arrival, service }),
+    scaleTraffic: ({ factor }) => configure({ arrival: { multiplier: factor } }),
+    fault: ({ fault }) => injectFault(fault, 'scripted'),
+  };
+
+  // Unexpired session cookies held by clients, counted per server they name
+  const activeSessions = () => {
+    const byServer = {};
+    cookieJar.forEach(cookie => {
+      if (cookie.expiresAt > time) byServer[cookie.serverId] = (byServer[cookie.serverId] ?? 0) + 1;
+    });
+    return byServer;
+  };
+
+  /**
+   * Immutable view of the current state for rendering
+   */
+  const snapshot = () => ({
+    time,
+    mode: config.mode,
+    seed: config.seed,
+    arrival: config.arrival,
+    service: config.service,
+    servers,
+    clientIps: clients.ips,
+    abusiveIps: abusers.ips,
+    inFlight: Array.from(inFlight.values()),
+    onLinks: Array.from(onLinks.values()),
+    history,
+    queue: waiting,
+    queueHistory,
+    recording,
+    outcomes,
+    counters,
+    finished: [...finished],
+    faultLog,
+    scalingLog,
+    scalingValue,
+    regionStats,
+    rejections,
+    affinity,
+    sessions: activeSessions(),
+    pools: config.pools,
+    rules: config.rules,
+    eventCount,
+    eventLog: eventLog.slice(-config.eventLogLength),
+    message,
+  });
+
+  // Changes from outside the event loop are journaled with the point in the event
+  // stream where they happened, so a replay can apply them at exactly the same point
+  const journaled = (action, apply) => (...args) => {
+    interventions = [...interventions, { time, eventCount, action, args }];
+    return apply(...args);
+  };
+
+  /**
+   * Everything needed to reproduce this run so far: the pool and options it was
+   * created with and every outside change since (see lib/replay.js)
+   */
+  const journal = () => ({ servers: initialServers, options, interventions });
+
+  // The first sample is queued before the first arrival so history is recorded before routing;
+  // scripted steps at t=0 likewise apply before the first request
+  events.push({ time: 0, type: 'sample' });
+  config.timeline.forEach(step => events.push({ time: step.atMs, type: 'scripted', step }));
+  events.push({ time: 0, type: 'arrival', generation: arrivalGeneration });
+  events.push({ time: config.healthCheck.intervalMs, type: 'healthCheck' });
+  scheduleChaos();
+  if (config.autoscaler.enabled) events.push({ time: config.autoscaler.evaluationIntervalMs, type: 'autoscale' });
+
+  return {
+    config,
+    step,
+    advanceTo,
+    toggleServer: journaled('toggleServer', toggleServer),
+    toggleDrain: journaled('toggleDrain', toggleDrain),
+    addServer: journaled('addServer', addServer),
+    removeServer: journaled('removeServer', removeServer),
+    reconfigureServer: journaled('reconfigureServer', reconfigureServer),
+    configure: journaled('configure', configure),
+    injectFault: journaled('injectFault', injectFault),
+    endFault: journaled('endFault', endFault),
+    snapshot,
+    journal,
+    now: () => time,
+    eventCount: () => eventCount,
+  };
+};
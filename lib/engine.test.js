@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './engine.js';
+
+const SERVERS = [
+  { id: 1, name: 'A' },
+  { id: 2, name: 'B', weight: 2, maxCapacity: 10 },
+  { id: 3, name: 'C', speed: 0.5 },
+];
+// Busy enough to fill the servers and the queue, with chaos and retries drawing random numbers too
+const OPTIONS = {
+  mode: 'powerOfTwoChoices',
+  arrival: { process: 'poisson', rate: 25 },
+  service: { distribution: 'logNormal' },
+  chaos: { enabled: true, meanIntervalMs: 5000 },
+};
+
+// A simulation run to `durationMs`, with a crash and recovery along the way
+const run = (options, durationMs = 30000) => {
+  const simulation = createSimulation(SERVERS, { ...OPTIONS, ...options });
+  simulation.advanceTo(durationMs / 3);
+  simulation.toggleServer(2);
+  simulation.advanceTo((2 * durationMs) / 3);
+  simulation.toggleServer(2);
+  simulation.advanceTo(durationMs);
+  return simulation;
+};
+
+describe('createSimulation', () => {
+  it('gives identical runs for the same seed and settings', () => {
+    assert.deepEqual(run({ seed: 42 }).snapshot(), run({ seed: 42 }).snapshot());
+  });
+
+  it('gives a different run for a different seed', () => {
+    const a = run({ seed: 42 }).snapshot();
+    const b = run({ seed: 43 }).snapshot();
+    assert.notDeepEqual(a.outcomes, b.outcomes);
+    assert.notDeepEqual(a.clientIps, b.clientIps);
+  });
+
+  it('accounts every connection back to zero once traffic stops', () => {
+    const simulation = run({ seed: 7, chaos: { enabled: false } });
+    const busy = simulation.snapshot();
+    assert.ok(busy.servers.some(s => s.load > 0));
+
+    simulation.configure({ arrival: { rate: 0 } });
+    simulation.advanceTo(simulation.now() + 120000);
+    const idle = simulation.snapshot();
+    idle.servers.forEach(s => {
+      assert.equal(s.load, 0, `${s.name} load`);
+      assert.equal(s.active, 0, `${s.name} busy workers`);
+    });
+    assert.equal(idle.queue.length, 0);
+    assert.equal(idle.inFlight.length, 0);
+    assert.equal(idle.onLinks.length, 0);
+
+    // Nothing is left to finish
+    simulation.advanceTo(simulation.now() + 60000);
+    assert.deepEqual(simulation.snapshot().outcomes, idle.outcomes);
+  });
+
+  it('keeps the latest eventLogLength log entries in order', () => {
+    const { eventLog } = run({ seed: 1, eventLogLength: 50 }).snapshot();
+    assert.equal(eventLog.length, 50);
+    eventLog.slice(1).forEach((entry, i) => assert.equal(entry.id, eventLog[i].id + 1));
+  });
+});
+
+describe('LB queue', () => {
+  // One server that holds a single request for 3 s, with 10 arriving every second
+  const FULL = [{ id: 1, name: 'A', maxCapacity: 1, concurrency: 1 }];
+  const finishedBy = (simulation, outcome) => simulation.snapshot().finished.filter(r => r.outcome === outcome);
+
+  it('holds requests up to maxQueueDepth and rejects the rest', () => {
+    const simulation = createSimulation(FULL, { maxQueueDepth: 5, queueTimeoutMs: 60000 });
+    simulation.advanceTo(2000);
+    const { queue, outcomes, rejections } = simulation.snapshot();
+    assert.equal(queue.length, 5);
+    assert.ok(outcomes.rejected > 0);
+    assert.equal(rejections.queueFull, outcomes.rejected);
+  });
+
+  it('rejects at once when queueing is off', () => {
+    const simulation = createSimulation(FULL, { maxQueueDepth: 0 });
+    simulation.advanceTo(10000);
+    const { queue, outcomes } = simulation.snapshot();
+    assert.equal(queue.length, 0);
+    assert.equal(outcomes.timedOut, 0);
+    assert.equal(outcomes.queuedThenServed, 0);
+  });
+
+  it('times a request out exactly queueTimeoutMs after it was queued', () => {
+    const simulation = createSimulation(FULL, { maxQueueDepth: 5, queueTimeoutMs: 1500 });
+    simulation.advanceTo(20000);
+    const timedOut = finishedBy(simulation, 'timedOut');
+    assert.ok(timedOut.length > 0);
+    timedOut.forEach(r => assert.equal(r.finishTime - r.queuedAt, 1500));
+  });
+
+  it('serves queued requests as capacity frees up', () => {
+    const simulation = createSimulation(FULL, { maxQueueDepth: 5, queueTimeoutMs: 60000 });
+    simulation.advanceTo(20000);
+    const served = finishedBy(simulation, 'queuedThenServed');
+    assert.ok(served.length > 0);
+    served.forEach(r => assert.ok(r.dispatchTime >= r.queuedAt));
+  });
+
+  it('runs the timeout of a retried request from its latest wait', () => {
+    // Chaos faults cut requests off, so some are retried and queued a second time
+    const simulation = createSimulation([{ id: 1, name: 'A', maxCapacity: 3 }, { id: 2, name: 'B', maxCapacity: 3 }], {
+      arrival: { rate: 8 },
+      chaos: { enabled: true, meanIntervalMs: 2000 },
+      metricsWindowMs: Infinity,
+    });
+    simulation.advanceTo(120000);
+    const timedOut = finishedBy(simulation, 'timedOut');
+    assert.ok(timedOut.some(r => r.attempts > 1));
+    timedOut.forEach(r => assert.equal(r.finishTime - r.queuedAt, simulation.config.queueTimeoutMs));
+  });
+});
+
+describe('retries and drain', () => {
+  const PAIR = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+
+  // Light enough traffic for B to take over all of A's
+  const LIGHT = { arrival: { rate: 4 } };
+
+  // Crashes A ten seconds in and runs on for five more
+  const crashA = (options) => {
+    const simulation = createSimulation(PAIR, { ...LIGHT, ...options });
+    simulation.advanceTo(10000);
+    const load = simulation.snapshot().servers[0].load;
+    simulation.toggleServer(1);
+    simulation.advanceTo(15000);
+    return { simulation, load };
+  };
+
+  it('retries requests cut off by a crash on another server', () => {
+    const { simulation, load } = crashA({ retry: { budgetBurst: 100 } });
+    const { counters, finished } = simulation.snapshot();
+    assert.ok(load > 0);
+    assert.ok(counters.reset + counters.refused >= load);
+    assert.equal(counters.retriesDenied, 0);
+    const retried = finished.filter(r => r.attempts > 1 && r.outcome === 'served');
+    assert.ok(retried.length > 0);
+    retried.forEach(r => assert.equal(r.targetServerId, 2));
+  });
+
+  it('fails cut-off requests when retries are off', () => {
+    const { simulation } = crashA({ retry: { enabled: false } });
+    const { counters, outcomes } = simulation.snapshot();
+    assert.equal(counters.retries, 0);
+    assert.equal(outcomes.failed, counters.reset + counters.refused);
+  });
+
+  it('denies retries once the budget is spent', () => {
+    // One banked retry and none earned, so a single retry for the whole run
+    const { simulation } = crashA({ retry: { budgetPercent: 0, budgetBurst: 1 } });
+    const { counters, outcomes } = simulation.snapshot();
+    assert.equal(counters.retries, 1);
+    assert.equal(counters.retriesDenied, counters.reset + counters.refused - 1);
+    assert.equal(outcomes.failed, counters.retriesDenied);
+  });
+
+  it('lets a draining server finish its requests without sending it new ones', () => {
+    const simulation = createSimulation(PAIR, LIGHT);
+    simulation.advanceTo(10000);
+    const { load, dispatched } = simulation.snapshot().servers[0];
+    simulation.toggleDrain(1);
+    simulation.advanceTo(40000);
+    const { servers: [a], counters, outcomes } = simulation.snapshot();
+    assert.equal(a.isAvailable, false);
+    assert.equal(a.load, 0);
+    assert.equal(a.dispatched, dispatched);
+    assert.equal(counters.completedWhileDraining, load);
+    assert.equal(outcomes.failed, 0);
+  });
+});
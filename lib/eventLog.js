@@ -0,0 +1,108 @@
+// --- EVENT LOG ---
+//
+// The engine logs what happens during a run as plain entries:
+//
+//   { id, eventIndex, time, type, ...details }
+//
+// `eventIndex` is the number of engine events processed when the entry was made,
+// which is where a replay has to go to show it (see lib/replay.js). Entries about
+// a request carry its `requestId` and client `ip`; entries about servers carry
+// `serverId` (or `serverIds` for faults and scaling). Routing entries also record the
+// algorithm, every candidate's load as the strategy saw it, and the reason; with the
+// multi-region topology on, `region` entries record the global LB's choice of region.
+// Rejections carry their `reason` (see lib/admission.js).
+
+import { REJECTION_REASONS } from './admission.js';
+import { FAULT_TYPES } from './faults.js';
+import { DEFAULT_POOL_ID } from './rules.js';
+import { REGION_REASONS } from './topology.js';
+
+/**
+ * Entry types with display metadata
+ */
+export const EVENT_TYPES = {
+  arrival: { name: 'Arrival', color: '#6366f1' },
+  region: { name: 'Global LB', color: '#2563eb' },
+  route: { name: 'Routing', color: '#0ea5e9' },
+  queued: { name: 'Queued', color: '#eab308' },
+  rejected: { name: 'Rejected', color: '#dc2626' },
+  timedOut: { name: 'Timed out', color: '#f97316' },
+  completion: { name: 'Completion', color: '#16a34a' },
+  failure: { name: 'Failure', color: '#dc2626' },
+  health: { name: 'Health', color: '#db2777' },
+  server: { name: 'Server', color: '#475569' },
+  traffic: { name: 'Traffic', color: '#7c3aed' },
+  fault: { name: 'Fault', color: '#f59e0b' },
+  faultEnd: { name: 'Fault end', color: '#f59e0b' },
+  scaling: { name: 'Scaling', color: '#0d9488' },
+  breaker: { name: 'Circuit breaker', color: '#475569' },
+};
+
+/**
+ * Why a strategy picked its server, by the `reason` it returns (see lib/strategies.js)
+ */
+export const ROUTING_REASONS = {
+  rotation: 'next in rotation',
+  weightedSlot: 'its weighted slot',
+  fallback: 'weighted server unavailable, random fallback',
+  smoothWeighted: 'highest smooth weight score',
+  leastLoaded: 'fewest connections',
+  leastLoadedTie: 'fewest connections, tie broken by pool order',
+  leastWeightedLoad: 'fewest connections per unit of weight',
+  leastWeightedLoadTie: 'fewest connections per unit of weight, tie broken by pool order',
+  fastestResponse: 'lowest expected response time',
+  fastestResponseTie: 'lowest expected response time, tie broken by pool order',
+  betterOfTwo: 'less loaded of two random picks',
+  onlyCandidate: 'only server with room',
+  random: 'random pick',
+  hashOwner: "sticky: owns the client's hash",
+  hashFallback: 'hash owner unavailable, next on the ring',
+  sessionHit: 'sticky: named by the session cookie',
+  sessionNew: 'no session cookie, new session on the least loaded',
+  sessionExpired: 'session cookie expired, new session on the least loaded',
+  sessionLimit: 'session reached its request limit, rebalanced',
+  sessionServerDown: 'session broken: its server is down, rebalanced',
+  sessionServerDraining: 'session broken: its server is draining, rebalanced',
+  sessionServerFull: 'session server full, rebalanced',
+};
+
+const BREAKER_STATES = { closed: 'closed', open: 'OPEN', halfOpen: 'half-open' };
+
+const FAILURES = { refused: 'refused by', reset: 'cut off by', lost: 'lost on the way to' };
+
+const DESCRIPTIONS = {
+  arrival: e => `${e.requestId} ${e.method} ${e.host}${e.path} from ${e.ip}${e.rule ? `, matched rule ${e.rule}` : ''}`,
+  region: e => `${e.requestId} from ${e.clientRegion} -> region ${e.regionName} (${Math.round(e.latencyMs)}ms link): ${REGION_REASONS[e.reason]}`,
+  route: e => `${e.requestId}${e.attempt > 1 ? ` (attempt ${e.attempt})` : ''} -> ${e.serverName}${e.pool !== DEFAULT_POOL_ID ? ` in pool ${e.pool}` : ''}${e.region ? ` (${e.region})` : ''}: ${ROUTING_REASONS[e.reason] ?? e.reason}`,
+  queued: e => `${e.requestId} queued at the LB (depth ${e.depth})`,
+  rejected: e => `${e.requestId} rejected: ${REJECTION_REASONS[e.reason].description}`,
+  timedOut: e => `${e.requestId} timed out in the LB queue`,
+  completion: e => `${e.requestId} served by ${e.serverName} in ${Math.round(e.latencyMs)}ms`,
+  failure: e => `${e.requestId} ${FAILURES[e.reason]} ${e.serverName}${e.retrying ? ', retrying' : ', failed'}`,
+  health: e => `${e.serverName}: ${e.from} -> ${e.to}${e.ejected ? ' (ejected)' : ''}`,
+  server: e => `${e.serverName} ${e.change}`,
+  traffic: e => `Traffic changed: ${e.process} arrivals x${e.multiplier}, ${e.service} service times`,
+  fault: e => `${FAULT_TYPES[e.faultType].name} fault (${e.source}) on ${e.serverNames.join(', ')}`,
+  faultEnd: e => `${FAULT_TYPES[e.faultType].name} fault ended on ${e.serverNames.join(', ')}`,
+  breaker: e => `${e.serverName} circuit ${BREAKER_STATES[e.from]} -> ${BREAKER_STATES[e.to]}`,
+  scaling: e => `Scale ${e.direction} ${e.from} -> ${e.to} instances (${e.reason}): ${e.serverNames.join(', ')}`,
+};
+
+/**
+ * One-line description of a log entry, e.g. "req-12 -> Server B: fewest connections"
+ */
+export const describeEntry = (entry) => DESCRIPTIONS[entry.type]?.(entry) ?? entry.type;
+
+const matchesServer = (entry, serverId) => entry.serverId === serverId || (entry.serverIds?.includes(serverId) ?? false);
+
+/**
+ * Entries matching every given filter: entry `type`, the server an entry is about,
+ * part of the client IP, and free text over the description. Empty filters match all.
+ */
+export const filterEntries = (entries, { type = '', serverId = null, client = '', search = '' } = {}) => {
+  const text = search.trim().toLowerCase();
+  return entries.filter(entry => (!type || entry.type === type)
+    && (serverId == null || matchesServer(entry, serverId))
+    && (!client || (entry.ip?.includes(client.trim()) ?? false))
+    && (!text || describeEntry(entry).toLowerCase().includes(text)));
+};
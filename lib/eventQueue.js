@@ -0,0 +1,59 @@
+// --- EVENT QUEUE ---
+//
+// Binary min-heap of scheduled events ordered by time. Events scheduled for the
+// same instant come out in the order they were pushed, which keeps runs stable.
+
+const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);
+
+/**
+ * Creates an empty event queue
+ */
+export const createEventQueue = () => {
+  const heap = [];
+  let seq = 0;
+
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+
+  const push = (event) => {
+    heap.push({ ...event, seq: seq++ });
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    if (heap.length === 0) return undefined;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+        if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+        if (smallest === i) break;
+        swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  return {
+    push,
+    pop,
+    peek: () => heap[0],
+    get size() {
+      return heap.length;
+    },
+  };
+};
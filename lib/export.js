@@ -0,0 +1,42 @@
+// --- RECORDING EXPORT ---
+//
+// Tables and documents built from the engine's `recording` (see SIMULATION_DEFAULTS.
+// recordingLength): one sample per interval with every server's connections and
+// busy workers, the LB queue depth and what finished since the previous sample.
+
+/**
+ * Servers that appear in any run's samples, named after their latest known state
+ */
+const serversOf = (runs) => [...new Map(runs.flatMap(run => run.servers).map(s => [s.id, s])).values()];
+
+/**
+ * One row per run and sample, as `{ header, rows }` for toCsv(). `runs` are
+ * `{ algorithm, recording, servers }`; servers absent from a sample get empty cells.
+ */
+export const recordingTable = (runs) => {
+  const servers = serversOf(runs);
+  return {
+    header: [
+      'algorithm', 'timeMs', 'queueDepth', 'served', 'dropped', 'meanLatencyMs',
+      ...servers.flatMap(s => [`load:${s.name}`, `busy:${s.name}`]),
+    ],
+    rows: runs.flatMap(run => run.recording.map(sample => [
+      run.algorithm, sample.timeMs, sample.queueDepth, sample.served, sample.dropped, sample.meanLatencyMs,
+      ...servers.flatMap(s => [sample.loads[s.id], sample.active[s.id]]),
+    ])),
+  };
+};
+
+/**
+ * JSON export: the setup that produced the runs, their summary metrics and every sample
+ */
+export const recordingDocument = ({ scenario, runs, exportedAt }) => ({
+  exportedAt,
+  scenario,
+  runs: runs.map(({ algorithm, servers, recording, metrics }) => ({
+    algorithm,
+    servers: servers.map(({ id, name }) => ({ id, name })),
+    metrics,
+    recording,
+  })),
+});
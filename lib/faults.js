@@ -0,0 +1,105 @@
+// --- FAULT INJECTION ---
+//
+// Faults degrade servers or the network path between the balancer and them,
+// without the balancer being told: it only notices through slow or failed
+// requests and health probes, as in a real incident.
+//
+// A fault targets one or more servers, optionally for a fixed duration. The
+// network and performance faults are stored on each server as `faults`:
+//
+//   latencyMs       extra one-way delay on the LB -> server path
+//   lossRate        share of requests and probes lost on the way (0-1)
+//   slowdown        factor applied to processing time
+//   capacityFactor  share of connections and workers the server still has (0-1)
+//   partitioned     the LB can't reach the server at all
+//
+// Crashes reuse the engine's own crash handling. Random chaos draws faults
+// from its own seeded stream, so it replays identically for the same seed.
+
+export const NO_FAULTS = {
+  latencyMs: 0,
+  lossRate: 0,
+  slowdown: 1,
+  capacityFactor: 1,
+  partitioned: false,
+};
+
+/**
+ * Fault types with display metadata. `param` is the value the fault sets (absent for
+ * crashes and partitions), `field` the server fault field it changes.
+ */
+export const FAULT_TYPES = {
+  crash: { name: 'Crash', color: '#dc2626' },
+  latency: { name: 'Latency', color: '#f59e0b', field: 'latencyMs', param: { key: 'latencyMs', label: 'Extra latency (ms)', min: 0, step: 100, default: 800 } },
+  packetLoss: { name: 'Packet loss', color: '#8b5cf6', field: 'lossRate', param: { key: 'lossRate', label: 'Loss (0-1)', min: 0, max: 1, step: 0.05, default: 0.3 } },
+  slowServer: { name: 'Slow server', color: '#0ea5e9', field: 'slowdown', param: { key: 'slowdown', label: 'Slowdown (x)', min: 1, step: 0.5, default: 3 } },
+  capacity: { name: 'Capacity loss', color: '#14b8a6', field: 'capacityFactor', param: { key: 'capacityFactor', label: 'Capacity left (0-1)', min: 0, max: 1, step: 0.1, default: 0.5 } },
+  partition: { name: 'Partition', color: '#475569', field: 'partitioned' },
+};
+
+export const CHAOS_DEFAULTS = {
+  enabled: false,
+  meanIntervalMs: 15000, // Average time between random faults
+  durationMs: 8000, // How long each random fault lasts
+  types: Object.keys(FAULT_TYPES), // Fault types random chaos may pick
+};
+
+/**
+ * The value a fault writes into a server's `faults` (undefined for crashes)
+ */
+export const faultValue = (fault) => {
+  const { field, param } = FAULT_TYPES[fault.type];
+  if (!field) return undefined;
+  return param ? fault[param.key] ?? param.default : true;
+};
+
+/**
+ * Connection and worker limits a server has left under a capacity fault
+ */
+export const effectiveLimits = (server) => {
+  const factor = server.faults.capacityFactor;
+  return {
+    maxCapacity: Math.max(1, Math.floor(server.maxCapacity * factor)),
+    concurrency: Math.max(1, Math.floor(server.concurrency * factor)),
+  };
+};
+
+/**
+ * Whether a message from the LB to the server (or back) gets lost on the way
+ */
+export const isLost = (server, random) => server.faults.partitioned || (server.faults.lossRate > 0 && random() < server.faults.lossRate);
+
+/**
+ * Short labels for a server's active faults, e.g. ['+800ms', '30% loss']
+ */
+export const faultBadges = (server) => {
+  const { latencyMs, lossRate, slowdown, capacityFactor, partitioned } = server.faults;
+  return [
+    partitioned && 'PARTITIONED',
+    latencyMs > 0 && `+${latencyMs}ms`,
+    lossRate > 0 && `${Math.round(lossRate * 100)}% loss`,
+    slowdown !== 1 && `${slowdown}x slow`,
+    capacityFactor < 1 && `${Math.round(capacityFactor * 100)}% capacity`,
+  ].filter(Boolean);
+};
+
+/**
+ * When random chaos fires next: faults arrive as a Poisson process
+ */
+export const nextChaosTime = (chaos, time, random) => time - chaos.meanIntervalMs * Math.log(1 - random());
+
+/**
+ * Draws a random fault over the current pool. Partitions cut off a random subset of
+ * the servers, never all of them unless only one is left.
+ */
+export const randomFault = (servers, chaos, random) => {
+  const types = chaos.types.filter(type => FAULT_TYPES[type]);
+  const type = types[Math.floor(random() * types.length)];
+  const ids = servers.map(s => s.id).sort((a, b) => a - b);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  const count = type === 'partition' ? 1 + Math.floor(random() * Math.max(1, ids.length - 1)) : 1;
+  return { type, servers: ids.slice(0, count), durationMs: chaos.durationMs };
+};
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './engine.js';
+import { CHAOS_DEFAULTS, FAULT_TYPES, NO_FAULTS, effectiveLimits, faultBadges, faultValue, isLost, nextChaosTime, randomFault } from './faults.js';
+import { createRng } from './random.js';
+
+const server = (id, faults = {}) => ({ id, maxCapacity: 20, concurrency: 8, faults: { ...NO_FAULTS, ...faults } });
+const POOL = [1, 2, 3, 4].map(id => server(id));
+
+describe('faultValue', () => {
+  it('takes the fault parameter, or its default when none is given', () => {
+    assert.equal(faultValue({ type: 'latency', latencyMs: 200 }), 200);
+    assert.equal(faultValue({ type: 'latency' }), FAULT_TYPES.latency.param.default);
+  });
+
+  it('sets partitions and leaves crashes to the engine', () => {
+    assert.equal(faultValue({ type: 'partition' }), true);
+    assert.equal(faultValue({ type: 'crash' }), undefined);
+  });
+});
+
+describe('effectiveLimits', () => {
+  it('scales connections and workers down, keeping at least one of each', () => {
+    assert.deepEqual(effectiveLimits(server(1, { capacityFactor: 0.5 })), { maxCapacity: 10, concurrency: 4 });
+    assert.deepEqual(effectiveLimits(server(1, { capacityFactor: 0 })), { maxCapacity: 1, concurrency: 1 });
+  });
+});
+
+describe('isLost', () => {
+  it('loses everything across a partition and nothing on a clean path', () => {
+    assert.equal(isLost(server(1, { partitioned: true }), () => 0.99), true);
+    assert.equal(isLost(server(1), () => 0), false);
+  });
+
+  it('loses the configured share of messages', () => {
+    const lossy = server(1, { lossRate: 0.3 });
+    assert.equal(isLost(lossy, () => 0.29), true);
+    assert.equal(isLost(lossy, () => 0.3), false);
+  });
+});
+
+describe('faultBadges', () => {
+  it('labels every active fault', () => {
+    assert.deepEqual(faultBadges(server(1, { latencyMs: 800, lossRate: 0.3, slowdown: 3, capacityFactor: 0.5, partitioned: true })),
+      ['PARTITIONED', '+800ms', '30% loss', '3x slow', '50% capacity']);
+    assert.deepEqual(faultBadges(server(1)), []);
+  });
+});
+
+describe('nextChaosTime', () => {
+  it('spaces faults meanIntervalMs apart on average', () => {
+    const random = createRng(1);
+    let time = 0;
+    for (let i = 0; i < 2000; i++) time = nextChaosTime(CHAOS_DEFAULTS, time, random);
+    const mean = time / 2000;
+    assert.ok(Math.abs(mean - CHAOS_DEFAULTS.meanIntervalMs) < CHAOS_DEFAULTS.meanIntervalMs * 0.1, `mean ${mean}`);
+  });
+});
+
+describe('randomFault', () => {
+  it('picks one of the allowed types for the configured duration', () => {
+    const random = createRng(2);
+    const chaos = { ...CHAOS_DEFAULTS, types: ['latency', 'crash'] };
+    for (let i = 0; i < 50; i++) {
+      const fault = randomFault(POOL, chaos, random);
+      assert.ok(chaos.types.includes(fault.type));
+      assert.equal(fault.durationMs, chaos.durationMs);
+      assert.equal(fault.servers.length, 1);
+    }
+  });
+
+  it('never partitions every server while more than one is left', () => {
+    const random = createRng(3);
+    const chaos = { ...CHAOS_DEFAULTS, types: ['partition'] };
+    for (let i = 0; i < 50; i++) {
+      const { servers } = randomFault(POOL, chaos, random);
+      assert.ok(servers.length >= 1 && servers.length < POOL.length);
+      assert.equal(new Set(servers).size, servers.length);
+    }
+    assert.deepEqual(randomFault([server(7)], chaos, random).servers, [7]);
+  });
+
+  it('ignores unknown fault types', () => {
+    assert.equal(randomFault(POOL, { ...CHAOS_DEFAULTS, types: ['meteor', 'latency'] }, () => 0).type, 'latency');
+  });
+});
+
+describe('faults in a simulation', () => {
+  const SERVERS = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }];
+
+  it('applies a scheduled fault at its time and restores the server when it ends', () => {
+    const simulation = createSimulation(SERVERS, { timeline: [{ atMs: 5000, action: 'fault', fault: { type: 'slowServer', servers: [2], durationMs: 3000, slowdown: 4 } }] });
+    simulation.advanceTo(4999);
+    assert.equal(simulation.snapshot().servers[1].faults.slowdown, 1);
+    simulation.advanceTo(5000);
+    assert.equal(simulation.snapshot().servers[1].faults.slowdown, 4);
+    simulation.advanceTo(8000);
+    const { servers, faultLog } = simulation.snapshot();
+    assert.equal(servers[1].faults.slowdown, 1);
+    assert.deepEqual(faultLog.map(f => [f.type, f.source, f.startMs, f.endMs]), [['slowServer', 'scripted', 5000, 8000]]);
+  });
+
+  it('draws the same random chaos for the same seed', () => {
+    const chaosLog = (seed) => {
+      const simulation = createSimulation(SERVERS, { seed, chaos: { enabled: true, meanIntervalMs: 3000, durationMs: 2000 } });
+      simulation.advanceTo(60000);
+      return simulation.snapshot().faultLog;
+    };
+    const log = chaosLog(5);
+    assert.ok(log.length > 5);
+    assert.ok(log.every(f => f.source === 'random' && (f.endMs == null || f.endMs === f.startMs + 2000)));
+    assert.deepEqual(chaosLog(5), log);
+    assert.notDeepEqual(chaosLog(6), log);
+  });
+
+  it('keeps a newer fault of the same kind when an older one ends', () => {
+    const simulation = createSimulation(SERVERS);
+    simulation.injectFault({ type: 'latency', servers: [1], latencyMs: 100, durationMs: 2000 });
+    simulation.advanceTo(1000);
+    simulation.injectFault({ type: 'latency', servers: [1], latencyMs: 500 });
+    simulation.advanceTo(3000);
+    assert.equal(simulation.snapshot().servers[0].faults.latencyMs, 500);
+  });
+});
@@ -0,0 +1,102 @@
+// --- CONSISTENT HASH RING ---
+//
+// Each server is placed on a 32-bit ring at `virtualNodes` pseudo-random points.
+// A key belongs to the first server point clockwise from the key's own hash.
+// When a server leaves, only the keys it owned move (to the next point along);
+// everyone else keeps their server. That's the minimal-disruption property.
+
+export const RING_SIZE = 2 ** 32;
+export const DEFAULT_VIRTUAL_NODES = 40;
+export const MAX_VIRTUAL_NODES = 200; // The ring holds this many points per server at most
+
+/**
+ * 32-bit hash of a string: FNV-1a followed by the Murmur3 finalizer for better spread
+ */
+export const hashKey = (key) => {
+  let h = 0x811c9dc5;
+  for (const char of String(key)) {
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+/**
+ * Builds a ring as a list of { point, serverId } sorted by point
+ */
+export const buildRing = (servers, virtualNodes = DEFAULT_VIRTUAL_NODES) =>
+  servers
+    .flatMap(s => Array.from({ length: virtualNodes }, (_, i) => ({ point: hashKey(`${s.id}#${i}`), serverId: s.id })))
+    .sort((a, b) => a.point - b.point);
+
+// Index of the first ring entry at or after `point` (wrapping to 0)
+const firstIndexAtOrAfter = (ring, point) => {
+  let lo = 0;
+  let hi = ring.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (ring[mid].point < point) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo % ring.length;
+};
+
+/**
+ * Walks clockwise from the key's hash and returns the first server id accepted by
+ * `isEligible`, or null if none is. Skipping ineligible servers is equivalent to
+ * removing them from the ring, so the ring only has to be rebuilt when the pool changes.
+ */
+export const lookup = (ring, key, isEligible = () => true) => {
+  if (ring.length === 0) return null;
+
+  const start = firstIndexAtOrAfter(ring, hashKey(key));
+  const rejected = new Set();
+  for (let step = 0; step < ring.length; step++) {
+    const { serverId } = ring[(start + step) % ring.length];
+    if (rejected.has(serverId)) continue;
+    if (isEligible(serverId)) return serverId;
+    rejected.add(serverId);
+  }
+  return null;
+};
+
+/**
+ * Fraction of the ring owned by each server id
+ */
+export const ringShare = (ring) => {
+  const share = {};
+  ring.forEach((entry, i) => {
+    const previous = ring[(i - 1 + ring.length) % ring.length].point;
+    const span = ring.length === 1 ? RING_SIZE : (entry.point - previous + RING_SIZE) % RING_SIZE;
+    share[entry.serverId] = (share[entry.serverId] || 0) + span / RING_SIZE;
+  });
+  return share;
+};
+
+/**
+ * Lists the keys whose owner differs between two eligibility sets on the same ring
+ */
+export const remappedKeys = (ring, keys, wasEligible, isEligible) =>
+  keys
+    .map(key => ({ key, from: lookup(ring, key, wasEligible), to: lookup(ring, key, isEligible) }))
+    .filter(({ from, to }) => from !== to);
+
+/**
+ * Compares consistent hashing with naive `hash % N` for an availability change:
+ * how many of `keys` move under each scheme when the up-set goes from `before` to `after`.
+ */
+export const summarizeRemap = (ring, keys, beforeIds, afterIds) => {
+  const wasUp = new Set(beforeIds);
+  const isUp = new Set(afterIds);
+  const moved = remappedKeys(ring, keys, id => wasUp.has(id), id => isUp.has(id));
+
+  const moduloOwner = (key, ids) => (ids.length === 0 ? null : ids[hashKey(key) % ids.length]);
+  const moduloMoved = keys.filter(key => moduloOwner(key, beforeIds) !== moduloOwner(key, afterIds)).length;
+
+  return { moved, total: keys.length, moduloMoved };
+};
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_VIRTUAL_NODES, RING_SIZE, buildRing, hashKey, lookup, remappedKeys, ringShare, summarizeRemap } from './hashRing.js';
+
+const SERVERS = [1, 2, 3, 4].map(id => ({ id }));
+const KEYS = Array.from({ length: 10000 }, (_, i) => `10.${(i >> 8) & 255}.${i & 255}.1`);
+
+// Server id owning each key
+const owners = (ring, isEligible) => KEYS.map(key => lookup(ring, key, isEligible));
+
+const counts = (ids) => ids.reduce((total, id) => ({ ...total, [id]: (total[id] ?? 0) + 1 }), {});
+
+describe('hashKey', () => {
+  it('hashes the same key to the same 32-bit point', () => {
+    const point = hashKey('10.0.0.1');
+    assert.equal(hashKey('10.0.0.1'), point);
+    assert.ok(Number.isInteger(point) && point >= 0 && point < RING_SIZE);
+    assert.notEqual(hashKey('10.0.0.2'), point);
+  });
+});
+
+describe('buildRing', () => {
+  it('places every server at virtualNodes points, in ring order', () => {
+    const ring = buildRing(SERVERS, 10);
+    assert.equal(ring.length, 40);
+    assert.deepEqual(counts(ring.map(entry => entry.serverId)), { 1: 10, 2: 10, 3: 10, 4: 10 });
+    ring.slice(1).forEach((entry, i) => assert.ok(entry.point >= ring[i].point));
+  });
+});
+
+describe('spread', () => {
+  it('gives each server a fair share of the ring at the default virtual nodes', () => {
+    const shares = Object.values(ringShare(buildRing(SERVERS, DEFAULT_VIRTUAL_NODES)));
+    assert.equal(shares.length, 4);
+    assert.ok(Math.abs(shares.reduce((sum, share) => sum + share, 0) - 1) < 1e-9);
+    shares.forEach(share => assert.ok(share > 0.15 && share < 0.35, `share ${share}`));
+  });
+
+  it('spreads keys about evenly at the default virtual nodes', () => {
+    Object.values(counts(owners(buildRing(SERVERS)))).forEach(count => {
+      assert.ok(count > 1500 && count < 3500, `${count} of ${KEYS.length} keys`);
+    });
+  });
+
+  it('spreads more evenly with more virtual nodes', () => {
+    const spread = (virtualNodes) => {
+      const shares = Object.values(ringShare(buildRing(SERVERS, virtualNodes)));
+      return Math.max(...shares) - Math.min(...shares);
+    };
+    assert.ok(spread(DEFAULT_VIRTUAL_NODES) < spread(1));
+  });
+});
+
+describe('lookup', () => {
+  it('has no owner on an empty ring or when no server is eligible', () => {
+    assert.equal(lookup([], 'key'), null);
+    assert.equal(lookup(buildRing(SERVERS), 'key', () => false), null);
+  });
+
+  it('treats an ineligible server as if it were off the ring', () => {
+    const ring = buildRing(SERVERS);
+    const without3 = buildRing(SERVERS.filter(s => s.id !== 3));
+    assert.deepEqual(owners(ring, id => id !== 3), owners(without3));
+  });
+});
+
+describe('minimal disruption', () => {
+  it('moves only the keys of a removed server', () => {
+    const before = owners(buildRing(SERVERS));
+    const after = owners(buildRing(SERVERS.filter(s => s.id !== 2)));
+    KEYS.forEach((_, i) => {
+      if (before[i] !== 2) assert.equal(after[i], before[i]);
+      else assert.notEqual(after[i], 2);
+    });
+  });
+
+  it('moves keys only to an added server', () => {
+    const before = owners(buildRing(SERVERS));
+    const after = owners(buildRing([...SERVERS, { id: 5 }]));
+    const moved = KEYS.filter((_, i) => after[i] !== before[i]);
+    KEYS.forEach((_, i) => {
+      if (after[i] !== before[i]) assert.equal(after[i], 5);
+    });
+    // About a fifth of the keys, the new server's share
+    assert.ok(moved.length > 1000 && moved.length < 3000, `${moved.length} keys moved`);
+  });
+
+  it('lists the remapped keys of an availability change', () => {
+    const ring = buildRing(SERVERS);
+    const moved = remappedKeys(ring, KEYS, () => true, id => id !== 4);
+    assert.ok(moved.length > 0);
+    moved.forEach(({ from, to }) => {
+      assert.equal(from, 4);
+      assert.notEqual(to, 4);
+    });
+  });
+
+  it('moves far fewer keys than hash % N', () => {
+    const { moved, total, moduloMoved } = summarizeRemap(buildRing(SERVERS), KEYS, [1, 2, 3, 4], [1, 2, 3]);
+    assert.equal(total, KEYS.length);
+    assert.ok(moved.length < KEYS.length * 0.35);
+    assert.ok(moduloMoved > KEYS.length * 0.6);
+  });
+});
@@ -0,0 +1,102 @@
+// --- HEALTH CHECKING ---
+//
+// A server has a real state (`isUp`) and the balancer's belief about it (`health`).
+// The balancer only learns about crashes and recoveries through:
+//
+//   - active probes: every `intervalMs` each server is probed; a probe that doesn't
+//     answer within `timeoutMs` fails. `fall` consecutive failures mark a server
+//     down, `rise` consecutive successes bring it back.
+//   - passive outlier detection: `consecutiveFailures` failed requests in a row eject
+//     the server for `ejectionMs`, after which it has to pass probes again.
+//
+// States: healthy -> suspect (failing probes, still routed) -> down (not routed)
+// -> recovering (passing probes, not routed yet) -> healthy.
+//
+// The functions below are pure: they take a server and return the fields to change.
+// Whether the balancer routes to a server follows from its state via isRoutable().
+
+export const HEALTH_CHECK_DEFAULTS = {
+  enabled: true,
+  intervalMs: 1000,
+  timeoutMs: 500,
+  probeLatencyMs: 20, // Round trip of a probe to a live server
+  rise: 2,
+  fall: 3,
+};
+
+export const OUTLIER_DETECTION_DEFAULTS = {
+  enabled: true,
+  consecutiveFailures: 3,
+  ejectionMs: 5000,
+};
+
+// States in which the balancer still sends traffic to a server
+const ROUTABLE_STATES = new Set(['healthy', 'suspect']);
+
+export const isRoutable = (health) => ROUTABLE_STATES.has(health);
+
+/**
+ * Fields every server starts with: up, healthy and with clean counters
+ */
+export const initialHealth = () => ({
+  isUp: true,
+  health: 'healthy',
+  isAvailable: true,
+  probeSuccesses: 0,
+  probeFailures: 0,
+  requestFailures: 0,
+  ejectedUntil: null,
+});
+
+/**
+ * How long until a probe sent now resolves, and whether it succeeds. `network` describes
+ * the path to the server: injected round-trip latency and whether the probe gets lost.
+ */
+export const probeOutcome = (server, { probeLatencyMs, timeoutMs }, { extraLatencyMs = 0, lost = false } = {}) => {
+  const latency = probeLatencyMs + extraLatencyMs;
+  const ok = server.isUp && !lost && latency <= timeoutMs;
+  return { ok, delay: ok ? latency : timeoutMs };
+};
+
+const withHealth = (health, changes) => ({ ...changes, health });
+
+/**
+ * Applies one active probe result. Ejected servers sit out until their ejection ends.
+ */
+export const afterProbe = (server, ok, { rise, fall }) => {
+  if (server.ejectedUntil != null) return {};
+
+  if (ok) {
+    const probeSuccesses = server.probeSuccesses + 1;
+    const counters = { probeSuccesses, probeFailures: 0 };
+    if (server.health === 'down' || server.health === 'recovering') {
+      return withHealth(probeSuccesses >= rise ? 'healthy' : 'recovering', counters);
+    }
+    return withHealth('healthy', counters);
+  }
+
+  const probeFailures = server.probeFailures + 1;
+  const counters = { probeSuccesses: 0, probeFailures };
+  if (server.health === 'healthy' || server.health === 'suspect') {
+    return withHealth(probeFailures >= fall ? 'down' : 'suspect', counters);
+  }
+  return withHealth('down', counters);
+};
+
+/**
+ * Applies one request result for passive detection; may eject the server
+ */
+export const afterRequest = (server, ok, { enabled, consecutiveFailures, ejectionMs }, time) => {
+  if (ok) return { requestFailures: 0 };
+
+  const requestFailures = server.requestFailures + 1;
+  if (!enabled || server.ejectedUntil != null || requestFailures < consecutiveFailures) return { requestFailures };
+
+  return withHealth('down', { requestFailures: 0, probeSuccesses: 0, ejectedUntil: time + ejectionMs });
+};
+
+/**
+ * Ends an ejection: back to probing if active checks run, otherwise straight back in
+ */
+export const afterEjection = (activeChecksEnabled) =>
+  withHealth(activeChecksEnabled ? 'recovering' : 'healthy', { ejectedUntil: null, probeSuccesses: 0, probeFailures: 0 });
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HEALTH_CHECK_DEFAULTS, OUTLIER_DETECTION_DEFAULTS, afterEjection, afterProbe, afterRequest, initialHealth, isRoutable, probeOutcome } from './health.js';
+
+const CHECKS = { ...HEALTH_CHECK_DEFAULTS, rise: 2, fall: 3 };
+const OUTLIERS = { ...OUTLIER_DETECTION_DEFAULTS, consecutiveFailures: 3, ejectionMs: 5000 };
+
+// The server after a run of probe results, each applied to the previous state
+const probed = (server, results) => results.reduce((s, ok) => ({ ...s, ...afterProbe(s, ok, CHECKS) }), server);
+
+describe('isRoutable', () => {
+  it('routes to healthy and suspect servers only', () => {
+    assert.deepEqual(['healthy', 'suspect', 'down', 'recovering'].map(isRoutable), [true, true, false, false]);
+  });
+});
+
+describe('probeOutcome', () => {
+  const up = initialHealth();
+
+  it('answers after the probe latency when the server is up', () => {
+    assert.deepEqual(probeOutcome(up, CHECKS), { ok: true, delay: CHECKS.probeLatencyMs });
+  });
+
+  it('fails at the timeout when the server is down, the probe is lost or too slow', () => {
+    const failed = { ok: false, delay: CHECKS.timeoutMs };
+    assert.deepEqual(probeOutcome({ ...up, isUp: false }, CHECKS), failed);
+    assert.deepEqual(probeOutcome(up, CHECKS, { lost: true }), failed);
+    assert.deepEqual(probeOutcome(up, CHECKS, { extraLatencyMs: CHECKS.timeoutMs }), failed);
+  });
+});
+
+describe('afterProbe', () => {
+  it('marks a server suspect on a failed probe and down after `fall` of them', () => {
+    const server = initialHealth();
+    assert.equal(probed(server, [false]).health, 'suspect');
+    assert.equal(probed(server, [false, false]).health, 'suspect');
+    assert.equal(probed(server, [false, false, false]).health, 'down');
+  });
+
+  it('clears suspicion on a passing probe', () => {
+    const server = probed(initialHealth(), [false, false, true]);
+    assert.equal(server.health, 'healthy');
+    assert.equal(server.probeFailures, 0);
+    assert.equal(probed(server, [false, false]).health, 'suspect');
+  });
+
+  it('brings a down server back after `rise` passing probes', () => {
+    const down = probed(initialHealth(), [false, false, false]);
+    assert.equal(probed(down, [true]).health, 'recovering');
+    assert.equal(probed(down, [true, true]).health, 'healthy');
+    assert.equal(probed(down, [true, false]).health, 'down');
+  });
+
+  it('leaves an ejected server alone until its ejection ends', () => {
+    assert.deepEqual(afterProbe({ ...initialHealth(), health: 'down', ejectedUntil: 5000 }, true, CHECKS), {});
+  });
+});
+
+describe('afterRequest', () => {
+  const failures = (server, count) => Array.from({ length: count }).reduce(s => ({ ...s, ...afterRequest(s, false, OUTLIERS, 1000) }), server);
+
+  it('ejects a server after `consecutiveFailures` failed requests in a row', () => {
+    const server = initialHealth();
+    assert.equal(failures(server, 2).health, 'healthy');
+    const ejected = failures(server, 3);
+    assert.equal(ejected.health, 'down');
+    assert.equal(ejected.ejectedUntil, 1000 + OUTLIERS.ejectionMs);
+    assert.equal(ejected.requestFailures, 0);
+  });
+
+  it('starts counting again after a successful request', () => {
+    const failing = failures(initialHealth(), 2);
+    const server = { ...failing, ...afterRequest(failing, true, OUTLIERS, 1000) };
+    assert.equal(server.requestFailures, 0);
+    assert.equal(failures(server, 2).health, 'healthy');
+  });
+
+  it('never ejects when outlier detection is off', () => {
+    const server = Array.from({ length: 10 }).reduce(s => ({ ...s, ...afterRequest(s, false, { ...OUTLIERS, enabled: false }, 0) }), initialHealth());
+    assert.equal(server.health, 'healthy');
+    assert.equal(server.requestFailures, 10);
+  });
+
+  it('does not extend an ejection in progress', () => {
+    const ejected = failures(initialHealth(), 3);
+    assert.equal(failures(ejected, 3).ejectedUntil, ejected.ejectedUntil);
+  });
+});
+
+describe('afterEjection', () => {
+  it('makes the server pass probes again when active checks run', () => {
+    assert.deepEqual(afterEjection(true), { health: 'recovering', ejectedUntil: null, probeSuccesses: 0, probeFailures: 0 });
+  });
+
+  it('puts the server straight back without active checks', () => {
+    assert.equal(afterEjection(false).health, 'healthy');
+  });
+});
@@ -0,0 +1,52 @@
+// --- SIMULATED HTTP REQUESTS ---
+//
+// Every request carries HTTP attributes so layer-7 rules have something to match
+// (see lib/rules.js): a method, host and path drawn from a weighted list of
+// endpoints, plus headers and a cookie that belong to the client. A client keeps
+// the same user agent, beta opt-in and login session on every visit, since those
+// are derived from its IP rather than drawn. Each endpoint also has a priority
+// class that load shedding goes by (see lib/admission.js).
+
+import { RING_SIZE, hashKey } from './hashRing.js';
+
+export const DEFAULT_HTTP_PROFILE = {
+  // `{id}` in a path is replaced by a random id on each request; `priority` defaults to normal
+  endpoints: [
+    { method: 'GET', host: 'shop.example.com', path: '/', weight: 2 },
+    { method: 'GET', host: 'shop.example.com', path: '/products/{id}', weight: 3 },
+    { method: 'GET', host: 'shop.example.com', path: '/static/app.js', weight: 2, priority: 'bulk' },
+    { method: 'GET', host: 'shop.example.com', path: '/static/img/{id}.png', weight: 3, priority: 'bulk' },
+    { method: 'GET', host: 'api.example.com', path: '/api/cart', weight: 2, priority: 'critical' },
+    { method: 'GET', host: 'api.example.com', path: '/api/search', weight: 2 },
+    { method: 'POST', host: 'api.example.com', path: '/api/orders', weight: 1, priority: 'critical' },
+  ],
+  idRange: 100, // Ids substituted for `{id}` run from 1 to this
+  loggedInShare: 0.4, // Clients sending a session cookie
+  betaShare: 0.1, // Clients sending `x-beta: 1`
+  mobileShare: 0.5, // Clients with a mobile user agent
+};
+
+// Stable per-client draw in [0, 1), independent for each trait
+const clientShare = (ip, trait) => hashKey(`${ip}:${trait}`) / RING_SIZE;
+
+/**
+ * Headers and cookie a client sends on every request
+ */
+export const clientIdentity = (ip, profile = DEFAULT_HTTP_PROFILE) => ({
+  headers: {
+    'user-agent': clientShare(ip, 'mobile') < profile.mobileShare ? 'Mobile' : 'Desktop',
+    ...(clientShare(ip, 'beta') < profile.betaShare ? { 'x-beta': '1' } : {}),
+  },
+  cookie: clientShare(ip, 'login') < profile.loggedInShare ? `session=${hashKey(`${ip}:session`).toString(16)}` : '',
+});
+
+/**
+ * HTTP attributes of one request from `ip`: `{ method, host, path, priority, headers, cookie }`
+ */
+export const sampleHttp = (profile, ip, random) => {
+  const total = profile.endpoints.reduce((sum, e) => sum + e.weight, 0);
+  let target = random() * total;
+  const endpoint = profile.endpoints.find(e => (target -= e.weight) < 0) ?? profile.endpoints[profile.endpoints.length - 1];
+  const path = endpoint.path.replace('{id}', () => String(1 + Math.floor(random() * profile.idRange)));
+  return { method: endpoint.method, host: endpoint.host, path, priority: endpoint.priority ?? 'normal', ...clientIdentity(ip, profile) };
+};
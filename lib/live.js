@@ -0,0 +1,102 @@
+// --- LIVE BACKEND MODE ---
+//
+// The simulation's strategies balancing real HTTP traffic. The server side
+// (lib/liveBalancer.js, Node only) starts a mock HTTP backend per spec on localhost
+// and proxies every request sent to /api/live/proxy/... to one of them, picked by the
+// same strategy objects the simulation uses. A backend spec:
+//
+//   { id: 2, name: 'Backend 2', latencyMs: 80, jitterMs: 40, errorRate: 0.05, weight: 2, maxCapacity: 20 }
+//
+// A backend answers after `latencyMs`, give or take up to `jitterMs`, and fails an
+// `errorRate` share of requests with a 500. `maxCapacity` caps the proxy's open
+// connections to it, so a backend's load means what it means in the simulation:
+// requests in flight. Time is the wall clock and randomness Math.random, since the
+// traffic itself is real and can't be replayed.
+//
+// This module holds what the browser and the server share: the defaults and the
+// validation of the settings the Live Backends panel posts to /api/live.
+
+import { STRATEGIES } from './strategies.js';
+
+export const MAX_LIVE_BACKENDS = 10;
+
+export const LIVE_BACKEND_DEFAULTS = {
+  latencyMs: 50,
+  jitterMs: 20,
+  errorRate: 0,
+  weight: 1,
+  maxCapacity: 20,
+};
+
+export const LIVE_DEFAULTS = {
+  mode: 'roundRobin',
+  backends: [
+    { id: 1, name: 'Backend 1', ...LIVE_BACKEND_DEFAULTS },
+    { id: 2, name: 'Backend 2', ...LIVE_BACKEND_DEFAULTS, latencyMs: 120, jitterMs: 60, weight: 2 },
+    { id: 3, name: 'Backend 3', ...LIVE_BACKEND_DEFAULTS, latencyMs: 80, errorRate: 0.05 },
+  ],
+  sampleIntervalMs: 250, // How often backend loads are sampled for the trend chart
+  historyLength: 120, // Samples kept, so the trend covers the last 30s
+  latencyWindow: 200, // Latest response times per backend the percentiles are taken over
+};
+
+// Numeric fields of a backend spec
+const BACKEND_RULES = {
+  id: { min: 1, integer: true },
+  latencyMs: { min: 0, max: 60000 },
+  jitterMs: { min: 0, max: 60000 },
+  errorRate: { min: 0, max: 1 },
+  weight: { min: 1, integer: true },
+  maxCapacity: { min: 1, integer: true },
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const show = (value) => JSON.stringify(value) ?? String(value);
+
+const checkBackend = (errors, path, spec, ids) => {
+  if (!isObject(spec)) {
+    errors.push(`${path} must be an object (got ${show(spec)}).`);
+    return;
+  }
+  Object.entries(spec).forEach(([key, value]) => {
+    const rule = BACKEND_RULES[key];
+    if (key === 'name') {
+      if (typeof value !== 'string' || value.trim() === '') errors.push(`${path}.name must be a non-empty string (got ${show(value)}).`);
+    } else if (!rule) errors.push(`${path}.${key} is not a known field.`);
+    else if (typeof value !== 'number' || !Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+      errors.push(`${path}.${key} must be ${rule.integer ? 'an integer' : 'a number'} (got ${show(value)}).`);
+    } else if (value < rule.min || value > (rule.max ?? Infinity)) {
+      errors.push(`${path}.${key} must be between ${rule.min} and ${rule.max ?? 'Infinity'} (got ${value}).`);
+    }
+  });
+  if (spec.id === undefined) errors.push(`${path}.id is required.`);
+  else if (ids.has(spec.id)) errors.push(`${path}.id ${spec.id} is used by another backend.`);
+  ids.add(spec.id);
+};
+
+/**
+ * Checks live mode settings (`{ mode, backends }`, both optional) and fills in the
+ * defaults: `{ settings, errors }`, where `settings` is null unless `errors` is empty
+ */
+export const validateLiveSettings = (raw = {}) => {
+  const errors = [];
+  if (!isObject(raw)) return { settings: null, errors: ['Live settings must be a JSON object.'] };
+
+  const { mode = LIVE_DEFAULTS.mode, backends = LIVE_DEFAULTS.backends, ...unknown } = raw;
+  Object.keys(unknown).forEach(key => errors.push(`${key} is not a known field.`));
+  if (!Object.hasOwn(STRATEGIES, mode)) errors.push(`mode: unknown algorithm ${show(mode)} (expected one of ${Object.keys(STRATEGIES).join(', ')}).`);
+
+  const ids = new Set();
+  if (!Array.isArray(backends) || backends.length === 0 || backends.length > MAX_LIVE_BACKENDS) {
+    errors.push(`backends must be a list of 1 to ${MAX_LIVE_BACKENDS} backends (got ${show(backends)}).`);
+  } else backends.forEach((spec, index) => checkBackend(errors, `backends[${index}]`, spec, ids));
+
+  if (errors.length > 0) return { settings: null, errors };
+  return {
+    settings: {
+      mode,
+      backends: backends.map(spec => ({ name: `Backend ${spec.id}`, ...LIVE_BACKEND_DEFAULTS, ...spec })),
+    },
+    errors,
+  };
+};
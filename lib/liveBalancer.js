@@ -0,0 +1,266 @@
+// --- LIVE BALANCER (Node only) ---
+//
+// The server side of live backend mode (see lib/live.js): mock HTTP backends on
+// 127.0.0.1, each on a port the OS picks, and a proxy that balances real requests
+// over them with the selected strategy. The strategy sees the backends as the
+// simulation's balancer sees its servers; a backend's load is the proxy's requests
+// in flight to it and its average response time an EWMA of what the proxy measured:
+//
+//   { id, name, load, maxCapacity, weight, isAvailable, avgResponseTime, dispatched }
+//
+// Cookie sessions work as in the simulation: the cookie a strategy issues goes back
+// to the client as `lb_session`, and a client that sends it back is pinned.
+//
+// There is one live balancer per Node process, shared by every route handler through
+// globalThis, so it survives hot reloads in development. Starting, restarting and
+// stopping it run one at a time.
+
+import { createServer } from 'node:http';
+import { LIVE_DEFAULTS } from './live.js';
+import { latencyStats, smoothResponseTime } from './metrics.js';
+import { getStrategy } from './strategies.js';
+
+const SESSION_COOKIE = 'lb_session';
+
+// Headers that belong to one connection and are never forwarded. Bodies are passed on
+// decoded, so their length and encoding are left for the runtime to set again.
+const HOP_BY_HOP = new Set([
+  'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'te', 'trailer', 'upgrade',
+  'host', 'content-length', 'content-encoding',
+]);
+
+// One mock backend: every request is answered after the backend's latency, with a 500
+// for its error rate's share of them
+const startMockBackend = (spec) => new Promise((resolve, reject) => {
+  const server = createServer((req, res) => {
+    req.resume(); // The body is not needed, only consumed
+    const latencyMs = Math.max(0, spec.latencyMs + (Math.random() * 2 - 1) * spec.jitterMs);
+    setTimeout(() => {
+      const failed = Math.random() < spec.errorRate;
+      res.writeHead(failed ? 500 : 200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        backend: spec.name,
+        method: req.method,
+        path: req.url,
+        latencyMs: Math.round(latencyMs),
+        ...(failed && { error: 'Simulated backend error' }),
+      }));
+    }, latencyMs);
+  });
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const closeServer = (server) => new Promise(resolve => {
+  server.close(() => resolve());
+  server.closeAllConnections();
+});
+
+// The client a request comes from: `x-client-ip` lets a load generator pose as many
+// clients, otherwise the first forwarded address
+const clientIp = (headers) => headers.get('x-client-ip')
+  ?? headers.get('x-forwarded-for')?.split(',')[0].trim()
+  ?? 'local';
+
+// The session cookie a client sent back, or null when it sent none or one that doesn't parse
+const sessionCookie = (headers) => {
+  const raw = headers.get('cookie')?.split(';').map(part => part.trim()).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  if (!raw) return null;
+  try {
+    const cookie = JSON.parse(decodeURIComponent(raw.slice(SESSION_COOKIE.length + 1)));
+    return ['serverId', 'expiresAt', 'requests'].every(key => Number.isFinite(cookie?.[key])) ? cookie : null;
+  } catch {
+    return null;
+  }
+};
+
+const forwardedHeaders = (headers) => new Headers([...headers].filter(([name]) => !HOP_BY_HOP.has(name)));
+
+/**
+ * Starts the mock backends for validated live settings (see validateLiveSettings())
+ * and returns the balancer over them: `handle(request)` proxies a web Request sent to
+ * /api/live/proxy/..., `stats()` is a plain view of the run and `stop()` closes the backends.
+ */
+export const createLiveBalancer = async ({ mode, backends: specs }) => {
+  const { sampleIntervalMs, historyLength, latencyWindow } = LIVE_DEFAULTS;
+  const strategy = getStrategy(mode);
+  const results = await Promise.allSettled(specs.map(startMockBackend));
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    await Promise.all(results.filter(result => result.status === 'fulfilled').map(result => closeServer(result.value)));
+    throw failed.reason;
+  }
+
+  const servers = results.map(result => result.value);
+  const startedAt = Date.now();
+  let strategyState = strategy.init({});
+  let requestCount = 0;
+  let rejected = 0;
+  let history = [];
+  let backends = specs.map((spec, index) => ({
+    ...spec,
+    port: servers[index].address().port,
+    load: 0,
+    peakLoad: 0, // Highest load since the last sample
+    requests: 0,
+    errors: 0,
+    avgResponseTime: 0,
+    latencies: [],
+  }));
+
+  const updateBackend = (id, changes) => {
+    backends = backends.map(b => (b.id === id ? { ...b, ...changes(b) } : b));
+  };
+
+  // Each sample holds a backend's peak load since the previous one, so requests shorter
+  // than the interval still show on the trend
+  const sampler = setInterval(() => {
+    history = [...history, Object.fromEntries(backends.map(b => [b.id, b.peakLoad]))].slice(-historyLength);
+    backends = backends.map(b => ({ ...b, peakLoad: b.load }));
+  }, sampleIntervalMs);
+  sampler.unref();
+
+  const finish = (id, ok, responseTime) => updateBackend(id, b => ({
+    load: b.load - 1,
+    requests: b.requests + 1,
+    errors: ok ? b.errors : b.errors + 1,
+    // Averaged as the simulation does, so Least Response Time ranks live backends the way it ranks simulated servers
+    avgResponseTime: smoothResponseTime(b.avgResponseTime, responseTime),
+    latencies: [...b.latencies, responseTime].slice(-latencyWindow),
+  }));
+
+  const handle = async (request) => {
+    const url = new URL(request.url);
+    const path = url.pathname.replace(/^\/api\/live\/proxy/, '') || '/';
+    const body = ['GET', 'HEAD'].includes(request.method) ? undefined : await request.arrayBuffer();
+
+    requestCount += 1;
+    const pool = backends.map(b => ({
+      id: b.id,
+      name: b.name,
+      load: b.load,
+      maxCapacity: b.maxCapacity,
+      weight: b.weight,
+      isAvailable: true,
+      avgResponseTime: b.avgResponseTime,
+      dispatched: b.requests + b.load,
+    }));
+    const clientRequest = { id: requestCount, ip: clientIp(request.headers), lbCookie: sessionCookie(request.headers) };
+    const decision = strategy.pick(strategyState, pool, clientRequest, { now: Date.now() });
+    strategyState = decision.state;
+    if (decision.targetId == null) {
+      rejected += 1;
+      return Response.json({ error: 'Every backend is at its max capacity.' }, { status: 503, headers: { 'x-lb-reason': decision.reason } });
+    }
+
+    const target = backends.find(b => b.id === decision.targetId);
+    updateBackend(target.id, b => ({ load: b.load + 1, peakLoad: Math.max(b.peakLoad, b.load + 1) }));
+    const headers = new Headers({ 'x-lb-backend': target.name, 'x-lb-algorithm': mode, 'x-lb-reason': decision.reason });
+    if (decision.cookie) headers.append('set-cookie', `${SESSION_COOKIE}=${encodeURIComponent(JSON.stringify(decision.cookie))}; Path=/; HttpOnly`);
+
+    const sentAt = performance.now();
+    let ok = false;
+    try {
+      const upstream = await fetch(`http://127.0.0.1:${target.port}${path}${url.search}`, {
+        method: request.method,
+        headers: forwardedHeaders(request.headers),
+        body,
+        redirect: 'manual',
+      });
+      // The whole body is read before the request counts as finished, as a client would
+      const responseBody = await upstream.arrayBuffer();
+      ok = upstream.status < 500;
+      // Upstream cookies go next to the session cookie, one header each, instead of replacing it
+      forwardedHeaders(upstream.headers).forEach((value, name) => {
+        if (name !== 'set-cookie') headers.set(name, value);
+      });
+      upstream.headers.getSetCookie().forEach(cookie => headers.append('set-cookie', cookie));
+      return new Response(request.method === 'HEAD' ? null : responseBody, { status: upstream.status, headers });
+    } catch (error) {
+      return Response.json({ error: `${target.name} is unreachable: ${error.message}` }, { status: 502, headers });
+    } finally {
+      finish(target.id, ok, performance.now() - sentAt);
+    }
+  };
+
+  const stats = () => ({
+    running: true,
+    mode,
+    startedAt,
+    uptimeMs: Date.now() - startedAt,
+    sampleIntervalMs,
+    backends: backends.map(b => ({
+      id: b.id,
+      name: b.name,
+      port: b.port,
+      latencyMs: b.latencyMs,
+      jitterMs: b.jitterMs,
+      errorRate: b.errorRate,
+      weight: b.weight,
+      maxCapacity: b.maxCapacity,
+      load: b.load,
+      requests: b.requests,
+      errors: b.errors,
+      avgResponseTime: b.avgResponseTime,
+      latency: latencyStats(b.latencies),
+    })),
+    totals: {
+      requests: backends.reduce((sum, b) => sum + b.requests, 0),
+      errors: backends.reduce((sum, b) => sum + b.errors, 0),
+      inFlight: backends.reduce((sum, b) => sum + b.load, 0),
+      rejected,
+    },
+    history,
+  });
+
+  const stop = async () => {
+    clearInterval(sampler);
+    await Promise.all(servers.map(closeServer));
+  };
+
+  return { handle, stats, stop };
+};
+
+const LIVE_KEY = Symbol.for('lb-simulation.liveBalancer');
+
+// The process-wide live balancer and the queue its starts and stops wait in
+const live = () => {
+  globalThis[LIVE_KEY] ??= { balancer: null, queue: Promise.resolve() };
+  return globalThis[LIVE_KEY];
+};
+
+const serialized = (task) => {
+  const run = live().queue.then(task);
+  live().queue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * The running live balancer, or null
+ */
+export const currentLiveBalancer = () => live().balancer;
+
+/**
+ * Stats of the running live balancer, or `{ running: false }`
+ */
+export const liveStats = () => live().balancer?.stats() ?? { running: false };
+
+/**
+ * Stops the running live balancer, if any
+ */
+export const stopLiveBalancer = () => serialized(async () => {
+  const { balancer } = live();
+  live().balancer = null;
+  if (balancer) await balancer.stop();
+});
+
+/**
+ * Starts live mode with validated settings, replacing the balancer already running
+ */
+export const startLiveBalancer = (settings) => serialized(async () => {
+  const { balancer } = live();
+  live().balancer = null;
+  if (balancer) await balancer.stop();
+  live().balancer = await createLiveBalancer(settings);
+  return live().balancer;
+});
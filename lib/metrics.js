@@ -0,0 +1,111 @@
+// --- LATENCY & SLA METRICS ---
+//
+// Pure summaries over the engine's finished-request window. Every finished request
+// carries its timeline: arrivalTime, queuedAt (start of its latest wait in the LB queue,
+// null if never queued), dispatchTime, serviceStartTime, completionTime/finishTime and outcome.
+
+export const DEFAULT_SLA_MS = 4000;
+
+// Weight of the latest response time in a server's average response time
+export const RESPONSE_TIME_SMOOTHING = 0.2;
+
+/**
+ * A server's average response time (an EWMA) after one more measurement; the first
+ * measurement starts the average
+ */
+export const smoothResponseTime = (average, responseTime, alpha = RESPONSE_TIME_SMOOTHING) =>
+  (average === 0 ? responseTime : alpha * responseTime + (1 - alpha) * average);
+
+const SERVED_OUTCOMES = new Set(['served', 'queuedThenServed']);
+
+/**
+ * Nearest-rank percentile of an ascending list (null when empty)
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+/**
+ * Latency distribution of a list of durations
+ */
+export const latencyStats = (latencies) => {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+  };
+};
+
+// Shared numbers for any subset of finished requests
+const summarize = (requests, elapsedSec, slaMs) => {
+  const served = requests.filter(r => SERVED_OUTCOMES.has(r.outcome));
+  const latencies = served.map(r => r.finishTime - r.arrivalTime);
+  const dropped = requests.length - served.length;
+
+  return {
+    ...latencyStats(latencies),
+    throughput: elapsedSec > 0 ? served.length / elapsedSec : 0,
+    avgQueueWait: mean(served.map(r => r.dispatchTime - r.arrivalTime)),
+    dropRate: requests.length > 0 ? dropped / requests.length : 0,
+    dropped,
+    slaViolations: latencies.filter(l => l > slaMs).length,
+  };
+};
+
+/**
+ * Aggregate and per-server metrics for the current window.
+ *
+ * `history` (load samples, each keyed by server id) gives the time-averaged utilization
+ * over the samples a server was in the pool for; `elapsedMs` is the window length actually covered.
+ */
+export const summarizeMetrics = ({ finished, history, servers, elapsedMs, slaMs = DEFAULT_SLA_MS }) => {
+  const elapsedSec = elapsedMs / 1000;
+  const averageLoad = servers.map(s => mean(history.map(loads => loads[s.id]).filter(load => load != null)) ?? 0);
+  const totalCapacity = servers.reduce((sum, s) => sum + s.maxCapacity, 0);
+
+  const perServer = servers.map((server, index) => ({
+    id: server.id,
+    name: server.name,
+    color: server.color,
+    ...summarize(finished.filter(r => r.targetServerId === server.id), elapsedSec, slaMs),
+    utilization: averageLoad[index] / server.maxCapacity,
+  }));
+
+  return {
+    aggregate: {
+      ...summarize(finished, elapsedSec, slaMs),
+      utilization: totalCapacity > 0 ? averageLoad.reduce((sum, l) => sum + l, 0) / totalCapacity : 0,
+    },
+    perServer,
+  };
+};
+
+/**
+ * How unevenly connections were spread across `servers`, averaged over the `history`
+ * samples: the standard deviation and the gap between the busiest and idlest server.
+ * Both are zero when every server carried the same load.
+ */
+export const loadImbalance = (history, servers) => {
+  const spreads = history
+    .map(loads => servers.map(s => loads[s.id]).filter(load => load != null))
+    .filter(loads => loads.length > 0)
+    .map(loads => {
+      const average = mean(loads);
+      return {
+        stdDev: Math.sqrt(mean(loads.map(load => (load - average) ** 2))),
+        range: Math.max(...loads) - Math.min(...loads),
+      };
+    });
+
+  return {
+    stdDev: mean(spreads.map(s => s.stdDev)) ?? 0,
+    range: mean(spreads.map(s => s.range)) ?? 0,
+  };
+};
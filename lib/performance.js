@@ -0,0 +1,42 @@
+// --- SERVER PERFORMANCE MODEL ---
+//
+// A server runs `concurrency` workers. Connections beyond that wait on the server
+// (still counting toward its `load` and `maxCapacity`) until a worker frees up.
+// Time on a worker is the request's base service time divided by the server's
+// `speed` (its service rate relative to a reference server), stretched by a
+// degradation curve as the server fills up:
+//
+//   slowdown = 1 + degradation * (load / maxCapacity) ^ DEGRADATION_EXPONENT
+//
+// The curve stays flat at low load and climbs steeply near the connection cap,
+// where a server with `degradation` 1 runs twice as slow.
+
+export const PERFORMANCE_DEFAULTS = {
+  speed: 1, // Service rate: 2 finishes the same request in half the time
+  concurrency: 8, // Requests processed in parallel; the rest wait on the server
+  degradation: 1, // Extra slowdown at full capacity (0 = none)
+};
+
+export const DEGRADATION_EXPONENT = 3;
+
+const IDLE_MEMORY = 0.15; // Share of memory used with no connections open
+
+const fillRatio = (server) => Math.min(1, server.load / server.maxCapacity);
+
+/**
+ * How much slower than its base speed a server currently processes requests
+ */
+export const slowdownFactor = (server) => 1 + server.degradation * fillRatio(server) ** DEGRADATION_EXPONENT;
+
+/**
+ * Time a request with the given base service time spends on one of the server's workers
+ */
+export const serviceDuration = (server, baseServiceTime) => (baseServiceTime / server.speed) * slowdownFactor(server);
+
+/**
+ * Simulated gauges (0..1): CPU is the share of busy workers, memory grows with open connections
+ */
+export const resourceUsage = (server) => ({
+  cpu: Math.min(1, server.active / server.concurrency),
+  memory: IDLE_MEMORY + (1 - IDLE_MEMORY) * fillRatio(server),
+});
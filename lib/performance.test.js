@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './engine.js';
+import { PERFORMANCE_DEFAULTS, resourceUsage, serviceDuration, slowdownFactor } from './performance.js';
+
+const server = (changes = {}) => ({ ...PERFORMANCE_DEFAULTS, load: 0, active: 0, maxCapacity: 20, ...changes });
+
+describe('slowdownFactor', () => {
+  it('runs at base speed with no connections open', () => {
+    assert.equal(slowdownFactor(server()), 1);
+  });
+
+  it('climbs along the curve to 1 + degradation at full capacity', () => {
+    assert.equal(slowdownFactor(server({ load: 10 })), 1.125);
+    assert.equal(slowdownFactor(server({ load: 20 })), 2);
+    assert.equal(slowdownFactor(server({ load: 20, degradation: 3 })), 4);
+  });
+
+  it('stays flat without degradation', () => {
+    assert.equal(slowdownFactor(server({ load: 20, degradation: 0 })), 1);
+  });
+
+  it('stops climbing past the connection cap', () => {
+    assert.equal(slowdownFactor(server({ load: 40 })), 2);
+  });
+});
+
+describe('serviceDuration', () => {
+  it('divides the base service time by the speed', () => {
+    assert.equal(serviceDuration(server({ speed: 2 }), 3000), 1500);
+    assert.equal(serviceDuration(server({ speed: 0.5 }), 3000), 6000);
+  });
+
+  it('stretches by the current slowdown', () => {
+    assert.equal(serviceDuration(server({ load: 20 }), 3000), 6000);
+  });
+});
+
+describe('resourceUsage', () => {
+  it('reports busy workers as CPU and open connections as memory', () => {
+    const { cpu, memory } = resourceUsage(server({ active: 4, load: 10 }));
+    assert.equal(cpu, 0.5);
+    assert.ok(Math.abs(memory - 0.575) < 1e-9);
+  });
+
+  it('starts from the idle memory share', () => {
+    assert.deepEqual(resourceUsage(server()), { cpu: 0, memory: 0.15 });
+  });
+});
+
+describe('workers in a simulation', () => {
+  it('never runs more requests at once than a server has workers', () => {
+    const simulation = createSimulation([{ id: 1, name: 'A', concurrency: 2 }, { id: 2, name: 'B', concurrency: 5 }]);
+    let waitedForWorker = false;
+    for (let time = 500; time <= 20000; time += 500) {
+      simulation.advanceTo(time);
+      simulation.snapshot().servers.forEach(s => {
+        assert.ok(s.active <= s.concurrency, `${s.name} runs ${s.active} requests on ${s.concurrency} workers`);
+        if (s.load > s.active) waitedForWorker = true;
+      });
+    }
+    assert.ok(waitedForWorker);
+  });
+
+  it('finishes requests sooner on a faster server', () => {
+    const meanLatency = (speed) => {
+      const simulation = createSimulation([{ id: 1, name: 'A', speed }], { arrival: { rate: 1 }, metricsWindowMs: Infinity });
+      simulation.advanceTo(30000);
+      const served = simulation.snapshot().finished.filter(r => r.outcome === 'served');
+      return served.reduce((sum, r) => sum + r.finishTime - r.serviceStartTime, 0) / served.length;
+    };
+    assert.ok(meanLatency(2) < meanLatency(1) / 1.5);
+  });
+});
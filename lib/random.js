@@ -0,0 +1,39 @@
+// --- SEEDED RANDOMNESS ---
+//
+// Everything stochastic in the simulation draws from these generators instead of
+// Math.random, so the same seed always reproduces the same run.
+
+/**
+ * Turns any seed (number or string) into a 32-bit unsigned integer
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a over the string form of the seed
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Mulberry32 PRNG: returns a function yielding floats in [0, 1)
+ */
+export const createRng = (seed) => {
+  let a = normalizeSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derives an independent seed for a named stream (e.g. 'traffic', 'strategy'),
+ * so consumers don't shift each other's sequences when one draws more numbers.
+ */
+export const deriveSeed = (seed, stream) => normalizeSeed(`${normalizeSeed(seed)}:${stream}`);
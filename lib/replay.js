@@ -0,0 +1,89 @@
+// --- REPLAY AND TIME TRAVEL ---
+//
+// A run is fully determined by its pool, options and seed plus the changes made
+// to it from outside (crashes, drains, pool and traffic edits, manual faults),
+// which the engine journals with the point in the event stream where they
+// happened. A replay re-runs that journal in a fresh engine, so it can stop at
+// any event or instant, step forward, and go backwards by re-running from the start.
+
+import { createSimulation } from './engine.js';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Creates a replay of a journaled run (see engine.journal()) up to `end`, the
+ * `{ time, eventCount }` the run had reached. It starts at the beginning of the run.
+ */
+export const createReplay = ({ servers, options, interventions }, end) => {
+  let engine;
+  let applied; // Journaled changes already re-applied
+
+  const restart = () => {
+    engine = createSimulation(servers, options);
+    applied = 0;
+  };
+  restart();
+
+  // Re-applies the journaled changes that are due, each at the event count and time it was made.
+  // Every event up to that time had been processed when it was made, so moving the clock there
+  // processes none the original hadn't.
+  const applyDue = (isDue) => {
+    while (applied < interventions.length && isDue(interventions[applied])) {
+      const { time, eventCount, action, args } = interventions[applied];
+      while (engine.eventCount() < eventCount && engine.step());
+      if (engine.now() < time) engine.advanceTo(time);
+      engine[action](...args);
+      applied += 1;
+    }
+  };
+
+  /**
+   * Moves to the state after `count` events (and the outside changes made right after them)
+   */
+  const seekEvent = (count) => {
+    const target = clamp(count, 0, end.eventCount);
+    if (target < engine.eventCount()) restart();
+    applyDue(change => change.eventCount <= target);
+    while (engine.eventCount() < target && engine.step());
+  };
+
+  /**
+   * Moves to the state at virtual time `time`
+   */
+  const seekTime = (time) => {
+    const target = clamp(time, 0, end.time);
+    if (target < engine.now()) restart();
+    applyDue(change => change.time <= target);
+    engine.advanceTo(target);
+  };
+
+  // Log entries are numbered across the whole run, so the newest id shows whether anything was logged
+  const lastLogId = () => engine.snapshot().eventLog.at(-1)?.id ?? 0;
+
+  /**
+   * Moves forward to the next event that adds to the event log
+   */
+  const stepForward = () => {
+    const before = lastLogId();
+    while (engine.eventCount() < end.eventCount && lastLogId() === before) seekEvent(engine.eventCount() + 1);
+  };
+
+  /**
+   * Moves back to the previous event that added to the event log
+   */
+  const stepBack = () => {
+    const current = engine.eventCount();
+    const previous = engine.snapshot().eventLog.findLast(entry => entry.eventIndex < current);
+    seekEvent(previous ? previous.eventIndex : 0);
+  };
+
+  return {
+    end,
+    seekEvent,
+    seekTime,
+    stepForward,
+    stepBack,
+    snapshot: () => engine.snapshot(),
+    now: () => engine.now(),
+  };
+};
@@ -0,0 +1,98 @@
+// --- LAYER-7 ROUTING RULES ---
+//
+// Rules sit in front of the balancing algorithm and pick a backend pool from a
+// request's HTTP attributes (see lib/http.js); the pool's own algorithm then
+// picks a server in it. Rules are tried in order and the first match wins;
+// requests no rule matches go to the default pool.
+//
+//   { name: 'API', match: { host: 'api.*', path: '/api/*' }, pool: 'api' }
+//
+// A rule matches when every condition it sets holds. Host, path and header
+// values are globs where `*` stands for any run of characters.
+
+export const DEFAULT_POOL_ID = 'default';
+
+/**
+ * Backend pools. `mode` null means the simulation's selected algorithm; the
+ * default pool always exists and takes whatever no rule claims.
+ */
+export const DEFAULT_POOLS = [{ id: DEFAULT_POOL_ID, name: 'Default', mode: null }];
+
+/**
+ * Conditions a rule can set, with display metadata
+ */
+export const MATCH_FIELDS = {
+  method: { label: 'Method', placeholder: 'GET' },
+  host: { label: 'Host', placeholder: 'api.*' },
+  path: { label: 'Path', placeholder: '/api/*' },
+  header: { label: 'Header', placeholder: 'x-beta' },
+  headerValue: { label: 'Header value', placeholder: '1 (any if empty)' },
+  cookie: { label: 'Cookie', placeholder: 'session' },
+};
+
+// Request colors on the canvas, by rule position
+export const RULE_COLORS = ['#f97316', '#10b981', '#ec4899', '#0ea5e9', '#a855f7', '#eab308', '#14b8a6', '#ef4444'];
+
+// A glob as a case-insensitive pattern over the whole value
+const compileGlob = (pattern) => {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+const cookieNames = (cookie) => cookie.split(';').map(pair => pair.split('=')[0].trim()).filter(Boolean);
+
+// Each condition compiles its expected value into a test of a request
+const CONDITIONS = {
+  method: (method) => request => request.method.toUpperCase() === method.toUpperCase(),
+  host: (host) => {
+    const glob = compileGlob(host);
+    return request => glob.test(request.host);
+  },
+  path: (path) => {
+    const glob = compileGlob(path);
+    return request => glob.test(request.path);
+  },
+  header: (name, match) => {
+    const valueGlob = match.headerValue ? compileGlob(match.headerValue) : null;
+    return (request) => {
+      const value = request.headers[name.toLowerCase()];
+      return value !== undefined && (!valueGlob || valueGlob.test(value));
+    };
+  },
+  headerValue: () => () => true, // Checked with `header`
+  cookie: (name) => request => cookieNames(request.cookie).includes(name),
+};
+
+// The rule as one test of a request, with its patterns compiled once
+const compileRule = (rule) => {
+  const conditions = Object.entries(rule.match)
+    .filter(([, expected]) => expected)
+    .map(([key, expected]) => CONDITIONS[key](expected, rule.match));
+  return request => conditions.every(condition => condition(request));
+};
+
+/**
+ * Whether a request meets every condition the rule sets (empty conditions are ignored)
+ */
+export const ruleMatches = (rule, request) => compileRule(rule)(request);
+
+/**
+ * Rules ready for matchRule(), with their globs compiled once. A simulation compiles
+ * its rules when it is created, so the patterns live as long as the run.
+ */
+export const compileRules = (rules) => rules.map(compileRule);
+
+/**
+ * Index of the first compiled rule the request matches, or -1
+ */
+export const matchRule = (compiledRules, request) => compiledRules.findIndex(matches => matches(request));
+
+/**
+ * Short description of a rule's conditions, e.g. "GET api.* /api/*"
+ */
+export const describeMatch = (match) => {
+  const parts = [match.method, match.host, match.path].filter(Boolean);
+  if (match.header) parts.push(`${match.header}${match.headerValue ? `: ${match.headerValue}` : ''}`);
+  if (match.cookie) parts.push(`cookie ${match.cookie}`);
+  return parts.length > 0 ? parts.join(' ') : 'everything';
+};
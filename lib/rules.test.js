@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRules, describeMatch, matchRule, ruleMatches } from './rules.js';
+
+const request = (changes = {}) => ({
+  method: 'GET',
+  host: 'api.example.com',
+  path: '/api/cart',
+  headers: { 'user-agent': 'Mobile', 'x-beta': '1' },
+  cookie: 'session=abc; theme=dark',
+  ...changes,
+});
+
+const matches = (match, changes) => ruleMatches({ match }, request(changes));
+
+describe('ruleMatches', () => {
+  it('matches the method whatever its case', () => {
+    assert.equal(matches({ method: 'get' }), true);
+    assert.equal(matches({ method: 'POST' }), false);
+  });
+
+  it('matches host and path globs over the whole value', () => {
+    assert.equal(matches({ host: 'api.*' }), true);
+    assert.equal(matches({ host: 'API.EXAMPLE.COM' }), true);
+    assert.equal(matches({ host: 'example.*' }), false);
+    assert.equal(matches({ path: '/api/*' }), true);
+    assert.equal(matches({ path: '/api' }), false);
+    assert.equal(matches({ path: '*/cart' }), true);
+  });
+
+  it('takes glob characters other than * literally', () => {
+    assert.equal(matches({ host: 'api.example.com' }, { host: 'apixexample.com' }), false);
+    assert.equal(matches({ path: '/api/(cart)' }, { path: '/api/(cart)' }), true);
+    assert.equal(matches({ path: '/api/c?rt' }), false);
+  });
+
+  it('matches a header by name, and by value when one is given', () => {
+    assert.equal(matches({ header: 'X-Beta' }), true);
+    assert.equal(matches({ header: 'x-canary' }), false);
+    assert.equal(matches({ header: 'user-agent', headerValue: 'mob*' }), true);
+    assert.equal(matches({ header: 'user-agent', headerValue: 'Desktop' }), false);
+  });
+
+  it('matches a cookie by name only', () => {
+    assert.equal(matches({ cookie: 'theme' }), true);
+    assert.equal(matches({ cookie: 'dark' }), false);
+    assert.equal(matches({ cookie: 'session' }, { cookie: '' }), false);
+  });
+
+  it('needs every condition it sets and ignores empty ones', () => {
+    assert.equal(matches({ method: 'GET', host: 'api.*', path: '/static/*' }), false);
+    assert.equal(matches({ method: '', host: 'api.*', path: '' }), true);
+    assert.equal(matches({}), true);
+  });
+});
+
+describe('matchRule', () => {
+  const rules = compileRules([
+    { name: 'Static', match: { path: '/static/*' }, pool: 'static' },
+    { name: 'API', match: { host: 'api.*' }, pool: 'api' },
+    { name: 'Beta API', match: { host: 'api.*', header: 'x-beta' }, pool: 'beta' },
+  ]);
+
+  it('returns the first rule that matches', () => {
+    assert.equal(matchRule(rules, request()), 1);
+    assert.equal(matchRule(rules, request({ path: '/static/app.js' })), 0);
+  });
+
+  it('returns -1 when no rule matches', () => {
+    assert.equal(matchRule(rules, request({ host: 'shop.example.com' })), -1);
+    assert.equal(matchRule(compileRules([]), request()), -1);
+  });
+});
+
+describe('describeMatch', () => {
+  it('lists the conditions a rule sets', () => {
+    assert.equal(describeMatch({ method: 'GET', host: 'api.*', path: '/api/*', header: 'x-beta', headerValue: '1', cookie: 'session' }), 'GET api.* /api/* x-beta: 1 cookie session');
+    assert.equal(describeMatch({ method: '', path: '' }), 'everything');
+  });
+});
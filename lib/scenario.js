@@ -0,0 +1,601 @@
+// --- SCENARIO FILES ---
+//
+// A scenario captures everything needed to replay a run: the server pool, the
+// algorithm, the seed, the traffic model, the LB settings and a timeline of
+// scripted steps. It is plain JSON:
+//
+//   {
+//     "version": 1,
+//     "name": "Server B fails under a spike",
+//     "algorithm": "leastConnections",
+//     "seed": 42,
+//     "servers": [{ "id": 1, "name": "Server A", "weight": 1, "maxCapacity": 20, ... }],
+//     "traffic": { "arrival": { "process": "poisson", "rate": 10 }, "service": { ... } },
+//     "settings": {
+//       "maxQueueDepth": 10, "healthCheck": { ... }, "slaMs": 4000, ...,
+//       "abusiveClients": { "count": 2, "share": 0.3 },
+//       "admission": { "clientRateLimit": { "enabled": true, "algorithm": "tokenBucket", "limit": 3, ... }, "circuitBreaker": { ... } }
+//     },
+//     "routing": {
+//       "pools": [{ "id": "default", "name": "Web", "mode": null }, { "id": "api", "name": "API", "mode": "leastConnections" }],
+//       "rules": [{ "name": "API", "match": { "path": "/api/*" }, "pool": "api" }]
+//     },
+//     "topology": {
+//       "enabled": true, "policy": "latency", "failover": true,
+//       "regions": [{ "id": "us-east", "name": "US East", "mode": null }, ...],
+//       "clientRegions": [{ "id": "na", "name": "North America", "share": 5, "home": "us-east", "latencyMs": { "us-east": 150, ... } }, ...]
+//     },
+//     "timeline": [
+//       { "atMs": 12000, "action": "crash", "server": 2 },
+//       { "atMs": 30000, "action": "scaleTraffic", "factor": 5 }
+//     ]
+//   }
+//
+// Only `version` and `servers` are required; anything else left out takes the
+// simulator's defaults. Validation reports every problem at once, each with the
+// path of the offending field, so a hand-edited file is easy to fix.
+
+import { SIMULATION_DEFAULTS, SERVER_DEFAULTS } from './engine.js';
+import { FAULT_TYPES } from './faults.js';
+import { DEFAULT_SLA_MS } from './metrics.js';
+import { PRIORITY_CLASSES, RATE_LIMIT_ALGORITHMS, admissionConfig } from './admission.js';
+import { SCALING_METRICS, SCALING_POLICIES } from './autoscaler.js';
+import { MAX_ABUSIVE_CLIENTS, MAX_CLIENT_POOL_SIZE } from './clients.js';
+import { MAX_VIRTUAL_NODES } from './hashRing.js';
+import { DEFAULT_POOLS, DEFAULT_POOL_ID, MATCH_FIELDS } from './rules.js';
+import { STRATEGIES } from './strategies.js';
+import { GLOBAL_POLICIES, TOPOLOGY_DEFAULTS } from './topology.js';
+import { ARRIVAL_PROCESSES, SERVICE_DISTRIBUTIONS } from './traffic.js';
+
+export const SCENARIO_VERSION = 1;
+
+// Numeric rules per field: inclusive bounds, and whether the value must be whole
+const SERVER_RULES = {
+  weight: { min: 1, integer: true },
+  maxCapacity: { min: 1, integer: true },
+  speed: { min: 0.01 },
+  concurrency: { min: 1, integer: true },
+  degradation: { min: 0 },
+};
+
+const SETTINGS_RULES = {
+  maxQueueDepth: { min: 0, integer: true },
+  queueTimeoutMs: { min: 0 },
+  virtualNodes: { min: 1, max: MAX_VIRTUAL_NODES, integer: true },
+  clientPoolSize: { min: 1, max: MAX_CLIENT_POOL_SIZE, integer: true },
+  connectTimeoutMs: { min: 1 },
+  recordingLength: { min: 1, integer: true },
+  slaMs: { min: 1 },
+};
+
+// Settings groups, keyed like the engine options; those that can be switched off take `enabled`
+const SETTINGS_GROUPS = {
+  healthCheck: { intervalMs: { min: 1 }, timeoutMs: { min: 1 }, probeLatencyMs: { min: 0 }, rise: { min: 1, integer: true }, fall: { min: 1, integer: true } },
+  outlierDetection: { consecutiveFailures: { min: 1, integer: true }, ejectionMs: { min: 0 } },
+  retry: { maxRetries: { min: 0, integer: true }, budgetPercent: { min: 0 }, budgetBurst: { min: 1 } },
+  chaos: { meanIntervalMs: { min: 1 }, durationMs: { min: 0 } },
+  stickySessions: { ttlMs: { min: 1 }, maxRequests: { min: 1, integer: true } },
+  visits: { requestsPerVisit: { min: 1 }, concurrentVisits: { min: 1, integer: true } },
+  abusiveClients: { count: { min: 0, max: MAX_ABUSIVE_CLIENTS, integer: true }, share: { min: 0, max: 1 } },
+  admission: {}, // Policies only, see checkAdmission()
+  autoscaler: {
+    targetValue: { min: 0.001 },
+    evaluationIntervalMs: { min: 1 },
+    scaleOutCooldownMs: { min: 0 },
+    scaleInCooldownMs: { min: 0 },
+    warmupMs: { min: 0 },
+    minInstances: { min: 0, integer: true },
+    maxInstances: { min: 1, integer: true },
+  },
+};
+
+const SWITCHED_GROUPS = new Set(['healthCheck', 'outlierDetection', 'retry', 'chaos', 'autoscaler']);
+
+// Traffic parameters come from the models' own metadata
+const paramRules = (models) => Object.fromEntries(
+  Object.values(models).flatMap(model => model.params).map(({ key, min, max }) => [key, { min, max }])
+);
+const ARRIVAL_RULES = { ...paramRules(ARRIVAL_PROCESSES), multiplier: { min: 0 } };
+const SERVICE_RULES = paramRules(SERVICE_DISTRIBUTIONS);
+
+/**
+ * Timeline actions and what each one needs besides `atMs`: an existing `server` id,
+ * a new `server` spec, traffic changes, a `factor` or a `fault` (see lib/faults.js).
+ */
+export const TIMELINE_ACTIONS = {
+  crash: { label: 'Crash', target: 'server' },
+  recover: { label: 'Recover', target: 'server' },
+  drain: { label: 'Drain', target: 'server' },
+  undrain: { label: 'Stop draining', target: 'server' },
+  removeServer: { label: 'Remove', target: 'server' },
+  updateServer: { label: 'Reconfigure', target: 'server' },
+  addServer: { label: 'Add server', target: 'newServer' },
+  setTraffic: { label: 'Change traffic', target: 'traffic' },
+  scaleTraffic: { label: 'Scale traffic', target: 'factor' },
+  fault: { label: 'Inject', target: 'fault' },
+};
+
+const show = (value) => (value === undefined ? 'nothing' : JSON.stringify(value));
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Each check pushes readable messages onto `errors` and returns nothing
+const checkNumber = (errors, path, value, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path} must be a number (got ${show(value)}).`);
+  } else if (integer && !Number.isInteger(value)) {
+    errors.push(`${path} must be a whole number (got ${value}).`);
+  } else if (value < min || value > max) {
+    errors.push(`${path} must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`} (got ${value}).`);
+  }
+};
+
+const checkFields = (errors, path, value, rules, extraKeys = {}) => {
+  if (!isObject(value)) {
+    errors.push(`${path} must be an object (got ${show(value)}).`);
+    return;
+  }
+  Object.entries(value).forEach(([key, field]) => {
+    if (rules[key]) checkNumber(errors, `${path}.${key}`, field, rules[key]);
+    else if (extraKeys[key]) extraKeys[key](`${path}.${key}`, field);
+    else errors.push(`${path}.${key} is not a known field.`);
+  });
+};
+
+const checkString = (errors) => (path, value) => {
+  if (typeof value !== 'string' || value.trim() === '') errors.push(`${path} must be a non-empty string (got ${show(value)}).`);
+};
+
+const checkBoolean = (errors) => (path, value) => {
+  if (typeof value !== 'boolean') errors.push(`${path} must be true or false (got ${show(value)}).`);
+};
+
+const checkChoice = (errors, choices, what) => (path, value) => {
+  if (!Object.hasOwn(choices, value)) errors.push(`${path}: unknown ${what} ${show(value)} (expected one of ${Object.keys(choices).join(', ')}).`);
+};
+
+const checkSteps = (errors) => (path, value) => {
+  if (!Array.isArray(value)) errors.push(`${path} must be a list of steps (got ${show(value)}).`);
+  else value.forEach((step, index) => checkFields(errors, `${path}[${index}]`, step, { threshold: { min: 0 }, change: { min: 1, integer: true } }));
+};
+
+// Each admission policy is an object of its own, switched on and off with `enabled`
+const checkAdmission = (errors) => {
+  const policy = (rules, extras = {}) => (path, value) => checkFields(errors, path, value, rules, { enabled: checkBoolean(errors), ...extras });
+  const rateLimit = policy(
+    { limit: { min: 1, integer: true }, windowMs: { min: 1 }, burst: { min: 1 } },
+    { algorithm: checkChoice(errors, RATE_LIMIT_ALGORITHMS, 'rate limit algorithm') }
+  );
+  return {
+    clientRateLimit: rateLimit,
+    globalRateLimit: rateLimit,
+    shedding: policy({}, {
+      queueDepth: (path, value) => checkFields(errors, path, value, Object.fromEntries(Object.keys(PRIORITY_CLASSES).map(id => [id, { min: 0, integer: true }]))),
+    }),
+    circuitBreaker: policy({
+      windowSize: { min: 1, integer: true },
+      minRequests: { min: 1, integer: true },
+      failureRatePercent: { min: 1, max: 100 },
+      openMs: { min: 1 },
+      halfOpenRequests: { min: 1, integer: true },
+    }),
+  };
+};
+
+const checkFaultTypes = (errors) => (path, value) => {
+  if (!Array.isArray(value)) errors.push(`${path} must be a list of fault types (got ${show(value)}).`);
+  else value.forEach((type, index) => checkChoice(errors, FAULT_TYPES, 'fault type')(`${path}[${index}]`, type));
+};
+
+// A fault names its servers by id and sets at most its own type's parameter
+const checkFault = (errors, path, fault, ids) => {
+  const definition = FAULT_TYPES[fault?.type];
+  if (!definition) {
+    if (isObject(fault)) checkChoice(errors, FAULT_TYPES, 'fault type')(`${path}.type`, fault.type);
+    else errors.push(`${path} must be an object (got ${show(fault)}).`);
+    return;
+  }
+  const rules = { durationMs: { min: 0 }, ...(definition.param ? { [definition.param.key]: definition.param } : {}) };
+  checkFields(errors, path, fault, rules, {
+    type: () => {},
+    servers: (serversPath, targets) => {
+      if (!Array.isArray(targets) || targets.length === 0) errors.push(`${serversPath} must be a non-empty list of server ids (got ${show(targets)}).`);
+      else targets.filter(id => !ids.has(id)).forEach(id => errors.push(`${serversPath}: no server with id ${show(id)} (known ids: ${[...ids].join(', ') || 'none'}).`));
+    },
+  });
+  if (fault.servers === undefined) errors.push(`${path}.servers is required.`);
+};
+
+const checkPool = (errors, poolIds) => (path, value) => {
+  if (!poolIds.has(value)) errors.push(`${path}: no pool with id ${show(value)} (known pools: ${[...poolIds].join(', ')}).`);
+};
+
+const checkRegion = (errors, regionIds) => (path, value) => {
+  if (!regionIds.has(value)) errors.push(`${path}: no region with id ${show(value)} (known regions: ${[...regionIds].join(', ')}).`);
+};
+
+// An algorithm id, or null for the simulation's selected one
+const checkMode = (errors) => (path, mode) => mode !== null && checkChoice(errors, STRATEGIES, 'algorithm')(path, mode);
+
+// Server fields that aren't numbers; a null region means the topology's first one
+const serverExtras = (errors, { poolIds, regionIds }) => ({
+  name: checkString(errors),
+  color: checkString(errors),
+  pool: checkPool(errors, poolIds),
+  region: (path, value) => value !== null && checkRegion(errors, regionIds)(path, value),
+});
+
+const checkServerSpec = (errors, path, spec, ids, groups) => {
+  checkFields(errors, path, spec, { id: { min: 1, integer: true }, ...SERVER_RULES }, serverExtras(errors, groups));
+  if (!isObject(spec)) return;
+  if (spec.id === undefined) errors.push(`${path}.id is required.`);
+  else if (ids.has(spec.id)) errors.push(`${path}.id ${spec.id} is already used by another server.`);
+  if (spec.name === undefined) errors.push(`${path}.name is required.`);
+  ids.add(spec.id);
+};
+
+const checkTraffic = (errors, path, { arrival, service }) => {
+  if (arrival !== undefined) {
+    checkFields(errors, `${path}.arrival`, arrival, ARRIVAL_RULES, { process: checkChoice(errors, ARRIVAL_PROCESSES, 'arrival process') });
+  }
+  if (service !== undefined) {
+    checkFields(errors, `${path}.service`, service, SERVICE_RULES, { distribution: checkChoice(errors, SERVICE_DISTRIBUTIONS, 'service distribution') });
+  }
+};
+
+// Pools need unique ids and a known algorithm (or null for the simulation's); rules send
+// requests to one of them. Returns the pool ids, including the implicit default pool.
+const checkRouting = (errors, routing) => {
+  const poolIds = new Set([DEFAULT_POOL_ID]);
+  if (!isObject(routing)) {
+    errors.push(`routing must be an object (got ${show(routing)}).`);
+    return poolIds;
+  }
+  const { pools = DEFAULT_POOLS, rules = [], ...rest } = routing;
+  Object.keys(rest).forEach(key => errors.push(`routing.${key} is not a known field.`));
+
+  if (!Array.isArray(pools)) errors.push(`routing.pools must be a list (got ${show(pools)}).`);
+  else {
+    const seen = new Set();
+    pools.forEach((pool, index) => {
+      const path = `routing.pools[${index}]`;
+      checkFields(errors, path, pool, {}, {
+        id: checkString(errors),
+        name: checkString(errors),
+        mode: checkMode(errors),
+      });
+      if (!isObject(pool)) return;
+      if (pool.id === undefined) errors.push(`${path}.id is required.`);
+      else if (seen.has(pool.id)) errors.push(`${path}.id ${show(pool.id)} is already used by another pool.`);
+      seen.add(pool.id);
+      poolIds.add(pool.id);
+    });
+  }
+
+  if (!Array.isArray(rules)) errors.push(`routing.rules must be a list (got ${show(rules)}).`);
+  else {
+    rules.forEach((rule, index) => {
+      const path = `routing.rules[${index}]`;
+      checkFields(errors, path, rule, {}, {
+        name: checkString(errors),
+        match: (matchPath, match) => checkFields(errors, matchPath, match, {}, Object.fromEntries(Object.keys(MATCH_FIELDS).map(key => [
+          key,
+          (fieldPath, value) => typeof value !== 'string' && errors.push(`${fieldPath} must be a string (got ${show(value)}).`),
+        ]))),
+        pool: checkPool(errors, poolIds),
+      });
+      if (!isObject(rule)) return;
+      if (rule.match === undefined) errors.push(`${path}.match is required.`);
+      if (rule.pool === undefined) errors.push(`${path}.pool is required.`);
+    });
+  }
+  return poolIds;
+};
+
+// Checks a list of objects with unique string ids, each with `checkItem`; returns the ids
+const checkIdList = (errors, path, list, checkItem) => {
+  const ids = new Set();
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${path} must be a non-empty list (got ${show(list)}).`);
+    return ids;
+  }
+  list.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    checkItem(itemPath, item);
+    if (!isObject(item)) return;
+    if (item.id === undefined) errors.push(`${itemPath}.id is required.`);
+    else if (ids.has(item.id)) errors.push(`${itemPath}.id ${show(item.id)} is already used.`);
+    ids.add(item.id);
+  });
+  return ids;
+};
+
+// Regions need an algorithm (or null); client regions a share, a home region and link
+// latencies to known regions. Returns the region ids.
+const checkTopology = (errors, topology) => {
+  if (!isObject(topology)) {
+    errors.push(`topology must be an object (got ${show(topology)}).`);
+    return new Set(TOPOLOGY_DEFAULTS.regions.map(r => r.id));
+  }
+  const { regions = TOPOLOGY_DEFAULTS.regions, clientRegions = TOPOLOGY_DEFAULTS.clientRegions, ...rest } = topology;
+  checkFields(errors, 'topology', rest, {}, {
+    enabled: checkBoolean(errors),
+    failover: checkBoolean(errors),
+    policy: checkChoice(errors, GLOBAL_POLICIES, 'global LB policy'),
+  });
+
+  const regionIds = checkIdList(errors, 'topology.regions', regions, (path, region) => checkFields(errors, path, region, {}, {
+    id: checkString(errors),
+    name: checkString(errors),
+    mode: checkMode(errors),
+  }));
+  checkIdList(errors, 'topology.clientRegions', clientRegions, (path, clientRegion) => {
+    checkFields(errors, path, clientRegion, { share: { min: 0.001 } }, {
+      id: checkString(errors),
+      name: checkString(errors),
+      home: checkRegion(errors, regionIds),
+      latencyMs: (latencyPath, latency) => checkFields(errors, latencyPath, latency, Object.fromEntries([...regionIds].map(id => [id, { min: 0 }]))),
+    });
+    if (isObject(clientRegion) && clientRegion.share === undefined) errors.push(`${path}.share is required.`);
+  });
+  return regionIds;
+};
+
+// Steps are checked in time order, so a step can refer to a server added earlier
+const checkTimeline = (errors, timeline, initialIds, groups) => {
+  if (!Array.isArray(timeline)) {
+    errors.push(`timeline must be a list of steps (got ${show(timeline)}).`);
+    return;
+  }
+  const ids = new Set(initialIds);
+  const indexed = timeline.map((step, index) => ({ step, index }));
+  indexed
+    .sort((a, b) => (a.step?.atMs ?? 0) - (b.step?.atMs ?? 0))
+    .forEach(({ step, index }) => {
+      const path = `timeline[${index}]`;
+      if (!isObject(step)) {
+        errors.push(`${path} must be an object (got ${show(step)}).`);
+        return;
+      }
+      const { atMs, action, ...rest } = step;
+      checkNumber(errors, `${path}.atMs`, atMs, { min: 0 });
+      const definition = TIMELINE_ACTIONS[action];
+      if (!definition) {
+        errors.push(`${path}.action: unknown action ${show(action)} (expected one of ${Object.keys(TIMELINE_ACTIONS).join(', ')}).`);
+        return;
+      }
+
+      const allowed = {
+        server: ['server'],
+        newServer: ['server'],
+        traffic: ['arrival', 'service'],
+        factor: ['factor'],
+        fault: ['fault'],
+      }[definition.target];
+      Object.keys(rest)
+        .filter(key => !allowed.includes(key) && !(action === 'updateServer' && key === 'changes'))
+        .forEach(key => errors.push(`${path}.${key} is not used by the ${action} action.`));
+
+      if (definition.target === 'server') {
+        if (!ids.has(step.server)) {
+          errors.push(`${path}.server: no server with id ${show(step.server)} at ${atMs}ms (known ids: ${[...ids].join(', ') || 'none'}).`);
+        }
+        if (action === 'removeServer') ids.delete(step.server);
+        if (action === 'updateServer') checkFields(errors, `${path}.changes`, step.changes, SERVER_RULES, serverExtras(errors, groups));
+      } else if (definition.target === 'newServer') {
+        checkServerSpec(errors, `${path}.server`, step.server, ids, groups);
+      } else if (definition.target === 'traffic') {
+        if (step.arrival === undefined && step.service === undefined) errors.push(`${path} needs arrival and/or service changes.`);
+        checkTraffic(errors, path, step);
+      } else if (definition.target === 'fault') {
+        checkFault(errors, `${path}.fault`, step.fault, ids);
+      } else {
+        checkNumber(errors, `${path}.factor`, step.factor, { min: 0 });
+      }
+    });
+};
+
+/**
+ * Checks a parsed scenario. Returns `{ scenario, errors }`: `errors` lists every
+ * problem found (empty when valid) and `scenario` is the input with defaults filled
+ * in and the timeline sorted by time, or null when invalid.
+ */
+export const validateScenario = (raw) => {
+  const errors = [];
+  if (!isObject(raw)) return { scenario: null, errors: ['A scenario must be a JSON object.'] };
+
+  const { version, name, description, algorithm, seed, servers, traffic = {}, settings = {}, routing = {}, topology = {}, timeline = [], ...unknown } = raw;
+  Object.keys(unknown).forEach(key => errors.push(`${key} is not a known field.`));
+
+  if (version === undefined) errors.push('version is required.');
+  else if (version !== SCENARIO_VERSION) {
+    errors.push(version > SCENARIO_VERSION
+      ? `Scenario version ${version} is newer than this simulator supports (${SCENARIO_VERSION}).`
+      : `Unsupported scenario version ${show(version)} (expected ${SCENARIO_VERSION}).`);
+  }
+  if (name !== undefined) checkString(errors)('name', name);
+  if (description !== undefined && typeof description !== 'string') errors.push(`description must be a string (got ${show(description)}).`);
+  if (algorithm !== undefined) checkChoice(errors, STRATEGIES, 'algorithm')('algorithm', algorithm);
+  if (seed !== undefined) checkNumber(errors, 'seed', seed, { integer: true });
+
+  const poolIds = checkRouting(errors, routing);
+  // What servers can belong to
+  const groups = { poolIds, regionIds: checkTopology(errors, topology) };
+
+  const ids = new Set();
+  if (!Array.isArray(servers) || servers.length === 0) errors.push(`servers must be a non-empty list (got ${show(servers)}).`);
+  else servers.forEach((spec, index) => checkServerSpec(errors, `servers[${index}]`, spec, ids, groups));
+
+  if (isObject(traffic)) {
+    const { arrival, service, ...rest } = traffic;
+    Object.keys(rest).forEach(key => errors.push(`traffic.${key} is not a known field.`));
+    checkTraffic(errors, 'traffic', { arrival, service });
+  } else errors.push(`traffic must be an object (got ${show(traffic)}).`);
+
+  // Group fields that aren't numbers
+  const groupExtras = {
+    chaos: { types: checkFaultTypes(errors) },
+    autoscaler: {
+      pool: checkPool(errors, poolIds),
+      policy: checkChoice(errors, SCALING_POLICIES, 'scaling policy'),
+      metric: checkChoice(errors, SCALING_METRICS, 'scaling metric'),
+      scaleOutSteps: checkSteps(errors),
+      scaleInSteps: checkSteps(errors),
+      instance: (path, value) => checkFields(errors, path, value, SERVER_RULES),
+    },
+    admission: checkAdmission(errors),
+  };
+  const groupChecks = Object.fromEntries(Object.entries(SETTINGS_GROUPS).map(([group, rules]) => [
+    group,
+    (path, value) => checkFields(errors, path, value, rules, {
+      ...(SWITCHED_GROUPS.has(group) ? { enabled: checkBoolean(errors) } : {}),
+      ...groupExtras[group],
+    }),
+  ]));
+  checkFields(errors, 'settings', settings, SETTINGS_RULES, groupChecks);
+  const { minInstances, maxInstances } = { ...SIMULATION_DEFAULTS.autoscaler, ...settings?.autoscaler };
+  if (minInstances > maxInstances) errors.push(`settings.autoscaler.minInstances (${minInstances}) must not exceed maxInstances (${maxInstances}).`);
+
+  checkTimeline(errors, timeline, ids, groups);
+
+  if (errors.length > 0) return { scenario: null, errors };
+  return {
+    errors,
+    scenario: {
+      version,
+      name: name ?? 'Untitled scenario',
+      description: description ?? '',
+      algorithm: algorithm ?? SIMULATION_DEFAULTS.mode,
+      seed: seed ?? SIMULATION_DEFAULTS.seed,
+      servers: servers.map(spec => ({ ...SERVER_DEFAULTS, ...spec })),
+      traffic: {
+        arrival: { ...SIMULATION_DEFAULTS.arrival, ...traffic.arrival },
+        service: { ...SIMULATION_DEFAULTS.service, ...traffic.service },
+      },
+      settings: {
+        maxQueueDepth: settings.maxQueueDepth ?? SIMULATION_DEFAULTS.maxQueueDepth,
+        queueTimeoutMs: settings.queueTimeoutMs ?? SIMULATION_DEFAULTS.queueTimeoutMs,
+        virtualNodes: settings.virtualNodes ?? SIMULATION_DEFAULTS.virtualNodes,
+        clientPoolSize: settings.clientPoolSize ?? SIMULATION_DEFAULTS.clientPoolSize,
+        connectTimeoutMs: settings.connectTimeoutMs ?? SIMULATION_DEFAULTS.connectTimeoutMs,
+        recordingLength: settings.recordingLength ?? SIMULATION_DEFAULTS.recordingLength,
+        slaMs: settings.slaMs ?? DEFAULT_SLA_MS,
+        ...Object.fromEntries(Object.keys(SETTINGS_GROUPS).map(group => [group, { ...SIMULATION_DEFAULTS[group], ...settings[group] }])),
+        admission: admissionConfig(settings.admission),
+      },
+      routing: {
+        pools: routing.pools ?? DEFAULT_POOLS,
+        rules: routing.rules ?? [],
+      },
+      topology: { ...TOPOLOGY_DEFAULTS, ...topology },
+      timeline: [...timeline].sort((a, b) => a.atMs - b.atMs),
+    },
+  };
+};
+
+/**
+ * Parses and validates scenario JSON text; a syntax error is reported like any other problem
+ */
+export const parseScenario = (text) => {
+  try {
+    return validateScenario(JSON.parse(text));
+  } catch (error) {
+    return { scenario: null, errors: [`Not valid JSON: ${error.message}`] };
+  }
+};
+
+/**
+ * Scenario describing the given run setup. `options` uses the engine option names;
+ * settings it leaves out are written with the engine defaults.
+ */
+export const buildScenario = ({ name, description = '', algorithm, servers, options, slaMs }) => ({
+  version: SCENARIO_VERSION,
+  name,
+  description,
+  algorithm,
+  seed: options.seed,
+  servers: servers.map(({ id, name: serverName, color, ...spec }) => ({
+    id,
+    name: serverName,
+    ...(color ? { color } : {}),
+    ...Object.fromEntries(Object.keys(SERVER_RULES).map(key => [key, spec[key] ?? SERVER_DEFAULTS[key]])),
+    pool: spec.pool ?? SERVER_DEFAULTS.pool,
+    region: spec.region ?? SERVER_DEFAULTS.region,
+  })),
+  traffic: { arrival: options.arrival, service: options.service },
+  settings: {
+    ...Object.fromEntries(Object.keys(SETTINGS_RULES).filter(key => key !== 'slaMs').map(key => [key, options[key] ?? SIMULATION_DEFAULTS[key]])),
+    slaMs,
+    ...Object.fromEntries(Object.keys(SETTINGS_GROUPS).map(group => [group, { ...SIMULATION_DEFAULTS[group], ...options[group] }])),
+  },
+  routing: { pools: options.pools ?? SIMULATION_DEFAULTS.pools, rules: options.rules ?? SIMULATION_DEFAULTS.rules },
+  topology: { ...SIMULATION_DEFAULTS.topology, ...options.topology },
+  timeline: options.timeline ?? [],
+});
+
+/**
+ * Engine options for a validated scenario, plus what the engine doesn't own (mode, pool, SLA)
+ */
+export const scenarioRunSettings = (scenario) => {
+  const { slaMs, ...settings } = scenario.settings;
+  return {
+    mode: scenario.algorithm,
+    servers: scenario.servers,
+    slaMs,
+    options: {
+      seed: scenario.seed,
+      arrival: scenario.traffic.arrival,
+      service: scenario.traffic.service,
+      ...settings,
+      pools: scenario.routing.pools,
+      rules: scenario.routing.rules,
+      topology: scenario.topology,
+      timeline: scenario.timeline,
+    },
+  };
+};
+
+/**
+ * One-line description of a timeline step, e.g. "12.0s: Crash Server B"
+ */
+export const describeStep = (step, servers) => {
+  const { label, target } = TIMELINE_ACTIONS[step.action];
+  const serverName = (id) => servers.find(s => s.id === id)?.name ?? `server ${id}`;
+  const detail = {
+    server: () => serverName(step.server),
+    newServer: () => step.server.name,
+    traffic: () => [step.arrival && 'arrivals', step.service && 'service times'].filter(Boolean).join(' and '),
+    factor: () => `to ${step.factor}x`,
+    fault: () => {
+      const { type, servers: ids, durationMs } = step.fault;
+      return `${FAULT_TYPES[type].name.toLowerCase()} on ${ids.map(serverName).join(', ')}${durationMs != null ? ` for ${durationMs / 1000}s` : ''}`;
+    },
+  }[target]();
+  return `${(step.atMs / 1000).toFixed(1)}s: ${label} ${detail}`;
+};
+
+// --- SHARE LINKS ---
+// A scenario travels in the URL fragment as base64url-encoded UTF-8 JSON.
+
+export const SHARE_PARAM = 'scenario';
+
+/**
+ * URL-safe text form of a scenario
+ */
+export const encodeScenario = (scenario) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Reverses encodeScenario() and validates the result
+ */
+export const decodeScenario = (encoded) => {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return parseScenario(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+  } catch {
+    return { scenario: null, errors: ['The share link is damaged: its scenario could not be decoded.'] };
+  }
+};
@@ -0,0 +1,66 @@
+// --- SESSION AFFINITY ---
+//
+// Cookie-based sticky sessions: the LB balances a client's first request and
+// answers with a cookie naming the server it picked. The client sends the cookie
+// back with later requests and the LB honors it until it expires (`ttlMs`, renewed
+// on every use) or the session has carried `maxRequests` requests, after which it
+// is balanced afresh. A cookie only reaches the client with a response, so
+// requests sent before the first one comes back are balanced like a new session.
+//
+//   { serverId: 2, expiresAt: 41200, requests: 7 }
+//
+// Affinity is measured the same way for every algorithm, so cookies can be compared
+// with IP Hash: a returning client's request is a hit when it reaches the server
+// that took the client's previous request, and breaks the session when that server
+// has since gone down or started draining.
+
+export const STICKY_SESSION_DEFAULTS = {
+  ttlMs: 30000, // Idle time after which a session cookie expires
+  maxRequests: 50, // Requests a session carries before the LB rebalances it
+};
+
+export const NO_AFFINITY = {
+  returning: 0, // First attempts from clients seen before (per backend pool)
+  hits: 0, // ...that reached the same server as the client's previous request
+  brokenDown: 0, // ...that moved because that server was down, unhealthy or removed
+  brokenDraining: 0, // ...that moved because that server was draining
+  moved: 0, // ...that moved for any other reason (expiry, rebalancing, a full server)
+};
+
+/**
+ * Why a request with the given session cookie can't stay on its server, or null if
+ * it can. `server` is the cookie's server as the balancer sees it (undefined if gone).
+ */
+export const sessionBreak = (cookie, server, now, { maxRequests }) => {
+  if (cookie.expiresAt <= now) return 'sessionExpired';
+  if (cookie.requests >= maxRequests) return 'sessionLimit';
+  if (!server || (!server.isAvailable && !server.isDraining)) return 'sessionServerDown';
+  if (server.isDraining) return 'sessionServerDraining';
+  if (server.load >= server.maxCapacity) return 'sessionServerFull';
+  return null;
+};
+
+/**
+ * Cookie the LB sets after sending a request to `serverId`: the same session renewed,
+ * or a new one when the request was balanced
+ */
+export const issueCookie = (cookie, serverId, now, { ttlMs }) => ({
+  serverId,
+  expiresAt: now + ttlMs,
+  requests: cookie?.serverId === serverId ? cookie.requests + 1 : 1,
+});
+
+/**
+ * How a returning client's request relates to its previous server: a hit, or the
+ * NO_AFFINITY counter its move falls under. `previous` is that server now (undefined if removed).
+ */
+export const affinityOutcome = (previous, targetId) => {
+  if (previous?.id === targetId) return 'hits';
+  if (!previous || !previous.isUp || (!previous.isAvailable && !previous.isDraining)) return 'brokenDown';
+  return previous.isDraining ? 'brokenDraining' : 'moved';
+};
+
+/**
+ * Share of returning requests that stayed on their server (null before any returned)
+ */
+export const sessionHitRate = (affinity) => (affinity.returning > 0 ? affinity.hits / affinity.returning : null);
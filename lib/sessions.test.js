@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './engine.js';
+import { NO_AFFINITY, STICKY_SESSION_DEFAULTS, affinityOutcome, issueCookie, sessionBreak, sessionHitRate } from './sessions.js';
+
+const OPTIONS = { ttlMs: 1000, maxRequests: 3 };
+const COOKIE = { serverId: 2, expiresAt: 1000, requests: 1 };
+const server = (changes = {}) => ({ id: 2, load: 0, maxCapacity: 10, isUp: true, isAvailable: true, isDraining: false, ...changes });
+
+describe('sessionBreak', () => {
+  it('keeps a live session on an available server', () => {
+    assert.equal(sessionBreak(COOKIE, server(), 999, OPTIONS), null);
+  });
+
+  it('breaks a session when its cookie expires or it carried maxRequests requests', () => {
+    assert.equal(sessionBreak(COOKIE, server(), 1000, OPTIONS), 'sessionExpired');
+    assert.equal(sessionBreak({ ...COOKIE, requests: 3 }, server(), 0, OPTIONS), 'sessionLimit');
+  });
+
+  it('breaks a session whose server is gone, down, draining or full', () => {
+    assert.equal(sessionBreak(COOKIE, undefined, 0, OPTIONS), 'sessionServerDown');
+    assert.equal(sessionBreak(COOKIE, server({ isAvailable: false }), 0, OPTIONS), 'sessionServerDown');
+    assert.equal(sessionBreak(COOKIE, server({ isAvailable: false, isDraining: true }), 0, OPTIONS), 'sessionServerDraining');
+    assert.equal(sessionBreak(COOKIE, server({ load: 10 }), 0, OPTIONS), 'sessionServerFull');
+  });
+});
+
+describe('issueCookie', () => {
+  it('renews a session that stayed on its server', () => {
+    assert.deepEqual(issueCookie(COOKIE, 2, 500, OPTIONS), { serverId: 2, expiresAt: 1500, requests: 2 });
+  });
+
+  it('starts a new session on a new server or without a cookie', () => {
+    assert.deepEqual(issueCookie(COOKIE, 3, 500, OPTIONS), { serverId: 3, expiresAt: 1500, requests: 1 });
+    assert.deepEqual(issueCookie(null, 3, 500, OPTIONS), { serverId: 3, expiresAt: 1500, requests: 1 });
+  });
+});
+
+describe('affinityOutcome', () => {
+  it('counts a request on the previous server as a hit', () => {
+    assert.equal(affinityOutcome(server(), 2), 'hits');
+  });
+
+  it('blames a move on the previous server being gone, down or draining', () => {
+    assert.equal(affinityOutcome(undefined, 1), 'brokenDown');
+    assert.equal(affinityOutcome(server({ isUp: false }), 1), 'brokenDown');
+    assert.equal(affinityOutcome(server({ isAvailable: false }), 1), 'brokenDown');
+    assert.equal(affinityOutcome(server({ isAvailable: false, isDraining: true }), 1), 'brokenDraining');
+  });
+
+  it('counts any other move as moved', () => {
+    assert.equal(affinityOutcome(server(), 1), 'moved');
+  });
+});
+
+describe('sessionHitRate', () => {
+  it('is the share of returning requests that were hits', () => {
+    assert.equal(sessionHitRate({ ...NO_AFFINITY, returning: 8, hits: 6 }), 0.75);
+    assert.equal(sessionHitRate(NO_AFFINITY), null);
+  });
+});
+
+describe('sessions in a simulation', () => {
+  const SERVERS = [1, 2, 3, 4].map(id => ({ id, name: `S${id}` }));
+  const hitRate = (mode) => {
+    const simulation = createSimulation(SERVERS, { mode, arrival: { rate: 4 }, stickySessions: STICKY_SESSION_DEFAULTS });
+    simulation.advanceTo(60000);
+    return sessionHitRate(simulation.snapshot().affinity);
+  };
+
+  it('keeps returning clients on their server with cookies far more often than round robin', () => {
+    const sticky = hitRate('stickyCookie');
+    assert.ok(sticky > 0.8, `hit rate ${sticky}`);
+    assert.ok(hitRate('roundRobin') < sticky / 2);
+  });
+
+  it('counts clients moved off a draining server', () => {
+    const simulation = createSimulation(SERVERS, { mode: 'stickyCookie', arrival: { rate: 4 } });
+    simulation.advanceTo(20000);
+    simulation.toggleDrain(1);
+    simulation.advanceTo(40000);
+    assert.ok(simulation.snapshot().affinity.brokenDraining > 0);
+    // No cookie names the drained server once the last ones it set expire
+    simulation.advanceTo(40000 + STICKY_SESSION_DEFAULTS.ttlMs);
+    assert.equal(simulation.snapshot().sessions[1], undefined);
+  });
+});
@@ -0,0 +1,188 @@
+// --- SERVER-SIDE SIMULATION SESSION ---
+//
+// One simulation run that lives on the server instead of in the page, so scripts and
+// external dashboards can drive and watch it (see the route handlers under app/api/sim).
+// While it runs, the session advances its engine by the wall-clock time between ticks
+// and after every tick tells its subscribers what happened:
+//
+//   snapshot  the clock, the algorithm, every server's load, health and circuit, the queue
+//             and the outcome counters
+//   log       event log entries since the previous tick: arrivals, routing decisions and
+//             their reasons, health changes, faults... (see lib/eventLog.js)
+//   metrics   latency, throughput and drops over the metrics window (see lib/metrics.js)
+//   control   a change made through the control API (start, stop, reset, mode, toggleServer),
+//             followed by a fresh snapshot
+//
+// A session starts stopped, on the four default servers or on a scenario. Switching the
+// algorithm restarts the run, as it does in the page. There is one session per Node
+// process, shared by the route handlers through globalThis.
+
+import { createSimulation } from './engine.js';
+import { summarizeMetrics } from './metrics.js';
+import { SCENARIO_VERSION, scenarioRunSettings, validateScenario } from './scenario.js';
+
+export const SESSION_DEFAULTS = {
+  tickMs: 250, // Wall-clock time between ticks, and so between snapshots
+  maxStepMs: 1000, // Cap on virtual time advanced per tick (e.g. after the process stalled)
+};
+
+const DEFAULT_SCENARIO = {
+  version: SCENARIO_VERSION,
+  name: 'Default pool',
+  servers: ['A', 'B', 'C', 'D'].map((letter, index) => ({ id: index + 1, name: `Server ${letter}` })),
+};
+
+// What subscribers see of a server: its settings, its load and the balancer's view of it
+const serverView = (server) => ({
+  id: server.id,
+  name: server.name,
+  pool: server.pool,
+  region: server.region,
+  weight: server.weight,
+  maxCapacity: server.maxCapacity,
+  load: server.load,
+  active: server.active,
+  dispatched: server.dispatched,
+  isUp: server.isUp,
+  health: server.health,
+  isAvailable: server.isAvailable,
+  isDraining: server.isDraining,
+  breaker: server.breaker.state,
+});
+
+/**
+ * A stopped session for a validated scenario (the default pool without one). `subscribe(listener)`
+ * calls `listener(event, data)` for every message above and returns the unsubscribe function.
+ */
+export const createSimSession = (initialScenario = validateScenario(DEFAULT_SCENARIO).scenario, { tickMs, maxStepMs } = SESSION_DEFAULTS) => {
+  const listeners = new Set();
+  let scenario = initialScenario;
+  let mode = scenario.algorithm;
+  let slaMs;
+  let simulation;
+  let timer = null;
+  let lastTick = 0;
+  let lastLogId = 0; // Latest event log entry already published
+
+  const createRun = () => {
+    const settings = scenarioRunSettings(scenario);
+    slaMs = settings.slaMs;
+    simulation = createSimulation(settings.servers, { ...settings.options, mode });
+    lastLogId = 0;
+  };
+  createRun();
+
+  const publish = (event, data) => listeners.forEach(listener => listener(event, data));
+
+  const view = (snapshot = simulation.snapshot()) => ({
+    running: timer !== null,
+    scenario: scenario.name,
+    time: snapshot.time,
+    mode: snapshot.mode,
+    seed: snapshot.seed,
+    servers: snapshot.servers.map(serverView),
+    queueDepth: snapshot.queue.length,
+    inFlight: snapshot.inFlight.length,
+    outcomes: snapshot.outcomes,
+    rejections: snapshot.rejections,
+    counters: snapshot.counters,
+    message: snapshot.message,
+  });
+
+  const metrics = (snapshot = simulation.snapshot()) => summarizeMetrics({
+    finished: snapshot.finished,
+    history: snapshot.history,
+    servers: snapshot.servers,
+    elapsedMs: Math.min(simulation.config.metricsWindowMs, snapshot.time),
+    slaMs,
+  });
+
+  const broadcast = () => {
+    const snapshot = simulation.snapshot();
+    const entries = snapshot.eventLog.filter(entry => entry.id > lastLogId);
+    lastLogId = snapshot.eventLog.at(-1)?.id ?? lastLogId;
+    if (listeners.size === 0) return;
+    publish('snapshot', view(snapshot));
+    if (entries.length > 0) publish('log', entries);
+    publish('metrics', metrics(snapshot));
+  };
+
+  const control = (action, details = {}) => {
+    publish('control', { action, time: simulation.now(), ...details });
+    broadcast();
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    simulation.advanceTo(simulation.now() + Math.min(now - lastTick, maxStepMs));
+    lastTick = now;
+    broadcast();
+  };
+
+  const start = () => {
+    if (timer !== null) return;
+    lastTick = Date.now();
+    timer = setInterval(tick, tickMs);
+    timer.unref?.();
+    control('start');
+  };
+
+  const stop = () => {
+    if (timer === null) return;
+    clearInterval(timer);
+    timer = null;
+    control('stop');
+  };
+
+  // A new scenario brings its own algorithm; resetting the current one keeps the selected one
+  const reset = (nextScenario = null) => {
+    if (nextScenario) {
+      scenario = nextScenario;
+      mode = nextScenario.algorithm;
+    }
+    createRun();
+    control('reset', { scenario: scenario.name, mode });
+  };
+
+  const setMode = (nextMode) => {
+    mode = nextMode;
+    createRun();
+    control('mode', { mode });
+  };
+
+  // Crashes or recovers a server; false when there is no such server
+  const toggleServer = (id) => {
+    if (!simulation.snapshot().servers.some(s => s.id === id)) return false;
+    simulation.toggleServer(id);
+    const server = simulation.snapshot().servers.find(s => s.id === id);
+    control('toggleServer', { serverId: id, serverName: server.name, isUp: server.isUp });
+    return true;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    start,
+    stop,
+    reset,
+    setMode,
+    toggleServer,
+    subscribe,
+    view: () => view(),
+    metrics: () => metrics(),
+    state: () => ({ ...view(), metrics: metrics() }),
+  };
+};
+
+const SESSION_KEY = Symbol.for('lb-simulation.simSession');
+
+/**
+ * The process-wide simulation session, created stopped on first use
+ */
+export const simSession = () => {
+  globalThis[SESSION_KEY] ??= createSimSession();
+  return globalThis[SESSION_KEY];
+};
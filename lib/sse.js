@@ -0,0 +1,45 @@
+// --- SERVER-SENT EVENTS ---
+//
+// The response behind the streaming route handlers. Each message is one JSON value,
+// with an event name when the stream carries more than one kind:
+//
+//   event: snapshot
+//   data: {"time":12000,"mode":"roundRobin",...}
+
+const encoder = new TextEncoder();
+
+/**
+ * A text/event-stream response for `request`. `start(send)` runs once the stream
+ * opens, with `send(data, event)` to push a message, and returns the cleanup to run
+ * when the client goes away.
+ */
+export const eventStreamResponse = (request, start) => {
+  let stop = () => {};
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    stop();
+  };
+
+  const stream = new ReadableStream({
+    start(controller) {
+      // A client can go away between ticks; whatever is sent after that is dropped
+      const send = (data, event) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`));
+        } catch {
+          close();
+        }
+      };
+      stop = start(send);
+      request.signal.addEventListener('abort', close);
+    },
+    cancel: close,
+  });
+
+  return new Response(stream, {
+    headers: { 'content-type': 'text/event-stream', 'cache-control': 'no-cache, no-transform', connection: 'keep-alive' },
+  });
+};
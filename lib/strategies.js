@@ -0,0 +1,229 @@
+// --- LOAD BALANCING STRATEGIES ---
+//
+// Every algorithm is a plain object with two pure functions:
+//
+//   init(options)                       -> initial internal state
+//   pick(state, pool, request, context) -> { targetId, state, reason, message }
+//
+// `reason` says why the target was picked (see ROUTING_REASONS in lib/eventLog.js);
+// a `Tie` suffix means several servers scored best and pool order decided.
+// `pool` is the list of servers as the balancer sees them ({ id, load,
+// maxCapacity, weight, isAvailable, avgResponseTime }), `request` carries at least { id, ip },
+// `options` is the engine config (strategies read only the keys they care about),
+// `context.random` is the source of randomness (defaults to Math.random) and
+// `context.now` the simulation clock. Sticky cookie sessions also get the client's
+// session cookie as `request.lbCookie` and return the one to set as `cookie`.
+// Strategies never mutate their inputs; callers keep the returned `state` and
+// hand it back on the next pick.
+
+import { buildRing, lookup, DEFAULT_VIRTUAL_NODES } from './hashRing.js';
+import { STICKY_SESSION_DEFAULTS, issueCookie, sessionBreak } from './sessions.js';
+
+/**
+ * Servers that are up and still have room for another connection
+ */
+export const eligibleServers = (pool) => pool.filter(s => s.isAvailable && s.load < s.maxCapacity);
+
+// "Next in line" step for rotation-based strategies
+const nextInRotation = (index, candidates) => ({
+  targetId: candidates[index % candidates.length].id,
+  index: (index + 1) % candidates.length,
+});
+
+const roundRobin = {
+  init: () => ({ index: 0 }),
+  pick: (state, pool) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    const { targetId, index } = nextInRotation(state.index, candidates);
+    return { targetId, state: { ...state, index }, reason: 'rotation' };
+  },
+};
+
+const weightedRR = {
+  init: () => ({ index: 0 }),
+  pick: (state, pool, request, { random = Math.random } = {}) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    // Expand weights into a slot list: weight 3 => three consecutive slots. Weights are
+    // whole numbers, but a fractional one still gets its nearest count of slots (at least one).
+    const slots = pool.flatMap(s => Array.from({ length: Math.max(1, Math.round(s.weight)) }, () => s.id));
+    const weightedTargetId = slots[state.index % slots.length];
+    const nextState = { ...state, index: (state.index + 1) % slots.length };
+
+    if (candidates.some(s => s.id === weightedTargetId)) {
+      return { targetId: weightedTargetId, state: nextState, reason: 'weightedSlot' };
+    }
+
+    const fallback = candidates[Math.floor(random() * candidates.length)];
+    return {
+      targetId: fallback.id,
+      state: nextState,
+      reason: 'fallback',
+      message: `Weighted server ${weightedTargetId} unavailable, using fallback.`,
+    };
+  },
+};
+
+const leastConnections = {
+  init: () => ({}),
+  pick: (state, pool) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    const [lightest, runnerUp] = [...candidates].sort((a, b) => a.load - b.load);
+    return { targetId: lightest.id, state, reason: runnerUp?.load === lightest.load ? 'leastLoadedTie' : 'leastLoaded' };
+  },
+};
+
+const weightedLeastConnections = {
+  init: () => ({}),
+  pick: (state, pool) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    // Lowest load per unit of weight; ties go to the heavier server
+    const order = (a, b) => a.load / a.weight - b.load / b.weight || b.weight - a.weight;
+    const [lightest, runnerUp] = [...candidates].sort(order);
+    return { targetId: lightest.id, state, reason: runnerUp && order(lightest, runnerUp) === 0 ? 'leastWeightedLoadTie' : 'leastWeightedLoad' };
+  },
+};
+
+const leastResponseTime = {
+  init: () => ({}),
+  pick: (state, pool) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    // Expected wait = average response time scaled by the queue ahead (servers with no history score 0)
+    const score = s => (s.avgResponseTime || 0) * (s.load + 1);
+    const order = (a, b) => score(a) - score(b) || a.load - b.load;
+    const [fastest, runnerUp] = [...candidates].sort(order);
+    return { targetId: fastest.id, state, reason: runnerUp && order(fastest, runnerUp) === 0 ? 'fastestResponseTie' : 'fastestResponse' };
+  },
+};
+
+const powerOfTwoChoices = {
+  init: () => ({}),
+  pick: (state, pool, request, { random = Math.random } = {}) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+    if (candidates.length === 1) return { targetId: candidates[0].id, state, reason: 'onlyCandidate' };
+
+    // Sample two distinct servers and keep the less loaded one
+    const first = Math.floor(random() * candidates.length);
+    const second = (first + 1 + Math.floor(random() * (candidates.length - 1))) % candidates.length;
+    const [a, b] = [candidates[first], candidates[second]];
+    return { targetId: b.load < a.load ? b.id : a.id, state, reason: 'betterOfTwo' };
+  },
+};
+
+const randomChoice = {
+  init: () => ({}),
+  pick: (state, pool, request, { random = Math.random } = {}) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    return { targetId: candidates[Math.floor(random() * candidates.length)].id, state, reason: 'random' };
+  },
+};
+
+// Nginx-style smooth weighted round robin: every pick adds each server's weight to
+// its running score, picks the highest score and subtracts the total weight from it.
+// Weights 5/1/1 give A A B A C A A rather than A A A A A B C.
+const smoothWeightedRR = {
+  init: () => ({ currentWeights: {} }),
+  pick: (state, pool) => {
+    const candidates = eligibleServers(pool);
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    const currentWeights = { ...state.currentWeights };
+    let totalWeight = 0;
+    let best = null;
+    candidates.forEach(s => {
+      currentWeights[s.id] = (currentWeights[s.id] || 0) + s.weight;
+      totalWeight += s.weight;
+      if (best === null || currentWeights[s.id] > currentWeights[best]) best = s.id;
+    });
+    currentWeights[best] -= totalWeight;
+
+    return { targetId: best, state: { ...state, currentWeights }, reason: 'smoothWeighted' };
+  },
+};
+
+// The ring only depends on pool membership, so it is rebuilt when that changes
+const ringFor = (state, pool) => {
+  const ringKey = pool.map(s => s.id).join(',');
+  if (state.ringKey === ringKey) return state;
+  return { ...state, ringKey, ring: buildRing(pool, state.virtualNodes) };
+};
+
+const ipHash = {
+  init: ({ virtualNodes = DEFAULT_VIRTUAL_NODES } = {}) => ({ virtualNodes, ringKey: null, ring: [] }),
+  pick: (state, pool, request) => {
+    const candidates = eligibleServers(pool);
+    const nextState = ringFor(state, pool);
+    if (candidates.length === 0) return { targetId: null, state: nextState, reason: 'noCapacity' };
+
+    const { ip } = request;
+    const eligibleIds = new Set(candidates.map(s => s.id));
+    const ownerId = lookup(nextState.ring, ip);
+    const targetId = lookup(nextState.ring, ip, id => eligibleIds.has(id));
+
+    if (targetId === ownerId) {
+      return { targetId, state: nextState, reason: 'hashOwner', message: `Client ${ip} hashed to Server ${targetId}` };
+    }
+    return {
+      targetId,
+      state: nextState,
+      reason: 'hashFallback',
+      message: `Client ${ip}: Server ${ownerId} unavailable, next server clockwise on the ring is Server ${targetId}.`,
+    };
+  },
+};
+
+const BROKEN_SESSIONS = { sessionServerDown: 'server down', sessionServerDraining: 'server draining' };
+
+// Sessions follow their cookie (see lib/sessions.js); requests without a usable one go
+// to the least loaded server and start a new session there
+const stickyCookie = {
+  init: ({ stickySessions = STICKY_SESSION_DEFAULTS } = {}) => ({ ...STICKY_SESSION_DEFAULTS, ...stickySessions }),
+  pick: (state, pool, request, { now = 0 } = {}) => {
+    const candidates = eligibleServers(pool);
+    const cookie = request.lbCookie;
+    const broken = cookie && sessionBreak(cookie, pool.find(s => s.id === cookie.serverId), now, state);
+    if (cookie && !broken) {
+      return { targetId: cookie.serverId, state, reason: 'sessionHit', cookie: issueCookie(cookie, cookie.serverId, now, state) };
+    }
+    if (candidates.length === 0) return { targetId: null, state, reason: 'noCapacity' };
+
+    const [lightest] = [...candidates].sort((a, b) => a.load - b.load);
+    return {
+      targetId: lightest.id,
+      state,
+      reason: broken || 'sessionNew',
+      cookie: issueCookie(null, lightest.id, now, state),
+      message: BROKEN_SESSIONS[broken] && `Client ${request.ip}: session on Server ${cookie.serverId} broken (${BROKEN_SESSIONS[broken]}), new session on Server ${lightest.id}.`,
+    };
+  },
+};
+
+export const STRATEGIES = {
+  roundRobin,
+  weightedRR,
+  leastConnections,
+  ipHash,
+  powerOfTwoChoices,
+  weightedLeastConnections,
+  leastResponseTime,
+  random: randomChoice,
+  smoothWeightedRR,
+  stickyCookie,
+};
+
+/**
+ * Looks up a strategy by mode id, falling back to Round Robin for unknown ids
+ */
+export const getStrategy = (mode) => STRATEGIES[mode] || roundRobin;
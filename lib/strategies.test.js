@@ -0,0 +1,232 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { STRATEGIES, eligibleServers, getStrategy } from './strategies.js';
+
+const server = (id, changes = {}) => ({ id, load: 0, maxCapacity: 10, weight: 1, isAvailable: true, avgResponseTime: 0, ...changes });
+const POOL = [server(1), server(2), server(3)];
+const REQUEST = { id: 1, ip: '10.0.0.1' };
+
+// Targets of `count` picks in a row over the same pool, threading the strategy state
+const pickSequence = (mode, pool, count, { request = REQUEST, context = {}, options = {} } = {}) => {
+  const strategy = getStrategy(mode);
+  let state = strategy.init(options);
+  return Array.from({ length: count }, () => {
+    const decision = strategy.pick(state, pool, request, context);
+    state = decision.state;
+    return decision.targetId;
+  });
+};
+
+// One pick from a fresh state
+const pickOnce = (mode, pool, request = REQUEST, context = {}) => getStrategy(mode).pick(getStrategy(mode).init({}), pool, request, context);
+
+// A random source that returns the given values in turn
+const randomFrom = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+describe('eligibleServers', () => {
+  it('leaves out servers that are unavailable or full', () => {
+    const pool = [server(1), server(2, { isAvailable: false }), server(3, { load: 10 })];
+    assert.deepEqual(eligibleServers(pool).map(s => s.id), [1]);
+  });
+});
+
+describe('getStrategy', () => {
+  it('falls back to Round Robin for unknown modes', () => {
+    assert.equal(getStrategy('nope'), STRATEGIES.roundRobin);
+  });
+});
+
+describe('every strategy', () => {
+  const full = [server(1, { load: 10 }), server(2, { isAvailable: false })];
+  Object.keys(STRATEGIES).forEach(mode => {
+    it(`${mode} reports noCapacity when no server can take the request`, () => {
+      const decision = pickOnce(mode, full, REQUEST, { now: 0, random: () => 0 });
+      assert.equal(decision.targetId, null);
+      assert.equal(decision.reason, 'noCapacity');
+    });
+  });
+});
+
+describe('roundRobin', () => {
+  it('rotates through the servers in pool order', () => {
+    assert.deepEqual(pickSequence('roundRobin', POOL, 6), [1, 2, 3, 1, 2, 3]);
+  });
+
+  it('skips unavailable servers', () => {
+    const pool = [server(1), server(2, { isAvailable: false }), server(3)];
+    assert.deepEqual(pickSequence('roundRobin', pool, 4), [1, 3, 1, 3]);
+  });
+});
+
+describe('weightedRR', () => {
+  it('gives each server as many consecutive slots as its weight', () => {
+    const pool = [server(1), server(2, { weight: 2 })];
+    assert.deepEqual(pickSequence('weightedRR', pool, 6), [1, 2, 2, 1, 2, 2]);
+  });
+
+  it('rounds fractional weights instead of throwing', () => {
+    const pool = [server(1), server(2, { weight: 1.5 })];
+    assert.deepEqual(pickSequence('weightedRR', pool, 3), [1, 2, 2]);
+  });
+
+  it('falls back to a random candidate when the weighted slot is unavailable', () => {
+    const pool = [server(1, { isAvailable: false }), server(2), server(3)];
+    const decision = pickOnce('weightedRR', pool, REQUEST, { random: () => 0.99 });
+    assert.equal(decision.targetId, 3);
+    assert.equal(decision.reason, 'fallback');
+  });
+});
+
+describe('leastConnections', () => {
+  it('picks the server with the fewest connections', () => {
+    const pool = [server(1, { load: 3 }), server(2, { load: 1 }), server(3, { load: 2 })];
+    assert.deepEqual(pickOnce('leastConnections', pool), { targetId: 2, state: {}, reason: 'leastLoaded' });
+  });
+
+  it('breaks ties by pool order', () => {
+    const pool = [server(1, { load: 2 }), server(2, { load: 1 }), server(3, { load: 1 })];
+    const decision = pickOnce('leastConnections', pool);
+    assert.equal(decision.targetId, 2);
+    assert.equal(decision.reason, 'leastLoadedTie');
+  });
+});
+
+describe('weightedLeastConnections', () => {
+  it('picks the lowest load per unit of weight', () => {
+    const pool = [server(1, { load: 2 }), server(2, { load: 3, weight: 3 })];
+    assert.equal(pickOnce('weightedLeastConnections', pool).targetId, 2);
+  });
+
+  it('sends equal load per weight to the heavier server', () => {
+    const pool = [server(1, { load: 1 }), server(2, { load: 2, weight: 2 })];
+    assert.equal(pickOnce('weightedLeastConnections', pool).targetId, 2);
+  });
+
+  it('breaks ties between equal servers by pool order', () => {
+    const decision = pickOnce('weightedLeastConnections', POOL);
+    assert.equal(decision.targetId, 1);
+    assert.equal(decision.reason, 'leastWeightedLoadTie');
+  });
+});
+
+describe('leastResponseTime', () => {
+  it('picks the lowest response time scaled by the connections ahead', () => {
+    const pool = [server(1, { avgResponseTime: 200 }), server(2, { avgResponseTime: 50, load: 1 })];
+    const decision = pickOnce('leastResponseTime', pool);
+    assert.equal(decision.targetId, 2);
+    assert.equal(decision.reason, 'fastestResponse');
+  });
+
+  it('breaks equal scores by load', () => {
+    const pool = [server(1, { avgResponseTime: 50, load: 1 }), server(2, { avgResponseTime: 100 })];
+    const decision = pickOnce('leastResponseTime', pool);
+    assert.equal(decision.targetId, 2);
+    assert.equal(decision.reason, 'fastestResponse');
+  });
+
+  it('reports a tie when score and load are equal', () => {
+    assert.equal(pickOnce('leastResponseTime', POOL).reason, 'fastestResponseTie');
+  });
+});
+
+describe('powerOfTwoChoices', () => {
+  it('keeps the less loaded of the two sampled servers', () => {
+    const pool = [server(1, { load: 4 }), server(2, { load: 1 }), server(3)];
+    // First sample index 0, second the next one along
+    const decision = pickOnce('powerOfTwoChoices', pool, REQUEST, { random: randomFrom(0, 0) });
+    assert.equal(decision.targetId, 2);
+    assert.equal(decision.reason, 'betterOfTwo');
+  });
+
+  it('takes the only candidate without sampling', () => {
+    const pool = [server(1, { isAvailable: false }), server(2)];
+    assert.equal(pickOnce('powerOfTwoChoices', pool, REQUEST, { random: () => 0 }).reason, 'onlyCandidate');
+  });
+});
+
+describe('random', () => {
+  it('picks the candidate the random source points at', () => {
+    const pool = [server(1), server(2, { load: 10 }), server(3)];
+    assert.equal(pickOnce('random', pool, REQUEST, { random: () => 0.99 }).targetId, 3);
+  });
+});
+
+describe('smoothWeightedRR', () => {
+  it('interleaves heavy servers with the rest', () => {
+    const pool = [server(1, { weight: 5 }), server(2), server(3)];
+    assert.deepEqual(pickSequence('smoothWeightedRR', pool, 7), [1, 1, 2, 1, 3, 1, 1]);
+  });
+});
+
+describe('ipHash', () => {
+  const ips = Array.from({ length: 20 }, (_, i) => `10.0.0.${i + 1}`);
+
+  it('sends a client to the same server every time', () => {
+    ips.forEach(ip => {
+      const targets = pickSequence('ipHash', POOL, 3, { request: { id: 1, ip } });
+      assert.equal(new Set(targets).size, 1);
+    });
+  });
+
+  it('moves only the clients of an unavailable server, to the next server on the ring', () => {
+    ips.forEach(ip => {
+      const owner = pickOnce('ipHash', POOL, { id: 1, ip });
+      assert.equal(owner.reason, 'hashOwner');
+      const pool = POOL.map(s => (s.id === owner.targetId ? { ...s, isAvailable: false } : s));
+      const fallback = pickOnce('ipHash', pool, { id: 1, ip });
+      assert.equal(fallback.reason, 'hashFallback');
+      assert.notEqual(fallback.targetId, owner.targetId);
+    });
+  });
+
+  it('keeps clients of the other servers where they were', () => {
+    const owners = ips.map(ip => pickOnce('ipHash', POOL, { id: 1, ip }).targetId);
+    const pool = POOL.map(s => (s.id === 1 ? { ...s, isAvailable: false } : s));
+    ips.forEach((ip, index) => {
+      if (owners[index] !== 1) assert.equal(pickOnce('ipHash', pool, { id: 1, ip }).targetId, owners[index]);
+    });
+  });
+});
+
+describe('stickyCookie', () => {
+  const options = { stickySessions: { ttlMs: 1000, maxRequests: 3 } };
+  const pick = (pool, lbCookie, now = 0) => {
+    const strategy = getStrategy('stickyCookie');
+    return strategy.pick(strategy.init(options), pool, { ...REQUEST, lbCookie }, { now });
+  };
+  const cookie = { serverId: 3, expiresAt: 1000, requests: 1 };
+
+  it('starts a new session on the least loaded server', () => {
+    const pool = [server(1, { load: 2 }), server(2), server(3, { load: 1 })];
+    const decision = pick(pool, null);
+    assert.equal(decision.targetId, 2);
+    assert.equal(decision.reason, 'sessionNew');
+    assert.deepEqual(decision.cookie, { serverId: 2, expiresAt: 1000, requests: 1 });
+  });
+
+  it('keeps a session on its server and renews the cookie', () => {
+    const decision = pick(POOL, cookie, 500);
+    assert.equal(decision.targetId, 3);
+    assert.equal(decision.reason, 'sessionHit');
+    assert.deepEqual(decision.cookie, { serverId: 3, expiresAt: 1500, requests: 2 });
+  });
+
+  it('breaks sessions that expired or carried their maximum of requests', () => {
+    assert.equal(pick(POOL, cookie, 1000).reason, 'sessionExpired');
+    assert.equal(pick(POOL, { ...cookie, requests: 3 }).reason, 'sessionLimit');
+  });
+
+  it('breaks sessions whose server is down, draining, full or gone', () => {
+    const withServer3 = (changes) => POOL.map(s => (s.id === 3 ? { ...s, ...changes } : s));
+    const down = pick(withServer3({ isAvailable: false }), cookie);
+    assert.equal(down.reason, 'sessionServerDown');
+    assert.match(down.message, /server down/);
+    assert.notEqual(down.targetId, 3);
+    assert.equal(pick(withServer3({ isAvailable: false, isDraining: true }), cookie).reason, 'sessionServerDraining');
+    assert.equal(pick(withServer3({ load: 10 }), cookie).reason, 'sessionServerFull');
+    assert.equal(pick(POOL.slice(0, 2), cookie).reason, 'sessionServerDown');
+  });
+});
@@ -0,0 +1,89 @@
+// --- MULTI-REGION TOPOLOGY ---
+//
+// With the topology enabled the balancer has two tiers. Clients live in client
+// regions; a global load balancer (DNS or anycast style) sends each request to a
+// region, where a regional load balancer balances it over that region's servers
+// with its own algorithm:
+//
+//   client region --link latency--> regional LB --transit--> server
+//
+// The global LB decides as a request arrives, by one of two policies:
+//
+//   latency    the region with the lowest link latency from the client's region
+//   geography  the client region's home region
+//
+// With failover on, it skips regions it believes down (no available server for the
+// request's pool), so when a region's servers crash or drain its traffic moves to
+// the next nearest region once health checks notice. Link latencies are set per
+// client region and region, on the same slowed-down clock as the LB-to-server transit.
+
+export const GLOBAL_POLICIES = {
+  latency: { name: 'Lowest latency', description: 'nearest region by link latency' },
+  geography: { name: 'Geography', description: "the client region's home region" },
+};
+
+/**
+ * Why the global LB picked a region, by the `reason` pickRegion() returns
+ */
+export const REGION_REASONS = {
+  nearest: 'lowest link latency',
+  home: 'home region',
+  failover: 'failover: preferred region has no available server',
+  noRegionUp: 'no region has an available server, sent to the preferred one',
+};
+
+export const TOPOLOGY_DEFAULTS = {
+  enabled: false,
+  policy: 'latency',
+  failover: true,
+  // Each region runs a regional LB; `mode` null means the selected algorithm
+  regions: [
+    { id: 'us-east', name: 'US East', mode: null },
+    { id: 'eu-west', name: 'EU West', mode: null },
+  ],
+  // `share` is a relative weight of the client population; `latencyMs` is the link latency to each region
+  clientRegions: [
+    { id: 'na', name: 'North America', share: 5, home: 'us-east', latencyMs: { 'us-east': 150, 'eu-west': 600 } },
+    { id: 'eu', name: 'Europe', share: 3, home: 'eu-west', latencyMs: { 'us-east': 600, 'eu-west': 150 } },
+    { id: 'apac', name: 'Asia Pacific', share: 2, home: 'us-east', latencyMs: { 'us-east': 900, 'eu-west': 1000 } },
+  ],
+};
+
+// Used for a region a client region has no latency for
+export const DEFAULT_LINK_LATENCY_MS = 500;
+
+// Region colors on the canvas, by region position
+export const REGION_COLORS = ['#6366f1', '#0d9488', '#d97706', '#db2777', '#2563eb', '#65a30d'];
+
+/**
+ * Link latency from a client region to a region
+ */
+export const linkLatency = (clientRegion, regionId) => clientRegion.latencyMs?.[regionId] ?? DEFAULT_LINK_LATENCY_MS;
+
+/**
+ * Places every client IP in a client region, in proportion to the regions' shares.
+ * Returns a Map of IP to client region id.
+ */
+export const assignClientRegions = (ips, clientRegions, random) => {
+  const total = clientRegions.reduce((sum, c) => sum + c.share, 0);
+  return new Map(ips.map(ip => {
+    let target = random() * total;
+    const clientRegion = clientRegions.find(c => (target -= c.share) < 0) ?? clientRegions[clientRegions.length - 1];
+    return [ip, clientRegion.id];
+  }));
+};
+
+/**
+ * The global LB's choice for a request from `clientRegion`: `{ region, reason }`.
+ * `isUp(regionId)` says whether the global LB believes a region can take the request.
+ */
+export const pickRegion = ({ policy, failover, regions }, clientRegion, isUp) => {
+  const byLatency = [...regions].sort((a, b) => linkLatency(clientRegion, a.id) - linkLatency(clientRegion, b.id));
+  const home = policy === 'geography' ? regions.find(r => r.id === clientRegion.home) : undefined;
+  const preferred = home ?? byLatency[0];
+  const reason = home ? 'home' : 'nearest';
+  if (!failover || isUp(preferred.id)) return { region: preferred.id, reason };
+
+  const fallback = byLatency.find(r => isUp(r.id));
+  return fallback ? { region: fallback.id, reason: 'failover' } : { region: preferred.id, reason: 'noRegionUp' };
+};
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from './engine.js';
+import { createRng } from './random.js';
+import { DEFAULT_LINK_LATENCY_MS, TOPOLOGY_DEFAULTS, assignClientRegions, linkLatency, pickRegion } from './topology.js';
+
+const [NA, EU, APAC] = TOPOLOGY_DEFAULTS.clientRegions;
+const LATENCY = { ...TOPOLOGY_DEFAULTS, policy: 'latency' };
+const GEOGRAPHY = { ...TOPOLOGY_DEFAULTS, policy: 'geography' };
+const allUp = () => true;
+
+describe('linkLatency', () => {
+  it('uses the configured latency, or the default for an unlisted region', () => {
+    assert.equal(linkLatency(NA, 'eu-west'), 600);
+    assert.equal(linkLatency(NA, 'ap-south'), DEFAULT_LINK_LATENCY_MS);
+  });
+});
+
+describe('assignClientRegions', () => {
+  it('places clients in proportion to the region shares', () => {
+    const ips = Array.from({ length: 5000 }, (_, i) => `10.0.${i >> 8}.${i & 255}`);
+    const regions = assignClientRegions(ips, TOPOLOGY_DEFAULTS.clientRegions, createRng(1));
+    assert.equal(regions.size, ips.length);
+    const share = (id) => [...regions.values()].filter(region => region === id).length / ips.length;
+    assert.ok(Math.abs(share('na') - 0.5) < 0.03);
+    assert.ok(Math.abs(share('eu') - 0.3) < 0.03);
+    assert.ok(Math.abs(share('apac') - 0.2) < 0.03);
+  });
+});
+
+describe('pickRegion', () => {
+  it('sends clients to the nearest region under the latency policy', () => {
+    assert.deepEqual(pickRegion(LATENCY, EU, allUp), { region: 'eu-west', reason: 'nearest' });
+    assert.deepEqual(pickRegion(LATENCY, APAC, allUp), { region: 'us-east', reason: 'nearest' });
+  });
+
+  it('sends clients to their home region under the geography policy', () => {
+    assert.deepEqual(pickRegion(GEOGRAPHY, NA, allUp), { region: 'us-east', reason: 'home' });
+    const farHome = { ...EU, home: 'us-east' };
+    assert.deepEqual(pickRegion(GEOGRAPHY, farHome, allUp), { region: 'us-east', reason: 'home' });
+  });
+
+  it('falls back to the nearest region if the home region is unknown', () => {
+    assert.deepEqual(pickRegion(GEOGRAPHY, { ...EU, home: 'mars' }, allUp), { region: 'eu-west', reason: 'nearest' });
+  });
+
+  it('fails over to the next nearest region that is up', () => {
+    assert.deepEqual(pickRegion(LATENCY, EU, id => id !== 'eu-west'), { region: 'us-east', reason: 'failover' });
+    assert.deepEqual(pickRegion(GEOGRAPHY, NA, id => id !== 'us-east'), { region: 'eu-west', reason: 'failover' });
+  });
+
+  it('keeps the preferred region when failover is off or no region is up', () => {
+    assert.deepEqual(pickRegion({ ...LATENCY, failover: false }, EU, () => false), { region: 'eu-west', reason: 'nearest' });
+    assert.deepEqual(pickRegion(LATENCY, EU, () => false), { region: 'eu-west', reason: 'noRegionUp' });
+  });
+});
+
+describe('regions in a simulation', () => {
+  const SERVERS = [
+    { id: 1, name: 'US 1', region: 'us-east' },
+    { id: 2, name: 'US 2', region: 'us-east' },
+    { id: 3, name: 'EU 1', region: 'eu-west' },
+    { id: 4, name: 'EU 2', region: 'eu-west' },
+  ];
+  const OPTIONS = { arrival: { rate: 4 }, topology: { ...TOPOLOGY_DEFAULTS, enabled: true }, metricsWindowMs: Infinity };
+
+  it('balances each region over its own servers', () => {
+    const simulation = createSimulation(SERVERS, OPTIONS);
+    simulation.advanceTo(30000);
+    const { regionStats, servers, finished } = simulation.snapshot();
+    assert.ok(regionStats['us-east'].requests > regionStats['eu-west'].requests);
+    assert.ok(regionStats['eu-west'].requests > 0);
+    assert.equal(regionStats['us-east'].failovers + regionStats['eu-west'].failovers, 0);
+    servers.forEach(s => assert.ok(s.dispatched > 0, `${s.name} took no requests`));
+    finished.filter(r => r.outcome === 'served').forEach(r => {
+      assert.equal(servers.find(s => s.id === r.targetServerId).region, r.region);
+    });
+  });
+
+  it('moves traffic off a region once its servers are down', () => {
+    const simulation = createSimulation(SERVERS, OPTIONS);
+    simulation.advanceTo(10000);
+    simulation.toggleServer(3);
+    simulation.toggleServer(4);
+    simulation.advanceTo(40000);
+    const { regionStats, finished } = simulation.snapshot();
+    assert.ok(regionStats['us-east'].failovers > 0);
+    // Once health checks noticed, Europe is served from US East
+    const late = finished.filter(r => r.arrivalTime > 20000 && r.outcome === 'served');
+    assert.ok(late.length > 0);
+    late.forEach(r => assert.ok(r.targetServerId === 1 || r.targetServerId === 2));
+  });
+});
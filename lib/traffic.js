@@ -0,0 +1,162 @@
+// --- TRAFFIC MODELS ---
+//
+// Arrival processes decide when the next request shows up; service-time
+// distributions decide how much work each request brings. Both draw from the
+// random source they are given, so the engine's seeded traffic stream makes the
+// whole arrival/service sequence reproducible.
+//
+// Each entry carries display metadata (`name`, `params`) so the control panel can
+// render its inputs without knowing about individual models. On top of its own
+// parameters, any arrival process can be scaled by `multiplier` (scripted spikes).
+
+const MAX_THINNING_STEPS = 100000; // Guards against a process whose rate stays at zero
+
+/**
+ * Exponentially distributed sample with the given mean
+ */
+const exponential = (mean, random) => -mean * Math.log(1 - random());
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+const standardNormal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const RATE_PARAM = { key: 'rate', label: 'Rate (req/s)', min: 0, step: 1 };
+
+export const ARRIVAL_PROCESSES = {
+  constant: {
+    name: 'Constant',
+    params: [RATE_PARAM],
+    deterministic: true,
+    rate: (t, p) => p.rate,
+  },
+  poisson: {
+    name: 'Poisson',
+    params: [RATE_PARAM],
+    rate: (t, p) => p.rate,
+    peakRate: p => p.rate,
+  },
+  bursty: {
+    name: 'On/Off Bursts',
+    params: [
+      { key: 'rate', label: 'Burst rate (req/s)', min: 0, step: 1 },
+      { key: 'onMs', label: 'On (ms)', min: 1, step: 500 },
+      { key: 'offMs', label: 'Off (ms)', min: 0, step: 500 },
+    ],
+    rate: (t, p) => (t % (p.onMs + p.offMs) < p.onMs ? p.rate : 0),
+    peakRate: p => p.rate,
+  },
+  diurnal: {
+    name: 'Daily Curve',
+    params: [
+      { key: 'rate', label: 'Mean rate (req/s)', min: 0, step: 1 },
+      { key: 'amplitude', label: 'Swing (0-1)', min: 0, max: 1, step: 0.1 },
+      { key: 'periodMs', label: '"Day" length (ms)', min: 1000, step: 1000 },
+    ],
+    // Starts at the overnight trough and peaks half a period later
+    rate: (t, p) => p.rate * (1 + p.amplitude * Math.sin((2 * Math.PI * t) / p.periodMs - Math.PI / 2)),
+    peakRate: p => p.rate * (1 + p.amplitude),
+  },
+  flashCrowd: {
+    name: 'Flash Crowd',
+    params: [
+      { key: 'rate', label: 'Baseline (req/s)', min: 0, step: 1 },
+      { key: 'spikeAtMs', label: 'Spike at (ms)', min: 0, step: 1000 },
+      { key: 'spikeDurationMs', label: 'Spike length (ms)', min: 0, step: 1000 },
+      { key: 'spikeMultiplier', label: 'Spike x', min: 1, step: 1 },
+    ],
+    rate: (t, p) => (t >= p.spikeAtMs && t < p.spikeAtMs + p.spikeDurationMs ? p.rate * p.spikeMultiplier : p.rate),
+    peakRate: p => p.rate * Math.max(1, p.spikeMultiplier),
+  },
+};
+
+export const SERVICE_DISTRIBUTIONS = {
+  constant: {
+    name: 'Constant',
+    params: [{ key: 'meanMs', label: 'Duration (ms)', min: 1, step: 100 }],
+    sample: p => p.meanMs,
+  },
+  exponential: {
+    name: 'Exponential',
+    params: [{ key: 'meanMs', label: 'Mean (ms)', min: 1, step: 100 }],
+    sample: (p, random) => exponential(p.meanMs, random),
+  },
+  logNormal: {
+    name: 'Log-normal',
+    params: [
+      { key: 'meanMs', label: 'Mean (ms)', min: 1, step: 100 },
+      { key: 'sigma', label: 'Sigma', min: 0, step: 0.1 },
+    ],
+    // mu chosen so the distribution's mean equals meanMs
+    sample: (p, random) => Math.exp(Math.log(p.meanMs) - (p.sigma * p.sigma) / 2 + p.sigma * standardNormal(random)),
+  },
+  heavyTailed: {
+    name: 'Heavy-tailed (Pareto)',
+    params: [
+      { key: 'meanMs', label: 'Mean (ms)', min: 1, step: 100 },
+      { key: 'alpha', label: 'Tail index', min: 1.1, step: 0.1 },
+    ],
+    // Scale chosen so the mean equals meanMs; capped so one request can't stall a demo forever
+    sample: (p, random) => {
+      const scale = (p.meanMs * (p.alpha - 1)) / p.alpha;
+      return Math.min(scale / (1 - random()) ** (1 / p.alpha), p.meanMs * 20);
+    },
+  },
+};
+
+export const DEFAULT_ARRIVAL = {
+  process: 'constant',
+  rate: 10,
+  onMs: 2000,
+  offMs: 3000,
+  amplitude: 0.8,
+  periodMs: 60000,
+  spikeAtMs: 15000,
+  spikeDurationMs: 5000,
+  spikeMultiplier: 5,
+  multiplier: 1, // Scales whichever process is selected
+};
+
+export const DEFAULT_SERVICE = {
+  distribution: 'constant',
+  meanMs: 3000,
+  sigma: 0.8,
+  alpha: 1.5,
+};
+
+const processOf = (arrival) => ARRIVAL_PROCESSES[arrival.process] ?? ARRIVAL_PROCESSES.constant;
+const multiplierOf = (arrival) => arrival.multiplier ?? 1;
+
+/**
+ * Instantaneous arrival rate (req/s) of the configured process at time `t`
+ */
+export const arrivalRate = (arrival, t) => processOf(arrival).rate(t, arrival) * multiplierOf(arrival);
+
+/**
+ * Time of the next arrival after `time`, or null if the process never fires again.
+ * Time-varying processes are sampled by thinning a Poisson process at their peak rate.
+ */
+export const nextArrivalTime = (arrival, time, random) => {
+  const process = processOf(arrival);
+
+  if (process.deterministic) {
+    const rate = arrivalRate(arrival, time);
+    return rate > 0 ? time + 1000 / rate : null;
+  }
+
+  const peak = process.peakRate(arrival) * multiplierOf(arrival);
+  if (!(peak > 0)) return null;
+
+  let t = time;
+  for (let i = 0; i < MAX_THINNING_STEPS; i++) {
+    t += exponential(1000 / peak, random);
+    if (random() * peak <= arrivalRate(arrival, t)) return t;
+  }
+  return null;
+};
+
+/**
+ * Work a single request brings, in milliseconds
+ */
+export const sampleServiceTime = (service, random) =>
+  Math.max(1, (SERVICE_DISTRIBUTIONS[service.distribution] ?? SERVICE_DISTRIBUTIONS.constant).sample(service, random));
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// --- HEADLESS SIMULATION RUNNER ---
+//
+// Runs scenarios through the simulation engine from the command line, faster than
+// real time, and writes load series and summary metrics as JSON or CSV. Every
+// combination of the given algorithms and seeds is one run, which makes parameter
+// sweeps and regression checks a single command:
+//
+//   npm run simulate -- --scenario incident.json --algorithms all --duration 120 --format csv
+//
+// Run with --help for every option.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { BATCH_DEFAULTS, runScenario, seriesTable, summaryTable } from '../lib/batch.js';
+import { toCsv } from '../lib/csv.js';
+import { SCENARIO_VERSION, parseScenario, validateScenario } from '../lib/scenario.js';
+import { STRATEGIES } from '../lib/strategies.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --scenario <file>      Scenario JSON (as exported from the Scenario panel).
+                         Without one: four identical servers with default traffic.
+  --algorithms <list>    Comma-separated algorithm ids, or "all" (default: the scenario's)
+  --seeds <list>         Comma-separated seeds (default: the scenario's)
+  --duration <seconds>   Virtual time per run (default: ${BATCH_DEFAULTS.durationMs / 1000})
+  --interval <seconds>   Sampling interval of the load series (default: ${BATCH_DEFAULTS.intervalMs / 1000})
+  --format <json|csv>    Output format (default: json)
+  --table <summary|series>
+                         CSV only: which table to write (default: summary)
+  --out <file>           Write to a file instead of stdout
+  --list                 List the algorithm ids and exit
+  --help                 Show this help`;
+
+const DEFAULT_SCENARIO = {
+  version: SCENARIO_VERSION,
+  name: 'Default pool',
+  servers: ['A', 'B', 'C', 'D'].map((letter, index) => ({ id: index + 1, name: `Server ${letter}` })),
+};
+
+// Reports a usage problem and exits; nothing has been written yet at this point
+const fail = (...lines) => {
+  lines.forEach(line => console.error(line));
+  process.exit(1);
+};
+
+const positiveNumber = (value, option) => {
+  const number = Number(value);
+  if (!(number > 0)) fail(`--${option} must be a positive number of seconds (got "${value}").`);
+  return number;
+};
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      scenario: { type: 'string' },
+      algorithms: { type: 'string' },
+      seeds: { type: 'string' },
+      duration: { type: 'string' },
+      interval: { type: 'string' },
+      format: { type: 'string', default: 'json' },
+      table: { type: 'string', default: 'summary' },
+      out: { type: 'string' },
+      list: { type: 'boolean' },
+      help: { type: 'boolean' },
+    },
+  }));
+} catch (error) {
+  fail(error.message, '', USAGE);
+}
+
+if (args.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (args.list) {
+  console.log(Object.keys(STRATEGIES).join('\n'));
+  process.exit(0);
+}
+
+let result;
+if (args.scenario) {
+  let text;
+  try {
+    text = readFileSync(args.scenario, 'utf8');
+  } catch (error) {
+    fail(`Cannot read ${args.scenario}: ${error.message}`);
+  }
+  result = parseScenario(text);
+} else {
+  result = validateScenario(DEFAULT_SCENARIO);
+}
+const { scenario, errors } = result;
+if (!scenario) fail(`${args.scenario} is not a valid scenario:`, ...errors.map(error => `  - ${error}`));
+
+const algorithms = !args.algorithms ? [scenario.algorithm] : args.algorithms === 'all' ? Object.keys(STRATEGIES) : list(args.algorithms);
+const unknown = algorithms.filter(id => !STRATEGIES[id]);
+if (unknown.length > 0) fail(`Unknown algorithm(s): ${unknown.join(', ')}. Known: ${Object.keys(STRATEGIES).join(', ')}.`);
+
+const seeds = args.seeds ? list(args.seeds).map(Number) : [scenario.seed];
+if (seeds.some(seed => !Number.isInteger(seed))) fail(`--seeds must be whole numbers (got "${args.seeds}").`);
+
+if (!['json', 'csv'].includes(args.format)) fail(`--format must be json or csv (got "${args.format}").`);
+if (!['summary', 'series'].includes(args.table)) fail(`--table must be summary or series (got "${args.table}").`);
+
+const durationMs = args.duration ? positiveNumber(args.duration, 'duration') * 1000 : BATCH_DEFAULTS.durationMs;
+const intervalMs = args.interval ? positiveNumber(args.interval, 'interval') * 1000 : BATCH_DEFAULTS.intervalMs;
+
+const runs = algorithms.flatMap(algorithm => seeds.map(seed => {
+  const started = Date.now();
+  const run = runScenario(scenario, { algorithm, seed, durationMs, intervalMs });
+  console.error(`${algorithm} (seed ${seed}): ${durationMs / 1000}s simulated in ${Date.now() - started}ms`);
+  return run;
+}));
+
+let output;
+if (args.format === 'json') {
+  output = `${JSON.stringify({ scenario: scenario.name, durationMs, intervalMs, runs }, null, 2)}\n`;
+} else {
+  const { header, rows } = args.table === 'series' ? seriesTable(runs) : summaryTable(runs);
+  output = toCsv(header, rows);
+}
+
+if (args.out) writeFileSync(args.out, output);
+else process.stdout.write(output);